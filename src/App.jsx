@@ -1,375 +1,78 @@
-import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
 import {
   Terminal, Trash2, Play, Send,
   Activity, X, Pause, Edit2, Save, Plug, Usb, Filter,
   ChevronDown, Timer, Moon, Sun, Cpu, MoreHorizontal,
   BookmarkPlus, AlertCircle, ShieldAlert, List, ArrowUp, Trash, Check,
   LineChart, Settings2, Menu, Download, Maximize2, Minimize2, Eye, EyeOff, Zap,
-  Camera, Image as ImageIcon, FileText, FileDown, ExternalLink
+  Camera, Image as ImageIcon, FileText, FileDown, ExternalLink, Radio, Scissors, Network, Server, Binary, ChevronRight, Upload, Code, ListChecks, Cable, ArrowLeftRight, Plus, Columns2, GitMerge, FolderOpen, Circle, Square, ChevronUp, Regex, CaseSensitive, SlidersHorizontal
 } from 'lucide-react';
+import {
+  calculateCRC16, parseHexString, bufferToHex, stripLineEnding, decodeBytes
+} from './lib/bytes';
+import { DEFAULT_SERIES_CONFIG, normalizeSeriesConfig, growSeriesConfig, createSeries, formatSeriesValue } from './lib/series';
+import { DEFAULT_PLOT_PARSER, normalizePlotParser, compilePlotParser, createValueRouter, getParserMode } from './lib/extraction';
+import { EMPTY_PLOT_DATA, DEFAULT_PLOT_DEPTH, MIN_PLOT_DEPTH, MAX_PLOT_DEPTH, normalizePlotDepth, appendPlotSamples, removePlotSeries, plotLength, lastPlotSample } from './lib/plotBuffer';
+import { PLOT_WINDOWS } from './lib/plotRender';
+import {
+  CAPTURE_EXTENSION, createCaptureBuffer, recordCaptureChunk, serializeCapture, parseCapture, createCapturePlayer
+} from './lib/capture';
+import { CHARSETS, encodeText } from './lib/charsets';
+import { DEFAULT_MODBUS_MASTER, DEFAULT_MODBUS_SLAVE } from './lib/modbus';
+import ModbusMasterPanel from './components/ModbusMasterPanel';
+import ModbusSlavePanel from './components/ModbusSlavePanel';
+import ScriptPanel from './components/ScriptPanel';
+import TestSequencePanel from './components/TestSequencePanel';
+import BridgePanel from './components/BridgePanel';
+import CaptureReplayBar from './components/CaptureReplayBar';
+import ExportDialog from './components/ExportDialog';
+import VirtualLogList from './components/VirtualLogList';
+import RecordDialog from './components/RecordDialog';
+import LogQueryMenu from './components/LogQueryMenu';
+import HighlightRules from './components/HighlightRules';
+import WaveformChart from './components/WaveformChart';
+import BinaryFieldTable from './components/BinaryFieldTable';
+import PlotSeriesEditor from './components/PlotSeriesEditor';
+import PlotParserSettings from './components/PlotParserSettings';
+import { DEFAULT_EXPORT_OPTIONS, formatLogBatch } from './lib/logExport';
+import {
+  DEFAULT_LOG_QUERY, isLogQueryActive, logQueryKey, compileLogQuery, applyLogQuery, describeLogQuery
+} from './lib/logQuery';
+import {
+  DEFAULT_HIGHLIGHT_RULES, compileHighlightRules, highlightSegments, lineTintRule, dueTriggers, getHighlightColor, playAlertTone
+} from './lib/highlightRules';
+import { DEFAULT_RECORD_OPTIONS, pickRecordTarget, createLogRecorder, formatRecordSize } from './lib/logRecorder';
+import { DEFAULT_TEST_SEQUENCES } from './lib/testSequence';
+import { DEFAULT_SCRIPTS } from './lib/scriptRunner';
+import { BUILTIN_DECODERS, getDecoderDefaults, createDecoderRegistry, loadDecoderPlugin } from './decoders';
+import { VIRTUAL_DEVICES, createVirtualPort, getVirtualDeviceDefaults } from './virtual';
+import { createSession, createSessionRuntime, holdPausedChunk, nextSessionId, mergeSessionLogs, getSessionColor } from './lib/sessions';
+import {
+  DEFAULT_LOG_BUFFER, LOG_HISTORY_PAGE, LOG_HISTORY_MAX, EMPTY_LOG_BUFFER, normalizeLogBuffer, appendToLogBuffer,
+  firstShownSeq, firstStoredSeq, countOlderStored
+} from './lib/logBuffer';
+import { initLogStore, spillLogEntries, loadStoredPage, searchStored } from './lib/logStore';
+import {
+  FRAMING_MODES, DEFAULT_FRAMING, LINE_TAIL_FLUSH_MS, normalizeFraming, describeFraming, createFramer
+} from './lib/framing';
+import {
+  DATA_BITS_OPTIONS, PARITY_OPTIONS, STOP_BITS_OPTIONS, FLOW_CONTROL_OPTIONS, BUFFER_SIZE_OPTIONS,
+  DEFAULT_LINE_SETTINGS, normalizeLineSettings, buildSerialOptions, formatFrameFormat, formatSerialOptions
+} from './lib/serialOptions';
+import {
+  RECONNECT_POLL_MS, RECONNECT_SETTLE_MS, RECONNECT_WRITE_WAIT_MS,
+  getPortIdentity, describePortIdentity, findReconnectCandidate, waitForReconnect, settleReconnectWaiters
+} from './lib/reconnect';
+import {
+  CONTROL_LINES, MODEM_STATUS_LINES, SIGNAL_POLL_MS, DEFAULT_SIGNAL_TIMING, SIGNAL_PRESETS,
+  sleep, describeSignals, describeSignalChanges
+} from './lib/signals';
 
-// --- Utility: CRC16 Modbus Calculation ---
-const calculateCRC16 = (buffer) => {
-  let crc = 0xFFFF;
-  for (let pos = 0; pos < buffer.length; pos++) {
-    crc ^= buffer[pos];
-    for (let i = 8; i !== 0; i--) {
-      if ((crc & 0x0001) !== 0) {
-        crc >>= 1;
-        crc ^= 0xA001;
-      } else {
-        crc >>= 1;
-      }
-    }
-  }
-  return new Uint8Array([crc & 0xFF, (crc >> 8) & 0xFF]);
-};
-
-// --- Utility: HEX String Parsing ---
-const parseHexString = (str) => {
-  const cleanStr = str.replace(/[^0-9a-fA-F]/g, '');
-  if (!cleanStr || cleanStr.length % 2 !== 0) return null;
-  const byteArray = new Uint8Array(cleanStr.length / 2);
-  for (let i = 0; i < cleanStr.length; i += 2) {
-    byteArray[i / 2] = parseInt(cleanStr.substring(i, i + 2), 16);
-  }
-  return byteArray;
-};
-
-const bufferToHex = (buffer) => {
-  return Array.from(new Uint8Array(buffer))
-    .map(b => b.toString(16).padStart(2, '0').toUpperCase())
-    .join(' ');
-};
-
-// --- Component: Multi-Series Waveform Chart ---
-const SERIES_COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ec4899']; 
 const isValidNumber = (v) => typeof v === 'number' && Number.isFinite(v);
 
-const WaveformChart = ({ dataHistory, seriesConfig, scaleMode = 'per-series' }) => {
-    const [hoverIndex, setHoverIndex] = useState(null);
-    const chartAreaRef = useRef(null);
-    const hoverRafRef = useRef(0);
-    const pendingHoverIndexRef = useRef(null);
-    const lastHoverIndexRef = useRef(null);
-    const smoothMinRef = useRef(null);
-    const smoothMaxRef = useRef(null);
-
-    const hasData = Array.isArray(dataHistory) && dataHistory.length >= 2;
-
-    useEffect(() => {
-        // Avoid leaving a pending rAF behind if the chart unmounts.
-        return () => {
-            if (hoverRafRef.current) cancelAnimationFrame(hoverRafRef.current);
-        };
-    }, []);
-
-    useEffect(() => {
-        // Reset autoscale smoothing when mode/data changes significantly.
-        smoothMinRef.current = null;
-        smoothMaxRef.current = null;
-    }, [scaleMode, hasData]);
-
-    // Derived chart data should not recompute on every hover event.
-    const { seriesRanges, pointsBySeries } = useMemo(() => {
-        if (!hasData) {
-            return { seriesRanges: seriesConfig.map(() => null), pointsBySeries: [] };
-        }
-
-        const computePerSeriesRanges = () =>
-            seriesConfig.map((conf, idx) => {
-                if (!conf.visible) return null;
-
-                let min = Infinity;
-                let max = -Infinity;
-
-                for (const point of dataHistory) {
-                    const v = point?.values?.[idx];
-                    if (!isValidNumber(v)) continue;
-                    if (v < min) min = v;
-                    if (v > max) max = v;
-                }
-
-                if (min === Infinity) return null;
-
-                const rawRange = max - min;
-                const range = rawRange === 0 ? 1 : rawRange;
-
-                return { min, max, range };
-            });
-
-        // Arduino-like global scaling: one Y axis for all visible series, with "fast expand, slow shrink".
-        const computeGlobalRange = () => {
-            let min = Infinity;
-            let max = -Infinity;
-
-            for (const point of dataHistory) {
-                const vals = point?.values;
-                if (!Array.isArray(vals)) continue;
-                for (let idx = 0; idx < seriesConfig.length; idx++) {
-                    if (!seriesConfig[idx]?.visible) continue;
-                    const v = vals[idx];
-                    if (!isValidNumber(v)) continue;
-                    if (v < min) min = v;
-                    if (v > max) max = v;
-                }
-            }
-
-            if (min === Infinity) return null;
-
-            // Add some headroom so peaks don't instantly "compress" everything.
-            const rawRange = max - min;
-            const margin = rawRange === 0 ? 1 : rawRange * 0.05;
-            const targetMin = min - margin;
-            const targetMax = max + margin;
-
-            let sMin = smoothMinRef.current ?? targetMin;
-            let sMax = smoothMaxRef.current ?? targetMax;
-
-            const alphaShrink = 0.05; // slower return
-            if (targetMin < sMin) sMin = targetMin; else sMin = sMin + (targetMin - sMin) * alphaShrink;
-            if (targetMax > sMax) sMax = targetMax; else sMax = sMax + (targetMax - sMax) * alphaShrink;
-
-            // Prevent collapse.
-            if (sMax - sMin < 1e-9) sMax = sMin + 1;
-
-            smoothMinRef.current = sMin;
-            smoothMaxRef.current = sMax;
-
-            return { min: sMin, max: sMax, range: sMax - sMin };
-        };
-
-        const globalRange = scaleMode === 'arduino' ? computeGlobalRange() : null;
-        const ranges = scaleMode === 'arduino' ? seriesConfig.map(() => globalRange) : computePerSeriesRanges();
-
-        // Precompute points strings per series (forward-fill missing samples to avoid drop-to-min spikes).
-        const points = seriesConfig.map((conf, idx) => {
-            const r = ranges[idx];
-            if (!conf.visible || !r) return '';
-
-            let last = r.min;
-            const out = new Array(dataHistory.length);
-
-            for (let i = 0; i < dataHistory.length; i++) {
-                const v = dataHistory[i]?.values?.[idx];
-                if (isValidNumber(v)) last = v;
-
-                const x = (i / (dataHistory.length - 1)) * 100;
-                const y = 100 - ((last - r.min) / r.range) * 100;
-                out[i] = `${x},${y}`;
-            }
-
-            return out.join(' ');
-        });
-
-        return { seriesRanges: ranges, pointsBySeries: points };
-    }, [hasData, dataHistory, seriesConfig, scaleMode]);
-
-    // Interaction Handlers - NOW BOUND TO THE INNER CHART AREA
-    const handleMouseMove = useCallback((e) => {
-        if (!chartAreaRef.current) return;
-        const rect = chartAreaRef.current.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const width = rect.width;
-        if (width <= 0) return;
-        
-        // Map pixel x to data index (0 to length-1)
-        const nextIdx = Math.min(
-            Math.max(0, Math.round((x / width) * (dataHistory.length - 1))),
-            dataHistory.length - 1
-        );
-
-        // Throttle to rAF to avoid re-rendering the whole chart on every mousemove.
-        pendingHoverIndexRef.current = nextIdx;
-        if (hoverRafRef.current) return;
-        hoverRafRef.current = requestAnimationFrame(() => {
-            hoverRafRef.current = 0;
-            const idx = pendingHoverIndexRef.current;
-            if (idx === null || idx === undefined) return;
-            if (idx === lastHoverIndexRef.current) return;
-            lastHoverIndexRef.current = idx;
-            setHoverIndex(idx);
-        });
-    }, [dataHistory.length]);
-
-    const handleMouseLeave = () => {
-        pendingHoverIndexRef.current = null;
-        lastHoverIndexRef.current = null;
-        setHoverIndex(null);
-    };
-
-    // Calculate hover data
-    const hoverData = hoverIndex !== null ? dataHistory[hoverIndex] : null;
-    const hoverXPct = hoverIndex !== null ? (hoverIndex / (dataHistory.length - 1)) * 100 : 0;
-
-    // Safety check for dataHistory (after hooks)
-    if (!hasData) {
-        return (
-            <div className="flex flex-col items-center justify-center h-full opacity-30 select-none relative z-10">
-                <Activity size={32} strokeWidth={1} />
-                <span className="mt-2 text-[10px] uppercase tracking-widest font-bold">No Signal</span>
-                <span className="text-[9px] text-center max-w-[200px] mt-1">
-                    Configure keywords or send numbers like "25.5, 60"
-                </span>
-            </div>
-        );
-    }
-
-    return (
-        <div className="relative w-full h-full select-none bg-black/5 dark:bg-black/20 rounded-lg">
-            {/* 1. Axis Labels */}
-            {scaleMode === 'arduino' ? (
-                <div className="absolute inset-y-2 left-1 w-10 flex flex-col justify-between text-[8px] opacity-70 font-mono pointer-events-none z-10 text-right pr-1 text-zinc-700 dark:text-zinc-300">
-                    {(() => {
-                        const r = seriesRanges.find(Boolean);
-                        if (!r) return null;
-                        const { min, max, range } = r;
-                        return (
-                            <>
-                                <span className="font-bold">{max.toFixed(1)}</span>
-                                <span className="opacity-70">{(min + range * 0.75).toFixed(1)}</span>
-                                <span className="opacity-70">{(min + range * 0.5).toFixed(1)}</span>
-                                <span className="opacity-70">{(min + range * 0.25).toFixed(1)}</span>
-                                <span className="font-bold">{min.toFixed(1)}</span>
-                            </>
-                        );
-                    })()}
-                </div>
-            ) : (
-                <div className="absolute inset-y-2 left-1 w-10 flex flex-col justify-between text-[8px] opacity-80 font-mono pointer-events-none z-10 text-right pr-1">
-                    {seriesConfig.map((conf, idx) => {
-                        if (!conf.visible || !seriesRanges[idx]) return null;
-                        const { min, max } = seriesRanges[idx];
-                        return (
-                            <div key={idx} className="flex flex-col gap-0.5" style={{ color: SERIES_COLORS[idx % 4] }}>
-                                <span className="font-bold">{max.toFixed(1)}</span>
-                                <span className="opacity-60">{min.toFixed(1)}</span>
-                            </div>
-                        );
-                    })}
-                </div>
-            )}
-
-            {/* 2. Inner Chart Area Wrapper (Adjusted left margin for multi-axis) */}
-            <div
-                ref={chartAreaRef}
-                className="absolute left-12 right-4 top-2 bottom-2 z-20 cursor-crosshair"
-                onMouseMove={handleMouseMove}
-                onMouseLeave={handleMouseLeave}
-            >
-                {/* Grid Lines (Background) */}
-                <div className="absolute inset-0 border-l border-b border-black/10 dark:border-white/10 pointer-events-none"></div>
-
-                {/* SVG Layer - ID for Snapshot */}
-                <svg id="waveform-chart-svg" viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-full overflow-visible pointer-events-none">
-                    {seriesConfig.map((conf, idx) => (
-                        conf.visible && seriesRanges[idx] && (
-                            <polyline
-                                key={idx}
-                                points={pointsBySeries[idx]}
-                                fill="none"
-                                stroke={SERIES_COLORS[idx % 4]}
-                                strokeWidth="1.5"
-                                vectorEffect="non-scaling-stroke"
-                                className="opacity-95"
-                            />
-                        )
-                    ))}
-                </svg>
-
-                {/* Interaction Overlay Layer (Dots & Line) */}
-                {hoverIndex !== null && hoverData && (
-                    <div className="absolute inset-0 pointer-events-none">
-                        {/* Vertical Cursor Line */}
-                        <div
-                            className="absolute top-0 bottom-0 border-l border-white/40 shadow-[0_0_4px_rgba(255,255,255,0.3)]"
-                            style={{ left: `${hoverXPct}%` }}
-                        />
-
-                        {/* Data Points Dots */}
-                        {seriesConfig.map((conf, idx) => {
-                            if (!conf.visible || !seriesRanges[idx]) return null;
-                            const val = hoverData.values[idx];
-                            if (val === undefined || val === null || isNaN(val)) return null;
-
-                            // Y position using per-series range
-                            const { min, range } = seriesRanges[idx];
-                            const y = 100 - ((val - min) / range) * 100;
-
-                            return (
-                                <div
-                                    key={idx}
-                                    className="absolute size-2.5 rounded-full border-[1.5px] border-white shadow-md z-30 transition-transform duration-75"
-                                    style={{
-                                        left: `${hoverXPct}%`,
-                                        top: `${y}%`,
-                                        backgroundColor: SERIES_COLORS[idx % 4],
-                                        transform: 'translate(-50%, -50%)'
-                                    }}
-                                />
-                            );
-                        })}
-                    </div>
-                )}
-            </div>
-
-            {/* 3. Floating Tooltip (Global relative to chart container) */}
-            {hoverIndex !== null && hoverData && (
-                <div 
-                    className="absolute bg-zinc-900/95 backdrop-blur border border-white/10 rounded-lg p-2.5 shadow-2xl text-[10px] font-mono whitespace-nowrap z-50 pointer-events-none"
-                    style={{ 
-                        left: hoverXPct < 50 ? `calc(${hoverXPct}% + 40px)` : 'auto', // Offset from cursor
-                        right: hoverXPct >= 50 ? `calc(${100 - hoverXPct}% + 4px)` : 'auto', // Offset from right
-                        top: '10px',
-                    }}
-                >
-                    <div className="text-zinc-400 mb-1.5 border-b border-white/10 pb-1 flex justify-between gap-4">
-                        <span>IDX: {hoverIndex}</span>
-                        <span>{new Date(hoverData.timestamp).toLocaleTimeString()}</span>
-                    </div>
-                    <div className="flex flex-col gap-1.5">
-                        {seriesConfig.map((conf, idx) => {
-                            if (!conf.visible) return null;
-                            const val = hoverData.values[idx];
-                            return (
-                                <div key={idx} className="flex items-center gap-3">
-                                    <div className="flex items-center gap-1.5 w-16">
-                                        <div className="size-1.5 rounded-full" style={{ backgroundColor: SERIES_COLORS[idx % 4] }}></div>
-                                        <span className="text-zinc-300 truncate">{conf.name || `S${idx+1}`}</span>
-                                    </div>
-                                    <span className="font-bold text-white ml-auto font-mono text-xs">
-                                        {val !== undefined && val !== null ? val.toFixed(2) : '--'}
-                                    </span>
-                                </div>
-                            );
-                        })}
-                    </div>
-                </div>
-            )}
-            
-            {/* 4. Legend (Always Visible for Snapshot) */}
-            {hoverIndex === null && (
-                <div className="absolute top-2 right-2 flex flex-col gap-1 items-end pointer-events-none z-20 transition-opacity duration-200">
-                    {seriesConfig.map((conf, idx) => {
-                        if (!conf.visible) return null;
-                        const lastPoint = dataHistory[dataHistory.length - 1];
-                        const lastVal = (lastPoint && lastPoint.values) ? lastPoint.values[idx] : null;
-                        
-                        return (
-                            <div key={idx} className="flex items-center gap-2 bg-black/60 backdrop-blur-md px-2 py-0.5 rounded text-[10px] font-mono shadow-sm border border-white/10">
-                                <span className="opacity-80 text-[9px] uppercase tracking-wide text-white">{conf.name || `Series ${idx+1}`}</span>
-                                <span className="font-bold" style={{ color: SERIES_COLORS[idx % 4] }}>
-                                    {lastVal !== undefined && lastVal !== null ? lastVal.toFixed(2) : '--'}
-                                </span>
-                                <div className="size-1.5 rounded-full" style={{ backgroundColor: SERIES_COLORS[idx % 4] }}></div>
-                            </div>
-                        );
-                    })}
-                </div>
-            )}
-        </div>
-    );
-};
+// useSyncExternalStore stand-ins while there is no store (e.g. nothing is being recorded).
+const subscribeNothing = () => () => {};
+const getNoSnapshot = () => null;
 
 export default function App() {
   const usePersistedState = (key, defaultValue) => {
@@ -389,68 +92,95 @@ export default function App() {
     return [state, setState];
   };
 
-  const [port, setPort] = useState(null);
-  const portRef = useRef(null);
   const [availablePorts, setAvailablePorts] = useState([]);
-  const [isConnected, setIsConnected] = useState(false);
   const [isSerialAllowed, setIsSerialAllowed] = useState(true);
-  const readerRef = useRef(null);
-  const readableStreamClosedRef = useRef(null);
-  const closingRef = useRef(false);
   const baudRef = useRef(null);
-  // Incomplete tail of the incoming RX stream (used for line framing).
-  const rxBufferRef = useRef('');
-  const pendingRxLinesRef = useRef([]);
-  const pausedBufferRef = useRef(''); // Buffer for data received while paused
-  const rxTimeoutRef = useRef(null);
-  const logContainerRef = useRef(null);
+  // Per-session stream plumbing (see lib/sessions), keyed by session id.
+  const runtimesRef = useRef(new Map());
 
   const [isConnectModalOpen, setIsConnectModalOpen] = useState(false);
   const [isBaudDropdownOpen, setIsBaudDropdownOpen] = useState(false);
   const [isMacroModalOpen, setIsMacroModalOpen] = useState(false);
   const [isMainMenuOpen, setIsMainMenuOpen] = useState(false);
   const [isSnapshotGalleryOpen, setIsSnapshotGalleryOpen] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
   const [isPdfLibraryLoaded, setIsPdfLibraryLoaded] = useState(false); // Track PDF lib
 
   const [isPlotterOpen, setIsPlotterOpen] = useState(false);
   const [isPlotterFullscreen, setIsPlotterFullscreen] = useState(false);
   const [isPlotterSettingsOpen, setIsPlotterSettingsOpen] = useState(false);
+  const [isModbusOpen, setIsModbusOpen] = useState(false);
+  const [isModbusSlaveOpen, setIsModbusSlaveOpen] = useState(false);
+  const [isScriptOpen, setIsScriptOpen] = useState(false);
+  const [isTestSequenceOpen, setIsTestSequenceOpen] = useState(false);
+  const [isBridgeOpen, setIsBridgeOpen] = useState(false);
   
-  const [plotData, setPlotData] = useState([]);
   const [snapshots, setSnapshots] = useState([]);
+  const [testRuns, setTestRuns] = useState([]);
 
-  const [seriesConfig, setSeriesConfig] = useState([
-      { id: 0, name: 'Current', keyword: '', visible: true },
-      { id: 1, name: 'Voltage', keyword: '', visible: true },
-      { id: 2, name: 'Power', keyword: '', visible: false },
-      { id: 3, name: 'Temp', keyword: '', visible: false },
-  ]);
+  // Plot series (see lib/series); saved as edited, filled in with defaults on the way out.
+  const [storedSeriesConfig, setSeriesConfig] = usePersistedState('sf_series', DEFAULT_SERIES_CONFIG);
+  const seriesConfig = useMemo(() => normalizeSeriesConfig(storedSeriesConfig), [storedSeriesConfig]);
+  // How RX lines become plot values (see lib/extraction).
+  const [storedPlotParser, setPlotParser] = usePersistedState('sf_plot_parser', DEFAULT_PLOT_PARSER);
+  const plotParser = useMemo(() => normalizePlotParser(storedPlotParser), [storedPlotParser]);
+  const plotExtractor = useMemo(() => compilePlotParser(plotParser, seriesConfig), [plotParser, seriesConfig]);
 
   // Plot scaling mode: Arduino-like global Y axis or per-series independent scaling.
   const [plotScaleMode, setPlotScaleMode] = usePersistedState('sf_plot_scale', 'arduino');
+  // Manual range of the shared Arduino Y axis (blank = automatic); per-series ranges live in the series config.
+  const [plotYRange, setPlotYRange] = usePersistedState('sf_plot_yrange', { min: '', max: '' });
+  // Samples kept per session, and the time span the chart shows (0 = all of them).
+  const [plotDepth, setPlotDepth] = usePersistedState('sf_plot_depth', DEFAULT_PLOT_DEPTH);
+  const [plotWindowMs, setPlotWindowMs] = usePersistedState('sf_plot_window', 0);
+  const plotDepthLimit = normalizePlotDepth(plotDepth);
 
   const [editingId, setEditingId] = useState(null);
   const [editLabel, setEditLabel] = useState('');
   const [editCmdStr, setEditCmdStr] = useState('');
 
   const [isSaveModalOpen, setIsSaveModalOpen] = useState(false);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
   const [saveMacroName, setSaveMacroName] = useState('');
 
-  const [logs, setLogs] = useState([]);
   const [inputText, setInputText] = useState('');
   const [autoScroll, setAutoScroll] = useState(true);
   const [viewMode, setViewMode] = useState('ascii');
-  const [logFilter, setLogFilter] = useState('');
+  const [framing, setFraming] = usePersistedState('sf_framing', DEFAULT_FRAMING);
+  const [isFramingMenuOpen, setIsFramingMenuOpen] = useState(false);
+  const [decoderOptions, setDecoderOptions] = usePersistedState('sf_decoder_opts', {});
+  const [customDecoders, setCustomDecoders] = useState([]);
+  const [virtualDeviceId, setVirtualDeviceId] = usePersistedState('sf_virtual_dev', VIRTUAL_DEVICES[0].id);
+  const [virtualOptions, setVirtualOptions] = usePersistedState('sf_virtual_opts', {});
+  const [virtualFiles, setVirtualFiles] = useState({}); // file options are kept in memory only: { [deviceId]: { [key]: { name, text } } }
+  const [isDecoderMenuOpen, setIsDecoderMenuOpen] = useState(false);
+  const [expandedLogIds, setExpandedLogIds] = useState(() => new Set());
+  const decoderPluginInputRef = useRef(null);
+  const captureInputRef = useRef(null);
   const [lastActivity, setLastActivity] = useState({ type: null, time: 0 });
   const [copyFeedback, setCopyFeedback] = useState(null);
   
   const [sendHistory, setSendHistory] = usePersistedState('sf_history', []);
   const [historyIndex, setHistoryIndex] = useState(-1);
-  const [baudRate, setBaudRate] = usePersistedState('sf_baud', 115200);
+  // Defaults for new sessions; each session keeps its own copy once created.
+  const [defaultBaudRate, setDefaultBaudRate] = usePersistedState('sf_baud', 115200);
+  const [defaultLineSettings, setDefaultLineSettings] = usePersistedState('sf_line', DEFAULT_LINE_SETTINGS);
+  const [modbusMasterConfig, setModbusMasterConfig] = usePersistedState('sf_mb_master', DEFAULT_MODBUS_MASTER);
+  const [modbusSlaveConfig, setModbusSlaveConfig] = usePersistedState('sf_mb_slave', DEFAULT_MODBUS_SLAVE);
   const [encoding, setEncoding] = usePersistedState('sf_enc', 'utf-8');
-  const [highlightKeyword, setHighlightKeyword] = usePersistedState('sf_hl_kw', '');
-  const [highlightColor, setHighlightColor] = usePersistedState('sf_hl_col', 'bg-[#f4d03f] text-black border-[#f4d03f]'); 
+  const [scripts, setScripts] = usePersistedState('sf_scripts', DEFAULT_SCRIPTS);
+  const [testSequences, setTestSequences] = usePersistedState('sf_test_seqs', DEFAULT_TEST_SEQUENCES);
+  const [bridgeRules, setBridgeRules] = usePersistedState('sf_bridge_rules', []);
+  const [exportOptions, setExportOptions] = usePersistedState('sf_export', DEFAULT_EXPORT_OPTIONS);
+  const [logBuffer, setLogBuffer] = usePersistedState('sf_log_buffer', DEFAULT_LOG_BUFFER);
+  const [isLogStoreReady, setIsLogStoreReady] = useState(false);
+  const [isBufferMenuOpen, setIsBufferMenuOpen] = useState(false);
+  const [recordOptions, setRecordOptions] = usePersistedState('sf_record', DEFAULT_RECORD_OPTIONS);
+  const [isRecordDialogOpen, setIsRecordDialogOpen] = useState(false);
+  const [recorder, setRecorder] = useState(null);
+  const recordEntriesRef = useRef(null);
+  const [highlightRules, setHighlightRules] = usePersistedState('sf_hl_rules', DEFAULT_HIGHLIGHT_RULES);
+  const rxTriggersRef = useRef(null);
+  const lastTriggeredRef = useRef(new Map()); // rule id -> ms, for the trigger cooldown
   const [quickCommands, setQuickCommands] = usePersistedState('sf_cmds', [
     { id: 1, label: 'STATUS', cmd: 'AT+STATUS?' },
     { id: 2, label: 'RESET', cmd: 'AT+RST' },
@@ -464,13 +194,62 @@ export default function App() {
   const [theme, setTheme] = usePersistedState('sf_theme', 'light');
   const isDark = theme === 'dark';
 
+  const [autoReconnect, setAutoReconnect] = usePersistedState('sf_auto_reconnect', true);
   const [timerEnabled, setTimerEnabled] = useState(false);
+  const [timerSessionId, setTimerSessionId] = useState(null);
   const [timerInterval, setTimerInterval] = usePersistedState('sf_timer_ms', 1000);
   const timerRef = useRef(null);
   const inputTextRef = useRef('');
 
+  const [signalTiming, setSignalTiming] = usePersistedState('sf_sig_timing', DEFAULT_SIGNAL_TIMING);
+  const [isSignalSequenceRunning, setIsSignalSequenceRunning] = useState(false);
+
   const isWebSerialSupported = 'serial' in navigator;
 
+  // --- Sessions: each has its own port, line settings, log, filter, plot data and decoder ---
+  const [sessions, setSessions] = useState(() => [createSession(1, { baudRate: defaultBaudRate, lineSettings: defaultLineSettings })]);
+  const [activeSessionId, setActiveSessionId] = useState(1);
+  const [isTimelineView, setIsTimelineView] = useState(false);
+  const [timelineFilter, setTimelineFilter] = useState(DEFAULT_LOG_QUERY);
+  const [matchCursor, setMatchCursor] = useState(null);
+  const [isQueryMenuOpen, setIsQueryMenuOpen] = useState(false);
+  const [savedFilters, setSavedFilters] = usePersistedState('sf_saved_filters', []);
+  const [splitSessionId, setSplitSessionId] = useState(null);
+  const [renamingSessionId, setRenamingSessionId] = useState(null);
+
+  const activeSession = sessions.find(s => s.id === activeSessionId) || sessions[0];
+  const { port, portOptions, isConnected, isReconnecting, plotData, plotFrame, logFilter, isPaused, controlLines, modemStatus, baudRate, lineSettings } = activeSession;
+  const activeDecoderId = activeSession.decoderId;
+  const splitSession = splitSessionId !== activeSession.id ? sessions.find(s => s.id === splitSessionId) || null : null;
+
+  const updateSession = useCallback((id, patch) => {
+    setSessions(prev => prev.map(s => (s.id === id ? { ...s, ...(typeof patch === 'function' ? patch(s) : patch) } : s)));
+  }, []);
+
+  const framingRef = useRef(framing);
+  const getRuntime = useCallback((id) => {
+    let runtime = runtimesRef.current.get(id);
+    if (!runtime) {
+      runtime = createSessionRuntime(framingRef.current);
+      runtimesRef.current.set(id, runtime);
+    }
+    return runtime;
+  }, []);
+
+  // Setters bound to the active session.
+  const setLogFilter = (patch) => updateSession(activeSession.id, s => ({ logFilter: { ...s.logFilter, ...patch } }));
+  const setActiveDecoderId = (decoderId) => updateSession(activeSession.id, { decoderId });
+  const setIsPaused = (value) => {
+    getRuntime(activeSession.id).isPaused = value;
+    updateSession(activeSession.id, { isPaused: value });
+  };
+  const setBaudRate = (value) => { updateSession(activeSession.id, { baudRate: value }); setDefaultBaudRate(value); };
+  const setLineSettings = (next) => {
+    const value = typeof next === 'function' ? next(lineSettings) : next;
+    updateSession(activeSession.id, { lineSettings: value });
+    setDefaultLineSettings(value);
+  };
+
   // Load jsPDF dynamically
   useEffect(() => {
     const script = document.createElement('script');
@@ -479,15 +258,26 @@ export default function App() {
     document.body.appendChild(script);
   }, []);
 
-  useEffect(() => { portRef.current = port; }, [port]);
   useEffect(() => { inputTextRef.current = inputText; }, [inputText]);
 
-  // -- Refs for Stale Closure Fixes (Pause & AddLog) --
-  const isPausedRef = useRef(isPaused);
-  useEffect(() => { isPausedRef.current = isPaused; }, [isPaused]);
-
-  // Create a ref for addLog to ensure the loop calls the latest version (with current props)
-  const addLogRef = useRef(null);
+  // Without the IndexedDB store nothing spills: entries leaving memory are dropped and counted.
+  useEffect(() => {
+    initLogStore().then(setIsLogStoreReady);
+  }, []);
+  const logBufferConfig = useMemo(() => {
+    const cfg = normalizeLogBuffer(logBuffer);
+    return isLogStoreReady ? cfg : { ...cfg, storeLimit: 0 };
+  }, [logBuffer, isLogStoreReady]);
+
+  // Every log append goes through here (inside a session updater): caps memory and spills the overflow.
+  const pushLogEntries = useCallback((s, entries) => {
+    const { patch, evicted, keepFromSeq } = appendToLogBuffer(s, entries, logBufferConfig);
+    if (evicted.length) spillLogEntries(s.id, patch.storedCount ? evicted : [], keepFromSeq);
+    return patch;
+  }, [logBufferConfig]);
+
+  // Create a ref for addSessionLog to ensure the loops call the latest version (with current props)
+  const addSessionLogRef = useRef(null);
   
   const updatePorts = useCallback(async () => {
     if (!isWebSerialSupported) return;
@@ -498,156 +288,262 @@ export default function App() {
     } catch (e) { setIsSerialAllowed(false); }
   }, [isWebSerialSupported]);
 
-  const disconnectPort = useCallback(async () => {
-    closingRef.current = true;
-    setTimerEnabled(false);
-    if (timerRef.current) clearInterval(timerRef.current);
-    if (rxTimeoutRef.current) { clearTimeout(rxTimeoutRef.current); rxTimeoutRef.current = null; }
+  const timerSessionIdRef = useRef(null);
+  useEffect(() => { timerSessionIdRef.current = timerEnabled ? timerSessionId : null; }, [timerEnabled, timerSessionId]);
+
+  // `keepTimer`: the port vanished and auto-reconnect will bring it back, so the timer (and any parked writes) stay.
+  const disconnectSession = useCallback(async (sessionId, { keepTimer = false } = {}) => {
+    const runtime = runtimesRef.current.get(sessionId);
+    if (!runtime) return;
+    runtime.closing = true;
+    if (!keepTimer && runtime.reconnecting) {
+      runtime.reconnecting = false;
+      settleReconnectWaiters(runtime, false);
+      updateSession(sessionId, { isReconnecting: false });
+    }
+    if (!keepTimer && timerSessionIdRef.current === sessionId) {
+      setTimerEnabled(false);
+      if (timerRef.current) clearInterval(timerRef.current);
+    }
+    if (runtime.flushTimer) { clearTimeout(runtime.flushTimer); runtime.flushTimer = null; }
+    if (runtime.idleTimer) { clearTimeout(runtime.idleTimer); runtime.idleTimer = null; }
     try {
-      if (readerRef.current) await readerRef.current.cancel();
-      const closed = readableStreamClosedRef.current;
-      readableStreamClosedRef.current = null;
+      if (runtime.reader) await runtime.reader.cancel();
+      const closed = runtime.readLoopClosed;
+      runtime.readLoopClosed = null;
       if (closed) await closed.catch(() => {});
-      const currentPort = portRef.current;
-      if (currentPort) await currentPort.close();
+      if (runtime.port) await runtime.port.close();
     } catch (e) { console.error(e); }
-    setPort(null);
-    portRef.current = null;
-    setIsConnected(false);
-    rxBufferRef.current = '';
-    pendingRxLinesRef.current = [];
-    pausedBufferRef.current = '';
-    closingRef.current = false;
+    runtime.port = null;
+    runtime.modemStatus = null;
+    runtime.signalsUnsupported = false;
+    runtime.framer?.reset();
+    runtime.pendingFrames = [];
+    runtime.pausedChunks = [];
+    runtime.pausedBytes = 0;
+    runtime.pausedDroppedBytes = 0;
+    runtime.closing = false;
+    updateSession(sessionId, { port: null, portOptions: null, isConnected: false, controlLines: { dataTerminalReady: null, requestToSend: null }, modemStatus: null });
     updatePorts();
-  }, [updatePorts]);
+  }, [updatePorts, updateSession]);
+
+  const disconnectPort = () => disconnectSession(activeSession.id);
+
+  // Clearing a live session's log also starts its capture afresh.
+  const clearSessionLogs = (ids) => {
+    for (const id of ids) getRuntime(id).captureBuffer = createCaptureBuffer();
+    setSessions(prev => prev.map(s => {
+      if (!ids.includes(s.id)) return s;
+      spillLogEntries(s.id, [], s.nextSeq);
+      return { ...s, ...EMPTY_LOG_BUFFER };
+    }));
+  };
 
-  useEffect(() => {
-    if (!isWebSerialSupported) return;
-    const handleConnect = () => { updatePorts(); };
-    const handleDisconnect = (e) => { updatePorts(); if (portRef.current === e.target) disconnectPort(); };
-    updatePorts();
-    navigator.serial.addEventListener('connect', handleConnect);
-    navigator.serial.addEventListener('disconnect', handleDisconnect);
-    return () => {
-      navigator.serial.removeEventListener('connect', handleConnect);
-      navigator.serial.removeEventListener('disconnect', handleDisconnect);
-    };
-  }, [isWebSerialSupported, updatePorts, disconnectPort]);
+  const addSession = () => {
+    const session = createSession(nextSessionId(sessions), { baudRate: defaultBaudRate, lineSettings: defaultLineSettings });
+    setSessions(prev => [...prev, session]);
+    setActiveSessionId(session.id);
+  };
+
+  const closeSession = async (sessionId) => {
+    if (sessions.length <= 1) return;
+    const idx = sessions.findIndex(s => s.id === sessionId);
+    const neighbour = sessions[idx + 1] || sessions[idx - 1];
+    sessions[idx].capture?.player.dispose();
+    await disconnectSession(sessionId);
+    runtimesRef.current.delete(sessionId);
+    spillLogEntries(sessionId, [], Infinity);
+    setSessions(prev => prev.filter(s => s.id !== sessionId));
+    if (activeSession.id === sessionId) setActiveSessionId(neighbour.id);
+    if (splitSessionId === sessionId) setSplitSessionId(null);
+  };
 
-  const getTimestamp = useCallback(() => {
-    const now = new Date();
+  const renameSession = (sessionId, name) => {
+    if (name.trim()) updateSession(sessionId, { name: name.trim() });
+    setRenamingSessionId(null);
+  };
+
+  const getTimestamp = useCallback((ms) => {
+    const now = ms === undefined ? new Date() : new Date(ms);
     return `${String(now.getHours()).padStart(2,'0')}:${String(now.getMinutes()).padStart(2,'0')}:${String(now.getSeconds()).padStart(2,'0')}.${String(now.getMilliseconds()).padStart(3,'0')}`;
   }, []);
 
-  const parseDataForChart = useCallback((text) => {
-      let extractedValues = [];
-      let foundKeyword = false;
-      seriesConfig.forEach((conf, idx) => {
-          if (!conf.visible) { extractedValues[idx] = null; return; }
-          if (conf.keyword && conf.keyword.trim() !== '') {
-              const escapedKey = conf.keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-              const regex = new RegExp(`${escapedKey}\\s*[:=-]?\\s*(-?\\d+(\\.\\d+)?)`, 'i');
-              const match = text.match(regex);
-              if (match) { extractedValues[idx] = parseFloat(match[1]); foundKeyword = true; } 
-              else { extractedValues[idx] = null; }
-          }
-      });
-      const hasAnyKeywords = seriesConfig.some(s => s.keyword && s.keyword.trim() !== '');
-      if (!hasAnyKeywords && !foundKeyword) {
-          const allNumbers = text.match(/-?\d+(\.\d+)?/g);
-          if (allNumbers) {
-              const nums = allNumbers.map(Number);
-              seriesConfig.forEach((conf, idx) => {
-                  if (idx < nums.length) {
-                      if (conf.visible) extractedValues[idx] = nums[idx];
-                      else extractedValues[idx] = null;
-                  } else extractedValues[idx] = null;
-              });
-              return extractedValues;
+  // Samples carrying more values than there are series (auto-detect, new keys, script plot()) add series
+  // for them; `keys` name the ones a router handed out indexes for.
+  const growSeriesFor = useCallback((samples, keys = []) => {
+      const width = samples.reduce((n, sample) => Math.max(n, sample.values.length), 0);
+      if (width > seriesConfig.length) setSeriesConfig(prev => growSeriesConfig(normalizeSeriesConfig(prev), width, keys));
+  }, [seriesConfig.length, setSeriesConfig]);
+
+  // Plot samples for the RX lines among `entries` (see lib/extraction); the binary parser reads their raw
+  // bytes instead, and a line may complete several frames or none. Grows the series config as needed,
+  // so call it outside state updaters. Capture replay passes the settings the capture was recorded with.
+  const plotRouterRef = useRef(null);
+  const plotSamplesOf = useCallback((entries, conf = seriesConfig, parser = plotParser) => {
+      const extractor = conf === seriesConfig && parser === plotParser ? plotExtractor : compilePlotParser(parser, conf);
+      if (plotRouterRef.current?.config !== conf) plotRouterRef.current = createValueRouter(conf);
+      const router = plotRouterRef.current;
+      const samples = [];
+      for (const { type, text, bytes, _ts, sessionId } of entries) {
+          if (type !== 'rx') continue;
+          const state = getRuntime(sessionId).parserState;
+          const extracted = extractor.extractBytes
+              ? (bytes ? extractor.extractBytes(bytes, state) : [])
+              : (text.trim() ? [extractor.extract(text, state)] : []);
+          for (const output of extracted) {
+              const vals = router.route(output);
+              if (vals.length > 0) samples.push({ values: vals, timestamp: _ts });
           }
       }
-      if (extractedValues.every(v => v === null)) return [];
-      return extractedValues;
-  }, [seriesConfig]);
-
-  const addLog = useCallback((newLog) => {
-    if (newLog.type === 'rx') {
-        const vals = parseDataForChart(newLog.text);
-        if (vals && vals.length > 0) {
-            setPlotData(prev => [...prev, { values: vals, timestamp: Date.now() }].slice(-150));
-        }
-    }
-    setLogs(prev => [...prev, { ...newLog, _ts: Date.now() }]);
-  }, [parseDataForChart]);
+      growSeriesFor(samples, router.added);
+      return samples;
+  }, [getRuntime, growSeriesFor, plotExtractor, plotParser, seriesConfig]);
+
+  const updateSeries = (id, patch) => setSeriesConfig(prev => normalizeSeriesConfig(prev).map(conf => (conf.id === id ? { ...conf, ...patch } : conf)));
+  const addSeries = () => setSeriesConfig(prev => {
+      const list = normalizeSeriesConfig(prev);
+      return [...list, createSeries(list.length)];
+  });
+  // The series' column goes with it, so the values of later series stay with their series.
+  const removeSeries = (index) => {
+      setSeriesConfig(prev => normalizeSeriesConfig(prev).filter((_, i) => i !== index));
+      setSessions(prev => prev.map(s => ({ ...s, plotData: removePlotSeries(s.plotData, index) })));
+  };
+  // What the parser carried between lines (CSV header, binary stream tail, frame counts) belonged to the
+  // old settings, so every session's parser starts over.
+  const updatePlotParser = (patch) => {
+      setPlotParser(prev => ({ ...normalizePlotParser(prev), ...patch }));
+      for (const runtime of runtimesRef.current.values()) runtime.parserState = {};
+      setSessions(prev => prev.map(s => (s.plotFrame ? { ...s, plotFrame: null } : s)));
+  };
 
-  // Update refs whenever addLog changes
+  const addSessionLog = useCallback((sessionId, newLog) => {
+    const entry = { ...newLog, sessionId, _ts: Date.now() };
+    if (entry.type === 'rx' || entry.type === 'tx') recordEntriesRef.current?.([entry]);
+    if (entry.type === 'rx') rxTriggersRef.current?.(sessionId, [entry]);
+    const samples = plotSamplesOf([entry]);
+    updateSession(sessionId, s => {
+      const patch = pushLogEntries(s, [entry]);
+      if (samples.length) patch.plotData = appendPlotSamples(s.plotData, samples, plotDepthLimit);
+      return patch;
+    });
+  }, [plotDepthLimit, plotSamplesOf, pushLogEntries, updateSession]);
+
+  const addLog = useCallback((newLog) => addSessionLog(activeSessionId, newLog), [activeSessionId, addSessionLog]);
+
+  // Update refs whenever addSessionLog changes
   useEffect(() => {
-      addLogRef.current = addLog;
-  }, [addLog]);
+      addSessionLogRef.current = addSessionLog;
+  }, [addSessionLog]);
+
+  // Each frame is the raw Uint8Array as received; text is decoded for display/plotting only.
+  // `at` and the settings are overridden when rebuilding a capture recorded with different ones.
+  const buildRxEntries = useCallback((sessionId, frames, at = Date.now(), enc = encoding) => {
+      // A bridged session tags its RX with the direction the bytes travel (A→B / B→A).
+      const tag = runtimesRef.current.get(sessionId)?.bridgeTag;
+      return frames.filter(f => f && f.length).map(bytes => ({
+          id: Math.random(),
+          timestamp: getTimestamp(at),
+          text: decodeBytes(stripLineEnding(bytes), enc),
+          bytes,
+          type: 'rx',
+          sessionId,
+          ...(tag && { direction: tag }),
+          _ts: at
+      }));
+  }, [encoding, getTimestamp]);
 
   // Batch append framed RX lines: reduces React state churn under high baud/data rate.
-  const appendRxLines = useCallback((lines) => {
-      const safeLines = Array.isArray(lines) ? lines : [];
-      const filtered = safeLines.map(l => (typeof l === 'string' ? l.trim() : '')).filter(Boolean);
-      if (filtered.length === 0) return;
-
-      // 1) Logs (single state update)
-      setLogs(prev => [
-          ...prev,
-          ...filtered.map(text => ({ id: Math.random(), timestamp: getTimestamp(), text, type: 'rx', _ts: Date.now() }))
-      ]);
-
-      // 2) Plot data (single state update)
-      setPlotData(prev => {
-          const next = [...prev];
-          for (const text of filtered) {
-              const vals = parseDataForChart(text);
-              if (vals && vals.length > 0) next.push({ values: vals, timestamp: Date.now() });
-          }
-          return next.slice(-150);
-      });
-  }, [getTimestamp, parseDataForChart]);
+  const appendRxLines = useCallback((sessionId, frames) => {
+      const entries = buildRxEntries(sessionId, Array.isArray(frames) ? frames : []);
+      if (entries.length === 0) return;
+      recordEntriesRef.current?.(entries);
+      rxTriggersRef.current?.(sessionId, entries);
+
+      const samples = plotSamplesOf(entries);
+      const latestFrame = getRuntime(sessionId).parserState.latest ?? null;
+      // Logs and plot data in a single state update
+      updateSession(sessionId, s => ({ ...pushLogEntries(s, entries), plotData: appendPlotSamples(s.plotData, samples, plotDepthLimit), plotFrame: latestFrame }));
+  }, [buildRxEntries, getRuntime, plotDepthLimit, plotSamplesOf, pushLogEntries, updateSession]);
 
   const appendRxLinesRef = useRef(null);
   useEffect(() => { appendRxLinesRef.current = appendRxLines; }, [appendRxLines]);
 
-  const scheduleFlushRxLines = useCallback(() => {
-      if (rxTimeoutRef.current) return;
-      rxTimeoutRef.current = setTimeout(() => {
-          rxTimeoutRef.current = null;
-          const lines = pendingRxLinesRef.current;
-          pendingRxLinesRef.current = [];
-          if (lines.length && appendRxLinesRef.current) appendRxLinesRef.current(lines);
+  const scheduleFlushRxLines = useCallback((sessionId) => {
+      const runtime = runtimesRef.current.get(sessionId);
+      if (!runtime || runtime.flushTimer) return;
+      runtime.flushTimer = setTimeout(() => {
+          runtime.flushTimer = null;
+          const lines = runtime.pendingFrames;
+          runtime.pendingFrames = [];
+          if (lines.length && appendRxLinesRef.current) appendRxLinesRef.current(sessionId, lines);
       }, 16); // ~60fps batching
   }, []);
 
-  const enqueueRxText = useCallback((text) => {
-      if (!text) return;
-      rxBufferRef.current += text;
+  const enqueueRxBytes = useCallback((sessionId, chunk) => {
+      const runtime = runtimesRef.current.get(sessionId);
+      const framer = runtime?.framer;
+      if (!framer || !chunk || chunk.length === 0) return;
 
-      // Frame: one line = one sample (Arduino Serial Plotter style).
-      const parts = rxBufferRef.current.split(/\r?\n/);
-      rxBufferRef.current = parts.pop() ?? '';
+      // Frame according to the selected mode (line = Arduino Serial Plotter style). Frames keep their raw bytes.
+      const frames = framer.push(chunk);
+      if (frames.length) {
+          runtime.pendingFrames.push(...frames);
+          scheduleFlushRxLines(sessionId);
+      }
 
-      if (parts.length) {
-          // Keep raw content (minus linebreak), ignore empty lines.
-          for (const line of parts) {
-              if (line && line.trim()) pendingRxLinesRef.current.push(line);
-          }
-          scheduleFlushRxLines();
+      // Idle mode cuts on silence; line mode uses it to flush prompts/binary tails that never end in "\n".
+      if (runtime.idleTimer) { clearTimeout(runtime.idleTimer); runtime.idleTimer = null; }
+      if (framer.pending && framer.idleMs !== null) {
+          runtime.idleTimer = setTimeout(() => {
+              runtime.idleTimer = null;
+              const tail = framer.flush();
+              if (!tail.length) return;
+              runtime.pendingFrames.push(...tail);
+              scheduleFlushRxLines(sessionId);
+          }, framer.idleMs);
       }
   }, [scheduleFlushRxLines]);
 
+  // Rebuild every session's framer when the framing config changes; whatever was buffered goes out as one entry.
+  useEffect(() => {
+      framingRef.current = framing;
+      for (const [id, runtime] of runtimesRef.current) {
+          const prev = runtime.framer;
+          runtime.framer = createFramer(framing);
+          if (runtime.idleTimer) { clearTimeout(runtime.idleTimer); runtime.idleTimer = null; }
+          const tail = prev ? prev.flush() : [];
+          if (tail.length) {
+              runtime.pendingFrames.push(...tail);
+              scheduleFlushRxLines(id);
+          }
+      }
+  }, [framing, scheduleFlushRxLines]);
+
   // --- Flush buffer when unpaused ---
   useEffect(() => {
-      if (!isPaused && pausedBufferRef.current) {
-          // Add accumulated data back into the framing buffer and process as normal.
-          enqueueRxText(pausedBufferRef.current);
-          pausedBufferRef.current = '';
-          
-          scheduleFlushRxLines();
+      const runtime = runtimesRef.current.get(activeSessionId);
+      if (!isPaused && runtime?.pausedChunks.length) {
+          // Add accumulated data back into the framing buffer and process as normal, after a marker for
+          // whatever the pause cap dropped (see holdPausedChunk).
+          const chunks = runtime.pausedChunks;
+          const dropped = runtime.pausedDroppedBytes;
+          runtime.pausedChunks = [];
+          runtime.pausedBytes = 0;
+          runtime.pausedDroppedBytes = 0;
+          if (dropped) addSessionLogRef.current?.(activeSessionId, { id: Math.random(), timestamp: getTimestamp(), text: `${formatRecordSize(dropped)} received while paused were dropped`, type: 'signal' });
+          for (const chunk of chunks) enqueueRxBytes(activeSessionId, chunk);
+
+          scheduleFlushRxLines(activeSessionId);
       }
-  }, [isPaused, enqueueRxText, scheduleFlushRxLines]);
+  }, [isPaused, activeSessionId, enqueueRxBytes, scheduleFlushRxLines, getTimestamp]);
+
+  // Switching charset re-decodes every entry that still has its raw bytes.
+  const changeEncoding = (nextEncoding) => {
+      setEncoding(nextEncoding);
+      const redecode = entries => entries.map(l => (l.type === 'rx' && l.bytes ? { ...l, text: decodeBytes(stripLineEnding(l.bytes), nextEncoding) } : l));
+      setSessions(prev => prev.map(s => ({ ...s, logs: redecode(s.logs), history: redecode(s.history), storedSearch: null })));
+  };
 
   const simulateRxData = () => {
       let fakeText = "";
@@ -658,123 +554,430 @@ export default function App() {
           fakeText = Array(4).fill(0).map(() => (Math.random() * 100).toFixed(1)).join(', ');
       }
       if(!fakeText) fakeText = "No series visible or config";
-      addLog({ id: Math.random(), timestamp: getTimestamp(), text: fakeText, type: 'rx' });
+      appendRxLines(activeSession.id, [encodeText(`${fakeText}\r\n`, encoding)]);
   };
 
-  const sendDataDirect = useCallback(async (text) => {
-    if (!port?.writable || !text) return;
-    const writer = port.writable.getWriter();
+  const subscribeSessionRx = useCallback((sessionId, listener) => {
+    const listeners = getRuntime(sessionId).rxListeners;
+    listeners.add(listener);
+    return () => { listeners.delete(listener); };
+  }, [getRuntime]);
+
+  // Tools (Modbus, scripts, test sequences) work on whichever session is active.
+  const subscribeRx = useCallback((listener) => subscribeSessionRx(activeSessionId, listener), [activeSessionId, subscribeSessionRx]);
+
+  // Raw write path for protocol panels: bytes go out as-is (no EOL/CRC options) and are logged as TX.
+  // Throws with the reason the bytes didn't go out; writeSessionBytes below reports that as `false`.
+  const sendSessionBytes = useCallback(async (sessionId, data, display) => {
+    const runtime = runtimesRef.current.get(sessionId);
+    // Scripts and test steps sending while the port is being reconnected wait for it instead of failing.
+    if (runtime?.reconnecting && !(await waitForReconnect(runtime, RECONNECT_WRITE_WAIT_MS))) throw new Error('port did not reconnect in time');
+    const currentPort = runtime?.port;
+    if (!currentPort?.writable) throw new Error('port is not open');
+    if (!data?.length) throw new Error('nothing to send');
+    const writer = currentPort.writable.getWriter();
     try {
-      let data;
-      let display;
-      if (useHexSend) {
-        const bytes = parseHexString(text);
-        if (!bytes) { writer.releaseLock(); return; }
-        data = bytes;
-        display = bufferToHex(bytes);
+      await writer.write(data);
+      recordCaptureChunk(runtime.captureBuffer, 'tx', data);
+      setLastActivity({ type: 'tx', time: Date.now() });
+      addSessionLog(sessionId, { id: Math.random(), timestamp: getTimestamp(), text: display ?? bufferToHex(data), bytes: data, type: 'tx' });
+    } finally {
+      writer.releaseLock();
+    }
+  }, [addSessionLog, getTimestamp]);
+
+  const writeSessionBytes = useCallback(async (sessionId, data, display) => {
+    try {
+      await sendSessionBytes(sessionId, data, display);
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  }, [sendSessionBytes]);
+
+  // Bridge path: no logging here (the receiving side already logged the bytes); rejects so the bridge can count failures.
+  const forwardSessionBytes = useCallback(async (sessionId, data) => {
+    const runtime = runtimesRef.current.get(sessionId);
+    const currentPort = runtime?.port;
+    if (!currentPort?.writable) throw new Error('port is not open');
+    const writer = currentPort.writable.getWriter();
+    try {
+      await writer.write(data);
+      recordCaptureChunk(runtime.captureBuffer, 'tx', data);
+      setLastActivity({ type: 'tx', time: Date.now() });
+    } finally {
+      writer.releaseLock();
+    }
+  }, []);
+
+  const setBridgeTag = useCallback((sessionId, tag) => { getRuntime(sessionId).bridgeTag = tag; }, [getRuntime]);
+
+  const logBridgeEvent = useCallback((sessionId, text) => {
+    addSessionLog(sessionId, { id: Math.random(), timestamp: getTimestamp(), text, type: 'bridge' });
+  }, [addSessionLog, getTimestamp]);
+
+  const writePortBytes = useCallback((data, display) => writeSessionBytes(activeSessionId, data, display), [activeSessionId, writeSessionBytes]);
+
+  // --- Capture replay: sessions opened from a capture file are fed from its chunks instead of a port ---
+  // Rebuilds (`reset`) or extends the log and plot, framing RX exactly like live data; the recorded gaps
+  // between chunks stand in for the silence idle framing cuts on. `until` is where playback stands now.
+  const renderCaptureChunks = useCallback((sessionId, chunks, { reset = false, until = null, settings = { encoding, seriesConfig, plotParser } } = {}) => {
+    const runtime = getRuntime(sessionId);
+    const { framer } = runtime;
+    if (reset) { framer.reset(); runtime.replayLastAt = null; runtime.parserState = {}; }
+    const entries = [];
+    const flushIdle = (at) => {
+      if (runtime.replayLastAt === null || !framer.pending || framer.idleMs === null || at - runtime.replayLastAt < framer.idleMs) return;
+      entries.push(...buildRxEntries(sessionId, framer.flush(), runtime.replayLastAt, settings.encoding));
+    };
+    for (const chunk of chunks) {
+      flushIdle(chunk.at);
+      if (chunk.dir === 'rx') {
+        entries.push(...buildRxEntries(sessionId, framer.push(chunk.bytes), chunk.at, settings.encoding));
       } else {
-        let str = text;
-        if (lineEnding === '\\n') str += '\n'; else if (lineEnding === '\\r\\n') str += '\r\n';
-        data = new TextEncoder().encode(str);
-        display = str.replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+        const text = decodeBytes(chunk.bytes, settings.encoding).replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+        entries.push({ id: Math.random(), timestamp: getTimestamp(chunk.at), text, bytes: chunk.bytes, type: 'tx', sessionId, _ts: chunk.at });
       }
-      if (appendCRC) {
-        const crc = calculateCRC16(data);
-        const merged = new Uint8Array(data.length + 2); merged.set(data); merged.set(crc, data.length);
-        data = merged; display += ` [CRC16]`;
+      runtime.replayLastAt = chunk.at;
+    }
+    if (until !== null) flushIdle(until);
+    if (!reset && !entries.length) return;
+    const samples = plotSamplesOf(entries, settings.seriesConfig, settings.plotParser);
+    const latestFrame = runtime.parserState.latest ?? null;
+    updateSession(sessionId, s => {
+      // A rebuild forgets the stored part too; sequence numbers keep counting so nothing stale is reused.
+      if (reset) spillLogEntries(sessionId, [], s.nextSeq);
+      return {
+        ...pushLogEntries(reset ? { ...s, ...EMPTY_LOG_BUFFER } : s, entries),
+        ...(reset && { storedSearch: null }),
+        plotData: appendPlotSamples(reset ? EMPTY_PLOT_DATA : s.plotData, samples, plotDepthLimit),
+        plotFrame: latestFrame,
+      };
+    });
+  }, [buildRxEntries, encoding, getRuntime, getTimestamp, plotDepthLimit, plotParser, plotSamplesOf, pushLogEntries, seriesConfig, updateSession]);
+
+  // A chunk falling due during playback; recorded TX can be re-sent to a live session to drive a real device.
+  const replayCaptureChunk = useCallback((sessionId, chunk) => {
+    renderCaptureChunks(sessionId, [chunk]);
+    const target = runtimesRef.current.get(sessionId)?.resendTo;
+    if (chunk.dir === 'tx' && target !== null && target !== undefined) writeSessionBytes(target, chunk.bytes);
+  }, [renderCaptureChunks, writeSessionBytes]);
+
+  // Players outlive renders; they reach the current callbacks through this ref.
+  const captureCallbacksRef = useRef(null);
+  useEffect(() => {
+    captureCallbacksRef.current = { render: renderCaptureChunks, replay: replayCaptureChunk };
+  }, [renderCaptureChunks, replayCaptureChunk]);
+
+  const setCaptureResendTo = (sessionId, targetId) => {
+    getRuntime(sessionId).resendTo = targetId;
+    updateSession(sessionId, s => ({ capture: { ...s.capture, resendTo: targetId } }));
+  };
+
+  // values[i] feeds seriesConfig[i]; null leaves a series untouched for this sample.
+  const pushPlotSample = useCallback((values) => {
+    if (!values.some(v => isValidNumber(v))) return;
+    const samples = [{ values, timestamp: Date.now() }];
+    growSeriesFor(samples);
+    updateSession(activeSessionId, s => ({ plotData: appendPlotSamples(s.plotData, samples, plotDepthLimit) }));
+  }, [activeSessionId, growSeriesFor, plotDepthLimit, updateSession]);
+
+  const logModbus = useCallback((text) => {
+    addLog({ id: Math.random(), timestamp: getTimestamp(), text, type: 'modbus' });
+  }, [addLog, getTimestamp]);
+
+  const setPortSignals = useCallback(async (signals) => {
+    const sessionId = activeSessionId;
+    const currentPort = runtimesRef.current.get(sessionId)?.port;
+    if (!currentPort?.setSignals) return false;
+    try {
+      await currentPort.setSignals(signals);
+      updateSession(sessionId, s => ({ controlLines: { ...s.controlLines, ...signals } }));
+      addSessionLog(sessionId, { id: Math.random(), timestamp: getTimestamp(), text: describeSignals(signals), type: 'signal' });
+      return true;
+    } catch (e) {
+      console.error(e);
+      setCopyFeedback("Signal Failed");
+      setTimeout(() => setCopyFeedback(null), 1000);
+      return false;
+    }
+  }, [activeSessionId, addSessionLog, getTimestamp, updateSession]);
+
+  const runSignalPreset = async (preset) => {
+    if (isSignalSequenceRunning) return;
+    setIsSignalSequenceRunning(true);
+    addLog({ id: Math.random(), timestamp: getTimestamp(), text: `${preset.label} sequence`, type: 'signal' });
+    try {
+      for (const step of preset.steps) {
+        if (!(await setPortSignals(step.set))) break;
+        if (step.wait === 'pulse') await sleep(signalTiming.pulseMs);
+        else if (step.wait === 'settle') await sleep(signalTiming.settleMs);
       }
-      await writer.write(data);
-      setLastActivity({ type: 'tx', time: Date.now() });
-      addLog({ id: Math.random(), timestamp: getTimestamp(), text: display, type: 'tx' });
-    } catch (e) { console.error(e); } finally { writer.releaseLock(); }
-  }, [appendCRC, getTimestamp, lineEnding, port, useHexSend, addLog]);
+    } finally {
+      setIsSignalSequenceRunning(false);
+    }
+  };
 
+  // Poll CTS/DSR/DCD/RI of every connected session; only changes are logged.
+  const connectedSessionKey = sessions.filter(s => s.isConnected).map(s => s.id).join(',');
+  useEffect(() => {
+    if (!connectedSessionKey) return;
+    const ids = connectedSessionKey.split(',').map(Number);
+    let stopped = false;
+    const inFlight = new Set();
+    const poll = () => {
+      for (const id of ids) {
+        const runtime = runtimesRef.current.get(id);
+        if (!runtime?.port?.getSignals || runtime.signalsUnsupported || inFlight.has(id)) continue;
+        inFlight.add(id);
+        runtime.port.getSignals().then((next) => {
+          if (stopped) return;
+          const prev = runtime.modemStatus;
+          runtime.modemStatus = next;
+          const changes = prev ? describeSignalChanges(prev, next) : '';
+          if (!prev || changes) updateSession(id, { modemStatus: next });
+          if (changes && addSessionLogRef.current) {
+            addSessionLogRef.current(id, { id: Math.random(), timestamp: getTimestamp(), text: changes, type: 'signal' });
+          }
+        }).catch(() => {
+          // Port closing or getSignals unsupported by the driver: stop polling it.
+          runtime.signalsUnsupported = true;
+        }).finally(() => inFlight.delete(id));
+      }
+    };
+    const intervalId = setInterval(poll, SIGNAL_POLL_MS);
+    poll();
+    return () => { stopped = true; clearInterval(intervalId); };
+  }, [connectedSessionKey, getTimestamp, updateSession]);
+
+  // Applies the TX options (line ending, charset, CRC) the same way for the input box, timer and test steps.
+  const buildTxPayload = useCallback((text, asHex) => {
+    let data;
+    let display;
+    if (asHex) {
+      const bytes = parseHexString(text);
+      if (!bytes) return null;
+      data = bytes;
+      display = bufferToHex(bytes);
+    } else {
+      let str = text;
+      if (lineEnding === '\\n') str += '\n'; else if (lineEnding === '\\r\\n') str += '\r\n';
+      data = encodeText(str, encoding);
+      display = str.replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+    }
+    if (appendCRC) {
+      const crc = calculateCRC16(data);
+      const merged = new Uint8Array(data.length + 2); merged.set(data); merged.set(crc, data.length);
+      data = merged; display += ` [CRC16]`;
+    }
+    return { data, display };
+  }, [appendCRC, encoding, lineEnding]);
+
+  const sendDataDirect = useCallback(async (text, sessionId) => {
+    if (!runtimesRef.current.get(sessionId)?.port?.writable || !text) return;
+    const payload = buildTxPayload(text, useHexSend);
+    if (payload) await writeSessionBytes(sessionId, payload.data, payload.display);
+  }, [buildTxPayload, useHexSend, writeSessionBytes]);
+
+  const sendTestCommand = useCallback(async (text, asHex) => {
+    const payload = buildTxPayload(text, asHex);
+    return payload ? writePortBytes(payload.data, payload.display) : false;
+  }, [buildTxPayload, writePortBytes]);
+
+  // The timer keeps sending to the session it was started in, even when another tab is active.
+  const isTimerSessionConnected = !!sessions.find(s => s.id === timerSessionId)?.isConnected;
   useEffect(() => {
     if (timerRef.current) clearInterval(timerRef.current);
-    if (timerEnabled && isConnected) {
-      timerRef.current = setInterval(() => { if (inputTextRef.current) sendDataDirect(inputTextRef.current); }, timerInterval);
+    if (timerEnabled && isTimerSessionConnected) {
+      timerRef.current = setInterval(() => { if (inputTextRef.current) sendDataDirect(inputTextRef.current, timerSessionId); }, timerInterval);
     }
     return () => { if (timerRef.current) clearInterval(timerRef.current); };
-  }, [timerEnabled, isConnected, timerInterval, sendDataDirect]);
+  }, [timerEnabled, isTimerSessionConnected, timerSessionId, timerInterval, sendDataDirect]);
 
-  // --- Read Loop with Caching Logic ---
-  const readLoop = async (selectedPort) => {
-    const textDecoder = new TextDecoderStream(encoding);
-    const readableStreamClosed = selectedPort.readable.pipeTo(textDecoder.writable);
-    readableStreamClosedRef.current = readableStreamClosed;
-    const reader = textDecoder.readable.getReader();
-    readerRef.current = reader;
+  const toggleTimer = () => {
+    if (!timerEnabled) setTimerSessionId(activeSession.id);
+    setTimerEnabled(!timerEnabled);
+  };
 
-    try {
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) {
-          break;
-        }
-        if (value) {
-          // If paused, accumulate in pausedBufferRef
-          if (isPausedRef.current) {
-              pausedBufferRef.current += value;
-          } else {
-              // Not paused: frame by lines (Arduino Serial Plotter style) and batch-flush.
-              enqueueRxText(value);
+  // --- Read Loop with Caching Logic ---
+  // Reads raw bytes straight off the port; decoding happens per frame in appendRxLines.
+  const readLoop = useCallback(async (sessionId, selectedPort) => {
+    const runtime = getRuntime(sessionId);
+    // Non-fatal errors (parity, framing, break, overrun) error the current stream; the port hands out a new one.
+    while (selectedPort.readable && !runtime.closing) {
+      const reader = selectedPort.readable.getReader();
+      runtime.reader = reader;
+      try {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+          if (value) {
+            recordCaptureChunk(runtime.captureBuffer, 'rx', value);
+            for (const listener of runtime.rxListeners) {
+              try { listener(value); } catch (e) { console.error(e); }
+            }
+            // If paused, accumulate in the session's paused chunks
+            if (runtime.isPaused) {
+                holdPausedChunk(runtime, value);
+            } else {
+                // Not paused: frame by lines (Arduino Serial Plotter style) and batch-flush.
+                enqueueRxBytes(sessionId, value);
+            }
           }
         }
+      } catch (error) {
+        // Cancel/close is expected during disconnect; avoid noisy logs.
+        if (!runtime.closing) console.error("Read Error: ", error);
+      } finally {
+        try { reader.releaseLock(); } catch { /* already released */ }
+        if (runtime.reader === reader) runtime.reader = null;
       }
-    } catch (error) {
-      // Cancel/close is expected during disconnect; avoid noisy logs.
-      if (!closingRef.current) console.error("Read Error: ", error);
-    } finally {
-      try { reader.releaseLock(); } catch {}
-      if (readerRef.current === reader) readerRef.current = null;
-      try { await readableStreamClosed; } catch {}
-      if (readableStreamClosedRef.current === readableStreamClosed) readableStreamClosedRef.current = null;
     }
-  };
+  }, [getRuntime, enqueueRxBytes]);
+
+  // Opens `selectedPort` for a session and starts its read loop. The port's USB ids and options are kept for auto-reconnect.
+  const openSessionPort = useCallback(async (sessionId, selectedPort, options) => {
+    await selectedPort.open(options);
+    const runtime = getRuntime(sessionId);
+    runtime.port = selectedPort;
+    runtime.lastPort = selectedPort;
+    runtime.identity = getPortIdentity(selectedPort);
+    runtime.openOptions = options;
+    runtime.closing = false;
+    // Also ends a pending auto-reconnect (whether we found the port or the user picked one by hand).
+    const wasReconnecting = runtime.reconnecting;
+    runtime.reconnecting = false;
+    updateSession(sessionId, { port: selectedPort, portOptions: options, isConnected: true, isReconnecting: false });
+    runtime.readLoopClosed = readLoop(sessionId, selectedPort);
+    if (wasReconnecting) settleReconnectWaiters(runtime, true);
+  }, [getRuntime, readLoop, updateSession]);
 
   const openPort = async (selectedPort) => {
+    const owner = sessions.find(s => s.port === selectedPort);
+    if (owner) { alert(`This port is already open in "${owner.name}"`); return; }
     try {
-      await selectedPort.open({ baudRate: parseInt(baudRate) || 115200 });
-      setPort(selectedPort);
-      portRef.current = selectedPort;
-      setIsConnected(true);
+      await openSessionPort(activeSession.id, selectedPort, buildSerialOptions(baudRate, lineSettings));
       setIsConnectModalOpen(false);
-      closingRef.current = false;
-      readLoop(selectedPort);
     } catch (error) { alert(`Connection failed: ${error.message}`); }
   };
 
-  const sendData = async (textOverride = null) => {
-    const text = textOverride !== null ? textOverride : inputText;
-    if (!port?.writable || !text) return;
-    const writer = port.writable.getWriter();
+  const virtualDevice = VIRTUAL_DEVICES.find(d => d.id === virtualDeviceId) || VIRTUAL_DEVICES[0];
+  const virtualDeviceOptions = {
+    ...getVirtualDeviceDefaults(virtualDevice),
+    ...(virtualOptions[virtualDevice.id] || {}),
+    ...Object.fromEntries(Object.entries(virtualFiles[virtualDevice.id] || {}).map(([key, f]) => [key, f.text])),
+  };
+  const virtualDeviceError = virtualDevice.validate?.(virtualDeviceOptions) || null;
+
+  const updateVirtualOption = (key, value) => {
+    setVirtualOptions(prev => ({ ...prev, [virtualDevice.id]: { ...(prev[virtualDevice.id] || {}), [key]: value } }));
+  };
+
+  const handleVirtualFile = async (key, e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    setVirtualFiles(prev => ({ ...prev, [virtualDevice.id]: { ...(prev[virtualDevice.id] || {}), [key]: { name: file.name, text } } }));
+  };
+
+  // Virtual devices go through openPort/readLoop exactly like hardware.
+  const openVirtualPort = () => {
+    if (virtualDeviceError) return;
+    openPort(createVirtualPort(virtualDevice, virtualDeviceOptions, { encoding }));
+  };
+
+  const logConnectionMarker = useCallback((sessionId, text) => {
+    addSessionLogRef.current?.(sessionId, { id: Math.random(), timestamp: getTimestamp(), text, type: 'conn' });
+  }, [getTimestamp]);
+
+  // Reopens a lost session on the first granted port with the same USB ids, using the options it had before.
+  const tryReconnect = useCallback(async (sessionId) => {
+    const runtime = runtimesRef.current.get(sessionId);
+    if (!runtime?.reconnecting || runtime.reconnectBusy || runtime.closing) return;
+    runtime.reconnectBusy = true;
     try {
-      let data;
-      let display;
-      if (useHexSend) {
-        const bytes = parseHexString(text);
-        if (!bytes) throw new Error("Invalid HEX String");
-        data = bytes;
-        display = bufferToHex(bytes);
-      } else {
-        let str = text;
-        if (lineEnding === '\\n') str += '\n'; else if (lineEnding === '\\r\\n') str += '\r\n';
-        data = new TextEncoder().encode(str);
-        display = str.replace(/\r/g, '\\r').replace(/\n/g, '\\n');
-      }
-      if (appendCRC) {
-        const crc = calculateCRC16(data);
-        const merged = new Uint8Array(data.length + 2); merged.set(data); merged.set(crc, data.length);
-        data = merged; display += ` [CRC16]`;
-      }
-      await writer.write(data);
-      setLastActivity({ type: 'tx', time: Date.now() });
-      addLog({ id: Math.random(), timestamp: getTimestamp(), text: display, type: 'tx' });
-      if (textOverride === null) {
-        setSendHistory(prev => { const filtered = prev.filter(h => h !== text); return [text, ...filtered].slice(0, 50); });
-        setHistoryIndex(-1); setInputText('');
+      const ports = await navigator.serial.getPorts();
+      const busy = new Set([...runtimesRef.current.values()].map(r => r.port).filter(Boolean));
+      const candidate = findReconnectCandidate(ports, runtime, busy);
+      if (!candidate) return;
+      await sleep(RECONNECT_SETTLE_MS);
+      if (!runtime.reconnecting) return;
+      await openSessionPort(sessionId, candidate, runtime.openOptions);
+      logConnectionMarker(sessionId, `Reconnected (${describePortIdentity(runtime.identity)})`);
+    } catch (e) {
+      // Still enumerating or grabbed by another app: try again on the next connect event or poll.
+      console.warn('Reconnect attempt failed:', e);
+    } finally {
+      runtime.reconnectBusy = false;
+    }
+  }, [openSessionPort, logConnectionMarker]);
+
+  const autoReconnectRef = useRef(autoReconnect);
+  useEffect(() => {
+    autoReconnectRef.current = autoReconnect;
+    if (autoReconnect) return;
+    // Switched off while waiting: give up on every pending session.
+    for (const [id, runtime] of runtimesRef.current) {
+      if (!runtime.reconnecting) continue;
+      runtime.reconnecting = false;
+      settleReconnectWaiters(runtime, false);
+      updateSession(id, { isReconnecting: false });
+    }
+  }, [autoReconnect, updateSession]);
+
+  useEffect(() => {
+    if (!isWebSerialSupported) return;
+    const handleConnect = () => {
+      updatePorts();
+      for (const [id, runtime] of runtimesRef.current) if (runtime.reconnecting) tryReconnect(id);
+    };
+    const handleDisconnect = (e) => {
+      updatePorts();
+      for (const [id, runtime] of runtimesRef.current) {
+        if (runtime.port !== e.target) continue;
+        const resume = autoReconnectRef.current && !!runtime.openOptions;
+        logConnectionMarker(id, resume ? `Connection lost, waiting for ${describePortIdentity(runtime.identity)} to come back` : 'Connection lost');
+        if (resume) {
+          runtime.reconnecting = true;
+          updateSession(id, { isReconnecting: true });
+        }
+        disconnectSession(id, { keepTimer: resume });
       }
-    } catch (e) { alert(`Send failed: ${e.message}`); } finally { writer.releaseLock(); }
+    };
+    updatePorts();
+    navigator.serial.addEventListener('connect', handleConnect);
+    navigator.serial.addEventListener('disconnect', handleDisconnect);
+    return () => {
+      navigator.serial.removeEventListener('connect', handleConnect);
+      navigator.serial.removeEventListener('disconnect', handleDisconnect);
+    };
+  }, [isWebSerialSupported, updatePorts, disconnectSession, tryReconnect, logConnectionMarker, updateSession]);
+
+  const reconnectingSessionKey = sessions.filter(s => s.isReconnecting).map(s => s.id).join(',');
+  useEffect(() => {
+    if (!reconnectingSessionKey) return;
+    const ids = reconnectingSessionKey.split(',').map(Number);
+    const intervalId = setInterval(() => ids.forEach(tryReconnect), RECONNECT_POLL_MS);
+    return () => clearInterval(intervalId);
+  }, [reconnectingSessionKey, tryReconnect]);
+
+  // Input box and Fixed Cmds: same TX options and write path as the timer, so they also wait out a reconnect.
+  const sendData = async (textOverride = null) => {
+    const text = textOverride !== null ? textOverride : inputText;
+    if (!text) return;
+    const payload = buildTxPayload(text, useHexSend);
+    if (!payload) { alert('Send failed: Invalid HEX String'); return; }
+    // Nothing to report while disconnected: the send controls are idle then.
+    if (!port?.writable && !isReconnecting) return;
+    try { await sendSessionBytes(activeSession.id, payload.data, payload.display); } catch (e) { alert(`Send failed: ${e.message}`); return; }
+    if (textOverride === null) {
+      setSendHistory(prev => { const filtered = prev.filter(h => h !== text); return [text, ...filtered].slice(0, 50); });
+      setHistoryIndex(-1); setInputText('');
+    }
   };
 
   const saveToMacro = () => {
@@ -793,155 +996,44 @@ export default function App() {
       setTimeout(() => setCopyFeedback(null), 1000);
   };
 
+  // Copies the chart canvas as drawn (axes included) onto a padded background with the latest values.
   const handleChartSnapshot = useCallback(() => {
-      const svgElement = document.querySelector("#waveform-chart-svg");
-      if (!svgElement) { setCopyFeedback("No Chart"); setTimeout(() => setCopyFeedback(null), 1000); return; }
-
-      const serializer = new XMLSerializer();
-      let source = serializer.serializeToString(svgElement);
-      if(!source.match(/^<svg[^>]+xmlns="http\:\/\/www\.w3\.org\/2000\/svg"/)){ source = source.replace(/^<svg/, '<svg xmlns="http://www.w3.org/2000/svg"'); }
-      if(!source.match(/^<svg[^>]+xmlns:xlink/)){ source = source.replace(/^<svg/, '<svg xmlns:xlink="http://www.w3.org/1999/xlink"'); }
-      source = '<?xml version="1.0" standalone="no"?>\r\n' + source;
-
-      const url = "data:image/svg+xml;charset=utf-8,"+encodeURIComponent(source);
-
-      const img = new Image();
-      img.onload = () => {
-          const canvas = document.createElement("canvas");
-          const bbox = svgElement.getBoundingClientRect();
-          const scale = 2;
-          const padding = 40;
-          const width = bbox.width * scale + padding * 2;
-          const height = bbox.height * scale + padding * 2;
-
-          canvas.width = width;
-          canvas.height = height;
-          const ctx = canvas.getContext("2d");
-
-          // 1. Fill Background
-          ctx.fillStyle = isDark ? "#1E1F20" : "#FFFFFF";
-          ctx.fillRect(0, 0, width, height);
-
-          // 2. Calculate ranges (match on-screen scaling mode)
-          let seriesRanges = [];
-          if (plotScaleMode === 'arduino') {
-              let gMin = Infinity;
-              let gMax = -Infinity;
-              plotData.forEach(p => {
-                  seriesConfig.forEach((conf, idx) => {
-                      if (!conf.visible) return;
-                      const v = p?.values?.[idx];
-                      if (v == null || isNaN(v)) return;
-                      if (v < gMin) gMin = v;
-                      if (v > gMax) gMax = v;
-                  });
-              });
-              if (gMin === Infinity) {
-                  seriesRanges = seriesConfig.map(() => null);
-              } else {
-                  const rawRange = gMax - gMin;
-                  const margin = rawRange === 0 ? 1 : rawRange * 0.05;
-                  const min = gMin - margin;
-                  const max = gMax + margin;
-                  const range = max - min || 1;
-                  const g = { min, max, range };
-                  seriesRanges = seriesConfig.map(conf => (conf.visible ? g : null));
-              }
-          } else {
-              seriesRanges = seriesConfig.map((conf, idx) => {
-                  if (!conf.visible) return null;
-                  let values = [];
-                  plotData.forEach(p => {
-                      const v = p?.values?.[idx];
-                      if (v != null && !isNaN(v)) values.push(v);
-                  });
-                  if (values.length === 0) return null;
-                  const max = Math.max(...values);
-                  const min = Math.min(...values);
-                  const range = max - min || 1;
-                  return { min, max, range };
-              });
-          }
-
-          // 3. Draw Grid
-          ctx.strokeStyle = isDark ? "rgba(255,255,255,0.15)" : "rgba(0,0,0,0.15)";
-          ctx.lineWidth = 1;
-          const cols = 10; const rows = 6;
-          const drawW = bbox.width * scale;
-          const drawH = bbox.height * scale;
-          const startX = padding;
-          const startY = padding;
-
-          for(let i=0; i<=cols; i++) { ctx.beginPath(); ctx.moveTo(startX + (drawW/cols)*i, startY); ctx.lineTo(startX + (drawW/cols)*i, startY + drawH); ctx.stroke(); }
-          for(let i=0; i<=rows; i++) { ctx.beginPath(); ctx.moveTo(startX, startY + (drawH/rows)*i); ctx.lineTo(startX + drawW, startY + (drawH/rows)*i); ctx.stroke(); }
-
-          // 4. Draw Chart Image
-          ctx.drawImage(img, startX, startY, drawW, drawH);
-
-          // 5. Draw Data Values (Smart Sampling) - using per-series scaling
-          const labelStep = Math.max(1, Math.floor(plotData.length / 25));
-
-          plotData.forEach((p, i) => {
-              if (i % labelStep !== 0 && i !== plotData.length - 1) return; // Always draw last point
-
-              seriesConfig.forEach((conf, sIdx) => {
-                  if (!conf.visible || !seriesRanges[sIdx]) return;
-                  const val = p.values[sIdx];
-                  if (val === undefined || val === null || isNaN(val)) return;
-
-                  const x = startX + (i / (plotData.length - 1)) * drawW;
-                  const { min, range } = seriesRanges[sIdx];
-                  const y = startY + drawH - ((val - min) / range) * drawH;
-
-                  // Draw Point
-                  ctx.fillStyle = SERIES_COLORS[sIdx % 4];
-                  ctx.beginPath();
-                  ctx.arc(x, y, 3, 0, Math.PI * 2);
-                  ctx.fill();
-
-                  // Draw Label
-                  ctx.fillStyle = isDark ? "rgba(255,255,255,0.9)" : "rgba(0,0,0,0.9)";
-                  ctx.font = "bold 10px monospace";
-                  const text = val.toFixed(1);
-                  const textWidth = ctx.measureText(text).width;
-
-                  // Smart position
-                  let tx = x - textWidth / 2;
-                  let ty = y - 8;
-
-                  if (ty < startY + 10) ty = y + 15;
-
-                  ctx.fillText(text, tx, ty);
-              });
-          });
-
-          // 6. Draw Legend
-          const lastPoint = plotData[plotData.length - 1];
-          if(lastPoint) {
-              let legendY = padding + 10;
-              ctx.font = "bold 14px monospace";
-              ctx.textAlign = "right";
-              seriesConfig.forEach((conf, idx) => {
-                 if(conf.visible) {
-                     ctx.fillStyle = SERIES_COLORS[idx % 4];
-                     const val = lastPoint.values[idx]?.toFixed(2) || '--';
-                     ctx.fillText(`${conf.name}: ${val}`, width - padding - 10, legendY);
-                     legendY += 20;
-                 }
-              });
-          }
+      const chartCanvas = document.getElementById('waveform-chart-canvas');
+      const lastPoint = lastPlotSample(plotData);
+      if (!chartCanvas || !lastPoint) { setCopyFeedback("No Chart"); setTimeout(() => setCopyFeedback(null), 1000); return; }
+
+      const canvas = document.createElement("canvas");
+      const padding = 40;
+      const scale = chartCanvas.width / Math.max(1, chartCanvas.clientWidth); // device pixels per CSS pixel
+      canvas.width = chartCanvas.width + padding * 2;
+      canvas.height = chartCanvas.height + padding * 2;
+      const ctx = canvas.getContext("2d");
+
+      ctx.fillStyle = isDark ? "#1E1F20" : "#FFFFFF";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(chartCanvas, padding, padding);
+
+      let legendY = padding + 10 * scale;
+      ctx.font = `bold ${Math.round(12 * scale)}px monospace`;
+      ctx.textAlign = "right";
+      seriesConfig.forEach((conf, idx) => {
+          if (!conf.visible) return;
+          ctx.fillStyle = conf.color;
+          ctx.fillText(`${conf.name}: ${formatSeriesValue(conf, lastPoint.values[idx])}`, canvas.width - padding - 10, legendY);
+          legendY += 18 * scale;
+      });
 
-          const meta = { timestamp: new Date().toLocaleString(), values: lastPoint ? lastPoint.values : [] };
-          const pngUrl = canvas.toDataURL("image/png");
-          setSnapshots(prev => [...prev, { id: Date.now(), url: pngUrl, meta }]);
-          setCopyFeedback("Snapshot Stored");
-          setTimeout(() => setCopyFeedback(null), 1000);
-      };
-      img.src = url;
-  }, [isDark, plotData, plotScaleMode, seriesConfig]);
+      // The series as configured now, so the report shows these values the way the snapshot does.
+      const meta = { timestamp: new Date().toLocaleString(), values: lastPoint.values, series: seriesConfig };
+      const pngUrl = canvas.toDataURL("image/png");
+      setSnapshots(prev => [...prev, { id: Date.now(), url: pngUrl, meta }]);
+      setCopyFeedback("Snapshot Stored");
+      setTimeout(() => setCopyFeedback(null), 1000);
+  }, [isDark, plotData, seriesConfig]);
 
   // --- HTML Report Export (Enhanced Formatting) ---
   const generateReportHtml = () => {
+      const esc = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
       return `
         <!DOCTYPE html>
         <html>
@@ -965,12 +1057,38 @@ export default function App() {
                 .data-item { display: flex; justify-content: space-between; font-size: 12px; border-bottom: 1px dashed #e2e8f0; padding-bottom: 4px; }
                 .data-label { color: #64748b; }
                 .data-val { font-family: monospace; font-weight: 700; color: #0f172a; }
+                .verdict { font-size: 12px; font-weight: 700; padding: 2px 10px; border-radius: 999px; }
+                .verdict.pass, td.pass { color: #059669; } .verdict.pass { background: #ecfdf5; }
+                .verdict.fail, td.fail { color: #e11d48; } .verdict.fail { background: #fff1f2; }
+                td.skipped { color: #94a3b8; }
+                table.steps { width: 100%; border-collapse: collapse; font-size: 12px; }
+                table.steps th { text-align: left; color: #64748b; font-weight: 600; border-bottom: 1px solid #e2e8f0; padding: 6px 8px; }
+                table.steps td { border-bottom: 1px dashed #e2e8f0; padding: 6px 8px; font-family: monospace; vertical-align: top; word-break: break-all; }
             </style>
         </head>
         <body>
             <div class="container">
                 <h1>Portax Report</h1>
-                <div class="meta">Generated: ${new Date().toLocaleString()} &bull; Total Snapshots: ${snapshots.length}</div>
+                <div class="meta">Generated: ${new Date().toLocaleString()} &bull; Total Snapshots: ${snapshots.length}${testRuns.length ? ` &bull; Test Runs: ${testRuns.length}` : ''}</div>
+                ${testRuns.map((run, i) => `
+                    <div class="card">
+                        <div class="card-header">
+                            <h3>Test #${i+1}: ${esc(run.name)} <span class="verdict ${run.summary.ok ? 'pass' : 'fail'}">${run.summary.ok ? 'PASS' : 'FAIL'} ${run.summary.passed}/${run.summary.total}</span></h3>
+                            <span class="ts">${run.startedAt} &bull; ${run.durationMs} ms</span>
+                        </div>
+                        <div class="card-body">
+                            <table class="steps">
+                                <tr><th>#</th><th>Command</th><th>Expect</th><th>Result</th><th>Attempts</th><th>Latency</th><th>Response</th></tr>
+                                ${run.results.map((r, idx) => `
+                                    <tr>
+                                        <td>${idx+1}</td><td>${esc(r.command)}</td><td>${esc(r.expect)} <span style="color:#94a3b8">(${r.match})</span></td>
+                                        <td class="${r.status}">${r.status.toUpperCase()}</td><td>${r.attempts}</td>
+                                        <td>${r.latencyMs !== null ? `${r.latencyMs} ms` : '-'}</td><td>${esc(r.error ? `${r.error}${r.response ? `: ${r.response}` : ''}` : r.response)}</td>
+                                    </tr>`).join('')}
+                            </table>
+                        </div>
+                    </div>
+                `).join('')}
                 ${snapshots.map((s, i) => `
                     <div class="card">
                         <div class="card-header">
@@ -982,10 +1100,10 @@ export default function App() {
                                 <img src="${s.url}" />
                             </div>
                             <div class="data-grid">
-                                ${s.meta.values.map((v, idx) => seriesConfig[idx]?.visible ? `
+                                ${s.meta.values.map((v, idx) => s.meta.series[idx]?.visible ? `
                                     <div class="data-item">
-                                        <span class="data-label" style="color:${SERIES_COLORS[idx%4]}">● ${seriesConfig[idx].name}</span>
-                                        <span class="data-val">${v !== null ? v.toFixed(3) : 'N/A'}</span>
+                                        <span class="data-label" style="color:${esc(s.meta.series[idx].color)}">● ${esc(s.meta.series[idx].name)}</span>
+                                        <span class="data-val">${v !== null ? esc(formatSeriesValue(s.meta.series[idx], v)) : 'N/A'}</span>
                                     </div>` : '').join('')}
                             </div>
                         </div>
@@ -999,7 +1117,7 @@ export default function App() {
   // --- JS PDF Export Logic (Enhanced) ---
   const handleExportPdf = () => {
     if (!window.jspdf) { alert("PDF Library loading..."); return; }
-    if (snapshots.length === 0) return;
+    if (snapshots.length === 0 && testRuns.length === 0) return;
 
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
@@ -1025,6 +1143,49 @@ export default function App() {
     doc.line(margin, y + 5, pageWidth - margin, y + 5);
     y += 15;
 
+    // --- Test Sequence Results (one table per run) ---
+    const testColumns = [['#', 0], ['Command', 8], ['Expect', 55], ['Result', 100], ['Tries', 118], ['Latency', 132], ['Response', 152]];
+    testRuns.forEach((run, i) => {
+        if (y + 30 > pageHeight - margin) { doc.addPage(); y = margin; }
+        doc.setFillColor(248, 250, 252);
+        doc.rect(margin, y, contentWidth, 8, 'F');
+        doc.setDrawColor(226, 232, 240);
+        doc.rect(margin, y, contentWidth, 8, 'S');
+        doc.setFontSize(10);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(51, 65, 85);
+        doc.text(`Test #${i + 1}: ${run.name}`, margin + 3, y + 5.5);
+        if (run.summary.ok) doc.setTextColor(5, 150, 105); else doc.setTextColor(225, 29, 72);
+        doc.text(`${run.summary.ok ? 'PASS' : 'FAIL'} ${run.summary.passed}/${run.summary.total}`, pageWidth - margin - 3, y + 5.5, { align: "right" });
+        y += 12;
+
+        doc.setFontSize(8);
+        doc.setFont("courier", "normal");
+        doc.setTextColor(100, 116, 139);
+        doc.text(`${run.startedAt}  -  ${run.durationMs} ms`, margin, y);
+        y += 6;
+        doc.setFont("helvetica", "bold");
+        testColumns.forEach(([label, x]) => doc.text(label, margin + x, y));
+        y += 5;
+
+        doc.setFont("courier", "normal");
+        run.results.forEach((r, idx) => {
+            if (y + 6 > pageHeight - margin) { doc.addPage(); y = margin; }
+            const response = r.error ? `${r.error}${r.response ? `: ${r.response}` : ''}` : r.response;
+            const cells = [String(idx + 1), r.command, r.expect, r.status.toUpperCase(), String(r.attempts), r.latencyMs !== null ? `${r.latencyMs} ms` : '-', response];
+            cells.forEach((cell, c) => {
+                if (c === 3) { if (r.status === 'pass') doc.setTextColor(5, 150, 105); else if (r.status === 'fail') doc.setTextColor(225, 29, 72); else doc.setTextColor(148, 163, 184); }
+                else doc.setTextColor(15, 23, 42);
+                const width = (testColumns[c + 1]?.[1] ?? contentWidth) - testColumns[c][1] - 2;
+                doc.text(doc.splitTextToSize(String(cell ?? '').replace(/\s+/g, ' '), width)[0] || '', margin + testColumns[c][1], y);
+            });
+            doc.setDrawColor(241, 245, 249);
+            doc.line(margin, y + 2, pageWidth - margin, y + 2);
+            y += 6;
+        });
+        y += 10;
+    });
+
     snapshots.forEach((s, i) => {
         // Calculate dimensions to check for page breaks
         const imgProps = doc.getImageProperties(s.url);
@@ -1082,10 +1243,10 @@ export default function App() {
         const colWidth = contentWidth / 2;
         
         s.meta.values.forEach((v, idx) => {
-            const conf = seriesConfig[idx];
+            const conf = s.meta.series[idx];
             if (conf && conf.visible) {
                  const xPos = col === 0 ? margin + 5 : margin + colWidth + 5;
-                 const valStr = v !== null ? v.toFixed(3) : 'N/A';
+                 const valStr = v !== null ? formatSeriesValue(conf, v) : 'N/A';
                  const nameStr = conf.name || `Series ${idx+1}`;
                  
                  doc.setTextColor(100, 116, 139); // Label color
@@ -1115,24 +1276,80 @@ export default function App() {
   };
 
   const handleViewReport = () => {
-     if(snapshots.length === 0) return;
+     if(snapshots.length === 0 && testRuns.length === 0) return;
      const html = generateReportHtml();
      const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
      const url = URL.createObjectURL(blob);
      window.open(url, '_blank');
   };
 
-  const handleExportLogs = () => {
-    if (logs.length === 0) return;
-    const header = 'Timestamp,Type,Content\n';
-    const csv = logs.map(l => `"${l.timestamp}","${l.type}","${String(l.text).replace(/"/g, '""')}"`).join('\n');
-    const blob = new Blob([header + csv], { type: 'text/csv;charset=utf-8' });
+  // Native capture: the raw chunks of the active session (or the capture it replays) plus its settings.
+  const handleSaveCapture = () => {
+    const runtime = getRuntime(activeSession.id);
+    const { capture } = activeSession;
+    const chunks = capture ? capture.player.chunks : runtime.captureBuffer.chunks;
+    if (!chunks.length) { setCopyFeedback("Nothing Captured"); setTimeout(() => setCopyFeedback(null), 1000); return; }
+    const droppedBytes = capture ? capture.droppedBytes : runtime.captureBuffer.droppedBytes;
+    const text = serializeCapture({
+      name: activeSession.name,
+      chunks,
+      startTime: capture ? capture.player.startTime : undefined,
+      droppedBytes,
+      port: capture ? capture.port : { options: portOptions ?? runtime.openOptions, usb: runtime.identity, virtualDevice: port?.isVirtual ? port.device.name : null },
+      encoding,
+      framing,
+      seriesConfig,
+      plotParser,
+    });
+    const blob = new Blob([text], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `Portax_Logs_${new Date().toISOString().slice(0,10)}.csv`;
+    a.download = `Portax_Capture_${new Date().toISOString().slice(0,10)}${CAPTURE_EXTENSION}`;
     a.click();
     URL.revokeObjectURL(url);
+    // Memory keeps only the newest MAX_CAPTURE_BYTES of a long run; say so rather than let the file look complete.
+    if (droppedBytes > 0) { setCopyFeedback(`Capture Truncated: oldest ${formatRecordSize(droppedBytes)} dropped`); setTimeout(() => setCopyFeedback(null), 3000); }
+  };
+
+  // Opens a capture in a new offline session with the settings it was recorded with, showing all of it at once.
+  const handleLoadCaptureFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let capture;
+    try { capture = parseCapture(await file.text()); } catch (err) { alert(`Cannot open capture: ${err.message}`); return; }
+    const id = nextSessionId(sessions);
+    const settings = {
+      encoding: capture.encoding || encoding,
+      seriesConfig: capture.seriesConfig ? normalizeSeriesConfig(capture.seriesConfig) : seriesConfig,
+      plotParser: capture.plotParser ? normalizePlotParser(capture.plotParser) : plotParser,
+    };
+    const captureFraming = normalizeFraming(capture.framing || framing);
+    runtimesRef.current.set(id, createSessionRuntime(captureFraming));
+    const player = createCapturePlayer({
+      chunks: capture.chunks,
+      startTime: capture.startTime,
+      position: Infinity,
+      onSeek: (chunks, at) => captureCallbacksRef.current?.render(id, chunks, { reset: true, until: at }),
+      onChunk: (chunk) => captureCallbacksRef.current?.replay(id, chunk),
+      onEnd: () => captureCallbacksRef.current?.render(id, [], { until: Infinity }),
+    });
+    const options = capture.port.options;
+    const session = {
+      ...createSession(id, { baudRate: options?.baudRate ?? defaultBaudRate, lineSettings: options ? normalizeLineSettings(options) : defaultLineSettings }),
+      name: capture.name || file.name.replace(/\.[^.]+$/, ''),
+      capture: { fileName: file.name, player, port: capture.port, droppedBytes: capture.droppedBytes, resendTo: null },
+    };
+    if (capture.seriesConfig) setSeriesConfig(settings.seriesConfig);
+    if (capture.plotParser) setPlotParser(settings.plotParser);
+    if (capture.framing) setFraming(captureFraming);
+    if (settings.encoding !== encoding) changeEncoding(settings.encoding);
+    setSessions(prev => [...prev, session]);
+    setActiveSessionId(id);
+    setIsTimelineView(false);
+    setIsPlotterOpen(true);
+    renderCaptureChunks(id, capture.chunks, { reset: true, until: Infinity, settings });
   };
 
   const moveToTop = (index) => { if (index === 0) return; const newCmds = [...quickCommands]; const item = newCmds.splice(index, 1)[0]; newCmds.unshift(item); setQuickCommands(newCmds); };
@@ -1148,18 +1365,276 @@ export default function App() {
     else if (e.key === 'ArrowDown') { if (historyIndex >= 0) { e.preventDefault(); const next = historyIndex - 1; setHistoryIndex(next); if (next === -1) setInputText(''); else setInputText(sendHistory[next]); } }
   };
 
+  // HEX view shows the exact bytes of the entry; entries without raw bytes (e.g. signal markers) stay text.
+  const getLogDisplayText = (log) => (viewMode === 'hex' && log.bytes ? bufferToHex(log.bytes) : String(log.text ?? ''));
+
+  // Bare line breaks only carry bytes; hide them from the text view.
+  const isShownInView = (l) => viewMode === 'hex' || !(l.bytes && l.type === 'rx' && !String(l.text).trim());
+
+  // A log under a query (lib/logQuery): `items` to show, `matches`/`gaps` to mark them, `error` if it doesn't compile.
+  // `stored` are matches found in the spill store, older than everything in `entries`.
+  const runLogQuery = (entries, query, stored = []) => {
+      const active = isLogQueryActive(query);
+      const { test, error } = compileLogQuery(query, getLogDisplayText);
+      const base = entries.filter(isShownInView);
+      const result = active ? applyLogQuery(base, test, query) : { items: base, matches: null, gaps: null };
+      if (stored.length) {
+          result.items = stored.concat(result.items);
+          if (result.matches) stored.forEach(e => result.matches.add(e));
+      }
+      return { ...result, active, error, matchCount: result.matches ? result.matches.size : result.items.length };
+  };
+
+  const storedSearchKey = (query) => `${viewMode}:${logQueryKey(query)}`;
+
+  // The active session shows what was loaded back from the store ahead of memory, and, once searched,
+  // the stored matches of the current query ahead of those.
+  const sessionLogView = (s) => {
+      const entries = s.history.length ? s.history.concat(s.logs) : s.logs;
+      const search = s.storedSearch;
+      const stored = isLogQueryActive(s.logFilter) && search?.key === storedSearchKey(s.logFilter) ? search.entries.filter(e => e.seq < firstShownSeq(s)) : [];
+      return { entries, ...runLogQuery(entries, s.logFilter, stored) };
+  };
+
+  const displayQuery = isTimelineView ? timelineFilter : logFilter;
+  const setDisplayQuery = (patch) => {
+      setMatchCursor(null);
+      if (isTimelineView) setTimelineFilter(prev => ({ ...prev, ...patch }));
+      else setLogFilter(patch);
+  };
+  const timelineLogs = useMemo(() => (isTimelineView ? mergeSessionLogs(sessions) : null), [isTimelineView, sessions]);
+  const logView = isTimelineView ? { entries: timelineLogs, ...runLogQuery(timelineLogs, timelineFilter) } : sessionLogView(activeSession);
+  const displayedLogs = logView.entries;
+  const visibleLogs = logView.items;
+  const splitLogView = splitSession && !isTimelineView ? sessionLogView(splitSession) : null;
+
+  // Match navigation: the cursor indexes the matches in display order; null until the user steps.
+  const matchList = logView.active ? (logView.matches ? visibleLogs.filter(e => logView.matches.has(e)) : visibleLogs) : [];
+  const matchIndex = matchCursor === null || !matchList.length ? null : Math.min(matchCursor, matchList.length - 1);
+  const focusedLog = matchIndex === null ? null : matchList[matchIndex];
+  // Options set beyond the box text, counted on the options button.
+  const queryOptionCount = [displayQuery.direction !== 'all', displayQuery.from || displayQuery.to, displayQuery.terms.some(term => term.text), Number(displayQuery.context) > 0, displayQuery.showAll].filter(Boolean).length;
+  const stepMatch = (delta) => {
+      if (!matchList.length) return;
+      setMatchCursor(matchIndex === null ? (delta > 0 ? 0 : matchList.length - 1) : (matchIndex + delta + matchList.length) % matchList.length);
+  };
+
+  // Footer totals: everything received/sent, not just what is still in memory.
+  const footerSessions = isTimelineView ? sessions : [activeSession];
+  const footerCounts = footerSessions.reduce((sum, s) => ({ rx: sum.rx + s.counts.rx, tx: sum.tx + s.counts.tx }), { rx: 0, tx: 0 });
+  const footerBuffer = footerSessions.reduce((sum, s) => ({ logs: sum.logs + s.logs.length, stored: sum.stored + s.storedCount, dropped: sum.dropped + s.droppedCount }), { logs: 0, stored: 0, dropped: 0 });
+
+  // --- Log buffer: scroll back into, and search, what was spilled to the store ---
+  const loadOlderLogs = async (s) => {
+      const beforeSeq = firstShownSeq(s);
+      // From here on, entries leaving memory join the history instead of moving its start.
+      updateSession(s.id, { historyOpen: true });
+      try {
+          const page = await loadStoredPage(s.id, beforeSeq, LOG_HISTORY_PAGE);
+          // Dropped if the log was cleared or moved on meanwhile; the next click continues from where it stands.
+          updateSession(s.id, cur => (cur.historyOpen && firstShownSeq(cur) === beforeSeq ? { history: page.concat(cur.history) } : {}));
+      } catch (err) { alert(`Loading stored logs failed: ${err.message}`); }
+  };
+
+  const collapseLogHistory = (id) => updateSession(id, { history: [], historyOpen: false });
+
+  const searchStoredLogs = async (s) => {
+      const key = storedSearchKey(s.logFilter);
+      const { test } = compileLogQuery(s.logFilter, getLogDisplayText);
+      try {
+          const { entries, truncated } = await searchStored(s.id, firstShownSeq(s), e => isShownInView(e) && test(e), 5000);
+          updateSession(s.id, { storedSearch: { key, entries, truncated } });
+      } catch (err) { alert(`Searching stored logs failed: ${err.message}`); }
+  };
+
+  // Export: All Logs and Time Range also read back what the exported view has spilled to the store.
+  // The timeline merges memory only, so there a loaded history is read again from the store.
+  const exportStoredBefore = (s) => (isTimelineView ? s.logs[0]?.seq ?? s.nextSeq : firstShownSeq(s));
+  const exportStoredCount = footerSessions.reduce((n, s) => n + exportStoredBefore(s) - firstStoredSeq(s), 0);
+  const withStoredLogs = async (test, entries) => {
+      const found = await Promise.all(footerSessions.map(s => searchStored(s.id, exportStoredBefore(s), test, Infinity)));
+      const stored = [].concat(...found.map(r => r.entries));
+      return isTimelineView ? stored.concat(entries).sort((a, b) => (a._ts ?? 0) - (b._ts ?? 0)) : stored.concat(entries);
+  };
+
+  const renderStoredLogBar = (s) => {
+      const older = countOlderStored(s);
+      const search = s.storedSearch;
+      const searched = isLogQueryActive(s.logFilter) && search?.key === storedSearchKey(s.logFilter);
+      if (!older && !s.history.length && !searched) return null;
+      const button = `font-bold uppercase tracking-wider ${t.textSecondary} hover:${t.textPrimary} disabled:opacity-40 disabled:cursor-not-allowed`;
+      return (
+          <div className={`mb-3 px-3 py-1.5 rounded-lg border ${t.border} flex items-center gap-4 text-[10px] ${t.textTertiary} font-sans`}>
+              {isLogQueryActive(s.logFilter) ? (
+                  <>
+                      <span className="flex-1">{searched ? `${search.entries.length}${search.truncated ? '+' : ''} stored matches shown first` : `${older} older entries in the store are not searched`}</span>
+                      {older > 0 && <button onClick={() => searchStoredLogs(s)} className={button}>{searched ? 'Search Again' : 'Search Stored'}</button>}
+                  </>
+              ) : (
+                  <>
+                      <span className="flex-1">{older > 0 ? `${older} older entries stored` : 'All stored entries loaded'}{s.droppedCount > 0 && ` · ${s.droppedCount} dropped`}</span>
+                      {older > 0 && <button onClick={() => loadOlderLogs(s)} disabled={s.history.length + LOG_HISTORY_PAGE > LOG_HISTORY_MAX} title={s.history.length + LOG_HISTORY_PAGE > LOG_HISTORY_MAX ? 'Collapse (or export) to load further back' : undefined} className={button}>Load Older</button>}
+                      {s.history.length > 0 && <button onClick={() => collapseLogHistory(s.id)} className={button}>Collapse</button>}
+                  </>
+              )}
+          </div>
+      );
+  };
+
+  // --- Protocol decoding (display only; log entries are never modified) ---
+  const availableDecoders = [...BUILTIN_DECODERS, ...customDecoders];
+  const activeDecoder = availableDecoders.find(d => d.id === activeDecoderId) || null;
+  const activeDecoderOptions = activeDecoder ? { ...getDecoderDefaults(activeDecoder), ...(decoderOptions[activeDecoder.id] || {}) } : null;
+  // Each session picks its own decoder; caches are dropped whenever a plugin or option changes.
+  const getDecoderFor = useMemo(() => createDecoderRegistry([...BUILTIN_DECODERS, ...customDecoders], decoderOptions), [customDecoders, decoderOptions]);
+  const sessionDecoderIds = useMemo(() => new Map(sessions.map(s => [s.id, s.decoderId])), [sessions]);
+  const getDecoded = (log) => getDecoderFor(sessionDecoderIds.get(log.sessionId) ?? activeDecoderId)(log);
+
+  const updateDecoderOption = (key, value) => {
+    if (!activeDecoder) return;
+    setDecoderOptions(prev => ({ ...prev, [activeDecoder.id]: { ...(prev[activeDecoder.id] || {}), [key]: value } }));
+  };
+
+  const toggleLogExpanded = (id) => setExpandedLogIds(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const handleDecoderPluginFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const decoder = await loadDecoderPlugin(file);
+      if (BUILTIN_DECODERS.some(d => d.id === decoder.id)) throw new Error(`"${decoder.id}" is a built-in decoder id`);
+      setCustomDecoders(prev => [...prev.filter(d => d.id !== decoder.id), decoder]);
+      setActiveDecoderId(decoder.id);
+    } catch (err) { alert(`Decoder plugin failed: ${err.message}`); }
+  };
+
+  // --- Highlight rules and their triggers (lib/highlightRules) ---
+  const compiledHighlights = useMemo(() => compileHighlightRules(highlightRules), [highlightRules]);
+
   const renderContent = (text) => {
     const safeText = String(text || '');
-    if (viewMode === 'hex' || !highlightKeyword) return safeText;
-    const parts = safeText.split(new RegExp(`(${String(highlightKeyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi'));
-    return parts.map((part, i) => part.toLowerCase() === highlightKeyword.toLowerCase() ? <span key={i} className={`rounded-sm px-0.5 ${highlightColor}`}>{part}</span> : part);
+    if (viewMode === 'hex' || !compiledHighlights.length) return safeText;
+    return highlightSegments(safeText, compiledHighlights).map((seg, i) => (seg.rule ? <span key={i} className={`rounded-sm px-0.5 ${getHighlightColor(seg.rule.color).chip}`}>{seg.text}</span> : seg.text));
   };
 
+  const runTrigger = (rule, sessionId, entry) => {
+    if (rule.actions.sound) playAlertTone();
+    if (rule.actions.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      new Notification(`${sessionNames.get(sessionId) ?? 'Portax'}: ${rule.pattern}`, { body: String(entry.text), tag: `portax-rule-${rule.id}` });
+    }
+    if (rule.actions.pause) {
+      getRuntime(sessionId).isPaused = true;
+      updateSession(sessionId, { isPaused: true });
+    }
+    if (rule.actions.snapshot) handleChartSnapshot();
+    const command = quickCommands.find(c => c.id === rule.commandId);
+    if (command) sendDataDirect(command.cmd, sessionId);
+  };
+
+  // Received entries reach the triggers through this ref (see appendRxLines / addSessionLog).
   useEffect(() => {
-    if (autoScroll && logContainerRef.current && !logFilter) { const container = logContainerRef.current; requestAnimationFrame(() => { container.scrollTop = container.scrollHeight; }); }
-  }, [logs, autoScroll, logFilter]);
+    rxTriggersRef.current = (sessionId, entries) => {
+      for (const entry of entries) {
+        if (entry.type !== 'rx') continue;
+        for (const rule of dueTriggers(String(entry.text), compiledHighlights, lastTriggeredRef.current)) runTrigger(rule, sessionId, entry);
+      }
+    };
+  });
+
+  const LOG_TYPE_STYLES = {
+    rx: { label: 'RX', badge: isDark ? 'text-emerald-400 border-emerald-400/50' : 'text-emerald-600 border-emerald-600/30', text: isDark ? 'text-emerald-400' : 'text-emerald-600' },
+    tx: { label: 'TX', badge: isDark ? 'text-blue-400 border-blue-400/50' : 'text-blue-600 border-blue-600/30', text: isDark ? 'text-blue-400' : 'text-blue-600' },
+    modbus: { label: 'MB', badge: isDark ? 'text-violet-400 border-violet-400/50' : 'text-violet-600 border-violet-600/30', text: isDark ? 'text-violet-400' : 'text-violet-600' },
+    bridge: { label: 'BRG', badge: isDark ? 'text-cyan-400 border-cyan-400/50' : 'text-cyan-600 border-cyan-600/30', text: isDark ? 'text-cyan-400' : 'text-cyan-600' },
+    conn: { label: 'CONN', badge: isDark ? 'text-rose-400 border-rose-400/50' : 'text-rose-600 border-rose-600/30', text: isDark ? 'text-rose-400' : 'text-rose-600' },
+    signal: { label: 'SIG', badge: isDark ? 'text-amber-400 border-amber-400/50' : 'text-amber-600 border-amber-600/30', text: isDark ? 'text-amber-400' : 'text-amber-600' },
+  };
+  const getLogStyle = (type) => LOG_TYPE_STYLES[type] || LOG_TYPE_STYLES.rx;
+
+  // One log row; `showSession` tags it with its port when several sessions share a view.
+  const sessionNames = new Map(sessions.map(s => [s.id, s.name]));
+  const labelOfLog = (log) => log.direction || getLogStyle(log.type).label;
+
+  // --- Record to file ---
+  const recordFormatOptions = { tagSessions: true, sessionNames, labelOf: labelOfLog, timestamps: recordOptions.timestamps, direction: recordOptions.direction };
+  const recordFormatOptionsRef = useRef(recordFormatOptions);
+  useEffect(() => {
+    recordFormatOptionsRef.current = recordFormatOptions;
+    // The read loop and writers append through this ref; it is null while nothing is recording.
+    recordEntriesRef.current = recorder && ((entries) => recorder.write(formatLogBatch(recordOptions.format, entries, recordFormatOptionsRef.current)));
+  });
+  const recording = useSyncExternalStore(recorder?.subscribe ?? subscribeNothing, recorder?.getSnapshot ?? getNoSnapshot);
+
+  const startRecording = async () => {
+    const options = { ...DEFAULT_RECORD_OPTIONS, ...recordOptions };
+    let target;
+    try { target = await pickRecordTarget(options); } catch (err) {
+      if (err.name !== 'AbortError') alert(`Recording failed: ${err.message}`);
+      return;
+    }
+    const header = options.format === 'csv' ? formatLogBatch('csv', [], { ...recordFormatOptions, header: true }) : '';
+    const next = createLogRecorder({ target, options, header, onError: err => alert(`Recording stopped: ${err.message}`) });
+    await recorder?.stop();
+    setRecorder(next);
+    setIsRecordDialogOpen(false);
+    next.start();
+  };
+
+  const stopRecording = async () => {
+    await recorder?.stop();
+    setRecorder(null);
+  };
+
+  // Closing the tab: flush what is queued; the browser may or may not let the final commit finish.
+  useEffect(() => {
+    if (!recorder) return undefined;
+    const onPageHide = () => recorder.stop();
+    window.addEventListener('pagehide', onPageHide);
+    return () => window.removeEventListener('pagehide', onPageHide);
+  }, [recorder]);
+  // `view` (a runLogQuery result) marks matches, context lines and gaps; `focused` is the match stepped to.
+  const renderLogEntry = (log, showSession, view = null, focused = null) => {
+    const decoded = getDecoded(log);
+    const isExpanded = decoded && expandedLogIds.has(log.id);
+    const isMatch = !!view?.active && (!view.matches || view.matches.has(log));
+    const isContext = !!view?.gaps && !isMatch;
+    const tintRule = compiledHighlights.length ? lineTintRule(String(log.text ?? ''), compiledHighlights) : null;
+    const rowBg = isMatch && view.matches ? 'bg-amber-500/10' : tintRule ? getHighlightColor(tintRule.color).tint : '';
+    return (
+      <div key={log.id} onClick={() => navigator.clipboard.writeText(getLogDisplayText(log))} className={`px-3 py-1 rounded-lg cursor-pointer hover:${t.hoverBg} group transition-colors ${rowBg} ${log === focused ? 'ring-1 ring-amber-500' : ''} ${isContext ? 'opacity-60' : ''}`}>
+          {view?.gaps?.has(log) && <div className={`-mt-1 mb-1 text-[10px] select-none ${t.textTertiary}`}>--</div>}
+          <div className="flex gap-3 items-start">
+              {showTimestamp && <span className={`shrink-0 text-[11px] ${t.textTertiary} select-none font-medium opacity-60 pt-[2px]`}>{log.timestamp}</span>}
+              {showSession && <span className={`shrink-0 max-w-[96px] truncate text-[10px] font-bold select-none pt-[2px] ${getSessionColor(sessions, log.sessionId)}`}>{sessionNames.get(log.sessionId) ?? '?'}</span>}
+              {/* Kept w-10 but ensured no flex shrinkage */}
+              <span className={`shrink-0 text-[10px] font-bold w-10 text-center select-none rounded border px-0.5 pt-0.5 mt-[1px] ${getLogStyle(log.type).badge}`}>{log.direction || getLogStyle(log.type).label}</span>
+              {decoded && (
+                  <button onClick={(e) => { e.stopPropagation(); toggleLogExpanded(log.id); }} title={decoded.valid ? 'Decoded' : 'Invalid frame'} className={`shrink-0 flex items-center gap-1 max-w-[45%] text-[10px] font-bold rounded border px-1.5 pt-0.5 mt-[1px] ${decoded.valid ? 'text-emerald-500 border-emerald-500/40' : 'text-rose-500 border-rose-500/40'}`}>
+                      {isExpanded ? <ChevronDown size={10} /> : <ChevronRight size={10} />}<span className="truncate">{decoded.summary}</span>
+                  </button>
+              )}
+              {/* Added min-w-0 to prevent text overflow issues */}
+              <span className={`break-all whitespace-pre-wrap min-w-0 ${getLogStyle(log.type).text} opacity-90`}>{renderContent(getLogDisplayText(log))}</span>
+          </div>
+          {isExpanded && decoded.fields.length > 0 && (
+              <div onClick={e => e.stopPropagation()} className={`mt-1 mb-1 ml-14 grid grid-cols-[max-content_1fr] gap-x-4 gap-y-0.5 px-3 py-2 rounded-md border ${t.border} text-[11px] cursor-text`}>
+                  {decoded.fields.map((f, i) => (
+                      <React.Fragment key={i}>
+                          <span className={t.textTertiary}>{f.name}</span>
+                          <span className={`${t.textPrimary} break-all`}>{String(f.value)}</span>
+                      </React.Fragment>
+                  ))}
+              </div>
+          )}
+      </div>
+    );
+  };
 
-  const HIGHLIGHT_PRESETS = [ 'bg-[#ecf0f1] text-black border-[#ecf0f1]', 'bg-[#e74c3c] text-white border-[#e74c3c]', 'bg-[#1abc9c] text-white border-[#1abc9c]', 'bg-[#f4d03f] text-black border-[#f4d03f]', 'bg-[#3b82f6] text-white border-[#3b82f6]' ];
   const COMMON_BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600];
 
   const t = {
@@ -1178,6 +1653,38 @@ export default function App() {
     accentHover: isDark ? 'hover:bg-[#34d399]' : 'hover:bg-[#047857]',
   };
 
+  // Raw input values are kept as typed; createFramer() normalizes them.
+  const updateFraming = (key, value) => setFraming(prev => ({ ...DEFAULT_FRAMING, ...prev, [key]: value }));
+  const framingInputClass = `w-14 bg-transparent text-[10px] font-mono outline-none text-right ${t.textPrimary} border-b border-dashed border-neutral-500/30`;
+
+  const updateLineSetting = (key, value) => setLineSettings(prev => ({ ...normalizeLineSettings(prev), [key]: value }));
+
+  // Shared by the sidebar baud/line panel and the Hardware Connection modal.
+  const renderLineSettings = () => {
+    const current = normalizeLineSettings(lineSettings);
+    const rows = [
+      { key: 'dataBits', label: 'Data', options: DATA_BITS_OPTIONS },
+      { key: 'parity', label: 'Parity', options: PARITY_OPTIONS },
+      { key: 'stopBits', label: 'Stop', options: STOP_BITS_OPTIONS },
+      { key: 'flowControl', label: 'Flow', options: FLOW_CONTROL_OPTIONS, format: v => v === 'hardware' ? 'RTS/CTS' : 'NONE' },
+      { key: 'bufferSize', label: 'Buffer', options: BUFFER_SIZE_OPTIONS },
+    ];
+    return (
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.key} className="flex items-center gap-2">
+            <span className={`w-10 shrink-0 text-[9px] font-bold uppercase ${t.textTertiary}`}>{row.label}</span>
+            <div className="flex-1 flex gap-1">
+              {row.options.map(opt => (
+                <button key={opt} onClick={() => updateLineSetting(row.key, opt)} disabled={isConnected} className={`flex-1 px-1 py-0.5 rounded-md text-[9px] font-mono font-bold border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${current[row.key] === opt ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{row.format ? row.format(opt) : String(opt).toUpperCase()}</button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   return (
     <div className={`flex h-screen w-full items-center justify-center ${t.pageBg} ${t.textPrimary} font-sans selection:bg-emerald-500/30 overflow-hidden relative transition-colors duration-500`}>
       <style>{`
@@ -1212,10 +1719,19 @@ export default function App() {
                             <div className={`h-px ${t.border} my-1`}></div>
                             <div className={`px-4 py-2 text-[10px] font-bold uppercase tracking-widest ${t.textTertiary}`}>Tools</div>
                             <button onClick={() => { simulateRxData(); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}><Zap size={14} /> Simulate RX</button>
-                            <button onClick={() => { handleExportLogs(); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}><Download size={14} /> Export CSV</button>
+                            <button onClick={() => { setIsExportDialogOpen(true); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}><Download size={14} /> Export Logs...</button>
+                            <button onClick={() => { if (recorder && !recording?.error) stopRecording(); else setIsRecordDialogOpen(true); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}>{recorder && !recording?.error ? <><Square size={14} className="text-rose-500" /> Stop Recording</> : <><Circle size={14} className="text-rose-500" /> Record to File...</>}</button>
+                            <button onClick={() => { handleSaveCapture(); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}><Save size={14} /> Save Capture</button>
+                            <button onClick={() => { captureInputRef.current?.click(); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${t.textPrimary}`}><FolderOpen size={14} /> Open Capture</button>
+                            <button onClick={() => { setIsModbusOpen(!isModbusOpen); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${isModbusOpen ? 'text-emerald-500' : t.textPrimary}`}><Network size={14} /> Modbus Master</button>
+                            <button onClick={() => { setIsModbusSlaveOpen(!isModbusSlaveOpen); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${isModbusSlaveOpen ? 'text-emerald-500' : t.textPrimary}`}><Server size={14} /> Modbus Slave</button>
+                            <button onClick={() => { setIsScriptOpen(!isScriptOpen); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${isScriptOpen ? 'text-emerald-500' : t.textPrimary}`}><Code size={14} /> Script Console</button>
+                            <button onClick={() => { setIsTestSequenceOpen(!isTestSequenceOpen); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${isTestSequenceOpen ? 'text-emerald-500' : t.textPrimary}`}><ListChecks size={14} /> Test Sequence</button>
+                            <button onClick={() => { setIsBridgeOpen(!isBridgeOpen); setIsMainMenuOpen(false); }} className={`px-4 py-2 text-left text-xs hover:${t.hoverBg} flex items-center gap-2 ${isBridgeOpen ? 'text-emerald-500' : t.textPrimary}`}><Cable size={14} /> Serial Bridge</button>
                         </div>
                     )}
                 </div>
+                <input ref={captureInputRef} type="file" accept={`${CAPTURE_EXTENSION},application/json`} onChange={handleLoadCaptureFile} className="hidden" />
                 <span className={`text-sm font-semibold tracking-tight ${t.textPrimary}`}>Port<span className="opacity-50 font-normal">ax</span></span>
             </div>
             <div className="flex items-center gap-2">
@@ -1227,16 +1743,143 @@ export default function App() {
         {/* --- Body --- */}
         <div className="flex-1 flex overflow-hidden">
           <main className={`flex-1 flex flex-col min-w-0 relative ${t.windowBg}`}>
+            {/* Session Tabs */}
+            <div className={`h-9 border-b ${t.border} flex items-center gap-1 px-4 flex-none ${t.panelBg}`}>
+                <div className="flex-1 flex items-center gap-1 min-w-0 overflow-x-auto">
+                    {sessions.map(s => (
+                        <div key={s.id} onClick={() => { setActiveSessionId(s.id); setIsTimelineView(false); }} onDoubleClick={() => setRenamingSessionId(s.id)} className={`group flex items-center gap-1.5 pl-2.5 pr-1.5 py-1 rounded-lg border text-[10px] font-bold whitespace-nowrap cursor-pointer select-none transition-colors ${s.id === activeSession.id && !isTimelineView ? `${t.border} ${t.windowBg} ${t.textPrimary} shadow-sm` : `border-transparent ${t.textTertiary} hover:${t.textSecondary}`}`}>
+                            <div className={`size-1.5 rounded-full flex-none ${s.isConnected ? 'bg-emerald-500' : s.isReconnecting ? 'bg-amber-500 animate-pulse' : s.capture ? 'bg-violet-500' : 'bg-zinc-400'}`}></div>
+                            {renamingSessionId === s.id ? (
+                                <input autoFocus defaultValue={s.name} onClick={e => e.stopPropagation()} onBlur={e => renameSession(s.id, e.target.value)} onKeyDown={e => { if (e.key === 'Enter') renameSession(s.id, e.target.value); else if (e.key === 'Escape') setRenamingSessionId(null); }} className={`w-20 bg-transparent outline-none border-b border-dashed border-neutral-500/50 ${t.textPrimary}`} />
+                            ) : (
+                                <span className={isTimelineView || splitSession ? getSessionColor(sessions, s.id) : ''}>{s.name}</span>
+                            )}
+                            {s.id === splitSession?.id && <Columns2 size={10} className={t.textTertiary} />}
+                            <button onClick={e => { e.stopPropagation(); closeSession(s.id); }} disabled={sessions.length <= 1} title="Close Session" className={`opacity-0 group-hover:opacity-100 disabled:hidden ${t.textTertiary} hover:text-rose-500 transition-opacity`}><X size={10} /></button>
+                        </div>
+                    ))}
+                    <button onClick={addSession} title="New Session" className={`flex-none p-1 rounded-md ${t.textTertiary} hover:${t.textPrimary} hover:${t.hoverBg}`}><Plus size={12} /></button>
+                </div>
+                <div className="flex items-center gap-2 flex-none">
+                    <div className={`flex items-center gap-1 text-[10px] font-bold ${t.textTertiary}`}>
+                        <Columns2 size={12} />
+                        <select value={splitSession?.id ?? ''} onChange={e => setSplitSessionId(e.target.value ? Number(e.target.value) : null)} disabled={isTimelineView || sessions.length < 2} className={`bg-transparent outline-none cursor-pointer disabled:opacity-40 ${t.textSecondary}`}>
+                            <option value="" className="text-black">No Split</option>
+                            {sessions.filter(s => s.id !== activeSession.id).map(s => <option key={s.id} value={s.id} className="text-black">{s.name}</option>)}
+                        </select>
+                    </div>
+                    <button onClick={() => setIsTimelineView(!isTimelineView)} title="Merged timeline of all sessions" className={`flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold transition-colors ${isTimelineView ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}><GitMerge size={10} /> TIMELINE</button>
+                </div>
+            </div>
             {/* Toolbar */}
             <div className={`h-12 border-b ${t.border} flex items-center px-6 gap-4 ${t.panelBg}`}>
                 <div className={`flex items-center gap-2 pl-3 pr-4 py-1.5 rounded-full border transition-all duration-300 ${isConnected ? 'border-emerald-500/30 bg-emerald-500/5' : `${t.border} bg-transparent`}`}>
                     <div className="relative flex items-center justify-center size-2.5"><Activity size={14} className={`${isConnected ? 'text-emerald-500 animate-pulse' : t.textTertiary}`} /></div>
-                    <span className={`text-xs font-bold uppercase tracking-wider ${isConnected ? 'text-emerald-500' : t.textTertiary}`}>{isConnected ? 'Connected' : 'Offline'}</span>
+                    <span className={`text-xs font-bold uppercase tracking-wider ${isConnected ? 'text-emerald-500' : isReconnecting ? 'text-amber-500 animate-pulse' : activeSession.capture ? 'text-violet-500' : t.textTertiary}`}>{isConnected ? 'Connected' : isReconnecting ? 'Reconnecting' : activeSession.capture ? 'Capture' : 'Offline'}</span>
+                    {activeSession.capture?.port.options && <span className={`text-[10px] font-mono font-medium whitespace-nowrap ${t.textSecondary}`}>{formatSerialOptions(activeSession.capture.port.options)}</span>}
+                    {isConnected && portOptions && <span className={`text-[10px] font-mono font-medium whitespace-nowrap ${t.textSecondary}`}>{formatSerialOptions(portOptions)}</span>}
+                    {isConnected && port?.isVirtual && <span className="text-[9px] font-bold border rounded px-1 text-violet-500 border-violet-500/40 whitespace-nowrap">{port.device.name}</span>}
                 </div>
+                {recording && (
+                    recording.error ? (
+                        <button onClick={() => setRecorder(null)} title={`${recording.error} (click to dismiss)`} className="flex items-center gap-2 px-3 py-1.5 rounded-full border border-rose-500/40 bg-rose-500/10 text-[10px] font-bold text-rose-500 whitespace-nowrap"><AlertCircle size={12} /> REC FAILED · {formatRecordSize(recording.bytesWritten)}</button>
+                    ) : (
+                        <button onClick={stopRecording} title={`Recording to ${recording.fileName ?? '...'}${recording.files > 1 ? ` (file ${recording.files})` : ''}. Click to stop.`} className="flex items-center gap-2 px-3 py-1.5 rounded-full border border-rose-500/30 bg-rose-500/5 text-[10px] font-bold text-rose-500 whitespace-nowrap hover:bg-rose-500/10"><span className="size-2 rounded-full bg-rose-500 animate-pulse"></span> REC <span className="font-mono">{formatRecordSize(recording.bytesWritten)}</span><Square size={10} fill="currentColor" /></button>
+                    )
+                )}
                 <div className={`h-5 w-px ${isDark ? 'bg-white/10' : 'bg-black/10'}`}></div>
-                <div className="flex-1 flex items-center gap-3">
+                <div className="flex-1 min-w-0 flex items-center gap-3">
                     <Filter size={14} className={t.textTertiary} />
-                    <input value={logFilter} onChange={e => setLogFilter(e.target.value)} placeholder="Search logs..." className={`bg-transparent border-none outline-none text-xs font-medium w-full ${t.textPrimary} placeholder:${t.textTertiary}`} />
+                    <input value={displayQuery.text} onChange={e => setDisplayQuery({ text: e.target.value })} onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); stepMatch(e.shiftKey ? -1 : 1); } }} title={logView.error || undefined} placeholder={isTimelineView ? 'Search all sessions...' : 'Search logs...'} className={`bg-transparent border-none outline-none text-xs font-medium w-full min-w-0 ${logView.error ? 'text-rose-500' : t.textPrimary} placeholder:${t.textTertiary}`} />
+                    {logView.active && (
+                        <div className={`flex items-center gap-1 flex-none text-[10px] font-mono ${logView.error ? 'text-rose-500' : t.textTertiary}`}>
+                            <span title={logView.error || describeLogQuery(displayQuery)}>{logView.error ? 'error' : `${matchIndex === null ? '' : `${matchIndex + 1}/`}${logView.matchCount}`}</span>
+                            <button onClick={() => stepMatch(-1)} disabled={!matchList.length} title="Previous match (Shift+Enter)" className={`hover:${t.textPrimary} disabled:opacity-40`}><ChevronUp size={12} /></button>
+                            <button onClick={() => stepMatch(1)} disabled={!matchList.length} title="Next match (Enter)" className={`hover:${t.textPrimary} disabled:opacity-40`}><ChevronDown size={12} /></button>
+                        </div>
+                    )}
+                    <button onClick={() => setDisplayQuery({ regex: !displayQuery.regex })} title="Regular expression" className={`flex-none ${displayQuery.regex ? 'text-emerald-500' : `${t.textTertiary} hover:${t.textPrimary}`}`}><Regex size={14} /></button>
+                    <button onClick={() => setDisplayQuery({ matchCase: !displayQuery.matchCase })} title="Match case" className={`flex-none ${displayQuery.matchCase ? 'text-emerald-500' : `${t.textTertiary} hover:${t.textPrimary}`}`}><CaseSensitive size={16} /></button>
+                    <div className="relative flex-none">
+                        <button onClick={() => setIsQueryMenuOpen(!isQueryMenuOpen)} title="Query options" className={`flex items-center ${queryOptionCount ? 'text-emerald-500' : `${t.textTertiary} hover:${t.textPrimary}`}`}><SlidersHorizontal size={14} />{queryOptionCount > 0 && <span className="ml-0.5 text-[9px] font-bold">{queryOptionCount}</span>}</button>
+                        {isQueryMenuOpen && (
+                            <LogQueryMenu
+                                t={t}
+                                query={displayQuery}
+                                setQuery={setDisplayQuery}
+                                error={logView.error}
+                                savedFilters={savedFilters}
+                                setSavedFilters={setSavedFilters}
+                            />
+                        )}
+                    </div>
+                </div>
+                <div className="relative">
+                    <button onClick={() => setIsFramingMenuOpen(!isFramingMenuOpen)} title="RX Framing" className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full border ${t.border} ${t.inputBg} text-[10px] font-bold font-mono whitespace-nowrap ${t.textSecondary} hover:${t.textPrimary} transition-colors`}><Scissors size={12} />{describeFraming(framing)}<ChevronDown size={10} /></button>
+                    {isFramingMenuOpen && (
+                        <div className={`absolute top-full right-0 mt-2 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-64 space-y-3`}>
+                            <div className="text-[10px] font-bold uppercase text-zinc-500">RX Framing</div>
+                            <div className="flex gap-1">
+                                {FRAMING_MODES.map(m => (
+                                    <button key={m.id} onClick={() => updateFraming('mode', m.id)} className={`flex-1 px-1 py-1 rounded-md text-[9px] font-bold border transition-colors ${normalizeFraming(framing).mode === m.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{m.label}</button>
+                                ))}
+                            </div>
+                            <div className={`space-y-2 text-[10px] ${t.textSecondary}`}>
+                                {normalizeFraming(framing).mode === 'line' && <div className={t.textTertiary}>Split on \n. Unterminated data is flushed after {LINE_TAIL_FLUSH_MS} ms of silence.</div>}
+                                {normalizeFraming(framing).mode === 'idle' && (
+                                    <label className="flex items-center justify-between gap-2">Flush after silence <span className="flex items-center gap-1"><input type="number" min="1" value={framing.idleMs ?? ''} onChange={e => updateFraming('idleMs', e.target.value)} className={framingInputClass} /> ms</span></label>
+                                )}
+                                {normalizeFraming(framing).mode === 'fixed' && (
+                                    <label className="flex items-center justify-between gap-2">Frame length <span className="flex items-center gap-1"><input type="number" min="1" value={framing.fixedLength ?? ''} onChange={e => updateFraming('fixedLength', e.target.value)} className={framingInputClass} /> bytes</span></label>
+                                )}
+                                {normalizeFraming(framing).mode === 'delimiter' && (
+                                    <>
+                                        <label className="flex items-center justify-between gap-2">Start (hex) <input value={framing.startDelimiter ?? ''} onChange={e => updateFraming('startDelimiter', e.target.value)} placeholder="e.g. AA 55" className={`${framingInputClass} w-24`} /></label>
+                                        <label className="flex items-center justify-between gap-2">End (hex) <input value={framing.endDelimiter ?? ''} onChange={e => updateFraming('endDelimiter', e.target.value)} placeholder="e.g. 0D 0A" className={`${framingInputClass} w-24`} /></label>
+                                    </>
+                                )}
+                                {normalizeFraming(framing).mode === 'length' && (
+                                    <>
+                                        <label className="flex items-center justify-between gap-2">Length field offset <input type="number" min="0" value={framing.lengthOffset ?? ''} onChange={e => updateFraming('lengthOffset', e.target.value)} className={framingInputClass} /></label>
+                                        <div className="flex items-center justify-between gap-2">Field size
+                                            <div className="flex gap-1">{[1, 2, 4].map(n => (<button key={n} onClick={() => updateFraming('lengthSize', n)} className={`px-2 py-0.5 rounded text-[9px] font-bold border ${normalizeFraming(framing).lengthSize === n ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary}`}`}>{n}B</button>))}</div>
+                                        </div>
+                                        <div className="flex items-center justify-between gap-2">Endian
+                                            <div className="flex gap-1">{['le', 'be'].map(e => (<button key={e} onClick={() => updateFraming('lengthEndian', e)} className={`px-2 py-0.5 rounded text-[9px] font-bold border uppercase ${normalizeFraming(framing).lengthEndian === e ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary}`}`}>{e}</button>))}</div>
+                                        </div>
+                                        <label className="flex items-center justify-between gap-2">Extra bytes (CRC etc.) <input type="number" value={framing.lengthAdjust ?? ''} onChange={e => updateFraming('lengthAdjust', e.target.value)} className={framingInputClass} /></label>
+                                        <div className={t.textTertiary}>Frame = offset + field size + length value + extra bytes.</div>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+                <div className="relative">
+                    <button onClick={() => setIsDecoderMenuOpen(!isDecoderMenuOpen)} title="Protocol Decoder" className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full border ${t.border} ${t.inputBg} text-[10px] font-bold whitespace-nowrap ${activeDecoder ? 'text-violet-500' : t.textSecondary} hover:${t.textPrimary} transition-colors`}><Binary size={12} />{activeDecoder ? activeDecoder.name : 'Raw'}<ChevronDown size={10} /></button>
+                    {isDecoderMenuOpen && (
+                        <div className={`absolute top-full right-0 mt-2 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-72 space-y-3`}>
+                            <div className="text-[10px] font-bold uppercase text-zinc-500">Protocol Decoder</div>
+                            <div className="space-y-1">
+                                {[{ id: 'none', name: 'Raw', description: 'No decoding.' }, ...availableDecoders].map(d => (
+                                    <button key={d.id} onClick={() => setActiveDecoderId(d.id)} className={`w-full text-left px-2 py-1.5 rounded-md border transition-colors ${activeDecoderId === d.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textSecondary} hover:${t.hoverBg}`}`}>
+                                        <div className="text-[10px] font-bold">{d.name}</div>
+                                        {d.description && <div className="text-[9px] opacity-70">{d.description}</div>}
+                                    </button>
+                                ))}
+                            </div>
+                            {activeDecoder?.options?.map(o => (
+                                <label key={o.key} className={`block space-y-1 text-[10px] ${t.textSecondary}`}>
+                                    <span className="font-bold uppercase text-zinc-500">{o.label}</span>
+                                    {o.type === 'textarea'
+                                        ? <textarea value={activeDecoderOptions[o.key] ?? ''} onChange={e => updateDecoderOption(o.key, e.target.value)} rows={6} spellCheck={false} className={`w-full px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} font-mono text-[10px] outline-none resize-y`} />
+                                        : <input value={activeDecoderOptions[o.key] ?? ''} onChange={e => updateDecoderOption(o.key, e.target.value)} className={`w-full px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} font-mono text-[10px] outline-none`} />}
+                                </label>
+                            ))}
+                            <button onClick={() => decoderPluginInputRef.current?.click()} className={`w-full flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-md border border-dashed ${t.border} text-[10px] font-bold ${t.textTertiary} hover:${t.textPrimary} transition-colors`}><Upload size={12} /> Load Plugin (.js)</button>
+                            <input ref={decoderPluginInputRef} type="file" accept=".js,.mjs,text/javascript" onChange={handleDecoderPluginFile} className="hidden" />
+                        </div>
+                    )}
                 </div>
                 <div className={`flex border ${t.border} rounded-full p-1 ${t.inputBg}`}>
                     <button onClick={()=>setViewMode('ascii')} className={`px-4 py-1 rounded-full text-[10px] font-bold transition-all ${viewMode==='ascii' ? `${t.accentFill} ${t.accentText} shadow-sm` : `${t.textSecondary} hover:${t.textPrimary}`}`}>TXT</button>
@@ -1244,32 +1887,66 @@ export default function App() {
                 </div>
                 <div className="flex gap-2">
                      <button onClick={() => setIsPaused(!isPaused)} className={`size-8 flex items-center justify-center rounded-full border ${t.border} hover:${t.hoverBg} transition-colors ${isPaused ? 'text-amber-500 border-amber-500/50' : t.textSecondary}`}>{isPaused ? <Play size={14} fill="currentColor" /> : <Pause size={14} />}</button>
-                     <button onClick={() => setLogs([])} className={`size-8 flex items-center justify-center rounded-full border ${t.border} hover:${t.hoverBg} ${t.textSecondary} hover:text-rose-500 transition-colors`}><Trash2 size={14} /></button>
+                     <button onClick={() => clearSessionLogs(isTimelineView ? sessions.map(s => s.id) : [activeSession.id])} title={isTimelineView ? 'Clear All Sessions' : 'Clear'} className={`size-8 flex items-center justify-center rounded-full border ${t.border} hover:${t.hoverBg} ${t.textSecondary} hover:text-rose-500 transition-colors`}><Trash2 size={14} /></button>
                 </div>
             </div>
 
+            {activeSession.capture && !isTimelineView && (
+                <CaptureReplayBar
+                    key={activeSession.id}
+                    t={t}
+                    player={activeSession.capture.player}
+                    fileName={activeSession.capture.fileName}
+                    liveSessions={sessions.filter(s => s.isConnected)}
+                    resendTo={activeSession.capture.resendTo}
+                    onResendToChange={(targetId) => setCaptureResendTo(activeSession.id, targetId)}
+                />
+            )}
+
             {/* Split Content */}
             <div className="flex-1 flex flex-col min-h-0 relative">
-                <div ref={logContainerRef} className={`flex-1 p-6 overflow-y-auto custom-scrollbar font-mono text-[12px] leading-relaxed transition-all duration-300 ${isPlotterOpen ? 'basis-2/3' : 'basis-full'}`}>
-                    {logs.length === 0 ? (
+                <div className={`flex-1 flex min-h-0 transition-all duration-300 ${isPlotterOpen || isModbusOpen || isModbusSlaveOpen || isScriptOpen || isTestSequenceOpen || isBridgeOpen ? 'basis-2/3' : 'basis-full'}`}>
+                <VirtualLogList
+                    key={isTimelineView ? 'timeline' : activeSession.id}
+                    items={visibleLogs}
+                    renderItem={log => renderLogEntry(log, isTimelineView || !!splitSession, logView, focusedLog)}
+                    stickToBottom={autoScroll && (!logView.active || displayQuery.showAll) && !focusedLog && !(!isTimelineView && activeSession.historyOpen)}
+                    focusItem={focusedLog}
+                    header={!isTimelineView && renderStoredLogBar(activeSession)}
+                    placeholder={displayedLogs.length === 0 && (
                         <div className="h-full flex flex-col items-center justify-center select-none opacity-30">
                             <Terminal size={64} className="text-emerald-500" strokeWidth={1.5} />
                             <span className="mt-4 text-xs font-bold uppercase tracking-widest text-emerald-500/80">Ready to Receive</span>
                             {!isWebSerialSupported && <div className="mt-2 text-rose-500 text-[10px]">Browser Not Supported</div>}
                         </div>
-                    ) : (
-                        <div className="flex flex-col gap-2"> 
-                            {logs.filter(l => !logFilter || String(l.text).toLowerCase().includes(logFilter.toLowerCase())).map((log) => (
-                                <div key={log.id} onClick={() => navigator.clipboard.writeText(String(log.text))} className={`flex gap-3 px-3 py-1 items-start rounded-lg cursor-pointer hover:${t.hoverBg} group transition-colors`}>
-                                    {showTimestamp && <span className={`shrink-0 text-[11px] ${t.textTertiary} select-none font-medium opacity-60 pt-[2px]`}>{log.timestamp}</span>}
-                                    {/* Kept w-10 but ensured no flex shrinkage */}
-                                    <span className={`shrink-0 text-[10px] font-bold w-10 text-center select-none rounded border px-0.5 pt-0.5 mt-[1px] ${log.type === 'tx' ? (isDark ? 'text-blue-400 border-blue-400/50' : 'text-blue-600 border-blue-600/30') : (isDark ? 'text-emerald-400 border-emerald-400/50' : 'text-emerald-600 border-emerald-600/30')}`}>{log.type === 'tx' ? 'TX' : 'RX'}</span>
-                                    {/* Added min-w-0 to prevent text overflow issues */}
-                                    <span className={`break-all whitespace-pre-wrap min-w-0 ${log.type === 'tx' ? (isDark ? 'text-blue-400' : 'text-blue-600') : (isDark ? 'text-emerald-400' : 'text-emerald-600')} opacity-90`}>{renderContent(log.text)}</span>
-                                </div>
-                            ))}
-                        </div>
                     )}
+                    className="flex-1 min-w-0 p-6 overflow-y-auto custom-scrollbar font-mono text-[12px] leading-relaxed"
+                />
+                {splitSession && !isTimelineView && (
+                    <div className={`flex-1 min-w-0 flex flex-col border-l ${t.border}`}>
+                        <div className={`h-8 px-4 flex items-center justify-between gap-3 ${t.panelBg} border-b ${t.border} flex-none`}>
+                            <div className="flex items-center gap-2 min-w-0">
+                                <div className={`size-1.5 rounded-full flex-none ${splitSession.isConnected ? 'bg-emerald-500' : 'bg-zinc-400'}`}></div>
+                                <span className={`text-[10px] font-bold uppercase truncate ${getSessionColor(sessions, splitSession.id)}`}>{splitSession.name}</span>
+                                {splitSession.isConnected && splitSession.portOptions && <span className={`text-[10px] font-mono whitespace-nowrap ${t.textTertiary}`}>{formatSerialOptions(splitSession.portOptions)}</span>}
+                            </div>
+                            <div className="flex items-center gap-3">
+                                <input value={splitSession.logFilter.text} onChange={e => updateSession(splitSession.id, s => ({ logFilter: { ...s.logFilter, text: e.target.value } }))} title={splitLogView.error || (splitLogView.active ? `${describeLogQuery(splitSession.logFilter)}: ${splitLogView.matchCount}` : undefined)} placeholder="Search..." className={`w-28 bg-transparent border-none outline-none text-[10px] ${t.textPrimary} placeholder:${t.textTertiary}`} />
+                                <button onClick={() => { setSplitSessionId(activeSession.id); setActiveSessionId(splitSession.id); }} title="Swap Panes" className={`${t.textTertiary} hover:${t.textPrimary}`}><ArrowLeftRight size={12} /></button>
+                                <button onClick={() => clearSessionLogs([splitSession.id])} title="Clear" className={`${t.textTertiary} hover:text-rose-500`}><Trash2 size={12} /></button>
+                                <button onClick={() => setSplitSessionId(null)} title="Close Split" className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+                            </div>
+                        </div>
+                        <VirtualLogList
+                            key={splitSession.id}
+                            items={splitLogView.items}
+                            renderItem={log => renderLogEntry(log, true, splitLogView)}
+                            stickToBottom={autoScroll && (!splitLogView.active || splitSession.logFilter.showAll) && !splitSession.historyOpen}
+                            header={renderStoredLogBar(splitSession)}
+                            className="flex-1 min-h-0 p-6 overflow-y-auto custom-scrollbar font-mono text-[12px] leading-relaxed"
+                        />
+                    </div>
+                )}
                 </div>
 
                 {isPlotterOpen && (
@@ -1283,16 +1960,12 @@ export default function App() {
                             </div>
                         </div>
                         {isPlotterSettingsOpen && (
-                            <div className={`absolute top-9 right-4 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-56`}>
-                                <div className="text-[10px] font-bold uppercase mb-2 text-zinc-500">Series Config</div>
-                                <div className="space-y-2">
-                                    {seriesConfig.map((conf, i) => (
-                                        <div key={i} className={`flex items-center gap-2 text-[11px]`}>
-                                            <button onClick={() => {const n=[...seriesConfig];n[i].visible=!n[i].visible;setSeriesConfig(n)}}>{conf.visible ? <Eye size={12} style={{color: SERIES_COLORS[i]}}/> : <EyeOff size={12} className={t.textTertiary}/>}</button>
-                                            <input value={conf.name} onChange={e=>{const n=[...seriesConfig];n[i].name=e.target.value;setSeriesConfig(n)}} className={`w-12 bg-transparent border-b ${t.border} outline-none ${t.textPrimary}`} placeholder="Name"/>
-                                            <input value={conf.keyword} onChange={e=>{const n=[...seriesConfig];n[i].keyword=e.target.value;setSeriesConfig(n)}} className={`flex-1 bg-transparent border-b ${t.border} outline-none ${t.textTertiary}`} placeholder="Keyword (opt)"/>
-                                        </div>
-                                    ))}
+                            <div className={`absolute top-9 right-4 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-80 max-h-[70vh] overflow-y-auto custom-scrollbar`}>
+                                <div className="text-[10px] font-bold uppercase mb-2 text-zinc-500">Parser</div>
+                                <PlotParserSettings t={t} parser={plotParser} setParser={updatePlotParser} error={plotExtractor.error} frameLength={plotExtractor.frameLength} />
+                                <div className={`mt-3 pt-3 border-t ${t.border}`}>
+                                    <div className="text-[10px] font-bold uppercase mb-2 text-zinc-500">Series Config</div>
+                                    <PlotSeriesEditor t={t} seriesConfig={seriesConfig} parserMode={getParserMode(plotParser.mode)} updateSeries={updateSeries} addSeries={addSeries} removeSeries={removeSeries} />
                                 </div>
                                 <div className={`mt-3 pt-3 border-t ${t.border}`}>
                                     <div className="text-[10px] font-bold uppercase mb-2 text-zinc-500">Y Scale</div>
@@ -1314,10 +1987,122 @@ export default function App() {
                                             Per-Series
                                         </button>
                                     </div>
+                                    {plotScaleMode === 'arduino' ? (
+                                        <div className={`mt-2 flex items-center justify-between gap-2 text-[10px] ${t.textSecondary}`}>
+                                            <label className="flex items-center gap-1">Min <input value={plotYRange.min} onChange={e => setPlotYRange(prev => ({ ...prev, min: e.target.value }))} placeholder="auto" className={framingInputClass} /></label>
+                                            <label className="flex items-center gap-1">Max <input value={plotYRange.max} onChange={e => setPlotYRange(prev => ({ ...prev, max: e.target.value }))} placeholder="auto" className={framingInputClass} /></label>
+                                        </div>
+                                    ) : (
+                                        <div className={`mt-2 text-[10px] ${t.textTertiary}`}>Each series can fix its own range (Y min / Y max) in its settings above.</div>
+                                    )}
+                                </div>
+                                <div className={`mt-3 pt-3 border-t ${t.border} space-y-2`}>
+                                    <div className="text-[10px] font-bold uppercase text-zinc-500">History</div>
+                                    <label className={`flex items-center justify-between gap-2 text-[10px] ${t.textSecondary}`}>Depth <span className="flex items-center gap-1"><input type="number" min={MIN_PLOT_DEPTH} max={MAX_PLOT_DEPTH} step="1000" value={plotDepth ?? ''} onChange={e => setPlotDepth(e.target.value)} className={framingInputClass} /> samples</span></label>
+                                    <div className={`text-[10px] ${t.textTertiary}`}>View</div>
+                                    <div className="flex gap-1">
+                                        {PLOT_WINDOWS.map(w => (
+                                            <button key={w.ms} onClick={() => setPlotWindowMs(w.ms)} className={`flex-1 px-1 py-1 rounded-md text-[9px] font-bold border transition-colors ${plotWindowMs === w.ms ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{w.label}</button>
+                                        ))}
+                                    </div>
+                                    <div className={`text-[10px] ${t.textTertiary}`}>Per session, up to {MAX_PLOT_DEPTH.toLocaleString()}. Holding {plotLength(plotData).toLocaleString()}.</div>
                                 </div>
                             </div>
                         )}
-                        <div className="flex-1 p-2 relative"><WaveformChart dataHistory={plotData} seriesConfig={seriesConfig} scaleMode={plotScaleMode} /></div>
+                        <div className="flex-1 flex min-h-0">
+                            <div className="flex-1 min-w-0 p-2 relative"><WaveformChart key={activeSession.id} plot={plotData} seriesConfig={seriesConfig} scaleMode={plotScaleMode} windowMs={plotWindowMs} yRange={plotYRange} isDark={isDark} /></div>
+                            {plotParser.mode === 'binary' && <BinaryFieldTable t={t} frame={plotFrame} seriesConfig={seriesConfig} />}
+                        </div>
+                    </div>
+                )}
+
+                {isModbusOpen && (
+                    <div className={`border-t ${t.border} basis-1/3 min-h-[200px] flex flex-col`}>
+                        <ModbusMasterPanel
+                            t={t}
+                            config={modbusMasterConfig}
+                            setConfig={setModbusMasterConfig}
+                            isConnected={isConnected}
+                            writeBytes={writePortBytes}
+                            subscribeRx={subscribeRx}
+                            onLog={logModbus}
+                            seriesConfig={seriesConfig}
+                            onPlot={pushPlotSample}
+                            onClose={() => setIsModbusOpen(false)}
+                        />
+                    </div>
+                )}
+
+                {isModbusSlaveOpen && (
+                    <div className={`border-t ${t.border} basis-1/3 min-h-[200px] flex flex-col`}>
+                        <ModbusSlavePanel
+                            t={t}
+                            config={modbusSlaveConfig}
+                            setConfig={setModbusSlaveConfig}
+                            isConnected={isConnected}
+                            writeBytes={writePortBytes}
+                            subscribeRx={subscribeRx}
+                            onLog={logModbus}
+                            onClose={() => setIsModbusSlaveOpen(false)}
+                        />
+                    </div>
+                )}
+
+                {isScriptOpen && (
+                    <div className={`border-t ${t.border} basis-1/3 min-h-[220px] flex flex-col`}>
+                        <ScriptPanel
+                            t={t}
+                            scripts={scripts}
+                            setScripts={setScripts}
+                            isConnected={isConnected}
+                            isReconnecting={isReconnecting}
+                            encoding={encoding}
+                            writeBytes={writePortBytes}
+                            subscribeRx={subscribeRx}
+                            seriesConfig={seriesConfig}
+                            onPlot={pushPlotSample}
+                            onClose={() => setIsScriptOpen(false)}
+                        />
+                    </div>
+                )}
+
+                {isTestSequenceOpen && (
+                    <div className={`border-t ${t.border} basis-1/3 min-h-[220px] flex flex-col`}>
+                        <TestSequencePanel
+                            t={t}
+                            sequences={testSequences}
+                            setSequences={setTestSequences}
+                            isConnected={isConnected}
+                            encoding={encoding}
+                            sendCommand={sendTestCommand}
+                            subscribeRx={subscribeRx}
+                            onRunComplete={(run) => setTestRuns(prev => [...prev, run])}
+                            reportRunCount={testRuns.length}
+                            onClearReport={() => setTestRuns([])}
+                            onViewReport={handleViewReport}
+                            onExportPdf={handleExportPdf}
+                            onClose={() => setIsTestSequenceOpen(false)}
+                        />
+                    </div>
+                )}
+
+                {isBridgeOpen && (
+                    <div className={`border-t ${t.border} basis-1/3 min-h-[220px] flex flex-col`}>
+                        <BridgePanel
+                            t={t}
+                            sessions={sessions}
+                            framing={framing}
+                            encoding={encoding}
+                            rules={bridgeRules}
+                            setRules={setBridgeRules}
+                            subscribeSessionRx={subscribeSessionRx}
+                            forwardBytes={forwardSessionBytes}
+                            setBridgeTag={setBridgeTag}
+                            onLog={logBridgeEvent}
+                            onConnect={(sessionId) => { setActiveSessionId(sessionId); setIsTimelineView(false); setIsConnectModalOpen(true); }}
+                            onShowTimeline={() => setIsTimelineView(true)}
+                            onClose={() => setIsBridgeOpen(false)}
+                        />
                     </div>
                 )}
             </div>
@@ -1325,11 +2110,29 @@ export default function App() {
             {/* Footer Stats */}
             <div className={`h-10 border-t ${t.border} flex items-center justify-between px-6 text-[11px] font-medium ${t.textSecondary} ${t.panelBg}`}>
                 <div className="flex gap-6">
-                    <div className="flex items-center gap-2"><div className={`size-1.5 rounded-full transition-all duration-300 ${Date.now() - lastActivity.time < 150 && lastActivity.type === 'rx' ? 'bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.8)] scale-150' : 'bg-emerald-500/40'}`}></div><span className={isDark ? 'text-emerald-400' : 'text-emerald-600'}>RX <span className={t.textPrimary}>{logs.filter(l => l.type === 'rx').length}</span></span></div>
-                    <div className="flex items-center gap-2"><div className={`size-1.5 rounded-full transition-all duration-300 ${Date.now() - lastActivity.time < 150 && lastActivity.type === 'tx' ? 'bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.8)] scale-150' : 'bg-blue-500/40'}`}></div><span className={isDark ? 'text-blue-400' : 'text-blue-600'}>TX <span className={t.textPrimary}>{logs.filter(l => l.type === 'tx').length}</span></span></div>
+                    <div className="flex items-center gap-2"><div className={`size-1.5 rounded-full transition-all duration-300 ${Date.now() - lastActivity.time < 150 && lastActivity.type === 'rx' ? 'bg-emerald-500 shadow-[0_0_8px_rgba(16,185,129,0.8)] scale-150' : 'bg-emerald-500/40'}`}></div><span className={isDark ? 'text-emerald-400' : 'text-emerald-600'}>RX <span className={t.textPrimary}>{footerCounts.rx}</span></span></div>
+                    <div className="flex items-center gap-2"><div className={`size-1.5 rounded-full transition-all duration-300 ${Date.now() - lastActivity.time < 150 && lastActivity.type === 'tx' ? 'bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.8)] scale-150' : 'bg-blue-500/40'}`}></div><span className={isDark ? 'text-blue-400' : 'text-blue-600'}>TX <span className={t.textPrimary}>{footerCounts.tx}</span></span></div>
+                    <div className="relative">
+                        <button onClick={() => setIsBufferMenuOpen(!isBufferMenuOpen)} title="Log buffer" className={`flex items-center gap-2 hover:${t.textPrimary} transition-colors`}>Buffer <span className={`font-mono text-[10px] ${t.textPrimary}`}>{footerBuffer.logs}/{logBufferConfig.memoryLimit * footerSessions.length}{footerBuffer.stored > 0 && ` · ${footerBuffer.stored} stored`}</span>{footerBuffer.dropped > 0 && <span className="font-mono text-[10px] text-amber-500">{footerBuffer.dropped} dropped</span>}</button>
+                        {isBufferMenuOpen && (
+                            <div className={`absolute bottom-full left-0 mb-2 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-64 space-y-3`}>
+                                <div className="text-[10px] font-bold uppercase text-zinc-500">Log Buffer</div>
+                                <div className={`space-y-2 text-[10px] ${t.textSecondary}`}>
+                                    <label className="flex items-center justify-between gap-2">In memory <span className="flex items-center gap-1"><input type="number" min="100" value={logBuffer.memoryLimit ?? ''} onChange={e => setLogBuffer(prev => ({ ...prev, memoryLimit: e.target.value }))} className={framingInputClass} /> entries</span></label>
+                                    <label className="flex items-center justify-between gap-2">Spill to disk <span className="flex items-center gap-1"><input type="number" min="0" value={logBuffer.storeLimit ?? ''} onChange={e => setLogBuffer(prev => ({ ...prev, storeLimit: e.target.value }))} className={framingInputClass} /> entries</span></label>
+                                    <div className={t.textTertiary}>Per session. Older entries move to browser storage (0 = off) and can be scrolled back to and searched; past both limits they are dropped.{!isLogStoreReady && ' Browser storage is unavailable here, so nothing is spilled.'}</div>
+                                </div>
+                            </div>
+                        )}
+                    </div>
                 </div>
                 <div className="flex gap-6">
                     <button onClick={()=>setAutoScroll(!autoScroll)} className={`flex items-center gap-2 hover:${t.textPrimary} transition-colors group`}>AutoScroll <div className={`size-1.5 rounded-full transition-colors ${autoScroll ? 'bg-emerald-500' : 'bg-neutral-400'}`}></div></button>
+                    <label className={`flex items-center gap-2 hover:${t.textPrimary} transition-colors`}>Charset
+                        <select value={encoding} onChange={e => changeEncoding(e.target.value)} className={`bg-transparent outline-none font-mono text-[10px] ${t.textPrimary} cursor-pointer`}>
+                            {CHARSETS.map(c => <option key={c.id} value={c.id} className="text-black">{c.label}</option>)}
+                        </select>
+                    </label>
                     <button onClick={()=>setShowTimestamp(!showTimestamp)} className={`flex items-center gap-2 hover:${t.textPrimary} transition-colors group`}>Time <div className={`size-1.5 rounded-full transition-colors ${showTimestamp ? 'bg-emerald-500' : 'bg-neutral-400'}`}></div></button>
                 </div>
             </div>
@@ -1342,19 +2145,57 @@ export default function App() {
                     <h3 className={`text-[11px] font-bold uppercase tracking-widest ${t.textTertiary} flex items-center gap-2 px-1`}><Plug size={12} /> Connection</h3>
                     <div className="flex flex-col gap-3">
                         <div className={`relative border ${t.border} rounded-2xl ${t.inputBg} transition-colors hover:${t.borderHover}`} ref={baudRef}>
-                             <button onClick={() => !isConnected && setIsBaudDropdownOpen(!isBaudDropdownOpen)} disabled={isConnected} className={`w-full h-11 flex items-center justify-between px-4 text-xs font-mono font-medium ${isConnected ? 'opacity-50 cursor-not-allowed' : ''}`}><span>{baudRate} BAUD</span><ChevronDown size={14} className={t.textTertiary} /></button>
-                             {isBaudDropdownOpen && !isConnected && (<div className={`absolute top-full left-0 right-0 mt-2 z-50 border ${t.border} ${t.windowBg} shadow-2xl rounded-xl max-h-48 overflow-y-auto custom-scrollbar p-1`}>{COMMON_BAUD_RATES.map(r => (<button key={r} onClick={() => { setBaudRate(r); setIsBaudDropdownOpen(false); }} className={`w-full text-left px-4 py-2.5 text-xs font-mono rounded-lg hover:${t.hoverBg} transition-colors`}>{r}</button>))}</div>)}
+                             <button onClick={() => !isConnected && setIsBaudDropdownOpen(!isBaudDropdownOpen)} disabled={isConnected} className={`w-full h-11 flex items-center justify-between px-4 text-xs font-mono font-medium ${isConnected ? 'opacity-50 cursor-not-allowed' : ''}`}><span>{baudRate} BAUD <span className={t.textTertiary}>{formatFrameFormat(lineSettings)}</span></span><ChevronDown size={14} className={t.textTertiary} /></button>
+                             {isBaudDropdownOpen && !isConnected && (
+                                <div className={`absolute top-full left-0 right-0 mt-2 z-50 border ${t.border} ${t.windowBg} shadow-2xl rounded-xl max-h-80 overflow-y-auto custom-scrollbar p-2 space-y-3`}>
+                                    <div className="grid grid-cols-2 gap-1">{COMMON_BAUD_RATES.map(r => (<button key={r} onClick={() => setBaudRate(r)} className={`text-left px-3 py-2 text-xs font-mono rounded-lg hover:${t.hoverBg} transition-colors ${Number(baudRate) === r ? 'text-emerald-500 font-bold' : ''}`}>{r}</button>))}</div>
+                                    <div className="flex items-center gap-2 px-1">
+                                        <span className={`w-10 shrink-0 text-[9px] font-bold uppercase ${t.textTertiary}`}>Custom</span>
+                                        <input type="number" min="1" value={baudRate} onChange={e => setBaudRate(e.target.value)} className={`flex-1 min-w-0 bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />
+                                    </div>
+                                    <div className={`h-px ${t.border} border-t`}></div>
+                                    <div className="px-1">{renderLineSettings()}</div>
+                                    <button onClick={() => setIsBaudDropdownOpen(false)} className={`w-full py-1.5 rounded-lg ${t.accentFill} ${t.accentText} text-[10px] font-bold hover:opacity-90`}>Done</button>
+                                </div>
+                             )}
                         </div>
-                        <button onClick={isConnected ? disconnectPort : () => setIsConnectModalOpen(true)} className={`w-full h-11 rounded-2xl text-xs font-bold tracking-wide border transition-all active:scale-[0.98] ${isConnected ? `border-neutral-500/20 text-neutral-500 hover:bg-neutral-500/10` : `${t.accentFill} ${t.accentText} border-transparent shadow-md hover:opacity-90`}`}>{isConnected ? 'DISCONNECT' : 'CONNECT DEVICE'}</button>
+                        {activeSession.capture ? (
+                            <button onClick={() => closeSession(activeSession.id)} disabled={sessions.length <= 1} className={`w-full h-11 rounded-2xl text-xs font-bold tracking-wide border transition-all active:scale-[0.98] border-violet-500/40 text-violet-500 hover:bg-violet-500/10 disabled:opacity-50 disabled:cursor-not-allowed`}>CLOSE CAPTURE</button>
+                        ) : (
+                        <button onClick={isConnected || isReconnecting ? disconnectPort : () => setIsConnectModalOpen(true)} className={`w-full h-11 rounded-2xl text-xs font-bold tracking-wide border transition-all active:scale-[0.98] ${isReconnecting ? 'border-amber-500/40 text-amber-500 hover:bg-amber-500/10' : isConnected ? `border-neutral-500/20 text-neutral-500 hover:bg-neutral-500/10` : `${t.accentFill} ${t.accentText} border-transparent shadow-md hover:opacity-90`}`}>{isReconnecting ? 'RECONNECTING... CANCEL' : isConnected ? 'DISCONNECT' : 'CONNECT DEVICE'}</button>
+                        )}
+                        <button onClick={() => setAutoReconnect(!autoReconnect)} title="Reopen the same USB device (VID/PID) with the same settings after an unplug or reset" className={`flex items-center justify-between px-1 text-[10px] font-bold ${t.textTertiary} hover:${t.textPrimary} transition-colors`}>AUTO-RECONNECT <div className={`size-1.5 rounded-full transition-colors ${autoReconnect ? 'bg-emerald-500' : 'bg-neutral-400'}`}></div></button>
                     </div>
                 </div>
                 <div className={`h-px w-full ${t.border}`}></div>
                 <div className="space-y-2">
-                    <h3 className={`text-[11px] font-bold uppercase tracking-widest ${t.textTertiary} px-1`}>Highlight</h3>
-                    <div className="flex flex-col gap-2">
-                        <input value={highlightKeyword} onChange={e => setHighlightKeyword(e.target.value)} placeholder="Keyword..." className={`w-full px-3 py-1.5 rounded-lg border ${t.border} ${t.inputBg} ${t.textPrimary} text-xs focus:border-neutral-500 outline-none placeholder:${t.textTertiary} transition-colors`}/>
-                        <div className="flex gap-2">{HIGHLIGHT_PRESETS.map((c, i) => (<button key={i} onClick={() => setHighlightColor(c)} className={`h-7 flex-1 rounded-lg border text-[10px] font-bold transition-transform hover:scale-105 ${c.split(' ')[0]} ${c.split(' ')[1]} ${c.split(' ')[2]}`}></button>))}</div>
+                    <h3 className={`text-[11px] font-bold uppercase tracking-widest ${t.textTertiary} flex items-center gap-2 px-1`}><Radio size={12} /> Control Lines</h3>
+                    <div className="flex gap-2">
+                        {CONTROL_LINES.map(line => (
+                            <button key={line.key} onClick={() => setPortSignals({ [line.key]: !controlLines[line.key] })} disabled={!isConnected || isSignalSequenceRunning} className={`flex-1 py-1 rounded-lg text-[10px] font-mono font-bold border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${controlLines[line.key] ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{line.label} {controlLines[line.key] === null ? '-' : controlLines[line.key] ? 'ON' : 'OFF'}</button>
+                        ))}
+                    </div>
+                    <div className="flex justify-between px-1">
+                        {MODEM_STATUS_LINES.map(line => (
+                            <div key={line.key} className={`flex items-center gap-1.5 text-[10px] font-mono ${t.textSecondary}`}><div className={`size-1.5 rounded-full transition-all duration-150 ${modemStatus?.[line.key] ? 'bg-amber-500 shadow-[0_0_8px_rgba(245,158,11,0.8)]' : 'bg-neutral-400/40'}`}></div>{line.label}</div>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap gap-1">
+                        {SIGNAL_PRESETS.map(preset => (
+                            <button key={preset.id} onClick={() => runSignalPreset(preset)} disabled={!isConnected || isSignalSequenceRunning} className={`px-2 py-1 rounded-md text-[9px] font-bold border ${t.border} ${t.textSecondary} hover:${t.textPrimary} hover:${t.hoverBg} transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}>{preset.label}</button>
+                        ))}
                     </div>
+                    <div className={`flex items-center gap-1.5 px-1 text-[9px] ${t.textTertiary}`}>
+                        <span>Pulse</span>
+                        <input type="number" min="0" value={signalTiming.pulseMs} onChange={e => setSignalTiming(prev => ({ ...prev, pulseMs: e.target.value }))} className={`w-10 bg-transparent text-[10px] font-mono outline-none text-center ${t.textPrimary} border-b border-dashed border-neutral-500/30`} /><span>ms</span>
+                        <span className="ml-2">Settle</span>
+                        <input type="number" min="0" value={signalTiming.settleMs} onChange={e => setSignalTiming(prev => ({ ...prev, settleMs: e.target.value }))} className={`w-10 bg-transparent text-[10px] font-mono outline-none text-center ${t.textPrimary} border-b border-dashed border-neutral-500/30`} /><span>ms</span>
+                    </div>
+                </div>
+                <div className={`h-px w-full ${t.border}`}></div>
+                <div className="space-y-2">
+                    <h3 className={`text-[11px] font-bold uppercase tracking-widest ${t.textTertiary} px-1`}>Highlight</h3>
+                    <HighlightRules t={t} rules={highlightRules} setRules={setHighlightRules} quickCommands={quickCommands} />
                 </div>
                 <div className={`h-px w-full ${t.border}`}></div>
                 <div className="space-y-3 flex-1">
@@ -1371,7 +2212,7 @@ export default function App() {
             <div className={`p-4 border-t ${t.border} bg-transparent flex flex-col gap-3 relative`}>
                 <div className="flex items-center justify-between gap-2 flex-wrap">
                     <div className="flex items-center gap-1.5">
-                         <button onClick={() => setTimerEnabled(!timerEnabled)} className={`size-6 flex items-center justify-center rounded-md border ${t.border} ${timerEnabled ? 'text-amber-500 border-amber-500 bg-amber-500/10' : t.textTertiary} hover:${t.textPrimary} transition-colors`}><Timer size={12} /></button>
+                         <button onClick={toggleTimer} className={`size-6 flex items-center justify-center rounded-md border ${t.border} ${timerEnabled ? 'text-amber-500 border-amber-500 bg-amber-500/10' : t.textTertiary} hover:${t.textPrimary} transition-colors`}><Timer size={12} /></button>
                         <input type="number" value={timerInterval} onChange={e=>setTimerInterval(e.target.value)} className={`w-10 bg-transparent text-[10px] font-mono outline-none text-center ${t.textPrimary} border-b border-dashed border-neutral-500/30`} /><span className={`text-[9px] ${t.textTertiary}`}>ms</span>
                     </div>
                     <div className="flex items-center gap-1.5">
@@ -1416,6 +2257,34 @@ export default function App() {
             </div>
         )}
 
+        {isExportDialogOpen && (
+            <ExportDialog
+                t={t}
+                options={{ ...DEFAULT_EXPORT_OPTIONS, ...exportOptions }}
+                setOptions={setExportOptions}
+                entries={displayedLogs}
+                filteredEntries={visibleLogs}
+                filterText={logView.active ? describeLogQuery(displayQuery) : ''}
+                tagSessions={isTimelineView}
+                sessionNames={sessionNames}
+                labelOf={labelOfLog}
+                storedCount={exportStoredCount}
+                droppedCount={footerBuffer.dropped}
+                withStored={withStoredLogs}
+                onClose={() => setIsExportDialogOpen(false)}
+            />
+        )}
+
+        {isRecordDialogOpen && (
+            <RecordDialog
+                t={t}
+                options={{ ...DEFAULT_RECORD_OPTIONS, ...recordOptions }}
+                setOptions={setRecordOptions}
+                onStart={startRecording}
+                onClose={() => setIsRecordDialogOpen(false)}
+            />
+        )}
+
         {/* --- Macro Manager Modal --- */}
         {isMacroModalOpen && (
             <div className={`absolute inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200`}>
@@ -1472,7 +2341,7 @@ export default function App() {
                     <div className={`px-8 py-4 border-t ${t.border} ${t.panelBg} flex justify-end gap-3`}>
                         <button onClick={() => setSnapshots([])} className={`px-5 py-2.5 text-xs text-rose-500 hover:bg-rose-500/10 rounded-xl transition-colors font-medium`}>Clear Gallery</button>
                         <button onClick={handleViewReport} className={`px-6 py-2.5 rounded-xl border ${t.border} ${t.textSecondary} hover:${t.textPrimary} hover:${t.hoverBg} text-xs font-bold flex items-center gap-2 transition-all`}><ExternalLink size={14}/> View HTML</button>
-                        <button onClick={handleExportPdf} disabled={snapshots.length===0} className={`px-6 py-2.5 ${t.accentFill} ${t.accentText} text-xs font-bold rounded-xl shadow-lg flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 active:scale-95 transition-all`}><FileText size={14}/> Export PDF</button>
+                        <button onClick={handleExportPdf} disabled={snapshots.length===0 && testRuns.length===0} className={`px-6 py-2.5 ${t.accentFill} ${t.accentText} text-xs font-bold rounded-xl shadow-lg flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 active:scale-95 transition-all`}><FileText size={14}/> Export PDF</button>
                     </div>
                 </div>
             </div>
@@ -1480,7 +2349,7 @@ export default function App() {
 
         {isConnectModalOpen && (
             <div className={`absolute inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200`}>
-                <div className={`w-[420px] ${t.windowBg} border ${t.border} rounded-3xl shadow-2xl p-8`}>
+                <div className={`w-[420px] max-h-[95%] overflow-y-auto custom-scrollbar ${t.windowBg} border ${t.border} rounded-3xl shadow-2xl p-8`}>
                     <div className="flex items-center justify-between mb-8"><h3 className={`text-sm font-bold uppercase tracking-widest ${t.textPrimary}`}>Hardware Connection</h3><button onClick={() => setIsConnectModalOpen(false)} className={t.textTertiary}><X size={20} /></button></div>
                     <div className="space-y-2 mb-8 max-h-[240px] overflow-y-auto custom-scrollbar">
                         {!isWebSerialSupported ? (<div className={`text-center py-8 bg-rose-500/10 border border-rose-500/20 rounded-xl`}><div className="text-rose-500 font-bold text-xs mb-1">BROWSER NOT SUPPORTED</div></div>) : !isSerialAllowed ? (<div className={`text-center py-8 bg-amber-500/10 border border-amber-500/20 rounded-xl`}><div className="text-amber-500 font-bold text-xs mb-1">PERMISSION BLOCKED</div></div>) : availablePorts.length === 0 ? (<div className={`text-center py-10 border-2 border-dashed ${t.border} rounded-2xl opacity-60`}><div className={`text-xs ${t.textTertiary} font-bold`}>NO GRANTED DEVICES</div><div className={`text-[10px] ${t.textTertiary} mt-2`}>Click SCAN below to authorize a device</div></div>) : availablePorts.map((p, i) => (
@@ -1490,6 +2359,48 @@ export default function App() {
                             </button>
                         ))}
                     </div>
+                    <div className={`mb-6 p-4 rounded-2xl border ${t.border} ${t.inputBg} space-y-3`}>
+                        <div className="flex items-center justify-between">
+                            <span className={`text-[10px] font-bold uppercase tracking-widest ${t.textTertiary}`}>Virtual Device</span>
+                            <button onClick={openVirtualPort} disabled={!!virtualDeviceError} title={virtualDeviceError || `Open ${virtualDevice.name}`} className={`flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-emerald-500 border-emerald-500 bg-emerald-500/10 disabled:opacity-50 disabled:cursor-not-allowed`}><Plug size={10} /> OPEN</button>
+                        </div>
+                        <div className="flex gap-1">
+                            {VIRTUAL_DEVICES.map(d => (
+                                <button key={d.id} onClick={() => setVirtualDeviceId(d.id)} title={d.description} className={`flex-1 px-1 py-1 rounded-md text-[9px] font-bold border transition-colors ${virtualDevice.id === d.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{d.name}</button>
+                            ))}
+                        </div>
+                        <div className={`text-[10px] ${t.textTertiary}`}>{virtualDevice.description}</div>
+                        {virtualDevice.options?.map(o => (
+                            <label key={o.key} className={`flex ${o.type === 'textarea' ? 'flex-col items-stretch' : 'items-center justify-between'} gap-2 text-[10px] ${t.textSecondary}`}>
+                                <span className={`text-[9px] font-bold uppercase ${t.textTertiary}`}>{o.label}</span>
+                                {o.type === 'textarea' && <textarea value={virtualDeviceOptions[o.key] ?? ''} onChange={e => updateVirtualOption(o.key, e.target.value)} rows={5} spellCheck={false} className={`w-full px-2 py-1 rounded-md border ${t.border} bg-transparent ${t.textPrimary} font-mono text-[10px] outline-none resize-y`} />}
+                                {o.type === 'number' && <input type="number" value={virtualDeviceOptions[o.key] ?? ''} onChange={e => updateVirtualOption(o.key, e.target.value)} className={`w-20 bg-transparent text-[11px] font-mono outline-none text-right ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />}
+                                {o.type === 'checkbox' && <input type="checkbox" checked={!!virtualDeviceOptions[o.key]} onChange={e => updateVirtualOption(o.key, e.target.checked)} className="accent-emerald-500" />}
+                                {o.type === 'text' && <input value={virtualDeviceOptions[o.key] ?? ''} onChange={e => updateVirtualOption(o.key, e.target.value)} className={`flex-1 bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />}
+                                {o.type === 'file' && (
+                                    <span className="flex items-center gap-2 min-w-0">
+                                        <span className={`truncate font-mono ${t.textTertiary}`}>{virtualFiles[virtualDevice.id]?.[o.key]?.name || 'none'}</span>
+                                        <span className={`flex-none flex items-center gap-1 px-2 py-0.5 rounded-md border ${t.border} text-[9px] font-bold cursor-pointer hover:${t.textPrimary}`}><Upload size={10} /> LOAD</span>
+                                        <input type="file" accept={o.accept} onChange={e => handleVirtualFile(o.key, e)} className="hidden" />
+                                    </span>
+                                )}
+                            </label>
+                        ))}
+                        {virtualDeviceError && <div className="text-[10px] text-amber-500">{virtualDeviceError}</div>}
+                    </div>
+                    <div className={`mb-6 p-4 rounded-2xl border ${t.border} ${t.inputBg}`}>
+                        <div className="flex items-center justify-between mb-3">
+                            <span className={`text-[10px] font-bold uppercase tracking-widest ${t.textTertiary}`}>Line Settings</span>
+                            <span className={`text-[10px] font-mono ${t.textSecondary}`}>{formatSerialOptions(buildSerialOptions(baudRate, lineSettings))}</span>
+                        </div>
+                        <div className="flex items-center gap-2 mb-2">
+                            <span className={`w-10 shrink-0 text-[9px] font-bold uppercase ${t.textTertiary}`}>Baud</span>
+                            <select value={baudRate} onChange={e => setBaudRate(parseInt(e.target.value))} className={`flex-1 bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`}>
+                                {(COMMON_BAUD_RATES.includes(Number(baudRate)) ? COMMON_BAUD_RATES : [Number(baudRate), ...COMMON_BAUD_RATES]).map(r => <option key={r} value={r}>{r}</option>)}
+                            </select>
+                        </div>
+                        {renderLineSettings()}
+                    </div>
                     <button onClick={() => { navigator.serial.requestPort().then(p => { openPort(p); updatePorts(); }).catch((e)=>{console.log(e)}); }} disabled={!isWebSerialSupported || !isSerialAllowed} className={`w-full py-3.5 ${t.accentFill} ${t.accentText} ${t.accentHover} rounded-xl text-xs font-bold tracking-widest uppercase hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-md`}>SCAN FOR DEVICES</button>
                 </div>
             </div>
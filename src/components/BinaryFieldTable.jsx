@@ -0,0 +1,35 @@
+import React from 'react';
+
+const formatFieldValue = (v) => {
+  if (typeof v === 'bigint') return v.toString();
+  return typeof v === 'number' && !Number.isInteger(v) ? String(Number(v.toPrecision(7))) : String(v);
+};
+
+// --- Component: Binary field table (plotter, binary parser) ---
+// The newest decoded frame field by field, with the running good/bad frame counts; fields feeding a
+// series are named in its color.
+const BinaryFieldTable = ({ t, frame, seriesConfig }) => (
+  <div className={`w-48 flex-none flex flex-col min-h-0 border-l ${t.border}`}>
+    <div className={`px-3 py-1.5 flex items-center justify-between gap-2 border-b ${t.border} text-[10px]`}>
+      <span className={`font-bold uppercase ${t.textSecondary}`}>Fields</span>
+      {frame && (
+        <span className={`font-mono ${t.textTertiary}`}>
+          {frame.frames} ok{frame.bad > 0 && <span className="text-rose-500"> · {frame.bad} bad</span>}
+        </span>
+      )}
+    </div>
+    <div className="flex-1 overflow-y-auto custom-scrollbar px-3 py-1.5 space-y-0.5 font-mono text-[10px]">
+      {frame?.fields.length ? frame.fields.map((f, i) => {
+        const conf = seriesConfig.find(c => c.keyword === f.name);
+        return (
+          <div key={i} className="flex items-center justify-between gap-2">
+            <span className={`truncate ${conf ? '' : t.textTertiary}`} style={conf ? { color: conf.color } : undefined} title={`${f.name} @ ${f.offset}`}>{f.name}</span>
+            <span className={`truncate ${t.textPrimary}`}>{formatFieldValue(f.value)}</span>
+          </div>
+        );
+      }) : <div className={t.textTertiary}>Waiting for frames...</div>}
+    </div>
+  </div>
+);
+
+export default BinaryFieldTable;
@@ -0,0 +1,199 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Play, Square, Plus, Trash2, X, Cable, Plug, GitMerge } from 'lucide-react';
+import { MATCH_MODES, createTestId } from '../lib/testSequence';
+import { BRIDGE_DIRECTIONS, BRIDGE_ACTIONS, DEFAULT_BRIDGE_RULE, validateBridgeRule, createBridgeDirection } from '../lib/bridge';
+import { formatSerialOptions } from '../lib/serialOptions';
+import { bufferToHex } from '../lib/bytes';
+
+const EMPTY_STATS = { ab: 0, ba: 0, dropped: 0, delayed: 0, rewritten: 0, errors: 0 };
+const STATS_REFRESH_MS = 250;
+
+// --- Component: Serial Bridge ---
+// Pipes session A <-> session B. Each end keeps its own line settings, so the two sides may differ;
+// the bridge idles while either port is closed and picks up again once both are open.
+const BridgePanel = ({ t, sessions, framing, encoding, rules, setRules, subscribeSessionRx, forwardBytes, setBridgeTag, onLog, onConnect, onShowTimeline, onClose }) => {
+  const [endA, setEndA] = useState(sessions[0]?.id ?? null);
+  const [endB, setEndB] = useState(sessions[1]?.id ?? null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [stats, setStats] = useState(EMPTY_STATS);
+  const statsRef = useRef({ ...EMPTY_STATS });
+  const pipesRef = useRef([]);
+  const rulesRef = useRef(rules);
+
+  const sessionA = sessions.find(s => s.id === endA) || null;
+  const sessionB = sessions.find(s => s.id === endB) || null;
+  const isLinked = isRunning && !!sessionA?.isConnected && !!sessionB?.isConnected && sessionA.id !== sessionB.id;
+
+  useEffect(() => {
+    rulesRef.current = rules;
+    for (const pipe of pipesRef.current) pipe.setRules(rules);
+  }, [rules]);
+
+  useEffect(() => {
+    if (!isLinked) return;
+    const ends = { ab: [endA, endB], ba: [endB, endA] };
+    const cleanups = Object.entries(ends).map(([direction, [from, to]]) => {
+      const tag = BRIDGE_DIRECTIONS.find(d => d.id === direction).label;
+      const pipe = createBridgeDirection({
+        direction,
+        rules: rulesRef.current,
+        framing,
+        encoding,
+        write: (bytes) => forwardBytes(to, bytes),
+        onEvent: (e) => {
+          const s = statsRef.current;
+          if (e.type === 'forward') { s[direction] += e.bytes.length; return; }
+          if (e.type === 'error') { s.errors++; onLog(from, `${tag} forward failed: ${e.message}`); return; }
+          if (e.type === 'drop') s.dropped++;
+          else if (e.type === 'delay') s.delayed++;
+          else s.rewritten++;
+          const detail = e.type === 'delay' ? ` +${e.rule.delayMs} ms` : e.type === 'rewrite' ? ` -> ${bufferToHex(e.rewritten)}` : '';
+          onLog(from, `${tag} ${e.type.toUpperCase()} [${e.rule.pattern}] ${bufferToHex(e.bytes)}${detail}`);
+        },
+      });
+      pipesRef.current.push(pipe);
+      setBridgeTag(from, tag);
+      const unsubscribe = subscribeSessionRx(from, pipe.push);
+      return () => {
+        unsubscribe();
+        pipe.dispose();
+        setBridgeTag(from, null);
+        pipesRef.current = pipesRef.current.filter(p => p !== pipe);
+      };
+    });
+    onLog(endA, 'Bridge linked');
+    // Rules are applied live through pipe.setRules; anything else re-links the two ends.
+    return () => cleanups.forEach(fn => fn());
+  }, [isLinked, endA, endB, framing, encoding, subscribeSessionRx, forwardBytes, setBridgeTag, onLog]);
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const id = setInterval(() => setStats({ ...statsRef.current }), STATS_REFRESH_MS);
+    return () => clearInterval(id);
+  }, [isRunning]);
+
+  const start = () => {
+    statsRef.current = { ...EMPTY_STATS };
+    setStats(EMPTY_STATS);
+    setIsRunning(true);
+  };
+
+  const stop = () => {
+    setIsRunning(false);
+    setStats({ ...statsRef.current });
+  };
+
+  const updateRule = (id, patch) => setRules(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const addRule = () => setRules(prev => [...prev, { ...DEFAULT_BRIDGE_RULE, id: createTestId('rule') }]);
+  const removeRule = (id) => setRules(prev => prev.filter(r => r.id !== id));
+
+  const cellInput = `w-full bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`;
+  const cellSelect = `bg-transparent outline-none text-[10px] ${t.textPrimary} cursor-pointer`;
+  const labelClass = `text-[9px] font-bold uppercase ${t.textTertiary}`;
+
+  const renderEnd = (label, session, setEnd, otherId) => (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className={labelClass}>Port {label}</span>
+        <select value={session?.id ?? ''} onChange={e => setEnd(e.target.value ? Number(e.target.value) : null)} disabled={isRunning} className={cellSelect}>
+          <option value="" className="text-black">--</option>
+          {sessions.filter(s => s.id !== otherId).map(s => <option key={s.id} value={s.id} className="text-black">{s.name}</option>)}
+        </select>
+      </div>
+      {session && (
+        <div className="flex items-center justify-between gap-2 text-[10px]">
+          <span className="flex items-center gap-1.5 min-w-0">
+            <span className={`size-1.5 rounded-full flex-none ${session.isConnected ? 'bg-emerald-500' : 'bg-zinc-400'}`}></span>
+            <span className={`font-mono truncate ${t.textSecondary}`}>{session.isConnected && session.portOptions ? formatSerialOptions(session.portOptions) : 'Offline'}</span>
+          </span>
+          {!session.isConnected && <button onClick={() => onConnect(session.id)} className={`flex items-center gap-1 text-[9px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plug size={10} /> CONNECT</button>}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className={`h-8 px-4 flex items-center justify-between ${t.panelBg} border-b ${t.border} flex-none`}>
+        <div className="flex items-center gap-2"><Cable size={12} className={t.textTertiary} /><span className={`text-[10px] font-bold uppercase ${t.textSecondary}`}>Serial Bridge</span></div>
+        <div className="flex items-center gap-3">
+          {isRunning && <span className={`text-[9px] font-bold border rounded px-1.5 ${isLinked ? 'text-emerald-500 border-emerald-500/50' : 'text-amber-500 border-amber-500/50 animate-pulse'}`}>{isLinked ? 'LINKED' : 'WAITING FOR PORTS'}</span>}
+          {isRunning ? (
+            <button onClick={stop} className="flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-rose-500 border-rose-500 bg-rose-500/10"><Square size={10} fill="currentColor" /> STOP</button>
+          ) : (
+            <button onClick={start} disabled={!sessionA || !sessionB} className="flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-emerald-500 border-emerald-500 bg-emerald-500/10 disabled:opacity-50 disabled:cursor-not-allowed"><Play size={10} fill="currentColor" /> START</button>
+          )}
+          <button onClick={onShowTimeline} title="Show both directions in the merged timeline" className={`${t.textTertiary} hover:${t.textPrimary}`}><GitMerge size={12} /></button>
+          <button onClick={onClose} className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+        </div>
+      </div>
+      <div className="flex-1 min-h-0 flex">
+        <div className={`w-56 flex-none border-r ${t.border} p-3 space-y-3 overflow-y-auto custom-scrollbar`}>
+          {renderEnd('A', sessionA, setEndA, endB)}
+          {renderEnd('B', sessionB, setEndB, endA)}
+          {sessions.length < 2 && <div className={`text-[10px] ${t.textTertiary}`}>Open a second session tab to bridge two ports.</div>}
+          <div className={`grid grid-cols-2 gap-x-3 gap-y-0.5 pt-2 border-t ${t.border} text-[10px] font-mono ${t.textSecondary}`}>
+            <span className={labelClass}>A→B</span><span className="text-right">{stats.ab} B</span>
+            <span className={labelClass}>B→A</span><span className="text-right">{stats.ba} B</span>
+            <span className={labelClass}>Dropped</span><span className="text-right">{stats.dropped}</span>
+            <span className={labelClass}>Delayed</span><span className="text-right">{stats.delayed}</span>
+            <span className={labelClass}>Rewritten</span><span className="text-right">{stats.rewritten}</span>
+            <span className={labelClass}>Errors</span><span className={`text-right ${stats.errors ? 'text-rose-500' : ''}`}>{stats.errors}</span>
+          </div>
+        </div>
+        <div className="flex-1 min-w-0 overflow-y-auto custom-scrollbar">
+          <table className="w-full text-[11px]">
+            <thead className={`sticky top-0 ${t.panelBg}`}>
+              <tr className={labelClass}>
+                <th className="w-8 py-1">On</th>
+                <th className="w-16">Dir</th>
+                <th className="w-20">Match</th>
+                <th className="text-left px-2">Pattern</th>
+                <th className="w-20">Action</th>
+                <th className="text-left px-2">Delay / Replace</th>
+                <th className="w-8"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(r => {
+                const error = validateBridgeRule(r);
+                return (
+                  <tr key={r.id} className={`border-t ${t.border} group`}>
+                    <td className="text-center"><input type="checkbox" checked={!!r.enabled} onChange={e => updateRule(r.id, { enabled: e.target.checked })} className="accent-emerald-500" /></td>
+                    <td className="text-center">
+                      <select value={r.direction} onChange={e => updateRule(r.id, { direction: e.target.value })} className={cellSelect}>
+                        {BRIDGE_DIRECTIONS.map(d => <option key={d.id} value={d.id} className="text-black">{d.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="text-center">
+                      <select value={r.match} onChange={e => updateRule(r.id, { match: e.target.value })} className={cellSelect}>
+                        {MATCH_MODES.map(m => <option key={m.id} value={m.id} className="text-black">{m.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1"><input value={r.pattern} onChange={e => updateRule(r.id, { pattern: e.target.value })} title={error || ''} placeholder={r.match === 'hexmask' ? 'e.g. 01 03 ??' : 'pattern'} className={`${cellInput} ${error && r.pattern ? 'text-rose-500' : ''}`} /></td>
+                    <td className="text-center">
+                      <select value={r.action} onChange={e => updateRule(r.id, { action: e.target.value })} className={cellSelect}>
+                        {BRIDGE_ACTIONS.map(a => <option key={a.id} value={a.id} className="text-black">{a.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-2">
+                      {r.action === 'delay' && <span className="flex items-center gap-1"><input type="number" min="0" value={r.delayMs} onChange={e => updateRule(r.id, { delayMs: e.target.value })} className={`${cellInput} w-16 text-right`} /><span className={t.textTertiary}>ms</span></span>}
+                      {r.action === 'rewrite' && <input value={r.replace} onChange={e => updateRule(r.id, { replace: e.target.value })} placeholder={r.match === 'hexmask' ? 'hex bytes' : 'replacement ($1 ok for regex)'} className={cellInput} />}
+                    </td>
+                    <td className="text-right px-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <button onClick={() => removeRule(r.id)} className={`${t.textTertiary} hover:text-rose-500`}><Trash2 size={11} /></button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {!rules.length && <div className={`px-3 pt-3 text-[10px] ${t.textTertiary}`}>No rules: bytes are forwarded untouched. First matching rule wins.</div>}
+          <button onClick={addRule} className={`m-2 flex items-center gap-1 px-2 py-1 rounded-md border border-dashed ${t.border} text-[9px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /> ADD RULE</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BridgePanel;
@@ -0,0 +1,60 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { Play, Pause, Film, Send } from 'lucide-react';
+import { CAPTURE_SPEEDS, formatReplayTime } from '../lib/capture';
+
+// --- Component: Capture replay control ---
+// Transport for a session opened from a capture file. Dragging the seek bar only moves the thumb;
+// the log and plot are rebuilt once, on release. Recorded TX can be re-sent to a connected session.
+const CaptureReplayBar = ({ t, player, fileName, liveSessions, resendTo, onResendToChange }) => {
+  const { position, duration, speed, isPlaying } = useSyncExternalStore(player.subscribe, player.getSnapshot);
+  const [dragPosition, setDragPosition] = useState(null);
+
+  const commitSeek = () => {
+    if (dragPosition === null) return;
+    player.seek(dragPosition);
+    setDragPosition(null);
+  };
+
+  const shown = dragPosition ?? position;
+  const resendTarget = liveSessions.find(s => s.id === resendTo) || null;
+
+  return (
+    <div className={`h-10 border-b ${t.border} flex items-center px-6 gap-3 flex-none ${t.panelBg}`}>
+      <Film size={14} className="text-violet-500 flex-none" />
+      <span className={`text-[10px] font-bold max-w-[140px] truncate ${t.textSecondary}`} title={fileName}>{fileName}</span>
+      <button onClick={() => (isPlaying ? player.pause() : player.play())} title={isPlaying ? 'Pause' : 'Play'} className={`size-7 flex-none flex items-center justify-center rounded-full border ${t.border} hover:${t.hoverBg} ${isPlaying ? 'text-amber-500' : 'text-violet-500'}`}>
+        {isPlaying ? <Pause size={12} /> : <Play size={12} fill="currentColor" />}
+      </button>
+      <div className="flex gap-1 flex-none">
+        {CAPTURE_SPEEDS.map(x => (
+          <button key={x} onClick={() => player.setSpeed(x)} className={`px-1.5 py-0.5 rounded-md text-[9px] font-bold border transition-colors ${speed === x ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{x}x</button>
+        ))}
+      </div>
+      <span className={`text-[10px] font-mono flex-none ${t.textSecondary}`}>{formatReplayTime(shown)}</span>
+      <input
+        type="range"
+        min={0}
+        max={duration || 0}
+        step="any"
+        value={shown}
+        disabled={!duration}
+        onChange={e => setDragPosition(Number(e.target.value))}
+        onPointerUp={commitSeek}
+        onKeyUp={commitSeek}
+        onBlur={commitSeek}
+        className="flex-1 min-w-0 accent-violet-500 cursor-pointer disabled:opacity-40"
+      />
+      <span className={`text-[10px] font-mono flex-none ${t.textTertiary}`}>{formatReplayTime(duration)}</span>
+      <div className={`h-5 w-px flex-none ${t.border} border-l`}></div>
+      <div className={`flex items-center gap-1 flex-none text-[10px] font-bold ${resendTarget ? 'text-emerald-500' : t.textTertiary}`} title="Re-send the recorded TX side to a connected session while playing">
+        <Send size={12} />
+        <select value={resendTarget?.id ?? ''} onChange={e => onResendToChange(e.target.value ? Number(e.target.value) : null)} className={`bg-transparent outline-none cursor-pointer max-w-[120px] ${t.textSecondary}`}>
+          <option value="" className="text-black">TX: Log Only</option>
+          {liveSessions.map(s => <option key={s.id} value={s.id} className="text-black">TX → {s.name}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default CaptureReplayBar;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { X, Download } from 'lucide-react';
+import { EXPORT_FORMATS, EXPORT_SCOPES, buildLogExport, selectTimeRange, timeRangeTest, measureExport } from '../lib/logExport';
+
+const formatTimeOfDay = (ms) => {
+  const d = new Date(ms);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+};
+
+// --- Component: Log export dialog ---
+// Exports the current view (one session, or the merged timeline) in the chosen format and scope.
+// The time range defaults to the whole log and is not remembered; format and text options are.
+// All Logs and Time Range also cover the `storedCount` entries spilled to the log store, read back through
+// `withStored(test, entries)` on export; Filtered View takes only the stored matches already searched.
+const ExportDialog = ({ t, options, setOptions, entries, filteredEntries, filterText, tagSessions, sessionNames, labelOf, storedCount = 0, droppedCount = 0, withStored, onClose }) => {
+  const [rangeFrom, setRangeFrom] = useState(() => (entries.length ? formatTimeOfDay(entries[0]._ts) : '00:00:00.000'));
+  const [rangeTo, setRangeTo] = useState(() => (entries.length ? formatTimeOfDay(entries[entries.length - 1]._ts) : '23:59:59.999'));
+  const [isExporting, setIsExporting] = useState(false);
+
+  const format = EXPORT_FORMATS.find(f => f.id === options.format) || EXPORT_FORMATS[0];
+  const update = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+
+  const scoped = options.scope === 'filtered' ? filteredEntries
+    : options.scope === 'range' ? selectTimeRange(entries, rangeFrom, rangeTo)
+    : entries;
+  const size = measureExport(format.id, scoped);
+  const rangeTest = options.scope === 'range' ? timeRangeTest(rangeFrom, rangeTo) : null;
+  const readsStored = storedCount > 0 && (options.scope === 'all' || !!rangeTest);
+  const isEmpty = size.count === 0 && !readsStored;
+
+  const handleExport = async () => {
+    if (isEmpty || isExporting) return;
+    let exported = scoped;
+    if (readsStored) {
+      setIsExporting(true);
+      try {
+        exported = await withStored(rangeTest || (() => true), scoped);
+      } catch (err) {
+        alert(`Reading stored logs failed: ${err.message}`);
+        setIsExporting(false);
+        return;
+      }
+      if (measureExport(format.id, exported).count === 0) { alert('Nothing to export in this scope.'); setIsExporting(false); return; }
+    }
+    const { blob, extension } = buildLogExport(format.id, exported, {
+      sessionNames,
+      tagSessions,
+      timestamps: options.timestamps,
+      direction: options.direction,
+      labelOf,
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `Portax_Logs_${new Date().toISOString().slice(0,10)}${extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    onClose();
+  };
+
+  return (
+    <div className={`absolute inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200`}>
+      <div className={`w-[380px] ${t.windowBg} border ${t.border} rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`px-5 py-3 border-b ${t.border} flex items-center justify-between ${t.panelBg}`}>
+          <h3 className={`text-xs font-bold uppercase tracking-widest ${t.textPrimary}`}>Export Logs</h3>
+          <button onClick={onClose} className={t.textTertiary}><X size={16} /></button>
+        </div>
+        <div className="p-5 space-y-4">
+          <div>
+            <label className={`text-[10px] font-bold uppercase ${t.textTertiary} mb-1.5 block`}>Format</label>
+            <div className="grid grid-cols-3 gap-1">
+              {EXPORT_FORMATS.map(f => (
+                <button key={f.id} onClick={() => update('format', f.id)} className={`px-1 py-1.5 rounded-md text-[9px] font-bold border transition-colors ${format.id === f.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{f.label}</button>
+              ))}
+            </div>
+            <div className={`mt-2 text-[10px] ${t.textTertiary}`}>{format.description}</div>
+          </div>
+          {format.id === 'text' && (
+            <div className="flex gap-4">
+              <label className={`flex items-center gap-1.5 text-[10px] font-bold ${t.textSecondary} cursor-pointer`}><input type="checkbox" checked={!!options.timestamps} onChange={e => update('timestamps', e.target.checked)} className="accent-emerald-500" /> Timestamps</label>
+              <label className={`flex items-center gap-1.5 text-[10px] font-bold ${t.textSecondary} cursor-pointer`}><input type="checkbox" checked={!!options.direction} onChange={e => update('direction', e.target.checked)} className="accent-emerald-500" /> Direction Markers</label>
+            </div>
+          )}
+          <div>
+            <label className={`text-[10px] font-bold uppercase ${t.textTertiary} mb-1.5 block`}>Scope</label>
+            <div className="flex gap-1">
+              {EXPORT_SCOPES.map(s => (
+                <button key={s.id} onClick={() => update('scope', s.id)} className={`flex-1 px-1 py-1.5 rounded-md text-[9px] font-bold border transition-colors ${options.scope === s.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{s.label}</button>
+              ))}
+            </div>
+            {options.scope === 'filtered' && <div className={`mt-2 text-[10px] ${t.textTertiary}`}>{filterText ? <>Entries matching <span className="font-mono">"{filterText}"</span></> : 'No search filter set: same as all logs.'}</div>}
+            {options.scope !== 'filtered' && storedCount > 0 && <div className={`mt-2 text-[10px] ${t.textTertiary}`}>Includes {storedCount} older entries read back from the log store.</div>}
+            {options.scope === 'filtered' && storedCount > 0 && <div className={`mt-2 text-[10px] ${t.textTertiary}`}>Stored entries are included only once found with Search Stored.</div>}
+            {droppedCount > 0 && <div className="mt-2 text-[10px] text-amber-500">{droppedCount} entries were dropped past the store limit and can't be exported.</div>}
+            {options.scope === 'range' && (
+              <div className="mt-2 flex items-center gap-2">
+                <input type="time" step="0.001" value={rangeFrom} onChange={e => setRangeFrom(e.target.value)} className={`flex-1 px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} text-[11px] font-mono outline-none`} />
+                <span className={`text-[10px] ${t.textTertiary}`}>to</span>
+                <input type="time" step="0.001" value={rangeTo} onChange={e => setRangeTo(e.target.value)} className={`flex-1 px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} text-[11px] font-mono outline-none`} />
+              </div>
+            )}
+          </div>
+          <div className="flex items-center gap-2 pt-2">
+            <span className={`flex-1 text-[10px] font-mono ${isEmpty ? 'text-amber-500' : t.textTertiary}`}>{size.count} {size.unit}{readsStored && ' + stored'}</span>
+            <button onClick={onClose} className={`px-4 py-2 rounded-lg border ${t.border} ${t.textSecondary} hover:${t.hoverBg} text-xs font-bold`}>Cancel</button>
+            <button onClick={handleExport} disabled={isEmpty || isExporting} className={`flex items-center gap-1.5 px-4 py-2 rounded-lg ${t.accentFill} ${t.accentText} text-xs font-bold hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed`}><Download size={12} /> {isExporting ? 'Exporting...' : 'Export'}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
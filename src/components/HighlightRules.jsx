@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Plus, X, ChevronDown, ChevronRight, Bell, Volume2, Pause, Camera, Send, ArrowUp } from 'lucide-react';
+import { HIGHLIGHT_COLORS, TRIGGER_ACTIONS, createHighlightRule, getHighlightColor, highlightRuleError } from '../lib/highlightRules';
+
+const ACTION_ICONS = { sound: Volume2, notify: Bell, pause: Pause, snapshot: Camera };
+
+// --- Component: Highlight rules (sidebar) ---
+// One row per rule; a row expands into its editor. Earlier rules win where matches overlap.
+const HighlightRules = ({ t, rules, setRules, quickCommands }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const field = `w-full px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} text-[11px] font-mono outline-none focus:border-neutral-500`;
+  const toggleClass = (on) => `px-1.5 py-0.5 rounded-md text-[9px] font-bold border transition-colors ${on ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`;
+
+  const updateRule = (id, patch) => setRules(prev => prev.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const addRule = () => {
+    const rule = createHighlightRule();
+    setRules(prev => [...prev, rule]);
+    setExpandedId(rule.id);
+  };
+  const moveUp = (index) => setRules(prev => {
+    if (index === 0) return prev;
+    const next = [...prev];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    return next;
+  });
+
+  const setAction = (rule, action, on) => {
+    // Ask while we still have the click; notifications can't be enabled from a trigger later.
+    if (action === 'notify' && on && typeof Notification !== 'undefined' && Notification.permission === 'default') Notification.requestPermission();
+    updateRule(rule.id, { actions: { ...rule.actions, [action]: on } });
+  };
+
+  return (
+    <div className="space-y-1.5">
+      {rules.map((rule, index) => {
+        const color = getHighlightColor(rule.color);
+        const error = highlightRuleError(rule);
+        const isExpanded = expandedId === rule.id;
+        const command = quickCommands.find(c => c.id === rule.commandId);
+        return (
+          <div key={rule.id} className={`rounded-lg border ${t.border} ${rule.enabled ? '' : 'opacity-50'}`}>
+            <div className="flex items-center gap-2 px-2 py-1.5">
+              <button onClick={() => setExpandedId(isExpanded ? null : rule.id)} className={t.textTertiary}>{isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}</button>
+              <span className={`size-3 flex-none rounded-sm border ${color.chip}`}></span>
+              <span className={`flex-1 min-w-0 truncate text-[11px] font-mono ${error ? 'text-rose-500' : t.textPrimary}`} title={error || rule.pattern}>{rule.regex ? `/${rule.pattern}/` : rule.pattern || <span className={t.textTertiary}>(empty)</span>}</span>
+              {TRIGGER_ACTIONS.filter(a => rule.actions?.[a.id]).map(a => { const Icon = ACTION_ICONS[a.id]; return <Icon key={a.id} size={10} className="flex-none text-amber-500" />; })}
+              {command && <Send size={10} className="flex-none text-amber-500" />}
+              <input type="checkbox" checked={rule.enabled} onChange={e => updateRule(rule.id, { enabled: e.target.checked })} title="Enabled" className="accent-emerald-500 flex-none" />
+            </div>
+            {isExpanded && (
+              <div className={`px-2 pb-2 pt-1 space-y-2 border-t ${t.border}`}>
+                <input value={rule.pattern} onChange={e => updateRule(rule.id, { pattern: e.target.value })} placeholder={rule.regex ? 'Regular expression' : 'Text'} className={field} autoFocus />
+                {error && <div className="text-[10px] text-rose-500 font-mono break-all">{error}</div>}
+                <div className="flex flex-wrap gap-1">
+                  <button onClick={() => updateRule(rule.id, { regex: !rule.regex })} className={toggleClass(rule.regex)}>REGEX</button>
+                  <button onClick={() => updateRule(rule.id, { matchCase: !rule.matchCase })} className={toggleClass(rule.matchCase)}>CASE</button>
+                  <button onClick={() => updateRule(rule.id, { tintLine: !rule.tintLine })} className={toggleClass(rule.tintLine)}>TINT LINE</button>
+                </div>
+                <div className="flex gap-1">
+                  {HIGHLIGHT_COLORS.map(c => <button key={c.id} onClick={() => updateRule(rule.id, { color: c.id })} title={c.id} className={`h-5 flex-1 rounded-md border ${c.chip} ${rule.color === c.id ? 'ring-2 ring-offset-1 ring-neutral-400' : ''}`}></button>)}
+                </div>
+                <div className={`text-[9px] font-bold uppercase ${t.textTertiary}`}>On received match</div>
+                <div className="grid grid-cols-2 gap-1">
+                  {TRIGGER_ACTIONS.map(a => (
+                    <label key={a.id} className={`flex items-center gap-1.5 text-[10px] ${t.textSecondary} cursor-pointer`}><input type="checkbox" checked={!!rule.actions?.[a.id]} onChange={e => setAction(rule, a.id, e.target.checked)} className="accent-amber-500" /> {a.label}</label>
+                  ))}
+                </div>
+                <select value={rule.commandId ?? ''} onChange={e => updateRule(rule.id, { commandId: e.target.value ? Number(e.target.value) : null })} className={`${field} font-sans cursor-pointer`}>
+                  <option value="" className="text-black">No command</option>
+                  {quickCommands.map(c => <option key={c.id} value={c.id} className="text-black">Send: {c.label}</option>)}
+                </select>
+                <div className="flex justify-between">
+                  <button onClick={() => moveUp(index)} disabled={index === 0} title="Move up (earlier rules win)" className={`${t.textTertiary} hover:${t.textPrimary} disabled:opacity-30`}><ArrowUp size={12} /></button>
+                  <button onClick={() => setRules(prev => prev.filter(r => r.id !== rule.id))} className={`flex items-center gap-1 text-[10px] font-bold ${t.textTertiary} hover:text-rose-500`}><X size={10} /> Remove</button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button onClick={addRule} className={`w-full flex items-center justify-center gap-1 py-1.5 rounded-lg border border-dashed ${t.border} text-[10px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /> Add Rule</button>
+    </div>
+  );
+};
+
+export default HighlightRules;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { X, Plus, Bookmark } from 'lucide-react';
+import { DEFAULT_LOG_QUERY, QUERY_DIRECTIONS, MAX_QUERY_CONTEXT, describeLogQuery } from '../lib/logQuery';
+
+// --- Component: Log query options ---
+// Drop-down under the search box: direction, time window, extra include/exclude terms, context lines,
+// "show all" (mark matches instead of hiding the rest) and named filters saved for later.
+const LogQueryMenu = ({ t, query, setQuery, error, savedFilters, setSavedFilters }) => {
+  const [saveName, setSaveName] = useState('');
+  const segment = (active) => `flex-1 px-1 py-1 rounded-md text-[9px] font-bold border transition-colors ${active ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`;
+  const field = `bg-transparent text-[10px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`;
+
+  const updateTerm = (id, patch) => setQuery({ terms: query.terms.map(term => (term.id === id ? { ...term, ...patch } : term)) });
+  const addTerm = () => setQuery({ terms: [...query.terms, { id: Date.now(), op: 'include', text: '' }] });
+  const removeTerm = (id) => setQuery({ terms: query.terms.filter(term => term.id !== id) });
+
+  const saveFilter = () => {
+    const name = saveName.trim();
+    if (!name) return;
+    setSavedFilters(prev => [...prev.filter(f => f.name !== name), { id: Date.now(), name, query }]);
+    setSaveName('');
+  };
+
+  return (
+    <div className={`absolute top-full right-0 mt-2 z-[60] p-3 rounded-xl border ${t.border} ${t.inputBg} shadow-xl w-80 space-y-3`}>
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] font-bold uppercase text-zinc-500">Log Query</span>
+        <button onClick={() => setQuery({ ...DEFAULT_LOG_QUERY })} className={`text-[9px] font-bold uppercase ${t.textTertiary} hover:text-rose-500`}>Reset</button>
+      </div>
+      {error && <div className="text-[10px] text-rose-500 font-mono break-all">{error}</div>}
+
+      <div className="flex gap-1">
+        {QUERY_DIRECTIONS.map(d => <button key={d.id} onClick={() => setQuery({ direction: d.id })} className={segment(query.direction === d.id)}>{d.label}</button>)}
+      </div>
+
+      <div className={`flex items-center gap-2 text-[10px] ${t.textSecondary}`}>
+        Time
+        <input value={query.from} onChange={e => setQuery({ from: e.target.value })} placeholder="HH:MM:SS" className={`w-20 ${field}`} />
+        <span className={t.textTertiary}>to</span>
+        <input value={query.to} onChange={e => setQuery({ to: e.target.value })} placeholder="HH:MM:SS" className={`w-20 ${field}`} />
+      </div>
+
+      <div className="space-y-1.5">
+        <div className="flex items-center gap-2">
+          <span className={`text-[10px] ${t.textSecondary}`}>Terms</span>
+          <div className="flex gap-1 ml-auto">
+            <button onClick={() => setQuery({ combine: 'and' })} title="Every include term must match" className={segment(query.combine !== 'or')}>AND</button>
+            <button onClick={() => setQuery({ combine: 'or' })} title="Any include term may match" className={segment(query.combine === 'or')}>OR</button>
+          </div>
+          <button onClick={addTerm} title="Add term" className={`${t.textTertiary} hover:${t.textPrimary}`}><Plus size={12} /></button>
+        </div>
+        <div className={`text-[10px] ${t.textTertiary}`}>The search box is the first include term.</div>
+        {query.terms.map(term => (
+          <div key={term.id} className="flex items-center gap-2">
+            <button onClick={() => updateTerm(term.id, { op: term.op === 'exclude' ? 'include' : 'exclude' })} className={`w-14 flex-none px-1 py-0.5 rounded-md text-[9px] font-bold border ${term.op === 'exclude' ? 'text-rose-500 border-rose-500/40' : 'text-emerald-500 border-emerald-500/40'}`}>{term.op === 'exclude' ? 'EXCLUDE' : 'INCLUDE'}</button>
+            <input value={term.text} onChange={e => updateTerm(term.id, { text: e.target.value })} placeholder={query.regex ? 'regex' : 'text'} className={`flex-1 min-w-0 ${field}`} />
+            <button onClick={() => removeTerm(term.id)} className={`${t.textTertiary} hover:text-rose-500`}><X size={12} /></button>
+          </div>
+        ))}
+      </div>
+
+      <div className={`flex items-center justify-between gap-2 text-[10px] ${t.textSecondary}`}>
+        <label className="flex items-center gap-1">Context <input type="number" min="0" max={MAX_QUERY_CONTEXT} value={query.context} onChange={e => setQuery({ context: e.target.value })} className={`w-10 text-right ${field}`} /> lines</label>
+        <label className="flex items-center gap-1.5 cursor-pointer" title="Keep the whole log visible and step through the matches"><input type="checkbox" checked={query.showAll} onChange={e => setQuery({ showAll: e.target.checked })} className="accent-emerald-500" /> Show all, mark matches</label>
+      </div>
+
+      <div className={`pt-2 border-t ${t.border} space-y-1.5`}>
+        <div className="flex items-center gap-2">
+          <input value={saveName} onChange={e => setSaveName(e.target.value)} onKeyDown={e => e.key === 'Enter' && saveFilter()} placeholder="Filter name" className={`flex-1 min-w-0 ${field}`} />
+          <button onClick={saveFilter} disabled={!saveName.trim()} className={`flex items-center gap-1 text-[9px] font-bold uppercase ${t.textSecondary} hover:${t.textPrimary} disabled:opacity-40`}><Bookmark size={10} /> Save</button>
+        </div>
+        {savedFilters.map(f => (
+          <div key={f.id} className="flex items-center gap-2 group">
+            <button onClick={() => setQuery({ ...DEFAULT_LOG_QUERY, ...f.query })} title={describeLogQuery({ ...DEFAULT_LOG_QUERY, ...f.query })} className={`flex-1 min-w-0 text-left text-[10px] font-bold truncate ${t.textSecondary} hover:${t.textPrimary}`}>{f.name}</button>
+            <button onClick={() => setSavedFilters(prev => prev.filter(x => x.id !== f.id))} className={`opacity-0 group-hover:opacity-100 ${t.textTertiary} hover:text-rose-500`}><X size={10} /></button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LogQueryMenu;
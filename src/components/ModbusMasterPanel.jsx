@@ -0,0 +1,202 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Send, Play, Pause, X, Network } from 'lucide-react';
+import { EMPTY_BYTES, concatBytes } from '../lib/bytes';
+import {
+  DEFAULT_MODBUS_MASTER, MODBUS_FUNCTIONS, getModbusFunction, buildModbusRequest, expectedResponseLength, parseModbusResponse,
+  describeModbusRequest, parseRegisterValue, parseCoilValue, toSigned16
+} from '../lib/modbus';
+
+// --- Component: Modbus RTU Master ---
+// Owns one outstanding request at a time; responses are matched from the raw RX tap, not the log framing.
+const ModbusMasterPanel = ({ t, config, setConfig, isConnected, writeBytes, subscribeRx, onLog, seriesConfig, onPlot, onClose }) => {
+  const [isPolling, setIsPolling] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [table, setTable] = useState(null); // { functionCode, address, values, time }
+  const [status, setStatus] = useState(null); // { ok, text }
+  const [stats, setStats] = useState({ ok: 0, err: 0 });
+  const pendingRef = useRef(null);
+
+  const cfg = { ...DEFAULT_MODBUS_MASTER, ...config };
+  const fn = getModbusFunction(Number(cfg.functionCode)) || MODBUS_FUNCTIONS[2];
+  const isRead = fn.kind.startsWith('read');
+  const update = (key, value) => setConfig(prev => ({ ...DEFAULT_MODBUS_MASTER, ...prev, [key]: value }));
+
+  useEffect(() => subscribeRx((chunk) => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pending.buf = concatBytes(pending.buf, chunk);
+    const len = expectedResponseLength(pending.buf);
+    if (len !== null && pending.buf.length >= len) pending.finish(pending.buf.slice(0, len));
+  }), [subscribeRx]);
+
+  useEffect(() => () => { if (pendingRef.current) pendingRef.current.finish(null); }, []);
+
+  const buildRequest = useCallback((c) => {
+    const functionCode = Number(c.functionCode);
+    const kind = getModbusFunction(functionCode)?.kind || '';
+    const request = { slaveId: parseInt(c.slaveId), functionCode, address: parseInt(c.address), count: parseInt(c.count), values: [] };
+    if (!kind.startsWith('read')) {
+      const parts = String(c.values).split(/[\s,;]+/).filter(Boolean);
+      const parse = kind.endsWith('bit') || kind.endsWith('bits') ? parseCoilValue : parseRegisterValue;
+      request.values = parts.map(parse);
+      if (request.values.some(v => v === null)) throw new Error('Invalid value list');
+    }
+    return request;
+  }, []);
+
+  const transact = useCallback(async (c) => {
+    if (pendingRef.current) return null;
+    let request;
+    let frame;
+    try {
+      request = buildRequest(c);
+      frame = buildModbusRequest(request);
+    } catch (e) {
+      setStatus({ ok: false, text: e.message });
+      return null;
+    }
+
+    setIsBusy(true);
+    const broadcast = request.slaveId === 0;
+    const response = new Promise(resolve => {
+      const timer = setTimeout(() => { pendingRef.current = null; resolve(null); }, Math.max(10, parseInt(c.timeoutMs) || 500));
+      pendingRef.current = { buf: EMPTY_BYTES, finish: (f) => { clearTimeout(timer); pendingRef.current = null; resolve(f); } };
+    });
+
+    const sent = await writeBytes(frame);
+    if (!sent || broadcast) pendingRef.current?.finish(null);
+    const reply = await response;
+
+    let result;
+    if (!sent) result = { ok: false, error: 'Write failed' };
+    else if (broadcast) result = { ok: true, broadcast: true };
+    else if (!reply) result = { ok: false, error: 'Timeout' };
+    else result = parseModbusResponse(reply, request);
+
+    setIsBusy(false);
+    setStats(prev => (result.ok ? { ...prev, ok: prev.ok + 1 } : { ...prev, err: prev.err + 1 }));
+    const summary = `${describeModbusRequest(request)} -> ${result.broadcast ? 'Broadcast' : result.ok ? 'OK' : result.error}`;
+    setStatus({ ok: result.ok, text: summary });
+    onLog(summary, result.ok);
+
+    if (result.ok && result.values) {
+      setTable({ functionCode: request.functionCode, address: request.address, values: result.values, time: Date.now() });
+      const plotMap = c.plotMap || {};
+      if (Object.keys(plotMap).length) {
+        const sample = seriesConfig.map(() => null);
+        result.values.forEach((v, i) => {
+          const seriesIdx = plotMap[request.address + i];
+          if (seriesIdx === undefined || seriesIdx === null || seriesIdx >= sample.length) return;
+          sample[seriesIdx] = typeof v === 'boolean' ? (v ? 1 : 0) : (c.signed ? toSigned16(v) : v);
+        });
+        onPlot(sample);
+      }
+    }
+    return result;
+  }, [buildRequest, writeBytes, onLog, onPlot, seriesConfig]);
+
+  // Poll with the latest config without restarting the interval on every keystroke.
+  const configRef = useRef(cfg);
+  useEffect(() => { configRef.current = cfg; });
+  const transactRef = useRef(transact);
+  useEffect(() => { transactRef.current = transact; }, [transact]);
+
+  useEffect(() => {
+    if (!isPolling || !isConnected) return;
+    const tick = () => { if (!pendingRef.current) transactRef.current(configRef.current); };
+    tick();
+    const id = setInterval(tick, Math.max(50, parseInt(cfg.pollMs) || 1000));
+    return () => clearInterval(id);
+  }, [isPolling, isConnected, cfg.pollMs]);
+
+  const setPlotTarget = (address, value) => {
+    const next = { ...(cfg.plotMap || {}) };
+    if (value === '') delete next[address]; else next[address] = Number(value);
+    update('plotMap', next);
+  };
+
+  const inputClass = `w-full bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`;
+  const labelClass = `text-[9px] font-bold uppercase ${t.textTertiary}`;
+  const tableIsBits = table && getModbusFunction(table.functionCode)?.kind === 'read-bits';
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className={`h-8 px-4 flex items-center justify-between ${t.panelBg} border-b ${t.border} flex-none`}>
+        <div className="flex items-center gap-2"><Network size={12} className={t.textTertiary} /><span className={`text-[10px] font-bold uppercase ${t.textSecondary}`}>Modbus RTU Master</span></div>
+        <div className="flex items-center gap-4">
+          {status && <span className={`text-[10px] font-mono truncate max-w-[320px] ${status.ok ? 'text-emerald-500' : 'text-rose-500'}`}>{status.text}</span>}
+          <span className={`text-[10px] font-mono ${t.textTertiary}`}>OK {stats.ok} / ERR {stats.err}</span>
+          <button onClick={onClose} className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+        </div>
+      </div>
+      <div className="flex-1 flex min-h-0">
+        <div className={`w-60 shrink-0 p-3 border-r ${t.border} overflow-y-auto custom-scrollbar space-y-2`}>
+          <label className="block"><span className={labelClass}>Function</span>
+            <select value={fn.code} onChange={e => update('functionCode', Number(e.target.value))} className={`${inputClass} cursor-pointer`}>
+              {MODBUS_FUNCTIONS.map(f => <option key={f.code} value={f.code} className="text-black">{f.label}</option>)}
+            </select>
+          </label>
+          <div className="grid grid-cols-3 gap-2">
+            <label className="block"><span className={labelClass}>Slave</span><input type="number" min="0" max="247" value={cfg.slaveId} onChange={e => update('slaveId', e.target.value)} className={inputClass} /></label>
+            <label className="block"><span className={labelClass}>Address</span><input type="number" min="0" max="65535" value={cfg.address} onChange={e => update('address', e.target.value)} className={inputClass} /></label>
+            {isRead && <label className="block"><span className={labelClass}>Count</span><input type="number" min="1" value={cfg.count} onChange={e => update('count', e.target.value)} className={inputClass} /></label>}
+          </div>
+          {!isRead && (
+            <label className="block"><span className={labelClass}>{fn.kind.includes('bit') ? 'Values (0/1, ON/OFF)' : 'Values (dec, -n or 0x..)'}</span>
+              <input value={cfg.values} onChange={e => update('values', e.target.value)} placeholder={fn.kind.startsWith('write-single') ? 'e.g. 1' : 'e.g. 1, 2, 0x10'} className={inputClass} />
+            </label>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block"><span className={labelClass}>Poll ms</span><input type="number" min="50" value={cfg.pollMs} onChange={e => update('pollMs', e.target.value)} className={inputClass} /></label>
+            <label className="block"><span className={labelClass}>Timeout ms</span><input type="number" min="10" value={cfg.timeoutMs} onChange={e => update('timeoutMs', e.target.value)} className={inputClass} /></label>
+          </div>
+          <div className="flex gap-2 pt-1">
+            <button onClick={() => transact(cfg)} disabled={!isConnected || isBusy || isPolling} className={`flex-1 py-1.5 rounded-md ${t.accentFill} ${t.accentText} text-[10px] font-bold flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90`}><Send size={12} /> SEND</button>
+            <button onClick={() => setIsPolling(!isPolling)} disabled={!isConnected || !isRead} className={`flex-1 py-1.5 rounded-md border text-[10px] font-bold flex items-center justify-center gap-1.5 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isPolling ? 'text-amber-500 border-amber-500 bg-amber-500/10' : `${t.border} ${t.textSecondary} hover:${t.textPrimary}`}`}>{isPolling ? <Pause size={12} /> : <Play size={12} />} POLL</button>
+          </div>
+        </div>
+        <div className="flex-1 min-w-0 overflow-y-auto custom-scrollbar">
+          {!table ? (
+            <div className={`h-full flex items-center justify-center text-[10px] uppercase tracking-widest font-bold ${t.textTertiary} opacity-60`}>No Data</div>
+          ) : (
+            <table className="w-full text-[11px] font-mono">
+              <thead className={`sticky top-0 ${t.panelBg} ${t.textTertiary} text-[9px] uppercase`}>
+                <tr>
+                  <th className="text-left px-3 py-1.5 font-bold">Addr</th>
+                  <th className="text-right px-3 py-1.5 font-bold">
+                    {tableIsBits ? 'State' : (
+                      <button onClick={() => update('signed', !cfg.signed)} className={`uppercase hover:${t.textPrimary}`} title="Toggle signed/unsigned">{cfg.signed ? 'Int16' : 'UInt16'}</button>
+                    )}
+                  </th>
+                  {!tableIsBits && <th className="text-right px-3 py-1.5 font-bold">Hex</th>}
+                  <th className="text-right px-3 py-1.5 font-bold">Plot</th>
+                </tr>
+              </thead>
+              <tbody>
+                {table.values.map((v, i) => {
+                  const address = table.address + i;
+                  const target = cfg.plotMap?.[address];
+                  return (
+                    <tr key={address} className={`border-t ${t.border} ${t.textPrimary}`}>
+                      <td className={`px-3 py-1 ${t.textSecondary}`}>{address}</td>
+                      <td className="px-3 py-1 text-right font-bold">{tableIsBits ? (v ? 'ON' : 'OFF') : (cfg.signed ? toSigned16(v) : v)}</td>
+                      {!tableIsBits && <td className={`px-3 py-1 text-right ${t.textTertiary}`}>0x{v.toString(16).padStart(4, '0').toUpperCase()}</td>}
+                      <td className="px-3 py-1 text-right">
+                        <select value={target ?? ''} onChange={e => setPlotTarget(address, e.target.value)} className={`bg-transparent outline-none text-[10px] cursor-pointer ${target !== undefined ? 'text-emerald-500' : t.textTertiary}`}>
+                          <option value="" className="text-black">-</option>
+                          {seriesConfig.map((s, idx) => <option key={idx} value={idx} className="text-black">{s.name || `S${idx + 1}`}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModbusMasterPanel;
@@ -0,0 +1,140 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Power, X, Server } from 'lucide-react';
+import { EMPTY_BYTES, concatBytes } from '../lib/bytes';
+import {
+  DEFAULT_MODBUS_SLAVE, SLAVE_TABLES, MAX_SLAVE_TABLE_SIZE, expectedRequestLength, checkCRC, processSlaveRequest,
+  parseRegisterValue
+} from '../lib/modbus';
+
+// RTU frames are separated by >= 3.5 character times; a short fixed gap is enough to resync in a browser.
+const SLAVE_IDLE_RESYNC_MS = 20;
+
+// --- Component: Modbus RTU Slave Simulator ---
+// Answers requests from the raw RX tap using the persisted register tables.
+const ModbusSlavePanel = ({ t, config, setConfig, isConnected, writeBytes, subscribeRx, onLog, onClose }) => {
+  const [isEnabled, setIsEnabled] = useState(false);
+  const [activeTable, setActiveTable] = useState('holdingRegisters');
+  const [stats, setStats] = useState({ requests: 0, exceptions: 0 });
+  const bufRef = useRef(EMPTY_BYTES);
+  const idleTimerRef = useRef(null);
+
+  const cfg = { ...DEFAULT_MODBUS_SLAVE, ...config };
+  const slaveId = parseInt(cfg.slaveId) || 0;
+
+  // Requests are served from refs so a burst of frames sees each other's writes.
+  const storeRef = useRef(cfg);
+  useEffect(() => { storeRef.current = cfg; });
+
+  const handleFrame = useCallback((frame) => {
+    const result = processSlaveRequest(frame, storeRef.current, parseInt(storeRef.current.slaveId) || 0);
+    if (!result.summary) return;
+    if (result.store !== storeRef.current) {
+      storeRef.current = result.store;
+      setConfig(result.store);
+    }
+    const isException = result.summary.includes('Exception');
+    setStats(prev => ({ requests: prev.requests + 1, exceptions: prev.exceptions + (isException ? 1 : 0) }));
+    onLog(`Slave ${result.summary}`);
+    if (result.response) writeBytes(result.response);
+  }, [onLog, setConfig, writeBytes]);
+
+  const consume = useCallback((flushAll) => {
+    let buf = bufRef.current;
+    while (buf.length >= 4) {
+      const len = expectedRequestLength(buf);
+      if (len === null) {
+        // Unknown function code: only the inter-frame gap tells us where it ends.
+        if (!flushAll) break;
+        if (checkCRC(buf)) handleFrame(buf);
+        buf = EMPTY_BYTES;
+        break;
+      }
+      if (buf.length < len) break;
+      const frame = buf.slice(0, len);
+      if (!checkCRC(frame)) { buf = buf.slice(1); continue; } // resync byte by byte
+      buf = buf.slice(len);
+      handleFrame(frame);
+    }
+    if (flushAll) buf = EMPTY_BYTES;
+    bufRef.current = buf;
+  }, [handleFrame]);
+
+  useEffect(() => {
+    if (!isEnabled) return;
+    bufRef.current = EMPTY_BYTES;
+    const unsubscribe = subscribeRx((chunk) => {
+      bufRef.current = concatBytes(bufRef.current, chunk);
+      consume(false);
+      if (idleTimerRef.current) clearTimeout(idleTimerRef.current);
+      if (bufRef.current.length) idleTimerRef.current = setTimeout(() => { idleTimerRef.current = null; consume(true); }, SLAVE_IDLE_RESYNC_MS);
+    });
+    return () => {
+      unsubscribe();
+      if (idleTimerRef.current) { clearTimeout(idleTimerRef.current); idleTimerRef.current = null; }
+    };
+  }, [isEnabled, subscribeRx, consume]);
+
+  const update = (patch) => setConfig(prev => ({ ...DEFAULT_MODBUS_SLAVE, ...prev, ...patch }));
+
+  const setCell = (key, idx, value) => {
+    const next = [...cfg[key]];
+    next[idx] = value;
+    update({ [key]: next });
+  };
+
+  const resizeTable = (key, size, bits) => {
+    const n = Math.min(MAX_SLAVE_TABLE_SIZE, Math.max(1, parseInt(size) || 1));
+    const current = cfg[key];
+    update({ [key]: Array.from({ length: n }, (_, i) => (i < current.length ? current[i] : bits ? false : 0)) });
+  };
+
+  const table = SLAVE_TABLES.find(tb => tb.key === activeTable) || SLAVE_TABLES[2];
+  const values = cfg[table.key] || [];
+  const labelClass = `text-[9px] font-bold uppercase ${t.textTertiary}`;
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className={`h-8 px-4 flex items-center justify-between ${t.panelBg} border-b ${t.border} flex-none`}>
+        <div className="flex items-center gap-2"><Server size={12} className={t.textTertiary} /><span className={`text-[10px] font-bold uppercase ${t.textSecondary}`}>Modbus RTU Slave</span></div>
+        <div className="flex items-center gap-4">
+          <span className={`text-[10px] font-mono ${t.textTertiary}`}>REQ {stats.requests} / EXC {stats.exceptions}</span>
+          <label className={`flex items-center gap-1.5 ${labelClass}`}>ID
+            <input type="number" min="1" max="247" value={cfg.slaveId} onChange={e => update({ slaveId: e.target.value })} className={`w-10 bg-transparent text-[11px] font-mono outline-none text-center ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />
+          </label>
+          <button onClick={() => setIsEnabled(!isEnabled)} disabled={!isConnected && !isEnabled} className={`flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isEnabled ? 'text-emerald-500 border-emerald-500 bg-emerald-500/10' : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}><Power size={10} /> {isEnabled ? `ONLINE #${slaveId}` : 'OFFLINE'}</button>
+          <button onClick={onClose} className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+        </div>
+      </div>
+      <div className={`flex items-center gap-1 px-3 py-1.5 border-b ${t.border} flex-none`}>
+        {SLAVE_TABLES.map(tb => (
+          <button key={tb.key} onClick={() => setActiveTable(tb.key)} className={`px-2 py-0.5 rounded-md text-[9px] font-bold border transition-colors ${activeTable === tb.key ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{tb.label}</button>
+        ))}
+        <label className={`ml-auto flex items-center gap-1.5 ${labelClass}`}>Size
+          <input type="number" min="1" max={MAX_SLAVE_TABLE_SIZE} value={values.length} onChange={e => resizeTable(table.key, e.target.value, table.bits)} className={`w-12 bg-transparent text-[11px] font-mono outline-none text-center ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />
+        </label>
+      </div>
+      <div className="flex-1 min-h-0 overflow-y-auto custom-scrollbar p-3">
+        <div className="grid grid-cols-4 md:grid-cols-8 gap-1.5">
+          {values.map((v, idx) => (
+            <div key={idx} className={`flex flex-col px-2 py-1 rounded-md border ${t.border} ${t.inputBg}`}>
+              <span className={`text-[8px] font-mono ${t.textTertiary}`}>{idx}</span>
+              {table.bits ? (
+                <button onClick={() => setCell(table.key, idx, !v)} className={`text-left text-[11px] font-mono font-bold ${v ? 'text-emerald-500' : t.textTertiary}`}>{v ? 'ON' : 'OFF'}</button>
+              ) : (
+                <input
+                  defaultValue={v}
+                  key={v}
+                  onBlur={e => { const parsed = parseRegisterValue(e.target.value); if (parsed !== null) setCell(table.key, idx, parsed); else e.target.value = v; }}
+                  onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }}
+                  className={`w-full bg-transparent text-[11px] font-mono font-bold outline-none ${t.textPrimary}`}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModbusSlavePanel;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { PARSER_MODES, CSV_DELIMITERS, getParserMode } from '../lib/extraction';
+import { CHECKSUM_TYPES } from '../lib/binaryFrame';
+
+// --- Component: Plot parser settings (plotter settings) ---
+// Picks how RX lines become plot values; regex, CSV and binary modes have their own options below the picker.
+const PlotParserSettings = ({ t, parser, setParser, error, frameLength }) => {
+  const segment = (active) => `flex-1 px-1 py-1 rounded-md text-[9px] font-bold border transition-colors ${active ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`;
+  const mode = getParserMode(parser.mode);
+  const textarea = `w-full px-2 py-1 rounded-md border ${t.border} bg-transparent ${t.textPrimary} text-[10px] font-mono outline-none focus:border-neutral-500 resize-none`;
+  const row = `flex items-center justify-between gap-2 text-[10px] ${t.textSecondary}`;
+  const select = `bg-transparent outline-none font-mono text-[10px] ${t.textPrimary} cursor-pointer`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-1">
+        {PARSER_MODES.map(m => <button key={m.id} onClick={() => setParser({ mode: m.id })} className={segment(mode.id === m.id)}>{m.label}</button>)}
+      </div>
+      {mode.id === 'regex' && (
+        <textarea
+          value={parser.patterns}
+          onChange={e => setParser({ patterns: e.target.value })}
+          rows={3}
+          spellCheck={false}
+          placeholder={'T=(?<temp>[-\\d.]+)\nV=(?<volt>0x[\\da-f]+)'}
+          className={textarea}
+        />
+      )}
+      {mode.id === 'csv' && (
+        <label className={row}>Delimiter
+          <select value={parser.delimiter} onChange={e => setParser({ delimiter: e.target.value })} className={select}>
+            {CSV_DELIMITERS.map(d => <option key={d.label} value={d.id} className="text-black">{d.label}</option>)}
+          </select>
+        </label>
+      )}
+      {mode.id === 'binary' && (
+        <div className="space-y-2">
+          <label className={row}>Sync
+            <input value={parser.sync} onChange={e => setParser({ sync: e.target.value })} placeholder="AA 55" spellCheck={false} className={`w-24 text-right bg-transparent border-b ${t.border} outline-none font-mono text-[10px] ${t.textPrimary}`} />
+          </label>
+          <textarea value={parser.layout} onChange={e => setParser({ layout: e.target.value })} rows={5} spellCheck={false} className={textarea} />
+          <label className={row}>Checksum
+            <select value={parser.checksum} onChange={e => setParser({ checksum: e.target.value })} className={select}>
+              {CHECKSUM_TYPES.map(c => <option key={c.id} value={c.id} className="text-black">{c.label}</option>)}
+            </select>
+          </label>
+          {parser.checksum !== 'none' && (
+            <label className={`flex items-center gap-2 text-[10px] ${t.textSecondary} cursor-pointer`}>
+              <input type="checkbox" checked={parser.checksumSync} onChange={e => setParser({ checksumSync: e.target.checked })} /> Checksum covers the sync bytes
+            </label>
+          )}
+          {frameLength > 0 && <div className={`text-[10px] ${t.textTertiary}`}>Frame: {frameLength} bytes{parser.checksum === 'crc16' ? ', CRC low byte first' : ''}.</div>}
+        </div>
+      )}
+      {error && <div className="text-[10px] text-rose-500 font-mono whitespace-pre-wrap break-all">{error}</div>}
+      {mode.hint && <div className={`text-[10px] ${t.textTertiary}`}>{mode.hint}</div>}
+    </div>
+  );
+};
+
+export default PlotParserSettings;
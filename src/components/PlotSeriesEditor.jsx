@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Plus, X, Eye, EyeOff, ChevronDown, ChevronRight } from 'lucide-react';
+import { MAX_SERIES_PRECISION, isAutoDetect } from '../lib/series';
+
+// --- Component: Plot series editor (plotter settings) ---
+// One row per series: color, visibility, name and source (keyword, key, group, path or column, depending
+// on the parser); a row expands into the unit, the decimals shown, the scale/offset applied to displayed
+// values and a manual Y range for per-series scaling. Series are positional, so removing one shifts the
+// values of those after it.
+const PlotSeriesEditor = ({ t, seriesConfig, parserMode, updateSeries, addSeries, removeSeries }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const field = `bg-transparent border-b ${t.border} outline-none`;
+
+  return (
+    <div className="space-y-2">
+      <div className="max-h-60 overflow-y-auto custom-scrollbar space-y-2 pr-1">
+        {seriesConfig.map((conf, i) => {
+          const isExpanded = expandedId === conf.id;
+          return (
+            <div key={conf.id}>
+              <div className="flex items-center gap-2 text-[11px]">
+                <button onClick={() => setExpandedId(isExpanded ? null : conf.id)} className={t.textTertiary}>{isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}</button>
+                <input type="color" value={conf.color} onChange={e => updateSeries(conf.id, { color: e.target.value })} title="Color" className="size-4 flex-none p-0 border-0 bg-transparent cursor-pointer" />
+                <button onClick={() => updateSeries(conf.id, { visible: !conf.visible })}>{conf.visible ? <Eye size={12} style={{ color: conf.color }} /> : <EyeOff size={12} className={t.textTertiary} />}</button>
+                <input value={conf.name} onChange={e => updateSeries(conf.id, { name: e.target.value })} className={`w-16 ${field} ${t.textPrimary}`} placeholder="Name" />
+                <input value={conf.keyword} onChange={e => updateSeries(conf.id, { keyword: e.target.value })} className={`flex-1 min-w-0 ${field} ${t.textTertiary}`} placeholder={parserMode.source} title={parserMode.source} />
+                <button onClick={() => removeSeries(i)} title="Remove series" className={`${t.textTertiary} hover:text-rose-500`}><X size={12} /></button>
+              </div>
+              {isExpanded && (
+                <div className={`ml-5 mt-1.5 grid grid-cols-2 gap-x-3 gap-y-1.5 text-[10px] ${t.textSecondary}`}>
+                  <label className="flex items-center justify-between gap-1">Unit <input value={conf.unit} onChange={e => updateSeries(conf.id, { unit: e.target.value })} placeholder="V" className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                  <label className="flex items-center justify-between gap-1">Decimals <input type="number" min="0" max={MAX_SERIES_PRECISION} value={conf.precision} onChange={e => updateSeries(conf.id, { precision: e.target.value })} className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                  <label className="flex items-center justify-between gap-1" title="Shown value = raw × scale + offset">Scale × <input value={conf.scale} onChange={e => updateSeries(conf.id, { scale: e.target.value })} className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                  <label className="flex items-center justify-between gap-1" title="Shown value = raw × scale + offset">Offset + <input value={conf.offset} onChange={e => updateSeries(conf.id, { offset: e.target.value })} className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                  <label className="flex items-center justify-between gap-1" title="Per-Series Y scale: fixed bottom of this series' axis">Y min <input value={conf.yMin} onChange={e => updateSeries(conf.id, { yMin: e.target.value })} placeholder="auto" className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                  <label className="flex items-center justify-between gap-1" title="Per-Series Y scale: fixed top of this series' axis">Y max <input value={conf.yMax} onChange={e => updateSeries(conf.id, { yMax: e.target.value })} placeholder="auto" className={`w-12 text-right font-mono ${field} ${t.textPrimary}`} /></label>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <button onClick={addSeries} className={`w-full flex items-center justify-center gap-1 py-1.5 rounded-lg border border-dashed ${t.border} text-[10px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /> Add Series</button>
+      {parserMode.id === 'auto' && (
+        <div className={`text-[10px] ${t.textTertiary}`}>
+          {isAutoDetect(seriesConfig)
+            ? 'Auto-detect: the numbers in a line feed the series in order, and a line with more numbers adds series.'
+            : 'Each series with a keyword takes the number after it.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlotSeriesEditor;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { X, Circle } from 'lucide-react';
+import { RECORD_FORMATS, RECORD_ROTATIONS, RECORD_COMMIT_MS, RECORD_COMMIT_BYTES, formatRecordSize, isRecordingSupported } from '../lib/logRecorder';
+
+// --- Component: Record to file dialog ---
+// Picks the format and rotation; Start opens the file (or, when rotating, folder) picker.
+// Every session is recorded into the same file, tagged with its session name.
+const RecordDialog = ({ t, options, setOptions, onStart, onClose }) => {
+  const update = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+  const supported = isRecordingSupported();
+  const inputClass = `w-16 px-2 py-1 rounded-md border ${t.border} ${t.inputBg} ${t.textPrimary} text-[11px] font-mono outline-none text-right`;
+
+  return (
+    <div className={`absolute inset-0 z-[100] flex items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200`}>
+      <div className={`w-[380px] ${t.windowBg} border ${t.border} rounded-2xl shadow-2xl overflow-hidden`}>
+        <div className={`px-5 py-3 border-b ${t.border} flex items-center justify-between ${t.panelBg}`}>
+          <h3 className={`text-xs font-bold uppercase tracking-widest ${t.textPrimary}`}>Record to File</h3>
+          <button onClick={onClose} className={t.textTertiary}><X size={16} /></button>
+        </div>
+        <div className="p-5 space-y-4">
+          <div>
+            <label className={`text-[10px] font-bold uppercase ${t.textTertiary} mb-1.5 block`}>Format</label>
+            <div className="flex gap-1">
+              {RECORD_FORMATS.map(f => (
+                <button key={f.id} onClick={() => update('format', f.id)} className={`flex-1 px-1 py-1.5 rounded-md text-[9px] font-bold border transition-colors ${options.format === f.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{f.label}</button>
+              ))}
+            </div>
+          </div>
+          {options.format === 'text' && (
+            <div className="flex gap-4">
+              <label className={`flex items-center gap-1.5 text-[10px] font-bold ${t.textSecondary} cursor-pointer`}><input type="checkbox" checked={!!options.timestamps} onChange={e => update('timestamps', e.target.checked)} className="accent-emerald-500" /> Timestamps</label>
+              <label className={`flex items-center gap-1.5 text-[10px] font-bold ${t.textSecondary} cursor-pointer`}><input type="checkbox" checked={!!options.direction} onChange={e => update('direction', e.target.checked)} className="accent-emerald-500" /> Direction Markers</label>
+            </div>
+          )}
+          <div>
+            <label className={`text-[10px] font-bold uppercase ${t.textTertiary} mb-1.5 block`}>Rotation</label>
+            <div className="flex gap-1">
+              {RECORD_ROTATIONS.map(r => (
+                <button key={r.id} onClick={() => update('rotation', r.id)} className={`flex-1 px-1 py-1.5 rounded-md text-[9px] font-bold border transition-colors ${options.rotation === r.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{r.label}</button>
+              ))}
+            </div>
+            {options.rotation === 'size' && <label className={`mt-2 flex items-center gap-2 text-[10px] ${t.textSecondary}`}>New file every <input type="number" min="1" value={options.rotateMb ?? ''} onChange={e => update('rotateMb', e.target.value)} className={inputClass} /> MB</label>}
+            {options.rotation === 'time' && <label className={`mt-2 flex items-center gap-2 text-[10px] ${t.textSecondary}`}>New file every <input type="number" min="1" value={options.rotateMinutes ?? ''} onChange={e => update('rotateMinutes', e.target.value)} className={inputClass} /> min</label>}
+            <div className={`mt-2 text-[10px] ${t.textTertiary}`}>{options.rotation === 'none' ? 'You choose the file; everything goes into it.' : 'You choose a folder; numbered, time-stamped files are created in it.'} Data is committed to disk every {RECORD_COMMIT_MS / 1000} s while a file is small, less often as it grows past {formatRecordSize(RECORD_COMMIT_BYTES)} (each commit rewrites the file), and whenever a file is closed.</div>
+          </div>
+          {!supported && <div className="text-[10px] text-amber-500">This browser cannot write files directly (File System Access API). Use Chrome or Edge.</div>}
+          <div className="flex justify-end gap-2 pt-2">
+            <button onClick={onClose} className={`px-4 py-2 rounded-lg border ${t.border} ${t.textSecondary} hover:${t.hoverBg} text-xs font-bold`}>Cancel</button>
+            <button onClick={onStart} disabled={!supported} className={`flex items-center gap-1.5 px-4 py-2 rounded-lg bg-rose-500 text-white text-xs font-bold hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed`}><Circle size={10} fill="currentColor" /> Start Recording</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordDialog;
@@ -0,0 +1,196 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Play, Square, Plus, Trash2, X, Code, HelpCircle } from 'lucide-react';
+import { encodeText } from '../lib/charsets';
+import { SCRIPT_API_HELP, MAX_SCRIPT_OUTPUT_LINES, startScript } from '../lib/scriptRunner';
+
+const STATUS_STYLES = {
+  running: 'text-amber-500 border-amber-500/50',
+  pass: 'text-emerald-500 border-emerald-500/50',
+  fail: 'text-rose-500 border-rose-500/50',
+  stopped: 'text-zinc-500 border-zinc-500/50',
+};
+
+const OUTPUT_STYLES = { info: '', warn: 'text-amber-500', pass: 'text-emerald-500', fail: 'text-rose-500' };
+
+const timeStamp = () => new Date().toLocaleTimeString('en-GB', { hour12: false });
+
+// --- Component: Script Console ---
+// User scripts run in a worker (see lib/scriptRunner); one script runs at a time.
+const ScriptPanel = ({ t, scripts, setScripts, isConnected, isReconnecting, encoding, writeBytes, subscribeRx, seriesConfig, onPlot, onClose }) => {
+  const [activeId, setActiveId] = useState(scripts[0]?.id ?? null);
+  const [runs, setRuns] = useState({});
+  const [runningId, setRunningId] = useState(null);
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const runnerRef = useRef(null);
+  const outputRef = useRef(null);
+  const heldRef = useRef(false);
+
+  const active = scripts.find(s => s.id === activeId) || scripts[0] || null;
+  const run = active ? runs[active.id] : null;
+
+  const appendOutput = useCallback((id, level, text) => {
+    setRuns(prev => {
+      const current = prev[id] || { output: [] };
+      return { ...prev, [id]: { ...current, output: [...current.output, { level, text, time: timeStamp() }].slice(-MAX_SCRIPT_OUTPUT_LINES) } };
+    });
+  }, []);
+
+  // Forward raw RX to the running script only.
+  useEffect(() => {
+    if (!runningId) return;
+    return subscribeRx((chunk) => runnerRef.current?.pushRx(chunk));
+  }, [runningId, subscribeRx]);
+
+  useEffect(() => () => runnerRef.current?.stop(), []);
+
+  // Auto-reconnect in progress: freeze expect() timeouts and pick up where the script left off.
+  useEffect(() => {
+    const runner = runnerRef.current;
+    if (!runningId || !runner) { heldRef.current = false; return; }
+    if (isReconnecting && !heldRef.current) {
+      heldRef.current = true;
+      runner.hold();
+    } else if (!isReconnecting && heldRef.current) {
+      heldRef.current = false;
+      runner.resume();
+    }
+  }, [isReconnecting, runningId]);
+
+  useEffect(() => {
+    if (outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight;
+  }, [run?.output?.length]);
+
+  const plotByName = (id, name, value) => {
+    const byName = seriesConfig.findIndex(s => (s.name || '').toLowerCase() === name.toLowerCase());
+    const idx = byName >= 0 ? byName : (/^\d+$/.test(name) ? parseInt(name) : -1);
+    if (idx < 0 || idx >= seriesConfig.length) { appendOutput(id, 'warn', `plot(): no series named "${name}"`); return; }
+    const sample = seriesConfig.map(() => null);
+    sample[idx] = value;
+    onPlot(sample);
+  };
+
+  const runScript = () => {
+    if (!active || runningId) return;
+    const id = active.id;
+    const startedAt = Date.now();
+    setRuns(prev => ({ ...prev, [id]: { status: 'running', startedAt, output: [{ level: 'info', text: `▶ ${active.name}`, time: timeStamp() }] } }));
+    setRunningId(id);
+    runnerRef.current = startScript({
+      code: active.code,
+      encoding,
+      onSend: (data) => (typeof data === 'string'
+        ? writeBytes(encodeText(data, encoding), data.replace(/\r?\n$/, ''))
+        : writeBytes(data)),
+      onLog: (level, text) => appendOutput(id, level, text),
+      onPlot: (name, value) => plotByName(id, name, value),
+      onDone: ({ ok, stopped, message }) => {
+        runnerRef.current = null;
+        setRunningId(null);
+        const status = stopped ? 'stopped' : ok ? 'pass' : 'fail';
+        const duration = Date.now() - startedAt;
+        setRuns(prev => {
+          const current = prev[id] || { output: [] };
+          const line = { level: stopped ? 'warn' : status, text: `${status.toUpperCase()} in ${duration} ms${message ? ` - ${message}` : ''}`, time: timeStamp() };
+          return { ...prev, [id]: { ...current, status, duration, output: [...current.output, line].slice(-MAX_SCRIPT_OUTPUT_LINES) } };
+        });
+      },
+    });
+  };
+
+  const stopScript = () => runnerRef.current?.stop();
+
+  const updateActive = (patch) => setScripts(prev => prev.map(s => (s.id === active.id ? { ...s, ...patch } : s)));
+
+  const addScript = () => {
+    const id = `script-${Date.now().toString(36)}`;
+    setScripts(prev => [...prev, { id, name: `Script ${prev.length + 1}`, code: "await send('AT\\r\\n');\nawait expect('OK', 1000);\nlog('device alive');\n" }]);
+    setActiveId(id);
+  };
+
+  const deleteActive = () => {
+    if (!active || active.id === runningId) return;
+    const rest = scripts.filter(s => s.id !== active.id);
+    setScripts(rest);
+    setActiveId(rest[0]?.id ?? null);
+  };
+
+  const handleEditorKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); runScript(); return; }
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      const el = e.target;
+      const { selectionStart: start, selectionEnd: end } = el;
+      updateActive({ code: `${el.value.slice(0, start)}  ${el.value.slice(end)}` });
+      requestAnimationFrame(() => { el.selectionStart = el.selectionEnd = start + 2; });
+    }
+  };
+
+  const labelClass = `text-[9px] font-bold uppercase ${t.textTertiary}`;
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className={`h-8 px-4 flex items-center justify-between ${t.panelBg} border-b ${t.border} flex-none`}>
+        <div className="flex items-center gap-2"><Code size={12} className={t.textTertiary} /><span className={`text-[10px] font-bold uppercase ${t.textSecondary}`}>Script Console</span></div>
+        <div className="flex items-center gap-3">
+          {run?.status && <span className={`text-[9px] font-bold border rounded px-1.5 ${STATUS_STYLES[run.status]}`}>{run.status.toUpperCase()}{run.duration !== undefined && run.status !== 'running' ? ` ${run.duration} ms` : ''}</span>}
+          {runningId ? (
+            <button onClick={stopScript} className="flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-rose-500 border-rose-500 bg-rose-500/10"><Square size={10} fill="currentColor" /> STOP</button>
+          ) : (
+            <button onClick={runScript} disabled={!active} title={isConnected ? 'Run (Ctrl+Enter)' : 'Run (port is offline: send() will fail)'} className={`flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold transition-colors disabled:opacity-50 ${isConnected ? 'text-emerald-500 border-emerald-500 bg-emerald-500/10' : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}><Play size={10} fill="currentColor" /> RUN</button>
+          )}
+          <button onClick={() => setIsHelpOpen(!isHelpOpen)} className={`${isHelpOpen ? t.textPrimary : t.textTertiary} hover:${t.textPrimary}`}><HelpCircle size={12} /></button>
+          <button onClick={onClose} className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+        </div>
+      </div>
+      <div className="flex-1 min-h-0 flex">
+        <div className={`w-40 flex-none border-r ${t.border} flex flex-col min-h-0`}>
+          <div className="flex-1 overflow-y-auto custom-scrollbar p-1.5 space-y-0.5">
+            {scripts.map(s => (
+              <button key={s.id} onClick={() => setActiveId(s.id)} className={`w-full flex items-center gap-1.5 text-left px-2 py-1 rounded-md text-[10px] font-medium truncate transition-colors ${active?.id === s.id ? `${t.accentFill} ${t.accentText}` : `${t.textSecondary} hover:${t.hoverBg}`}`}>
+                {runs[s.id]?.status && <span className={`size-1.5 rounded-full flex-none ${runs[s.id].status === 'pass' ? 'bg-emerald-500' : runs[s.id].status === 'fail' ? 'bg-rose-500' : runs[s.id].status === 'running' ? 'bg-amber-500 animate-pulse' : 'bg-zinc-500'}`} />}
+                <span className="truncate">{s.name}</span>
+              </button>
+            ))}
+          </div>
+          <div className={`flex border-t ${t.border}`}>
+            <button onClick={addScript} className={`flex-1 flex items-center justify-center gap-1 py-1 text-[9px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /> NEW</button>
+            <button onClick={deleteActive} disabled={!active || active.id === runningId} className={`flex-1 flex items-center justify-center gap-1 py-1 text-[9px] font-bold ${t.textTertiary} hover:text-rose-500 disabled:opacity-40`}><Trash2 size={10} /> DELETE</button>
+          </div>
+        </div>
+        {active ? (
+          <div className="flex-1 min-w-0 flex flex-col">
+            <div className={`flex items-center gap-2 px-3 py-1 border-b ${t.border}`}>
+              <span className={labelClass}>Name</span>
+              <input value={active.name} onChange={e => updateActive({ name: e.target.value })} className={`flex-1 bg-transparent text-[11px] font-medium outline-none ${t.textPrimary}`} />
+            </div>
+            {isHelpOpen && (
+              <div className={`px-3 py-2 border-b ${t.border} grid grid-cols-[max-content_1fr] gap-x-3 gap-y-0.5 text-[10px]`}>
+                {SCRIPT_API_HELP.map(([sig, desc]) => (
+                  <React.Fragment key={sig}><span className={`font-mono ${t.textPrimary}`}>{sig}</span><span className={t.textTertiary}>{desc}</span></React.Fragment>
+                ))}
+              </div>
+            )}
+            <textarea
+              value={active.code}
+              onChange={e => updateActive({ code: e.target.value })}
+              onKeyDown={handleEditorKeyDown}
+              spellCheck={false}
+              readOnly={active.id === runningId}
+              className={`flex-1 min-h-0 p-3 bg-transparent font-mono text-[11px] leading-relaxed outline-none resize-none custom-scrollbar ${t.textPrimary}`}
+            />
+          </div>
+        ) : (
+          <div className={`flex-1 flex items-center justify-center text-[10px] ${t.textTertiary}`}>No scripts</div>
+        )}
+        <div ref={outputRef} className={`w-1/3 flex-none border-l ${t.border} overflow-y-auto custom-scrollbar p-2 font-mono text-[10px] leading-relaxed`}>
+          {(run?.output || []).map((line, i) => (
+            <div key={i} className={`whitespace-pre-wrap break-all ${OUTPUT_STYLES[line.level] || ''} ${line.level === 'info' ? t.textSecondary : ''}`}><span className={`${t.textTertiary} opacity-60 mr-2`}>{line.time}</span>{line.text}</div>
+          ))}
+          {!run && <div className={t.textTertiary}>Output of the selected script appears here.</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScriptPanel;
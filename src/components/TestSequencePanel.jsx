@@ -0,0 +1,170 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Play, Square, Plus, Trash2, X, ListChecks, ArrowUp, ExternalLink, FileText } from 'lucide-react';
+import { MATCH_MODES, DEFAULT_TEST_STEP, runTestSequence, summarizeTestRun, createTestId, createTestRunRecord } from '../lib/testSequence';
+
+const STATUS_STYLES = {
+  pass: 'text-emerald-500',
+  fail: 'text-rose-500',
+  skipped: 'text-zinc-500',
+  running: 'text-amber-500 animate-pulse',
+};
+
+// --- Component: Test Sequence Runner ---
+// Steps are persisted with the sequence; results live in the report until it is cleared.
+const TestSequencePanel = ({ t, sequences, setSequences, isConnected, encoding, sendCommand, subscribeRx, onRunComplete, reportRunCount, onClearReport, onViewReport, onExportPdf, onClose }) => {
+  const [activeId, setActiveId] = useState(sequences[0]?.id ?? null);
+  const [results, setResults] = useState({});
+  const [runningStepId, setRunningStepId] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [stopOnFail, setStopOnFail] = useState(false);
+  const tokenRef = useRef(null);
+
+  const active = sequences.find(s => s.id === activeId) || sequences[0] || null;
+  const steps = active?.steps || [];
+
+  useEffect(() => () => { if (tokenRef.current) tokenRef.current.cancelled = true; }, []);
+
+  const updateActive = (patch) => setSequences(prev => prev.map(s => (s.id === active.id ? { ...s, ...patch } : s)));
+  const updateStep = (id, patch) => updateActive({ steps: steps.map(st => (st.id === id ? { ...st, ...patch } : st)) });
+  const addStep = () => updateActive({ steps: [...steps, { ...DEFAULT_TEST_STEP, id: createTestId('step') }] });
+  const removeStep = (id) => updateActive({ steps: steps.filter(st => st.id !== id) });
+  const moveStepUp = (idx) => {
+    if (idx === 0) return;
+    const next = [...steps];
+    [next[idx - 1], next[idx]] = [next[idx], next[idx - 1]];
+    updateActive({ steps: next });
+  };
+
+  const addSequence = () => {
+    const id = createTestId('seq');
+    setSequences(prev => [...prev, { id, name: `Sequence ${prev.length + 1}`, steps: [{ ...DEFAULT_TEST_STEP, id: createTestId('step') }] }]);
+    setActiveId(id);
+  };
+
+  const deleteActive = () => {
+    if (!active || isRunning) return;
+    const rest = sequences.filter(s => s.id !== active.id);
+    setSequences(rest);
+    setActiveId(rest[0]?.id ?? null);
+  };
+
+  const run = async () => {
+    if (!active || isRunning || !steps.length) return;
+    const token = { cancelled: false };
+    tokenRef.current = token;
+    setIsRunning(true);
+    setResults({});
+    const startedAt = new Date();
+    const stepQueue = [...steps];
+    setRunningStepId(stepQueue[0]?.id ?? null);
+    const runResults = await runTestSequence({
+      steps: stepQueue,
+      send: (step) => sendCommand(step.command, step.hex),
+      subscribeRx,
+      encoding,
+      token,
+      stopOnFail,
+      onStepResult: (result) => {
+        setResults(prev => ({ ...prev, [result.stepId]: result }));
+        const nextIdx = stepQueue.findIndex(st => st.id === result.stepId) + 1;
+        setRunningStepId(stepQueue[nextIdx]?.id ?? null);
+      },
+    });
+    tokenRef.current = null;
+    setIsRunning(false);
+    setRunningStepId(null);
+    onRunComplete(createTestRunRecord(active.name, startedAt, runResults));
+  };
+
+  const stop = () => { if (tokenRef.current) tokenRef.current.cancelled = true; };
+
+  const finished = steps.map(st => results[st.id]).filter(Boolean);
+  const summary = finished.length ? summarizeTestRun(finished) : null;
+  const cellInput = `w-full bg-transparent text-[11px] font-mono outline-none ${t.textPrimary} border-b border-dashed border-neutral-500/30`;
+  const labelClass = `text-[9px] font-bold uppercase ${t.textTertiary}`;
+
+  return (
+    <div className="flex flex-col h-full min-h-0">
+      <div className={`h-8 px-4 flex items-center justify-between ${t.panelBg} border-b ${t.border} flex-none`}>
+        <div className="flex items-center gap-2"><ListChecks size={12} className={t.textTertiary} /><span className={`text-[10px] font-bold uppercase ${t.textSecondary}`}>Test Sequence</span></div>
+        <div className="flex items-center gap-3">
+          {summary && <span className={`text-[10px] font-mono font-bold ${summary.failed ? 'text-rose-500' : 'text-emerald-500'}`}>{summary.passed}/{steps.length} PASS{summary.avgLatencyMs !== null ? ` · avg ${summary.avgLatencyMs} ms` : ''}</span>}
+          <label className={`flex items-center gap-1 ${labelClass} cursor-pointer`}><input type="checkbox" checked={stopOnFail} onChange={e => setStopOnFail(e.target.checked)} className="accent-emerald-500" /> Stop on fail</label>
+          {isRunning ? (
+            <button onClick={stop} className="flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-rose-500 border-rose-500 bg-rose-500/10"><Square size={10} fill="currentColor" /> STOP</button>
+          ) : (
+            <button onClick={run} disabled={!isConnected || !steps.length} className="flex items-center gap-1 px-2 py-0.5 rounded-md border text-[9px] font-bold text-emerald-500 border-emerald-500 bg-emerald-500/10 disabled:opacity-50 disabled:cursor-not-allowed"><Play size={10} fill="currentColor" /> RUN</button>
+          )}
+          <div className={`h-4 w-px ${t.border} border-l`}></div>
+          <span className={labelClass}>Report ({reportRunCount})</span>
+          <button onClick={onViewReport} disabled={!reportRunCount} title="View HTML Report" className={`${t.textTertiary} hover:${t.textPrimary} disabled:opacity-40`}><ExternalLink size={12} /></button>
+          <button onClick={onExportPdf} disabled={!reportRunCount} title="Export PDF" className={`${t.textTertiary} hover:${t.textPrimary} disabled:opacity-40`}><FileText size={12} /></button>
+          <button onClick={onClearReport} disabled={!reportRunCount} title="Clear Test Results" className={`${t.textTertiary} hover:text-rose-500 disabled:opacity-40`}><Trash2 size={12} /></button>
+          <button onClick={onClose} className={`${t.textTertiary} hover:${t.textPrimary}`}><X size={12} /></button>
+        </div>
+      </div>
+      <div className={`flex items-center gap-1 px-3 py-1.5 border-b ${t.border} flex-none overflow-x-auto`}>
+        {sequences.map(s => (
+          <button key={s.id} onClick={() => !isRunning && setActiveId(s.id)} className={`px-2 py-0.5 rounded-md text-[9px] font-bold border whitespace-nowrap transition-colors ${active?.id === s.id ? `${t.accentFill} ${t.accentText} border-transparent` : `${t.border} ${t.textTertiary} hover:${t.textSecondary}`}`}>{s.name}</button>
+        ))}
+        <button onClick={addSequence} disabled={isRunning} className={`px-1.5 py-0.5 rounded-md border ${t.border} ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /></button>
+        {active && (
+          <>
+            <input value={active.name} onChange={e => updateActive({ name: e.target.value })} className={`ml-auto w-40 bg-transparent text-[11px] font-medium outline-none text-right ${t.textPrimary} border-b border-dashed border-neutral-500/30`} />
+            <button onClick={deleteActive} disabled={isRunning} title="Delete Sequence" className={`${t.textTertiary} hover:text-rose-500 disabled:opacity-40`}><Trash2 size={12} /></button>
+          </>
+        )}
+      </div>
+      <div className="flex-1 min-h-0 overflow-y-auto custom-scrollbar">
+        <table className="w-full text-[11px]">
+          <thead className={`sticky top-0 ${t.panelBg}`}>
+            <tr className={labelClass}>
+              <th className="w-6 py-1">#</th>
+              <th className="text-left px-2">Command</th>
+              <th className="w-10">Hex</th>
+              <th className="text-left px-2">Expect</th>
+              <th className="w-20">Match</th>
+              <th className="w-16">Timeout</th>
+              <th className="w-12">Retry</th>
+              <th className="w-16">Result</th>
+              <th className="w-16 text-right px-2">Latency</th>
+              <th className="text-left px-2">Response</th>
+              <th className="w-12"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {steps.map((st, idx) => {
+              const r = results[st.id];
+              const status = runningStepId === st.id ? 'running' : r?.status;
+              return (
+                <tr key={st.id} className={`border-t ${t.border} group`}>
+                  <td className={`text-center font-mono ${t.textTertiary}`}>{idx + 1}</td>
+                  <td className="px-2 py-1"><input value={st.command} onChange={e => updateStep(st.id, { command: e.target.value })} disabled={isRunning} className={cellInput} /></td>
+                  <td className="text-center"><input type="checkbox" checked={!!st.hex} onChange={e => updateStep(st.id, { hex: e.target.checked })} disabled={isRunning} className="accent-emerald-500" /></td>
+                  <td className="px-2"><input value={st.expect} onChange={e => updateStep(st.id, { expect: e.target.value })} disabled={isRunning} placeholder="any reply" className={cellInput} /></td>
+                  <td className="text-center">
+                    <select value={st.match} onChange={e => updateStep(st.id, { match: e.target.value })} disabled={isRunning} className={`bg-transparent outline-none text-[10px] ${t.textPrimary} cursor-pointer`}>
+                      {MATCH_MODES.map(m => <option key={m.id} value={m.id} className="text-black">{m.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-1"><input type="number" min="1" value={st.timeoutMs} onChange={e => updateStep(st.id, { timeoutMs: e.target.value })} disabled={isRunning} className={`${cellInput} text-center`} /></td>
+                  <td className="px-1"><input type="number" min="0" value={st.retries} onChange={e => updateStep(st.id, { retries: e.target.value })} disabled={isRunning} className={`${cellInput} text-center`} /></td>
+                  <td className={`text-center font-bold text-[10px] ${STATUS_STYLES[status] || t.textTertiary}`}>{status ? status.toUpperCase() : '--'}{r?.attempts > 1 ? ` ×${r.attempts}` : ''}</td>
+                  <td className={`text-right px-2 font-mono ${t.textSecondary}`}>{r?.latencyMs != null ? `${r.latencyMs} ms` : ''}</td>
+                  <td className={`px-2 font-mono truncate max-w-[200px] ${r?.status === 'fail' ? 'text-rose-500' : t.textSecondary}`} title={r ? (r.error || r.response) : ''}>{r ? (r.error ? `${r.error}${r.response ? `: ${r.response}` : ''}` : r.response) : ''}</td>
+                  <td className="text-right px-2 whitespace-nowrap opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button onClick={() => moveStepUp(idx)} disabled={isRunning} className={`${t.textTertiary} hover:${t.textPrimary} mr-1`}><ArrowUp size={11} /></button>
+                    <button onClick={() => removeStep(st.id)} disabled={isRunning} className={`${t.textTertiary} hover:text-rose-500`}><Trash2 size={11} /></button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {active && <button onClick={addStep} disabled={isRunning} className={`m-2 flex items-center gap-1 px-2 py-1 rounded-md border border-dashed ${t.border} text-[9px] font-bold ${t.textTertiary} hover:${t.textPrimary}`}><Plus size={10} /> ADD STEP</button>}
+      </div>
+    </div>
+  );
+};
+
+export default TestSequencePanel;
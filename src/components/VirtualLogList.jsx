@@ -0,0 +1,100 @@
+import React, { useState, useRef, useMemo, useCallback, useLayoutEffect } from 'react';
+
+// Rows kept mounted above and below the viewport, in px.
+const OVERSCAN_PX = 600;
+
+// Returns the previous object when nothing moved, so React skips the render.
+const readViewport = (el) => (prev) => (
+  prev.top === el.scrollTop && prev.height === el.clientHeight ? prev : { top: el.scrollTop, height: el.clientHeight }
+);
+
+// First index whose row ends below `y`.
+const findRow = (offsets, y) => {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= y) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+// --- Component: Windowed log list ---
+// Only rows in and around the viewport are mounted; two spacers stand in for the rest.
+// Row heights (wrapped lines, expanded decoder fields) are measured once rendered and estimated until then.
+// With `stickToBottom` the list follows new rows, as the plain log did with AutoScroll; a new `focusItem`
+// is scrolled to the middle of the view once.
+const VirtualLogList = ({ items, renderItem, estimateHeight = 36, header, placeholder, stickToBottom, focusItem = null, className }) => {
+  const containerRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  // Measured heights by entry object, so evicted entries are forgotten with them. The map itself never
+  // changes; the wrapping object is replaced to re-render after a measurement.
+  const [measured, setMeasured] = useState(() => ({ heights: new WeakMap() }));
+  const [rowObserver] = useState(() => new ResizeObserver((records) => {
+    let changed = false;
+    for (const r of records) {
+      const item = r.target.__logItem;
+      const h = r.borderBoxSize?.[0]?.blockSize ?? r.target.offsetHeight;
+      if (item && measured.heights.get(item) !== h) { measured.heights.set(item, h); changed = true; }
+    }
+    if (changed) setMeasured(prev => ({ heights: prev.heights }));
+  }));
+
+  const bindContainer = useCallback((el) => {
+    containerRef.current = el;
+    if (!el) return undefined;
+    const observer = new ResizeObserver(() => setViewport(readViewport(el)));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const offsets = useMemo(() => {
+    const out = new Float64Array(items.length + 1);
+    for (let i = 0; i < items.length; i++) out[i + 1] = out[i] + (measured.heights.get(items[i]) ?? estimateHeight);
+    return out;
+  }, [items, measured, estimateHeight]);
+
+  const total = offsets[items.length];
+  const start = items.length ? findRow(offsets, viewport.top - OVERSCAN_PX) : 0;
+  const end = items.length ? Math.min(items.length, findRow(offsets, viewport.top + viewport.height + OVERSCAN_PX) + 1) : 0;
+
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    if (stickToBottom && el) el.scrollTop = el.scrollHeight;
+  }, [stickToBottom, items, measured]);
+
+  const rowsRef = useRef(null);
+  const focusedRef = useRef(null);
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    if (!el || focusItem === focusedRef.current) return;
+    focusedRef.current = focusItem;
+    const index = focusItem ? items.indexOf(focusItem) : -1;
+    if (index < 0) return;
+    // Offsets count from the top of the rows, which sit below the padding and the header.
+    const rowsTop = rowsRef.current.getBoundingClientRect().top - el.getBoundingClientRect().top + el.scrollTop;
+    el.scrollTop = Math.max(0, rowsTop + offsets[index] - (el.clientHeight - (offsets[index + 1] - offsets[index])) / 2);
+  }, [focusItem, items, offsets]);
+
+  return (
+    <div ref={bindContainer} onScroll={e => setViewport(readViewport(e.currentTarget))} className={className}>
+      {header}
+      {items.length === 0 ? placeholder : (
+        <div ref={rowsRef} style={{ paddingTop: offsets[start], paddingBottom: total - offsets[end] }}>
+          {items.slice(start, end).map(item => (
+            <div key={item.id} className="pb-2" ref={(el) => {
+              if (!el) return undefined;
+              el.__logItem = item;
+              rowObserver.observe(el);
+              return () => rowObserver.unobserve(el);
+            }}>
+              {renderItem(item)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VirtualLogList;
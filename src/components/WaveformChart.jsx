@@ -0,0 +1,335 @@
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { Activity, Pause, Play, Ruler, ZoomOut } from 'lucide-react';
+import { plotNearestIndex, plotSample, plotTime } from '../lib/plotBuffer';
+import { PLOT_INSETS, LIVE_VIEW, plotTimeSpan, zoomView, overrideRange, measurePlot, buildPlotFrame, plotRanges, drawPlot, formatElapsed } from '../lib/plotRender';
+import { seriesValue, seriesPrecision, formatSeriesValue } from '../lib/series';
+
+// Arduino scaling follows a growing range at once and eases back when it shrinks.
+const SHRINK_ALPHA = 0.05;
+// Zoom per wheel notch, and how close (CSS px) a press must land to a measurement cursor to drag it.
+const WHEEL_ZOOM = 1.25;
+const MARKER_GRAB_PX = 6;
+
+// A measured value, already in shown units.
+const formatShown = (conf, v) => (v === null ? '--' : v.toFixed(seriesPrecision(conf)));
+
+const formatDelta = (ms) => (Math.abs(ms) < 1000 ? `${Number(ms.toFixed(3))}ms` : formatElapsed(ms, 3));
+
+// --- Component: Multi-Series Waveform Chart ---
+// Canvas plot of the session's sample history (see lib/plotBuffer) against elapsed time. Each redraw costs
+// one pass over the visible samples and then a few points per pixel column, whatever the depth.
+// The wheel zooms the time axis and dragging pans it, which holds the view while new samples keep arriving;
+// the scrub bar then scrolls back through the history. Two measurement cursors (A/B) measure the time
+// between them and each series' values over it. `yRange` { min, max } fixes the shared Arduino axis;
+// series fix their own per-series axes (yMin / yMax).
+// The canvas carries an id so snapshots can copy it.
+const WaveformChart = ({ plot, seriesConfig, scaleMode = 'per-series', windowMs = 0, yRange = null, isDark }) => {
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    const [hoverX, setHoverX] = useState(null); // CSS px from the left edge of the plot area
+    const [view, setView] = useState(LIVE_VIEW); // zoom / scroll: see lib/plotRender
+    const [markers, setMarkers] = useState(null); // measurement cursor times { a, b }, or null when off
+    const canvasRef = useRef(null);
+    const hoverRafRef = useRef(0);
+    const pendingHoverRef = useRef(null);
+    const smoothRef = useRef(null);
+    const dragRef = useRef(null); // { target: 'pan' | 'a' | 'b', x, span } while the pointer is held down
+    const wheelRef = useRef(null);
+
+    const span = useMemo(() => plotTimeSpan(plot, windowMs, view), [plot, windowMs, view]);
+    const isLive = view.end === null;
+    const plotWidth = Math.max(1, size.width - PLOT_INSETS.left - PLOT_INSETS.right);
+    const toPx = (time) => ((time - span.t0) / (span.t1 - span.t0)) * plotWidth;
+    const hoverTime = span && hoverX !== null ? span.t0 + (hoverX / plotWidth) * (span.t1 - span.t0) : null;
+    const hoverIndex = hoverTime === null ? -1 : plotNearestIndex(plot, hoverTime);
+    const hoverData = useMemo(() => (hoverIndex >= 0 ? plotSample(plot, hoverIndex) : null), [plot, hoverIndex]);
+    const measurements = useMemo(() => (markers ? measurePlot(plot, seriesConfig, markers.a, markers.b) : null), [plot, seriesConfig, markers]);
+
+    const bindContainer = useCallback((el) => {
+        if (!el) return undefined;
+        const observer = new ResizeObserver(() => setSize(prev => (
+            prev.width === el.clientWidth && prev.height === el.clientHeight ? prev : { width: el.clientWidth, height: el.clientHeight }
+        )));
+        observer.observe(el);
+        // Not a React onWheel: that listener is passive, and the page must not scroll while zooming.
+        const onWheel = (e) => wheelRef.current?.(e, el);
+        el.addEventListener('wheel', onWheel, { passive: false });
+        return () => {
+            observer.disconnect();
+            el.removeEventListener('wheel', onWheel);
+        };
+    }, []);
+
+    useEffect(() => {
+        wheelRef.current = (e, el) => {
+            if (!span) return;
+            e.preventDefault();
+            const anchor = Math.min(1, Math.max(0, (e.clientX - el.getBoundingClientRect().left - PLOT_INSETS.left) / plotWidth));
+            const history = plotTime(plot, plot.end - 1) - plotTime(plot, plot.start);
+            setView(v => zoomView(v, span, e.deltaY > 0 ? WHEEL_ZOOM : 1 / WHEEL_ZOOM, anchor, Math.max(history, windowMs)));
+        };
+    });
+
+    useEffect(() => {
+        // Avoid leaving a pending rAF behind if the chart unmounts.
+        return () => {
+            if (hoverRafRef.current) cancelAnimationFrame(hoverRafRef.current);
+        };
+    }, []);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !span || !size.width || !size.height) return;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.round(size.width * dpr);
+        canvas.height = Math.round(size.height * dpr);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, size.width, size.height);
+
+        const box = {
+            x: PLOT_INSETS.left,
+            y: PLOT_INSETS.top,
+            width: plotWidth,
+            height: Math.max(1, size.height - PLOT_INSETS.top - PLOT_INSETS.bottom),
+        };
+        const frame = buildPlotFrame(plot, seriesConfig, span, Math.round(box.width));
+        let ranges = plotRanges(frame, scaleMode);
+        const shared = scaleMode === 'arduino' && ranges.find(Boolean);
+        if (shared) {
+            // Smooth once per new data, not on every hover redraw.
+            const prev = smoothRef.current;
+            let smooth = prev;
+            if (!prev || prev.plot !== plot || prev.scaleMode !== scaleMode) {
+                const base = prev?.scaleMode === scaleMode ? prev : shared;
+                const min = shared.min < base.min ? shared.min : base.min + (shared.min - base.min) * SHRINK_ALPHA;
+                let max = shared.max > base.max ? shared.max : base.max + (shared.max - base.max) * SHRINK_ALPHA;
+                if (max - min < 1e-9) max = min + 1;
+                smooth = { plot, scaleMode, min, max };
+                smoothRef.current = smooth;
+            }
+            const r = overrideRange({ min: smooth.min, max: smooth.max, range: smooth.max - smooth.min }, yRange?.min, yRange?.max);
+            ranges = ranges.map(x => x && r);
+        } else if (scaleMode !== 'arduino') {
+            ranges = ranges.map((r, idx) => overrideRange(r, seriesConfig[idx]?.yMin, seriesConfig[idx]?.yMax));
+        }
+
+        drawPlot(ctx, frame, ranges, {
+            ...box,
+            origin: plot.origin,
+            scaleMode,
+            colors: {
+                grid: isDark ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.12)',
+                label: isDark ? 'rgba(212,212,216,0.75)' : 'rgba(63,63,70,0.75)',
+                cursor: isDark ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.4)',
+                marker: isDark ? '#fbbf24' : '#d97706',
+            },
+            cursor: hoverData && {
+                time: hoverData.timestamp,
+                values: hoverData.values.map((v, idx) => (v === null || !seriesConfig[idx] ? null : seriesValue(seriesConfig[idx], v))),
+            },
+            markers: markers ? [{ time: markers.a, label: 'A' }, { time: markers.b, label: 'B' }] : [],
+        });
+    }, [plot, span, seriesConfig, scaleMode, yRange, size, plotWidth, hoverData, markers, isDark]);
+
+    const localX = (e) => e.clientX - e.currentTarget.getBoundingClientRect().left - PLOT_INSETS.left;
+
+    // A press on a measurement cursor drags it; anywhere else it pans.
+    const handlePointerDown = (e) => {
+        if (e.button !== 0 || !span) return;
+        const x = localX(e);
+        const grabbed = markers && ['a', 'b'].find(key => Math.abs(toPx(markers[key]) - x) <= MARKER_GRAB_PX);
+        dragRef.current = { target: grabbed || 'pan', x, span };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const x = localX(e);
+        const drag = dragRef.current;
+        if (drag) {
+            const { t0, t1 } = drag.span;
+            if (drag.target === 'pan') {
+                const shift = ((drag.x - x) / plotWidth) * (t1 - t0);
+                if (shift !== 0) setView({ width: t1 - t0, end: t1 + shift });
+            } else {
+                const time = t0 + (Math.min(plotWidth, Math.max(0, x)) / plotWidth) * (t1 - t0);
+                setMarkers(m => m && { ...m, [drag.target]: time });
+            }
+        }
+        // Throttle to rAF to avoid re-rendering the whole chart on every pointermove.
+        pendingHoverRef.current = Math.min(plotWidth, Math.max(0, x));
+        if (hoverRafRef.current) return;
+        hoverRafRef.current = requestAnimationFrame(() => {
+            hoverRafRef.current = 0;
+            setHoverX(pendingHoverRef.current);
+        });
+    };
+
+    const handlePointerUp = () => { dragRef.current = null; };
+
+    const handlePointerLeave = () => {
+        if (hoverRafRef.current) cancelAnimationFrame(hoverRafRef.current);
+        hoverRafRef.current = 0;
+        setHoverX(null);
+    };
+
+    // Measuring needs a still picture, so the cursors hold the view.
+    const toggleMarkers = () => {
+        if (markers) { setMarkers(null); return; }
+        const width = span.t1 - span.t0;
+        setMarkers({ a: span.t0 + width / 3, b: span.t0 + (width * 2) / 3 });
+        setView(v => ({ ...v, end: span.t1 }));
+    };
+
+    const hoverXPct = hoverData ? ((PLOT_INSETS.left + hoverX) / size.width) * 100 : 0;
+    // Latest values, or the ones at the right edge of a held view.
+    const lastPoint = span && !hoverData ? plotSample(plot, plotNearestIndex(plot, span.t1)) : null;
+    const nearMarker = markers && span && hoverX !== null && ['a', 'b'].some(key => Math.abs(toPx(markers[key]) - hoverX) <= MARKER_GRAB_PX);
+    const firstTime = span ? plotTime(plot, plot.start) : 0;
+    const lastTime = span ? plotTime(plot, plot.end - 1) : 0;
+    const markerDelta = markers ? markers.b - markers.a : 0;
+    const toolButton = 'flex items-center gap-1 px-1 py-0.5 rounded hover:bg-white/15';
+
+    return (
+        <div className="flex flex-col w-full h-full select-none bg-black/5 dark:bg-black/20 rounded-lg">
+            <div ref={bindContainer} className="relative flex-1 min-h-0">
+                {!span ? (
+                    <div className="flex flex-col items-center justify-center h-full opacity-30 relative z-10">
+                        <Activity size={32} strokeWidth={1} />
+                        <span className="mt-2 text-[10px] uppercase tracking-widest font-bold">No Signal</span>
+                        <span className="text-[9px] text-center max-w-[200px] mt-1">
+                            Configure keywords or send numbers like "25.5, 60"
+                        </span>
+                    </div>
+                ) : (
+                    <canvas
+                        id="waveform-chart-canvas"
+                        ref={canvasRef}
+                        className={`absolute inset-0 w-full h-full touch-none ${nearMarker ? 'cursor-ew-resize' : 'cursor-crosshair'}`}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        onPointerLeave={handlePointerLeave}
+                        onDoubleClick={() => setView(LIVE_VIEW)}
+                    />
+                )}
+
+                {/* View controls */}
+                {span && (
+                    <div className="absolute top-2 flex items-center gap-0.5 bg-black/60 backdrop-blur-md px-1 py-0.5 rounded border border-white/10 text-[9px] font-bold text-white z-20" style={{ left: PLOT_INSETS.left + 6 }}>
+                        <button onClick={() => setView(v => ({ ...v, end: isLive ? span.t1 : null }))} title={isLive ? 'Hold the view' : 'Back to live'} className={`${toolButton} ${isLive ? '' : 'text-amber-400'}`}>
+                            {isLive ? <Pause size={10} /> : <><Play size={10} /> HOLD</>}
+                        </button>
+                        {view.width !== null && <button onClick={() => setView(v => ({ ...v, width: null }))} title="Reset zoom (double-click the plot to reset and go live)" className={toolButton}><ZoomOut size={10} /></button>}
+                        <button onClick={toggleMarkers} title={markers ? 'Hide measurement cursors' : 'Measurement cursors (drag A / B)'} className={`${toolButton} ${markers ? 'text-amber-400' : ''}`}><Ruler size={10} /></button>
+                    </div>
+                )}
+
+                {/* Floating Tooltip */}
+                {hoverData && (
+                    <div
+                        className="absolute bg-zinc-900/95 backdrop-blur border border-white/10 rounded-lg p-2.5 shadow-2xl text-[10px] font-mono whitespace-nowrap z-50 pointer-events-none"
+                        style={{
+                            left: hoverXPct < 50 ? `calc(${hoverXPct}% + 16px)` : 'auto', // Offset from cursor
+                            right: hoverXPct >= 50 ? `calc(${100 - hoverXPct}% + 16px)` : 'auto',
+                            top: '10px',
+                        }}
+                    >
+                        <div className="text-zinc-400 mb-1.5 border-b border-white/10 pb-1 flex justify-between gap-4">
+                            <span>T+{formatElapsed(hoverData.timestamp - plot.origin, 3)}</span>
+                            <span>{new Date(hoverData.timestamp).toLocaleTimeString()}</span>
+                        </div>
+                        <div className="flex flex-col gap-1.5">
+                            {seriesConfig.map((conf, idx) => {
+                                if (!conf.visible) return null;
+                                const val = hoverData.values[idx];
+                                return (
+                                    <div key={idx} className="flex items-center gap-3">
+                                        <div className="flex items-center gap-1.5 w-16">
+                                            <div className="size-1.5 rounded-full" style={{ backgroundColor: conf.color }}></div>
+                                            <span className="text-zinc-300 truncate">{conf.name || `S${idx+1}`}</span>
+                                        </div>
+                                        <span className="font-bold text-white ml-auto font-mono text-xs">
+                                            {formatSeriesValue(conf, val)}
+                                        </span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+
+                {/* Legend: latest values */}
+                {lastPoint && (
+                    <div className="absolute top-2 right-4 bottom-6 flex flex-col flex-wrap-reverse gap-1 items-end content-start overflow-hidden pointer-events-none z-20">
+                        {seriesConfig.map((conf, idx) => {
+                            if (!conf.visible) return null;
+                            const lastVal = lastPoint.values[idx];
+                            return (
+                                <div key={idx} className="flex items-center gap-2 bg-black/60 backdrop-blur-md px-2 py-0.5 rounded text-[10px] font-mono shadow-sm border border-white/10">
+                                    <span className="opacity-80 text-[9px] uppercase tracking-wide text-white">{conf.name || `Series ${idx+1}`}</span>
+                                    <span className="font-bold" style={{ color: conf.color }}>
+                                        {formatSeriesValue(conf, lastVal)}
+                                    </span>
+                                    <div className="size-1.5 rounded-full" style={{ backgroundColor: conf.color }}></div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            {/* Scrub bar: where a held view sits in the history */}
+            {span && !isLive && (
+                <div className="flex-none flex items-center gap-2 px-2 pb-1 text-[9px] font-mono opacity-70">
+                    <span>T+{formatElapsed(Math.max(span.t0, firstTime) - plot.origin, 3)}</span>
+                    <input
+                        type="range"
+                        min={firstTime}
+                        max={lastTime}
+                        step="any"
+                        value={span.t1}
+                        onChange={e => setView(v => ({ ...v, end: Number(e.target.value) }))}
+                        title="Scroll back through the history"
+                        className="flex-1 min-w-0 h-1 accent-amber-500 cursor-pointer"
+                    />
+                    <span>T+{formatElapsed(span.t1 - plot.origin, 3)}</span>
+                </div>
+            )}
+
+            {/* Measurements between the cursors */}
+            {span && measurements && (
+                <div className={`flex-none max-h-32 overflow-y-auto custom-scrollbar px-2 pb-1.5 text-[10px] font-mono ${isDark ? 'text-zinc-300' : 'text-zinc-600'}`}>
+                    <div className="flex flex-wrap gap-x-4 py-0.5">
+                        <span>A T+{formatElapsed(markers.a - plot.origin, 3)}</span>
+                        <span>B T+{formatElapsed(markers.b - plot.origin, 3)}</span>
+                        <span className="font-bold text-amber-500">Δt {formatDelta(markerDelta)}</span>
+                        {markerDelta !== 0 && <span>1/Δt {Number((1000 / Math.abs(markerDelta)).toPrecision(4))} Hz</span>}
+                    </div>
+                    <table className="w-full text-right">
+                        <thead>
+                            <tr className="opacity-60">
+                                <th className="text-left font-normal">Series</th>
+                                {['A', 'B', 'ΔV', 'Min', 'Max', 'Mean', 'RMS'].map(h => <th key={h} className="font-normal pl-2">{h}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {seriesConfig.map((conf, idx) => {
+                                const m = measurements[idx];
+                                if (!m) return null;
+                                return (
+                                    <tr key={idx}>
+                                        <td className="text-left truncate max-w-[8rem]" style={{ color: conf.color }}>{conf.name || `S${idx+1}`}{conf.unit && <span className="opacity-60"> ({conf.unit})</span>}</td>
+                                        {[m.a, m.b, m.delta, m.min, m.max, m.mean, m.rms].map((v, i) => <td key={i} className="pl-2">{formatShown(conf, v)}</td>)}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WaveformChart;
@@ -0,0 +1,65 @@
+import modbusDecoder from './modbus';
+import nmeaDecoder from './nmea';
+import structDecoder from './struct';
+
+// --- Protocol decoder registry ---
+// A decoder is a plain object (or the default export of a plugin module):
+//   {
+//     id: 'my-proto', name: 'My Protocol', description?: '...',
+//     options?: [{ key, label, type: 'text' | 'textarea', default }],
+//     decode(frame, options) -> { valid, summary, fields: [{ name, value }] } | null
+//   }
+// `frame` is { bytes: Uint8Array, text: string, type: 'rx' | 'tx' }. Return null when the frame
+// isn't this protocol; throwing is treated the same as an invalid frame.
+export const BUILTIN_DECODERS = [modbusDecoder, nmeaDecoder, structDecoder];
+
+export const isValidDecoder = (d) => !!d && typeof d.id === 'string' && typeof d.name === 'string' && typeof d.decode === 'function';
+
+export const getDecoderDefaults = (decoder) =>
+  Object.fromEntries((decoder?.options || []).map(o => [o.key, o.default ?? '']));
+
+export const runDecoder = (decoder, log, options) => {
+  try {
+    return decoder.decode({ bytes: log.bytes || null, text: String(log.text ?? ''), type: log.type }, options) || null;
+  } catch (e) {
+    return { valid: false, summary: `Decoder error: ${e.message}`, fields: [] };
+  }
+};
+
+// Only data entries (rx/tx) are decoded; results are cached per entry object.
+export const createDecodeCache = (decoder, options) => {
+  const cache = new WeakMap();
+  return (log) => {
+    if (!decoder || (log.type !== 'rx' && log.type !== 'tx')) return null;
+    if (!cache.has(log)) cache.set(log, runDecoder(decoder, log, options));
+    return cache.get(log);
+  };
+};
+
+// Lazily builds one decode cache per decoder id, so sessions using different decoders can be shown
+// side by side. Rebuild the whole registry when decoder options or plugins change.
+export const createDecoderRegistry = (decoders, optionsById) => {
+  const caches = new Map();
+  return (decoderId) => {
+    if (!caches.has(decoderId)) {
+      const decoder = decoders.find(d => d.id === decoderId) || null;
+      const options = decoder ? { ...getDecoderDefaults(decoder), ...(optionsById[decoder.id] || {}) } : null;
+      caches.set(decoderId, createDecodeCache(decoder, options));
+    }
+    return caches.get(decoderId);
+  };
+};
+
+// Plugins are ES modules picked by the user; the default export (or `decoder` export) is registered.
+export const loadDecoderPlugin = async (file) => {
+  const code = await file.text();
+  const url = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+  try {
+    const mod = await import(/* @vite-ignore */ url);
+    const decoder = mod.default || mod.decoder;
+    if (!isValidDecoder(decoder)) throw new Error('Module must export { id, name, decode() }');
+    return decoder;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
@@ -0,0 +1,81 @@
+import { checkCRC, getModbusFunction, formatFunctionCode, describeException, unpackBits } from '../lib/modbus';
+
+const u16At = (b, i) => (b[i] << 8) | b[i + 1];
+
+const registers = (data) => {
+  const out = [];
+  for (let i = 0; i + 1 < data.length; i += 2) out.push(u16At(data, i));
+  return out;
+};
+
+const preview = (values, max = 8) => `[${values.slice(0, max).join(', ')}${values.length > max ? ', …' : ''}]`;
+
+// --- Decoder: Modbus RTU ---
+// Requests and responses are told apart by shape, so this works for both master and slave captures;
+// the entry's direction only settles frames that fit both.
+const modbusDecoder = {
+  id: 'modbus-rtu',
+  name: 'Modbus RTU',
+  description: 'Slave id, function, addresses, values, exceptions and CRC check.',
+  decode({ bytes, type }) {
+    if (!bytes || bytes.length < 4) return null;
+    const isException = (bytes[1] & 0x80) !== 0;
+    const functionCode = bytes[1] & 0x7F;
+    const fn = getModbusFunction(functionCode);
+    if (!fn && !isException) return null;
+
+    const crcOk = checkCRC(bytes);
+    const head = `#${bytes[0]} ${formatFunctionCode(functionCode)}`;
+    const fields = [
+      { name: 'Slave', value: bytes[0] },
+      { name: 'Function', value: fn ? fn.label : formatFunctionCode(functionCode) },
+    ];
+    const data = bytes.subarray(2, bytes.length - 2);
+    let summary;
+
+    if (isException) {
+      fields.push({ name: 'Exception', value: describeException(bytes[2]) });
+      summary = `${head} Exception ${describeException(bytes[2])}`;
+    } else if (fn.kind === 'read-bits' || fn.kind === 'read-registers') {
+      // A request is 8 bytes; a response is exactly as long as its byte count says (whole registers for
+      // FC03/04). An 8-byte frame whose first data byte is 3 fits both, e.g. a coil read at address 1000:
+      // then the direction decides (RX is a response, TX a request), and without one it is a request.
+      const fitsRequest = bytes.length === 8;
+      const fitsResponse = bytes.length === 5 + data[0] && (fn.kind === 'read-bits' || data[0] % 2 === 0);
+      const isResponse = fitsResponse && (!fitsRequest || type === 'rx');
+      if (!isResponse) {
+        fields.push({ name: 'Address', value: u16At(data, 0) }, { name: 'Count', value: u16At(data, 2) });
+        summary = `${head} request @${u16At(data, 0)} x${u16At(data, 2)}`;
+      } else {
+        const payload = data.subarray(1);
+        fields.push({ name: 'Byte Count', value: data[0] });
+        const values = fn.kind === 'read-bits'
+          ? unpackBits(payload, payload.length * 8).map(on => (on ? 1 : 0))
+          : registers(payload);
+        values.forEach((v, i) => fields.push({ name: fn.kind === 'read-bits' ? `Bit ${i}` : `Reg ${i}`, value: v }));
+        summary = `${head} response ${values.length} ${fn.kind === 'read-bits' ? 'bits' : 'regs'} ${preview(values)}`;
+      }
+    } else if (fn.kind === 'write-single-bit' || fn.kind === 'write-single-register') {
+      const value = u16At(data, 2);
+      fields.push({ name: 'Address', value: u16At(data, 0) }, { name: 'Value', value: fn.kind === 'write-single-bit' ? (value === 0xFF00 ? 'ON' : 'OFF') : value });
+      summary = `${head} @${u16At(data, 0)} = ${fields[fields.length - 1].value}`;
+    } else {
+      fields.push({ name: 'Address', value: u16At(data, 0) }, { name: 'Quantity', value: u16At(data, 2) });
+      if (bytes.length === 8) {
+        summary = `${head} response @${u16At(data, 0)} x${u16At(data, 2)}`;
+      } else {
+        const payload = data.subarray(5);
+        const values = fn.kind === 'write-bits'
+          ? unpackBits(payload, u16At(data, 2)).map(on => (on ? 1 : 0))
+          : registers(payload);
+        values.forEach((v, i) => fields.push({ name: `Value ${i}`, value: v }));
+        summary = `${head} request @${u16At(data, 0)} ${preview(values)}`;
+      }
+    }
+
+    fields.push({ name: 'CRC', value: crcOk ? 'OK' : 'MISMATCH' });
+    return { valid: crcOk, summary: crcOk ? summary : `${summary} (CRC mismatch)`, fields };
+  },
+};
+
+export default modbusDecoder;
@@ -0,0 +1,88 @@
+// --- Decoder: NMEA 0183 ---
+const SENTENCE_RE = /^([$!])([A-Z]{2})([A-Z]{3}),(.*?)(?:\*([0-9A-Fa-f]{2}))?$/;
+
+const checksum = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+  return sum;
+};
+
+// ddmm.mmmm + hemisphere -> signed decimal degrees.
+const toDegrees = (value, hemi) => {
+  if (!value) return null;
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  const deg = Math.floor(n / 100);
+  const dec = deg + (n - deg * 100) / 60;
+  return (hemi === 'S' || hemi === 'W' ? -dec : dec).toFixed(6);
+};
+
+const formatTime = (v) => (v && v.length >= 6 ? `${v.slice(0, 2)}:${v.slice(2, 4)}:${v.slice(4)}` : v);
+
+const SENTENCES = {
+  GGA: {
+    name: 'Fix Data',
+    decode: (f) => [
+      ['UTC', formatTime(f[0])], ['Latitude', toDegrees(f[1], f[2])], ['Longitude', toDegrees(f[3], f[4])],
+      ['Fix Quality', f[5]], ['Satellites', f[6]], ['HDOP', f[7]], ['Altitude', f[8] && `${f[8]} ${f[9] || ''}`.trim()],
+    ],
+  },
+  RMC: {
+    name: 'Recommended Minimum',
+    decode: (f) => [
+      ['UTC', formatTime(f[0])], ['Status', f[1] === 'A' ? 'Valid' : 'Void'], ['Latitude', toDegrees(f[2], f[3])],
+      ['Longitude', toDegrees(f[4], f[5])], ['Speed (kn)', f[6]], ['Course', f[7]], ['Date', f[8]],
+    ],
+  },
+  GLL: {
+    name: 'Geographic Position',
+    decode: (f) => [['Latitude', toDegrees(f[0], f[1])], ['Longitude', toDegrees(f[2], f[3])], ['UTC', formatTime(f[4])], ['Status', f[5] === 'A' ? 'Valid' : 'Void']],
+  },
+  VTG: {
+    name: 'Track & Speed',
+    decode: (f) => [['Course (T)', f[0]], ['Course (M)', f[2]], ['Speed (kn)', f[4]], ['Speed (km/h)', f[6]]],
+  },
+  GSA: {
+    name: 'DOP & Active Satellites',
+    decode: (f) => [['Mode', f[0]], ['Fix', ({ 1: 'None', 2: '2D', 3: '3D' })[f[1]] || f[1]], ['PRNs', f.slice(2, 14).filter(Boolean).join(' ')], ['PDOP', f[14]], ['HDOP', f[15]], ['VDOP', f[16]]],
+  },
+  GSV: {
+    name: 'Satellites in View',
+    decode: (f) => [['Messages', f[0]], ['Message #', f[1]], ['In View', f[2]]],
+  },
+  ZDA: {
+    name: 'Time & Date',
+    decode: (f) => [['UTC', formatTime(f[0])], ['Date', [f[1], f[2], f[3]].filter(Boolean).join('/')]],
+  },
+};
+
+const nmeaDecoder = {
+  id: 'nmea-0183',
+  name: 'NMEA 0183',
+  description: 'GPS/GNSS sentences with checksum validation ($GPGGA, $GNRMC, ...).',
+  decode({ text }) {
+    const line = String(text || '').trim();
+    const m = SENTENCE_RE.exec(line);
+    if (!m) return null;
+    const [, , talker, type, body, sum] = m;
+    const computed = checksum(line.slice(1, sum ? line.lastIndexOf('*') : undefined));
+    const checksumOk = sum ? parseInt(sum, 16) === computed : null;
+    const parts = body.split(',');
+    const known = SENTENCES[type];
+    const fields = [
+      { name: 'Talker', value: talker },
+      { name: 'Sentence', value: known ? `${type} (${known.name})` : type },
+      ...(known
+        ? known.decode(parts).filter(([, v]) => v !== undefined && v !== null && v !== '').map(([name, value]) => ({ name, value }))
+        : parts.map((value, i) => ({ name: `Field ${i + 1}`, value }))),
+      { name: 'Checksum', value: checksumOk === null ? 'none' : checksumOk ? 'OK' : `MISMATCH (0x${computed.toString(16).toUpperCase().padStart(2, '0')})` },
+    ];
+    const valid = checksumOk !== false;
+    const lat = fields.find(f => f.name === 'Latitude')?.value;
+    const lon = fields.find(f => f.name === 'Longitude')?.value;
+    const where = lat && lon ? ` ${lat}, ${lon}` : '';
+    return { valid, summary: `${talker}${type}${known ? ` ${known.name}` : ''}${where}${valid ? '' : ' (checksum mismatch)'}`, fields };
+  },
+};
+
+export default nmeaDecoder;
@@ -0,0 +1,43 @@
+import { parseStructLayout, decodeStruct } from '../lib/structLayout';
+
+export const DEFAULT_STRUCT_LAYOUT = `# name: type  (u8 i16be f32le u64 bytes[4] str[8] skip[2] tlv(u8,u8); bit-field: u8:3)
+sync: u16be
+counter: u16le
+value: f32le`;
+
+// Only the last layout is kept: editing it would otherwise cache every keystroke's text.
+let lastLayout = { text: null, parsed: null };
+const getLayout = (text) => {
+  if (lastLayout.text !== text) lastLayout = { text, parsed: parseStructLayout(text) };
+  return lastLayout.parsed;
+};
+
+const formatValue = (v) => {
+  if (typeof v === 'bigint') return v.toString();
+  return typeof v === 'number' && !Number.isInteger(v) ? Number(v.toPrecision(7)) : v;
+};
+
+// --- Decoder: generic struct / TLV from a user-written layout ---
+const structDecoder = {
+  id: 'struct',
+  name: 'Struct / TLV',
+  description: 'Packed fields from a user-written layout.',
+  options: [{ key: 'layout', label: 'Field Layout', type: 'textarea', default: DEFAULT_STRUCT_LAYOUT }],
+  decode({ bytes }, options = {}) {
+    if (!bytes || bytes.length === 0) return null;
+    const layout = getLayout(options.layout ?? DEFAULT_STRUCT_LAYOUT);
+    if (layout.errors.length) return { valid: false, summary: layout.errors[0], fields: [] };
+    const result = decodeStruct(bytes, layout.fields);
+    const fields = result.fields.map(f => ({ name: f.name, value: formatValue(f.value) }));
+    const extra = bytes.length - result.consumed;
+    if (result.complete && extra > 0) fields.push({ name: 'Trailing Bytes', value: extra });
+    const summary = fields.slice(0, 4).map(f => `${f.name}=${f.value}`).join(' ');
+    return {
+      valid: result.complete,
+      summary: result.complete ? summary : `Short frame (${bytes.length} bytes) ${summary}`.trim(),
+      fields,
+    };
+  },
+};
+
+export default structDecoder;
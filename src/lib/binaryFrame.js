@@ -0,0 +1,80 @@
+import { EMPTY_BYTES, calculateCRC16, calculateCRC8, calculateXorSum, concatBytes, indexOfSeq, parseHexString } from './bytes';
+import { parseStructLayout, structSize, decodeStruct } from './structLayout';
+
+// --- Binary frames: packed structs picked out of the raw RX byte stream (the plotter's binary parser) ---
+// A frame is the sync bytes, a fixed-size struct layout (see lib/structLayout), then an optional checksum
+// over the fields (and the sync bytes, with `checksumSync`). The stream is searched across RX entries, so
+// frames needn't line up with the framing mode's cuts; a frame failing its checksum is skipped one byte at
+// a time until the next sync sequence.
+
+export const CHECKSUM_TYPES = [
+  { id: 'none', label: 'None', size: 0 },
+  { id: 'crc16', label: 'CRC16 Modbus', size: 2, compute: calculateCRC16 },
+  { id: 'crc8', label: 'CRC-8', size: 1, compute: calculateCRC8 },
+  { id: 'xor', label: 'XOR Sum', size: 1, compute: calculateXorSum },
+];
+
+export const DEFAULT_BINARY_LAYOUT = `# name: type  (u8 i16be f32le u64 skip[2]; bit-field: u8:3)
+counter: u16le
+ch1: f32le
+ch2: f32le
+ch3: f32le`;
+
+const getChecksumType = (id) => CHECKSUM_TYPES.find(c => c.id === id) || CHECKSUM_TYPES[0];
+
+const compileError = (error) => ({ frameLength: 0, error, scan: () => [] });
+
+// Returns { frameLength, error, scan(bytes, state) }. scan() adds `bytes` to the stream buffered in `state`
+// and returns the decoded fields ([{ name, value, offset, size }]) of each complete frame. `state.latest`
+// is replaced whenever something was found: { fields, frames, bad } with the newest frame's fields and the
+// running counts of good frames and checksum failures.
+export const compileBinaryFrame = ({ sync = '', layout = '', checksum = 'none', checksumSync = true }) => {
+  const syncBytes = String(sync).trim() ? parseHexString(sync) : EMPTY_BYTES;
+  if (!syncBytes) return compileError('Sync: expected hex bytes, e.g. AA 55');
+  const { fields, errors } = parseStructLayout(layout);
+  if (errors.length) return compileError(errors.join('\n'));
+  const size = structSize(fields);
+  if (size === null) return compileError('tlv fields have no fixed size');
+  if (!size) return compileError('Layout has no fields');
+  const check = getChecksumType(checksum);
+  const frameLength = syncBytes.length + size + check.size;
+
+  const isIntact = (frame) => {
+    if (!check.compute) return true;
+    const expected = check.compute(frame.subarray(checksumSync ? 0 : syncBytes.length, frameLength - check.size));
+    return expected.every((b, i) => frame[frameLength - check.size + i] === b);
+  };
+
+  const scan = (bytes, state) => {
+    let buf = concatBytes(state.binaryBuffer, bytes);
+    const frames = [];
+    let bad = 0;
+    while (buf.length >= frameLength) {
+      if (syncBytes.length) {
+        const at = indexOfSeq(buf, syncBytes);
+        if (at < 0) { buf = buf.subarray(buf.length - syncBytes.length + 1); break; }
+        if (at > 0) { buf = buf.subarray(at); continue; }
+      }
+      const frame = buf.subarray(0, frameLength);
+      if (isIntact(frame)) {
+        frames.push(decodeStruct(frame.subarray(syncBytes.length, syncBytes.length + size), fields).fields);
+        buf = buf.subarray(frameLength);
+      } else {
+        bad++;
+        buf = buf.subarray(1);
+      }
+    }
+    state.binaryBuffer = buf;
+    if (frames.length || bad) {
+      const prev = state.latest;
+      state.latest = {
+        fields: frames.length ? frames[frames.length - 1] : prev?.fields ?? [],
+        frames: (prev?.frames ?? 0) + frames.length,
+        bad: (prev?.bad ?? 0) + bad,
+      };
+    }
+    return frames;
+  };
+
+  return { frameLength, error: null, scan };
+};
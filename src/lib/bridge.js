@@ -0,0 +1,124 @@
+import { createFramer } from './framing';
+import { parseHexString, decodeBytes } from './bytes';
+import { encodeText } from './charsets';
+import { sleep } from './signals';
+import { parseHexMask, findHexMask, createResponseMatcher } from './testSequence';
+
+// --- Serial bridge: forwards bytes between two sessions, optionally through fault-injection rules ---
+
+export const BRIDGE_DIRECTIONS = [
+  { id: 'both', label: 'A⇄B' },
+  { id: 'ab', label: 'A→B' },
+  { id: 'ba', label: 'B→A' },
+];
+
+export const BRIDGE_ACTIONS = [
+  { id: 'drop', label: 'Drop' },
+  { id: 'delay', label: 'Delay' },
+  { id: 'rewrite', label: 'Rewrite' },
+];
+
+export const DEFAULT_BRIDGE_RULE = { enabled: true, direction: 'both', match: 'substring', pattern: '', action: 'drop', delayMs: 500, replace: '' };
+
+export const validateBridgeRule = (rule) => {
+  if (!String(rule.pattern ?? '').length) return 'Pattern is empty';
+  if (rule.match === 'regex') {
+    try { new RegExp(rule.pattern); } catch (e) { return `Bad regex: ${e.message}`; }
+  }
+  if (rule.match === 'hexmask' && !parseHexMask(rule.pattern)) return 'Bad hex mask';
+  if (rule.action === 'rewrite' && rule.match === 'hexmask' && rule.replace && !parseHexString(rule.replace)) return 'Replacement must be hex';
+  return null;
+};
+
+// Hex-mask rules swap the matched bytes for `replace` (hex); text rules replace every match in the decoded frame.
+export const rewriteFrame = (frame, rule, encoding) => {
+  if (rule.match === 'hexmask') {
+    const mask = parseHexMask(rule.pattern);
+    const at = findHexMask(frame, mask);
+    if (at < 0) return frame;
+    const replacement = parseHexString(rule.replace || '') || new Uint8Array(0);
+    const out = new Uint8Array(frame.length - mask.length + replacement.length);
+    out.set(frame.subarray(0, at));
+    out.set(replacement, at);
+    out.set(frame.subarray(at + mask.length), at + replacement.length);
+    return out;
+  }
+  const text = decodeBytes(frame, encoding);
+  const next = rule.match === 'regex'
+    ? text.replace(new RegExp(rule.pattern, 'g'), rule.replace ?? '')
+    : text.split(rule.pattern).join(rule.replace ?? '');
+  return encodeText(next, encoding);
+};
+
+// One direction of the bridge. Without rules chunks are forwarded as they arrive; with rules they are
+// framed first (same framing as the log) so patterns see whole frames. Writes stay in order, so a
+// delayed frame also holds back the frames behind it, like a slow link would.
+// `write(bytes)` must reject on failure; `onEvent({ type, rule?, bytes?, message? })` reports activity.
+export const createBridgeDirection = ({ direction, rules, framing, encoding, write, onEvent }) => {
+  let active = [];
+  let framer = null;
+  let chain = Promise.resolve();
+  let idleTimer = null;
+  let disposed = false;
+
+  const enqueue = (bytes, delayMs = 0) => {
+    chain = chain
+      .then(async () => {
+        if (delayMs) await sleep(delayMs);
+        if (disposed || !bytes.length) return;
+        await write(bytes);
+        onEvent?.({ type: 'forward', bytes });
+      })
+      .catch((e) => onEvent?.({ type: 'error', message: e.message }));
+  };
+
+  const handleFrame = (frame) => {
+    const text = decodeBytes(frame, encoding);
+    const hit = active.find(a => a.matches(frame, text));
+    if (!hit) { enqueue(frame); return; }
+    const { rule } = hit;
+    if (rule.action === 'drop') {
+      onEvent?.({ type: 'drop', rule, bytes: frame });
+    } else if (rule.action === 'delay') {
+      onEvent?.({ type: 'delay', rule, bytes: frame });
+      enqueue(frame, Math.max(0, parseInt(rule.delayMs) || 0));
+    } else {
+      const rewritten = rewriteFrame(frame, rule, encoding);
+      onEvent?.({ type: 'rewrite', rule, bytes: frame, rewritten });
+      enqueue(rewritten);
+    }
+  };
+
+  const push = (chunk) => {
+    if (disposed || !chunk?.length) return;
+    if (!framer) { enqueue(chunk); return; }
+    framer.push(chunk).forEach(handleFrame);
+    if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
+    if (framer.pending && framer.idleMs !== null) {
+      idleTimer = setTimeout(() => { idleTimer = null; framer.flush().forEach(handleFrame); }, framer.idleMs);
+    }
+  };
+
+  // Rules can change while bytes are flowing; buffered partial frames are kept (or flushed when framing is no longer needed).
+  const setRules = (nextRules) => {
+    active = nextRules
+      .filter(r => r.enabled && (r.direction === 'both' || r.direction === direction) && !validateBridgeRule(r))
+      .map(r => ({ rule: r, matches: createResponseMatcher({ expect: r.pattern, match: r.match }) }));
+    if (active.length && !framer) {
+      framer = createFramer(framing);
+    } else if (!active.length && framer) {
+      if (idleTimer) { clearTimeout(idleTimer); idleTimer = null; }
+      const tail = framer.flush();
+      framer = null;
+      tail.forEach(f => enqueue(f));
+    }
+  };
+
+  const dispose = () => {
+    disposed = true;
+    if (idleTimer) clearTimeout(idleTimer);
+  };
+
+  setRules(rules);
+  return { push, setRules, dispose };
+};
@@ -0,0 +1,105 @@
+import { createTextDecoder } from './charsets';
+
+// --- Utility: CRC16 Modbus Calculation ---
+export const calculateCRC16 = (buffer) => {
+  let crc = 0xFFFF;
+  for (let pos = 0; pos < buffer.length; pos++) {
+    crc ^= buffer[pos];
+    for (let i = 8; i !== 0; i--) {
+      if ((crc & 0x0001) !== 0) {
+        crc >>= 1;
+        crc ^= 0xA001;
+      } else {
+        crc >>= 1;
+      }
+    }
+  }
+  return new Uint8Array([crc & 0xFF, (crc >> 8) & 0xFF]);
+};
+
+// --- Utility: CRC-8 (poly 0x07, init 0x00) ---
+export const calculateCRC8 = (buffer) => {
+  let crc = 0;
+  for (let pos = 0; pos < buffer.length; pos++) {
+    crc ^= buffer[pos];
+    for (let i = 0; i < 8; i++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+  }
+  return new Uint8Array([crc]);
+};
+
+// --- Utility: XOR of every byte ---
+export const calculateXorSum = (buffer) => new Uint8Array([buffer.reduce((sum, b) => sum ^ b, 0)]);
+
+// --- Utility: HEX String Parsing ---
+export const parseHexString = (str) => {
+  const cleanStr = str.replace(/[^0-9a-fA-F]/g, '');
+  if (!cleanStr || cleanStr.length % 2 !== 0) return null;
+  const byteArray = new Uint8Array(cleanStr.length / 2);
+  for (let i = 0; i < cleanStr.length; i += 2) {
+    byteArray[i / 2] = parseInt(cleanStr.substring(i, i + 2), 16);
+  }
+  return byteArray;
+};
+
+export const bufferToHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0').toUpperCase())
+    .join(' ');
+};
+
+// --- Utility: Raw byte helpers for the RX pipeline ---
+export const EMPTY_BYTES = new Uint8Array(0);
+
+export const concatBytes = (a, b) => {
+  if (!a || a.length === 0) return b || EMPTY_BYTES;
+  if (!b || b.length === 0) return a;
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+// Index of the byte sequence `seq` in `buf` at or after `from`, or -1.
+export const indexOfSeq = (buf, seq, from = 0) => {
+  outer: for (let i = from; i <= buf.length - seq.length; i++) {
+    for (let j = 0; j < seq.length; j++) {
+      if (buf[i + j] !== seq[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+};
+
+// Drop a trailing "\n" or "\r\n" (display text only; the raw frame keeps it).
+export const stripLineEnding = (bytes) => {
+  let end = bytes.length;
+  if (end > 0 && bytes[end - 1] === 0x0A) end--;
+  if (end > 0 && bytes[end - 1] === 0x0D) end--;
+  return end === bytes.length ? bytes : bytes.subarray(0, end);
+};
+
+const decoderCache = new Map();
+
+// Decode for display only; invalid sequences become U+FFFD but the source bytes are untouched.
+export const decodeBytes = (bytes, encoding = 'utf-8') => {
+  let decoder = decoderCache.get(encoding);
+  if (!decoder) {
+    decoder = createTextDecoder(encoding);
+    decoderCache.set(encoding, decoder);
+  }
+  return decoder.decode(bytes);
+};
+
+// --- Utility: Base64 for binary payloads in JSON files ---
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+export const base64ToBytes = (str) => {
+  const binary = atob(str);
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+  return out;
+};
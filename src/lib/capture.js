@@ -0,0 +1,192 @@
+import { bytesToBase64, base64ToBytes } from './bytes';
+
+// --- Capture files: the raw RX/TX byte stream of a session, with sub-millisecond timestamps ---
+// Unlike the CSV export nothing is lost: chunks are kept exactly as read/written, along with the
+// port options, framing, charset and plotter series needed to rebuild the log and plot offline.
+
+export const CAPTURE_FORMAT = 'portax-capture';
+export const CAPTURE_VERSION = 1;
+export const CAPTURE_EXTENSION = '.pxcap';
+export const CAPTURE_SPEEDS = [1, 2, 10];
+
+// Oldest chunks are dropped past either limit, so a session left running for days can't exhaust memory:
+// the byte cap bounds large reads, the chunk cap the per-chunk overhead of many small ones.
+export const MAX_CAPTURE_BYTES = 32 * 1024 * 1024;
+export const MAX_CAPTURE_CHUNKS = 200000;
+
+// Wall-clock ms with the sub-millisecond resolution of performance.now().
+export const captureNow = () => performance.timeOrigin + performance.now();
+
+// What a live session has captured so far; `droppedBytes` counts what was trimmed off the front.
+export const createCaptureBuffer = () => ({ chunks: [], bytes: 0, droppedBytes: 0 });
+
+export const recordCaptureChunk = (capture, dir, bytes) => {
+  if (!bytes?.length) return;
+  const { chunks } = capture;
+  chunks.push({ at: captureNow(), dir, bytes });
+  capture.bytes += bytes.length;
+  // Trim in blocks rather than shifting the array on every chunk.
+  if (capture.bytes <= MAX_CAPTURE_BYTES * 1.1 && chunks.length <= MAX_CAPTURE_CHUNKS * 1.1) return;
+  let drop = Math.max(0, chunks.length - MAX_CAPTURE_CHUNKS);
+  let dropped = 0;
+  for (let i = 0; i < drop; i++) dropped += chunks[i].bytes.length;
+  while (drop < chunks.length - 1 && capture.bytes - dropped > MAX_CAPTURE_BYTES) dropped += chunks[drop++].bytes.length;
+  chunks.splice(0, drop);
+  capture.bytes -= dropped;
+  capture.droppedBytes += dropped;
+};
+
+// chunks: [{ at, dir: 'rx' | 'tx', bytes }] with `at` in epoch ms; stored as offsets from startTime.
+// droppedBytes: how much was trimmed off the front of the stream before the first chunk.
+export const serializeCapture = ({ name, chunks, startTime = chunks[0]?.at ?? captureNow(), droppedBytes = 0, port, encoding, framing, seriesConfig, plotParser }) => JSON.stringify({
+  format: CAPTURE_FORMAT,
+  version: CAPTURE_VERSION,
+  name,
+  createdAt: new Date().toISOString(),
+  startTime,
+  droppedBytes,
+  port: { options: port?.options ?? null, usb: port?.usb ?? null, virtualDevice: port?.virtualDevice ?? null },
+  encoding,
+  framing,
+  seriesConfig,
+  plotParser,
+  chunks: chunks.map(c => ({ t: Math.round((c.at - startTime) * 1000) / 1000, dir: c.dir, data: bytesToBase64(c.bytes) })),
+});
+
+// Throws with a user-facing message when the file isn't a capture this version can read.
+export const parseCapture = (text) => {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error('not a capture file (invalid JSON)'); }
+  if (doc?.format !== CAPTURE_FORMAT) throw new Error('not a Portax capture file');
+  if (!(doc.version <= CAPTURE_VERSION)) throw new Error(`capture version ${doc.version} is not supported`);
+  const startTime = Number(doc.startTime) || 0;
+  const chunks = (Array.isArray(doc.chunks) ? doc.chunks : []).map((c, i) => {
+    const t = Number(c?.t);
+    if ((c?.dir !== 'rx' && c?.dir !== 'tx') || !Number.isFinite(t)) throw new Error(`chunk ${i + 1} is malformed`);
+    let bytes;
+    try { bytes = base64ToBytes(String(c.data ?? '')); } catch { throw new Error(`chunk ${i + 1} has invalid data`); }
+    return { at: startTime + t, dir: c.dir, bytes };
+  }).sort((a, b) => a.at - b.at);
+  return {
+    name: String(doc.name || ''),
+    startTime,
+    droppedBytes: Number(doc.droppedBytes) || 0,
+    port: doc.port || {},
+    encoding: typeof doc.encoding === 'string' ? doc.encoding : null,
+    framing: doc.framing && typeof doc.framing === 'object' ? doc.framing : null,
+    seriesConfig: Array.isArray(doc.seriesConfig) ? doc.seriesConfig : null,
+    plotParser: doc.plotParser && typeof doc.plotParser === 'object' ? doc.plotParser : null,
+    chunks,
+  };
+};
+
+// "m:ss.mmm"
+export const formatReplayTime = (ms) => {
+  const total = Math.max(0, Math.floor(ms));
+  return `${Math.floor(total / 60000)}:${String(Math.floor(total / 1000) % 60).padStart(2, '0')}.${String(total % 1000).padStart(3, '0')}`;
+};
+
+// Plays chunks against the wall clock at 1x/2x/10x. seek() hands every chunk before the new position
+// to onSeek in one go (for an instant rebuild); while playing, chunks reach onChunk one by one as they fall due.
+// subscribe/getSnapshot follow the useSyncExternalStore contract.
+export const createCapturePlayer = ({ chunks, startTime, position: initialPosition = 0, onSeek, onChunk, onEnd }) => {
+  const duration = chunks.length ? chunks[chunks.length - 1].at - startTime : 0;
+  const offsetOf = (chunk) => chunk.at - startTime;
+  const indexAfter = (pos) => {
+    const idx = chunks.findIndex(c => offsetOf(c) > pos);
+    return idx < 0 ? chunks.length : idx;
+  };
+
+  let position = Math.min(duration, Math.max(0, initialPosition)); // while paused
+  let index = indexAfter(position); // next chunk due
+  let speed = 1;
+  let playing = false;
+  let anchor = 0; // performance.now() at which offset 0 would have played, at the current speed
+  let timer = null;
+  let ticker = null;
+  const listeners = new Set();
+
+  const currentPosition = () => (playing ? Math.min(duration, (performance.now() - anchor) * speed) : position);
+  let snapshot = { position, duration, speed, isPlaying: false };
+  const notify = () => {
+    snapshot = { position: currentPosition(), duration, speed, isPlaying: playing };
+    listeners.forEach(l => l());
+  };
+  const stopTimers = () => {
+    clearTimeout(timer);
+    clearInterval(ticker);
+    timer = null;
+    ticker = null;
+  };
+
+  const schedule = () => {
+    if (index >= chunks.length) {
+      position = duration;
+      playing = false;
+      stopTimers();
+      onEnd?.();
+      notify();
+      return;
+    }
+    const due = anchor + offsetOf(chunks[index]) / speed;
+    timer = setTimeout(step, Math.max(0, due - performance.now()));
+  };
+
+  const step = () => {
+    const pos = currentPosition();
+    while (index < chunks.length && offsetOf(chunks[index]) <= pos) onChunk(chunks[index++]);
+    schedule();
+  };
+
+  const player = {
+    chunks,
+    startTime,
+    duration,
+    play() {
+      if (playing) return;
+      if (index >= chunks.length) player.seek(0);
+      playing = true;
+      anchor = performance.now() - position / speed;
+      ticker = setInterval(notify, 100);
+      schedule();
+      notify();
+    },
+    pause() {
+      if (!playing) return;
+      position = currentPosition();
+      playing = false;
+      stopTimers();
+      notify();
+    },
+    seek(ms) {
+      const wasPlaying = playing;
+      if (wasPlaying) { playing = false; stopTimers(); }
+      position = Math.min(duration, Math.max(0, Number(ms) || 0));
+      index = indexAfter(position);
+      onSeek(chunks.slice(0, index), startTime + position);
+      if (wasPlaying && index < chunks.length) player.play();
+      else notify();
+    },
+    setSpeed(next) {
+      const pos = currentPosition();
+      speed = next;
+      if (playing) {
+        anchor = performance.now() - pos / speed;
+        clearTimeout(timer);
+        schedule();
+      }
+      notify();
+    },
+    dispose() {
+      playing = false;
+      stopTimers();
+      listeners.clear();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+  return player;
+};
@@ -0,0 +1,126 @@
+// --- Charsets for RX decoding and TX encoding ---
+// TextDecoder handles every label below but Latin-1; TextEncoder is UTF-8 only, so the legacy
+// encoders are built lazily by enumerating each charset's byte ranges through TextDecoder.
+export const CHARSETS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'gbk', label: 'GBK' },
+  { id: 'gb18030', label: 'GB18030' },
+  { id: 'big5', label: 'Big5' },
+  { id: 'shift_jis', label: 'Shift_JIS' },
+  { id: 'iso-8859-1', label: 'Latin-1' },
+  { id: 'utf-16le', label: 'UTF-16LE' },
+];
+
+// TextDecoder reads 'iso-8859-1' as windows-1252 (per the WHATWG Encoding spec), showing 0x80-0x9F
+// as €, ‚, ƒ... instead of C1 controls. True Latin-1 maps every byte to the code point of the same value.
+const latin1Decoder = {
+  decode: (bytes) => {
+    let str = '';
+    if (!bytes) return str;
+    for (let i = 0; i < bytes.length; i += 0x8000) str += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return str;
+  },
+};
+
+// A TextDecoder-like decoder for a charset id; unknown labels fall back to UTF-8.
+export const createTextDecoder = (encoding = 'utf-8') => {
+  if (encoding === 'iso-8859-1') return latin1Decoder;
+  try { return new TextDecoder(encoding); } catch { return new TextDecoder('utf-8'); }
+};
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Lead/trail byte ranges for the double-byte charsets.
+const DOUBLE_BYTE_RANGES = {
+  gbk: { leads: range(0x81, 0xFE), trails: [...range(0x40, 0x7E), ...range(0x80, 0xFE)] },
+  gb18030: { leads: range(0x81, 0xFE), trails: [...range(0x40, 0x7E), ...range(0x80, 0xFE)] },
+  big5: { leads: range(0xA1, 0xFE), trails: [...range(0x40, 0x7E), ...range(0xA1, 0xFE)] },
+  shift_jis: { leads: [...range(0x81, 0x9F), ...range(0xE0, 0xFC)], trails: [...range(0x40, 0x7E), ...range(0x80, 0xFC)] },
+};
+
+const encodeTables = new Map();
+
+const buildEncodeTable = (encoding) => {
+  const decoder = new TextDecoder(encoding, { fatal: true });
+  const table = new Map();
+  const add = (bytes) => {
+    let str;
+    try { str = decoder.decode(bytes); } catch { return; }
+    // Only single code point mappings; first (canonical) byte sequence wins.
+    if ([...str].length === 1 && !table.has(str)) table.set(str, bytes);
+  };
+
+  for (let b = 0; b < 0x100; b++) add(new Uint8Array([b]));
+
+  const dbcs = DOUBLE_BYTE_RANGES[encoding];
+  if (dbcs) {
+    for (const lead of dbcs.leads) {
+      for (const trail of dbcs.trails) add(new Uint8Array([lead, trail]));
+    }
+  }
+
+  // GB18030 four-byte BMP codes are not linear, so enumerate 0x81308130..0x8431A439.
+  if (encoding === 'gb18030') {
+    for (let b1 = 0x81; b1 <= 0x84; b1++) {
+      for (let b2 = 0x30; b2 <= 0x39; b2++) {
+        for (let b3 = 0x81; b3 <= 0xFE; b3++) {
+          for (let b4 = 0x30; b4 <= 0x39; b4++) add(new Uint8Array([b1, b2, b3, b4]));
+        }
+      }
+    }
+  }
+  return table;
+};
+
+const getEncodeTable = (encoding) => {
+  let table = encodeTables.get(encoding);
+  if (!table) {
+    table = buildEncodeTable(encoding);
+    encodeTables.set(encoding, table);
+  }
+  return table;
+};
+
+// GB18030 maps supplementary planes linearly from 0x90308130.
+const encodeGb18030Supplementary = (codePoint) => {
+  let lin = codePoint - 0x10000;
+  const b4 = 0x30 + (lin % 10); lin = Math.floor(lin / 10);
+  const b3 = 0x81 + (lin % 126); lin = Math.floor(lin / 126);
+  const b2 = 0x30 + (lin % 10); lin = Math.floor(lin / 10);
+  return [0x90 + lin, b2, b3, b4];
+};
+
+const UNMAPPABLE = 0x3F; // '?'
+
+export const encodeText = (text, encoding = 'utf-8') => {
+  const str = String(text ?? '');
+  if (encoding === 'utf-8' || !CHARSETS.some(c => c.id === encoding)) return new TextEncoder().encode(str);
+
+  if (encoding === 'utf-16le') {
+    const out = new Uint8Array(str.length * 2);
+    for (let i = 0; i < str.length; i++) {
+      const code = str.charCodeAt(i);
+      out[i * 2] = code & 0xFF;
+      out[i * 2 + 1] = code >> 8;
+    }
+    return out;
+  }
+
+  if (encoding === 'iso-8859-1') {
+    return Uint8Array.from(str, ch => {
+      const cp = ch.codePointAt(0);
+      return cp < 0x100 ? cp : UNMAPPABLE;
+    });
+  }
+
+  const table = getEncodeTable(encoding);
+  const out = [];
+  for (const ch of str) {
+    const mapped = table.get(ch);
+    if (mapped) { out.push(...mapped); continue; }
+    const cp = ch.codePointAt(0);
+    if (encoding === 'gb18030' && cp > 0xFFFF) out.push(...encodeGb18030Supplementary(cp));
+    else out.push(UNMAPPABLE);
+  }
+  return new Uint8Array(out);
+};
@@ -0,0 +1,193 @@
+import { MAX_AUTO_SERIES, isAutoDetect } from './series';
+import { DEFAULT_BINARY_LAYOUT, compileBinaryFrame } from './binaryFrame';
+
+// --- Plot data extraction: how RX lines turn into plot values ---
+// A parser reads a line into either positional values (values[i] feeds series i) or named values,
+// [key, value] pairs that go to the series whose source (its `keyword` field) is that key. A key no
+// series claims gets a new series named after it, up to MAX_AUTO_SERIES in all.
+// Numbers may be decimal, scientific (1.5e-3) or hex integers (0x1F). The binary parser reads packed
+// frames out of the raw RX bytes instead of the text (see lib/binaryFrame).
+
+export const PARSER_MODES = [
+  { id: 'auto', label: 'Auto', source: 'Keyword (opt)' },
+  { id: 'keyvalue', label: 'Key=Val', source: 'Key', hint: 'Every key=value or key:value pair feeds the series with that key; new keys add series.' },
+  { id: 'regex', label: 'Regex', source: 'Group', hint: 'Each named group, e.g. (?<temp>…), feeds the series with that group name; new groups add series.' },
+  { id: 'json', label: 'JSON', source: 'Field path', hint: 'Each series reads its field path, e.g. sensor.temp or adc[2]. With no paths set, numeric fields add series.' },
+  { id: 'csv', label: 'CSV', source: 'Column', hint: 'A line of non-numeric fields is the header; its column names feed the series with that name.' },
+  { id: 'binary', label: 'Binary', source: 'Field', hint: 'Frames are found in the raw RX bytes by their sync bytes and checked against the checksum. Each numeric field feeds the series with that name; new fields add series.' },
+];
+
+export const CSV_DELIMITERS = [
+  { id: ',', label: 'Comma' },
+  { id: ';', label: 'Semicolon' },
+  { id: '\t', label: 'Tab' },
+];
+
+export const DEFAULT_PLOT_PARSER = {
+  mode: 'auto',
+  patterns: '', // regex mode: one pattern per line
+  delimiter: ',',
+  // binary mode: see lib/binaryFrame
+  sync: 'AA 55',
+  layout: DEFAULT_BINARY_LAYOUT,
+  checksum: 'crc16',
+  checksumSync: true,
+};
+
+export const normalizePlotParser = (parser) => ({ ...DEFAULT_PLOT_PARSER, ...parser });
+
+export const getParserMode = (id) => PARSER_MODES.find(m => m.id === id) || PARSER_MODES[0];
+
+const NUMBER = String.raw`[-+]?(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)`;
+
+// The number a whole string spells, or null.
+export const parseNumber = (text) => {
+  const s = String(text).trim();
+  const hex = /^([-+]?)0[xX]([0-9a-fA-F]+)$/.exec(s);
+  if (hex) return (hex[1] === '-' ? -1 : 1) * parseInt(hex[2], 16);
+  if (!/^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/.test(s)) return null;
+  return Number(s);
+};
+
+const numbersIn = (text) => (text.match(new RegExp(NUMBER, 'g')) || []).map(parseNumber);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasSource = (conf) => !!(conf.keyword && conf.keyword.trim() !== '');
+
+// Keywords when any series has one ("temp: 21.5"), otherwise every number in order (Arduino Serial Plotter style).
+const autoParser = (seriesConfig) => {
+  if (isAutoDetect(seriesConfig)) return (text) => numbersIn(text).slice(0, MAX_AUTO_SERIES);
+  const matchers = seriesConfig.map(conf => (hasSource(conf) ? new RegExp(`${escapeRegExp(conf.keyword)}\\s*[:=-]?\\s*(${NUMBER})`, 'i') : null));
+  return (text) => {
+    const values = matchers.map(re => {
+      const m = re && re.exec(text);
+      return m ? parseNumber(m[1]) : null;
+    });
+    return values.every(v => v === null) ? [] : values;
+  };
+};
+
+const keyValueParser = () => {
+  const re = new RegExp(`([A-Za-z_][\\w./-]*)\\s*[:=]\\s*(${NUMBER})`, 'g');
+  return (text) => Array.from(text.matchAll(re), m => [m[1], parseNumber(m[2])]);
+};
+
+const regexParser = (patterns) => (text) => {
+  const pairs = [];
+  for (const re of patterns) {
+    const groups = re.exec(text)?.groups;
+    if (!groups) continue;
+    for (const [name, raw] of Object.entries(groups)) {
+      const v = raw === undefined ? null : parseNumber(raw);
+      if (v !== null) pairs.push([name, v]);
+    }
+  }
+  return pairs;
+};
+
+// "sensor.temp", "adc[2]", "$.a.b[0]" -> ['sensor', 'temp'], ['adc', '2'], ['a', 'b', '0']
+const splitPath = (path) => path.trim().replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+
+const readPath = (doc, parts) => parts.reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), doc);
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string') return parseNumber(v);
+  return null;
+};
+
+// [path, value] for every numeric leaf, in document order.
+const numericLeaves = (node, path = '', out = []) => {
+  if (out.length >= MAX_AUTO_SERIES) return out;
+  if (Array.isArray(node)) node.forEach((v, i) => numericLeaves(v, `${path}[${i}]`, out));
+  else if (node !== null && typeof node === 'object') Object.entries(node).forEach(([k, v]) => numericLeaves(v, path ? `${path}.${k}` : k, out));
+  else if (toNumber(node) !== null && path) out.push([path, toNumber(node)]);
+  return out;
+};
+
+const jsonParser = (seriesConfig) => {
+  const paths = seriesConfig.map(conf => (hasSource(conf) ? splitPath(conf.keyword) : null));
+  const discover = paths.every(p => !p);
+  return (text) => {
+    const s = text.trim();
+    if (s[0] !== '{' && s[0] !== '[') return [];
+    let doc;
+    try { doc = JSON.parse(s); } catch { return []; }
+    if (discover) return numericLeaves(doc);
+    const values = paths.map(p => (p ? toNumber(readPath(doc, p)) : null));
+    return values.every(v => v === null) ? [] : values;
+  };
+};
+
+// The header is per session (`state.csvHeader`); lines before one arrives plot positionally.
+const csvParser = (delimiter) => (text, state) => {
+  const fields = text.split(delimiter).map(f => f.trim().replace(/^"(.*)"$/, '$1'));
+  const nums = fields.map(parseNumber);
+  if (nums.every(v => v === null)) {
+    if (fields.length > 1) state.csvHeader = fields;
+    return [];
+  }
+  if (!state.csvHeader) return nums.slice(0, MAX_AUTO_SERIES);
+  return state.csvHeader.map((name, i) => [name, nums[i] ?? null]).filter(([name, v]) => name && v !== null);
+};
+
+// Each frame's numeric fields as [name, value] pairs; NaN and infinite floats are left out.
+const binaryParser = (frame) => (bytes, state) => frame.scan(bytes, state).map(fields => fields
+  .map(f => [f.name, typeof f.value === 'bigint' ? Number(f.value) : f.value])
+  .filter(([, v]) => typeof v === 'number' && Number.isFinite(v)));
+
+// Returns { extract(text, state), error } for the text modes: extract gives positional values or [key, value]
+// pairs; `state` is a per-session object for parsers that carry context between lines (the CSV header).
+// The binary mode gives { extractBytes(bytes, state), frameLength, error } instead, where extractBytes
+// returns one such result per frame completed by `bytes`.
+export const compilePlotParser = (parser, seriesConfig) => {
+  const settings = normalizePlotParser(parser);
+  const { mode, patterns, delimiter } = settings;
+  if (mode === 'binary') {
+    const frame = compileBinaryFrame(settings);
+    return { extractBytes: binaryParser(frame), frameLength: frame.frameLength, error: frame.error };
+  }
+  if (mode === 'keyvalue') return { extract: keyValueParser(), error: null };
+  if (mode === 'json') return { extract: jsonParser(seriesConfig), error: null };
+  if (mode === 'csv') return { extract: csvParser(delimiter || ','), error: null };
+  if (mode === 'regex') {
+    const compiled = [];
+    const errors = [];
+    String(patterns).split('\n').filter(p => p.trim()).forEach((p, i) => {
+      try { compiled.push(new RegExp(p)); } catch (err) { errors.push(`Pattern ${i + 1}: ${err.message}`); }
+    });
+    return { extract: regexParser(compiled), error: errors.join('\n') || null };
+  }
+  return { extract: autoParser(seriesConfig), error: null };
+};
+
+// Turns parser output into values aligned with `seriesConfig`. Keys no series claims get the indexes
+// after the last series, in order of first appearance; `added` lists them so the config can grow to match.
+// One router serves every batch until the config changes, so a key keeps its index meanwhile.
+export const createValueRouter = (seriesConfig) => {
+  const index = new Map();
+  seriesConfig.forEach((conf, i) => { if (hasSource(conf) && !index.has(conf.keyword)) index.set(conf.keyword, i); });
+  const added = [];
+  return {
+    config: seriesConfig,
+    added,
+    route: (extracted) => {
+      if (!extracted.length || !Array.isArray(extracted[0])) return extracted;
+      const values = [];
+      for (const [key, v] of extracted) {
+        if (v === null) continue;
+        let i = index.get(key);
+        if (i === undefined) {
+          if (seriesConfig.length + added.length >= MAX_AUTO_SERIES) continue;
+          i = seriesConfig.length + added.length;
+          added.push(key);
+          index.set(key, i);
+        }
+        values[i] = v;
+      }
+      return Array.from(values, v => v ?? null);
+    },
+  };
+};
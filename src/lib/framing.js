@@ -0,0 +1,181 @@
+import { EMPTY_BYTES, concatBytes, indexOfSeq, parseHexString } from './bytes';
+
+// --- RX framing: cuts the raw byte stream into log entries / plot samples ---
+export const FRAMING_MODES = [
+  { id: 'line', label: 'LINE' },
+  { id: 'idle', label: 'IDLE' },
+  { id: 'fixed', label: 'FIXED' },
+  { id: 'delimiter', label: 'DELIM' },
+  { id: 'length', label: 'LEN' },
+];
+
+export const DEFAULT_FRAMING = {
+  mode: 'line',
+  idleMs: 20,
+  fixedLength: 8,
+  startDelimiter: '',
+  endDelimiter: '0D 0A',
+  lengthOffset: 0,
+  lengthSize: 1,
+  lengthEndian: 'le',
+  lengthAdjust: 0,
+};
+
+// Line mode: unterminated tails (prompts, binary blobs) are flushed after this much silence.
+export const LINE_TAIL_FLUSH_MS = 200;
+// Hard cap so a missing delimiter or a bogus length field can't grow the buffer without bound.
+export const MAX_FRAME_BYTES = 65536;
+
+const toInt = (v, fallback) => {
+  const n = parseInt(v);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export const normalizeFraming = (framing) => {
+  const f = { ...DEFAULT_FRAMING, ...(framing || {}) };
+  return {
+    mode: FRAMING_MODES.some(m => m.id === f.mode) ? f.mode : DEFAULT_FRAMING.mode,
+    idleMs: Math.max(1, toInt(f.idleMs, DEFAULT_FRAMING.idleMs)),
+    fixedLength: Math.min(MAX_FRAME_BYTES, Math.max(1, toInt(f.fixedLength, DEFAULT_FRAMING.fixedLength))),
+    startDelimiter: String(f.startDelimiter || ''),
+    endDelimiter: String(f.endDelimiter || ''),
+    lengthOffset: Math.max(0, toInt(f.lengthOffset, 0)),
+    lengthSize: [1, 2, 4].includes(toInt(f.lengthSize, 1)) ? toInt(f.lengthSize, 1) : 1,
+    lengthEndian: f.lengthEndian === 'be' ? 'be' : 'le',
+    lengthAdjust: toInt(f.lengthAdjust, 0),
+  };
+};
+
+// Short toolbar label, e.g. "LINE", "IDLE 20ms", "FIXED 8".
+export const describeFraming = (framing) => {
+  const f = normalizeFraming(framing);
+  switch (f.mode) {
+    case 'idle': return `IDLE ${f.idleMs}ms`;
+    case 'fixed': return `FIXED ${f.fixedLength}`;
+    case 'delimiter': return 'DELIM';
+    case 'length': return `LEN@${f.lengthOffset}`;
+    default: return 'LINE';
+  }
+};
+
+const readUint = (buf, offset, size, endian) => {
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    const b = buf[offset + (endian === 'be' ? i : size - 1 - i)];
+    value = value * 256 + b;
+  }
+  return value;
+};
+
+// Stateful framer. push() returns the complete frames cut from the stream so far;
+// flush() hands back whatever partial frame is buffered. Frames are exact byte slices.
+export const createFramer = (framing) => {
+  const cfg = normalizeFraming(framing);
+  const startSeq = parseHexString(cfg.startDelimiter);
+  const endSeq = parseHexString(cfg.endDelimiter);
+  let buf = EMPTY_BYTES;
+
+  const cutLines = (frames) => {
+    let start = 0;
+    for (let i = 0; i < buf.length; i++) {
+      if (buf[i] !== 0x0A) continue;
+      frames.push(buf.slice(start, i + 1));
+      start = i + 1;
+    }
+    if (start > 0) buf = buf.slice(start);
+  };
+
+  const cutFixed = (frames) => {
+    let start = 0;
+    while (buf.length - start >= cfg.fixedLength) {
+      frames.push(buf.slice(start, start + cfg.fixedLength));
+      start += cfg.fixedLength;
+    }
+    if (start > 0) buf = buf.slice(start);
+  };
+
+  const cutDelimited = (frames) => {
+    if (!startSeq && !endSeq) return;
+    if (!startSeq) {
+      let idx;
+      while ((idx = indexOfSeq(buf, endSeq)) >= 0) {
+        frames.push(buf.slice(0, idx + endSeq.length));
+        buf = buf.slice(idx + endSeq.length);
+      }
+      return;
+    }
+    while (buf.length) {
+      const s = indexOfSeq(buf, startSeq);
+      if (s < 0) {
+        // Bytes that can't begin a start sequence are emitted as-is so nothing is lost.
+        const keep = Math.min(buf.length, startSeq.length - 1);
+        if (buf.length > keep) {
+          frames.push(buf.slice(0, buf.length - keep));
+          buf = buf.slice(buf.length - keep);
+        }
+        return;
+      }
+      if (s > 0) {
+        frames.push(buf.slice(0, s));
+        buf = buf.slice(s);
+        continue;
+      }
+      const end = endSeq
+        ? indexOfSeq(buf, endSeq, startSeq.length)
+        : indexOfSeq(buf, startSeq, startSeq.length);
+      if (end < 0) return;
+      const cut = endSeq ? end + endSeq.length : end;
+      frames.push(buf.slice(0, cut));
+      buf = buf.slice(cut);
+    }
+  };
+
+  const cutLengthPrefixed = (frames) => {
+    const headerLen = cfg.lengthOffset + cfg.lengthSize;
+    while (buf.length >= headerLen) {
+      const total = headerLen + readUint(buf, cfg.lengthOffset, cfg.lengthSize, cfg.lengthEndian) + cfg.lengthAdjust;
+      if (total < headerLen || total > MAX_FRAME_BYTES) {
+        // Length field makes no sense: hand the buffer out as-is and resync on the next chunk.
+        frames.push(buf);
+        buf = EMPTY_BYTES;
+        return;
+      }
+      if (buf.length < total) return;
+      frames.push(buf.slice(0, total));
+      buf = buf.slice(total);
+    }
+  };
+
+  const cutters = {
+    line: cutLines,
+    idle: () => {},
+    fixed: cutFixed,
+    delimiter: cutDelimited,
+    length: cutLengthPrefixed,
+  };
+
+  return {
+    mode: cfg.mode,
+    // Silence after which flush() should be called, or null when partial frames just wait.
+    idleMs: cfg.mode === 'idle' ? cfg.idleMs : cfg.mode === 'line' ? LINE_TAIL_FLUSH_MS : null,
+    get pending() { return buf.length; },
+    push(chunk) {
+      const frames = [];
+      if (!chunk || chunk.length === 0) return frames;
+      buf = concatBytes(buf, chunk);
+      cutters[cfg.mode](frames);
+      if (buf.length >= MAX_FRAME_BYTES) {
+        frames.push(buf);
+        buf = EMPTY_BYTES;
+      }
+      return frames;
+    },
+    flush() {
+      if (!buf.length) return [];
+      const frame = buf;
+      buf = EMPTY_BYTES;
+      return [frame];
+    },
+    reset() { buf = EMPTY_BYTES; },
+  };
+};
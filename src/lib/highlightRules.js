@@ -0,0 +1,125 @@
+// --- Highlight rules: color what matches, tint the line, and optionally react to it ---
+// Rules apply in list order: where matches overlap, the earlier rule wins, and the first matching rule
+// with a line tint colors the row. Actions fire on received lines only (a rule sending a command
+// can't trigger itself) and at most once per rule every TRIGGER_COOLDOWN_MS.
+
+// Class strings are spelled out in full so Tailwind keeps them.
+export const HIGHLIGHT_COLORS = [
+  { id: 'yellow', chip: 'bg-[#f4d03f] text-black border-[#f4d03f]', tint: 'bg-[#f4d03f]/15' },
+  { id: 'red', chip: 'bg-[#e74c3c] text-white border-[#e74c3c]', tint: 'bg-[#e74c3c]/15' },
+  { id: 'orange', chip: 'bg-[#f39c12] text-black border-[#f39c12]', tint: 'bg-[#f39c12]/15' },
+  { id: 'teal', chip: 'bg-[#1abc9c] text-white border-[#1abc9c]', tint: 'bg-[#1abc9c]/15' },
+  { id: 'blue', chip: 'bg-[#3b82f6] text-white border-[#3b82f6]', tint: 'bg-[#3b82f6]/15' },
+  { id: 'purple', chip: 'bg-[#9b59b6] text-white border-[#9b59b6]', tint: 'bg-[#9b59b6]/15' },
+  { id: 'white', chip: 'bg-[#ecf0f1] text-black border-[#ecf0f1]', tint: 'bg-[#ecf0f1]/15' },
+];
+
+export const getHighlightColor = (id) => HIGHLIGHT_COLORS.find(c => c.id === id) || HIGHLIGHT_COLORS[0];
+
+export const TRIGGER_ACTIONS = [
+  { id: 'sound', label: 'Sound' },
+  { id: 'notify', label: 'Notification' },
+  { id: 'pause', label: 'Pause Log' },
+  { id: 'snapshot', label: 'Plot Snapshot' },
+];
+
+export const TRIGGER_COOLDOWN_MS = 2000;
+
+export const createHighlightRule = (patch = {}) => ({
+  id: Date.now() + Math.random(),
+  enabled: true,
+  pattern: '',
+  regex: false,
+  matchCase: false,
+  color: 'yellow',
+  tintLine: false,
+  actions: { sound: false, notify: false, pause: false, snapshot: false },
+  commandId: null, // quick command sent to the session the line came from
+  ...patch,
+});
+
+export const DEFAULT_HIGHLIGHT_RULES = [
+  createHighlightRule({ id: 1, pattern: 'ERROR', color: 'red' }),
+  createHighlightRule({ id: 2, pattern: 'WDT reset', color: 'orange', tintLine: true }),
+  createHighlightRule({ id: 3, pattern: 'Guru Meditation', color: 'purple', tintLine: true }),
+];
+
+export const hasTriggerActions = (rule) => Object.values(rule.actions || {}).some(Boolean) || rule.commandId !== null;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileRule = (rule) => new RegExp(rule.regex ? rule.pattern : escapeRegExp(rule.pattern), rule.matchCase ? 'g' : 'gi');
+
+// Why a rule's regex doesn't compile, or null.
+export const highlightRuleError = (rule) => {
+  if (!rule.regex || !rule.pattern) return null;
+  try { compileRule(rule); return null; } catch (err) { return err.message; }
+};
+
+// Enabled rules with a (valid) pattern, each with a global RegExp.
+export const compileHighlightRules = (rules) => rules
+  .filter(r => r.enabled && r.pattern && !highlightRuleError(r))
+  .map(rule => ({ rule, re: compileRule(rule) }));
+
+export const matchesRule = ({ re }, text) => {
+  re.lastIndex = 0;
+  return re.test(text);
+};
+
+// Splits text into [{ text, rule }] runs; `rule` is null between matches.
+export const highlightSegments = (text, compiled) => {
+  const hits = [];
+  compiled.forEach(({ rule, re }, order) => {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[0].length === 0) { re.lastIndex++; continue; }
+      hits.push({ start: m.index, end: m.index + m[0].length, rule, order });
+    }
+  });
+  if (!hits.length) return [{ text, rule: null }];
+  hits.sort((a, b) => a.start - b.start || a.order - b.order);
+  const out = [];
+  let at = 0;
+  for (const h of hits) {
+    if (h.start < at) continue; // overlaps an earlier-placed match
+    if (h.start > at) out.push({ text: text.slice(at, h.start), rule: null });
+    out.push({ text: text.slice(h.start, h.end), rule: h.rule });
+    at = h.end;
+  }
+  if (at < text.length) out.push({ text: text.slice(at), rule: null });
+  return out;
+};
+
+// The first tinting rule matching the text, or null.
+export const lineTintRule = (text, compiled) => compiled.find(c => c.rule.tintLine && matchesRule(c, text))?.rule ?? null;
+
+// Rules with actions that match, minus those still cooling down; marks the fired ones in `lastFired` (Map id -> ms).
+export const dueTriggers = (text, compiled, lastFired, now = Date.now()) => compiled.filter(c => {
+  if (!hasTriggerActions(c.rule) || !matchesRule(c, text)) return false;
+  if (now - (lastFired.get(c.rule.id) ?? -Infinity) < TRIGGER_COOLDOWN_MS) return false;
+  lastFired.set(c.rule.id, now);
+  return true;
+}).map(c => c.rule);
+
+let audioContext = null;
+
+// A short two-tone beep; needs no asset and works once the page has had a user gesture.
+export const playAlertTone = () => {
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    const t0 = audioContext.currentTime;
+    [880, 660].forEach((freq, i) => {
+      const osc = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.15, t0 + i * 0.15);
+      gain.gain.exponentialRampToValueAtTime(0.001, t0 + i * 0.15 + 0.14);
+      osc.connect(gain).connect(audioContext.destination);
+      osc.start(t0 + i * 0.15);
+      osc.stop(t0 + i * 0.15 + 0.15);
+    });
+  } catch (e) {
+    console.warn('Alert tone failed:', e);
+  }
+};
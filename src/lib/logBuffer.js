@@ -0,0 +1,68 @@
+// --- Log ring buffer: each session keeps its newest entries in memory ---
+// Entries pushed out of memory spill to the IndexedDB store (lib/logStore) up to `storeLimit`;
+// past that, or with the store unavailable, they are dropped and counted.
+// Every entry gets a per-session sequence number, so the store can be paged and trimmed by range.
+
+export const DEFAULT_LOG_BUFFER = { memoryLimit: 5000, storeLimit: 500000 };
+// Entries fetched from the store per "load older" step, and the most kept loaded at once.
+export const LOG_HISTORY_PAGE = 1000;
+export const LOG_HISTORY_MAX = 20000;
+
+const toInt = (v, fallback) => {
+  const n = parseInt(v);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export const normalizeLogBuffer = (cfg) => ({
+  memoryLimit: Math.min(1000000, Math.max(100, toInt(cfg?.memoryLimit, DEFAULT_LOG_BUFFER.memoryLimit))),
+  storeLimit: Math.min(10000000, Math.max(0, toInt(cfg?.storeLimit, DEFAULT_LOG_BUFFER.storeLimit))),
+});
+
+// Session fields owned by the buffer (see createSession).
+export const EMPTY_LOG_BUFFER = {
+  logs: [],
+  history: [], // entries loaded back from the store for scrolling, oldest first, ending right before logs[0]
+  historyOpen: false, // set while scrolled back: entries leaving memory join `history`, so its start stays put
+  storedSearch: null, // { key, entries, truncated }: matches found in the store for the query `key` identifies
+  storedCount: 0,
+  droppedCount: 0,
+  counts: { rx: 0, tx: 0 },
+};
+
+// Pure (safe to call twice from a state updater). Returns the session patch, the entries that left
+// memory and the lowest sequence number the store should still hold.
+export const appendToLogBuffer = (session, entries, { memoryLimit, storeLimit }) => {
+  let seq = session.nextSeq;
+  const counts = { ...session.counts };
+  const stamped = entries.map((e) => {
+    if (e.type === 'rx' || e.type === 'tx') counts[e.type]++;
+    return { ...e, seq: seq++ };
+  });
+  const all = session.logs.concat(stamped);
+  const overflow = Math.max(0, all.length - memoryLimit);
+  const evicted = overflow ? all.slice(0, overflow) : [];
+  const logs = overflow ? all.slice(overflow) : all;
+  const storedCount = Math.min(storeLimit, session.storedCount + evicted.length);
+  const droppedCount = session.droppedCount + session.storedCount + evicted.length - storedCount;
+  const keepFromSeq = (logs[0]?.seq ?? seq) - storedCount;
+  // While the user is scrolled back, whatever leaves memory joins the loaded history so it stays contiguous.
+  let history = session.history;
+  if (session.historyOpen && evicted.length) {
+    history = history.concat(evicted).filter(e => e.seq >= keepFromSeq);
+    if (history.length > LOG_HISTORY_MAX) history = history.slice(-LOG_HISTORY_MAX);
+  }
+  return {
+    patch: { logs, history, nextSeq: seq, storedCount, droppedCount, counts },
+    evicted,
+    keepFromSeq,
+  };
+};
+
+// Sequence number of the oldest entry still in the store.
+export const firstStoredSeq = (session) => (session.logs[0]?.seq ?? session.nextSeq) - session.storedCount;
+
+// Sequence number of the oldest entry on screen (the loaded history, or memory).
+export const firstShownSeq = (session) => session.history[0]?.seq ?? session.logs[0]?.seq ?? session.nextSeq;
+
+// Stored entries older than what is on screen.
+export const countOlderStored = (session) => firstShownSeq(session) - firstStoredSeq(session);
@@ -0,0 +1,189 @@
+import { bufferToHex } from './bytes';
+
+// --- Log export: the log, or a slice of it, in formats other tools read ---
+// Entries are log entries ({ timestamp, _ts, type, text, bytes?, sessionId }); only rx/tx carry bytes.
+
+// Wireshark's first "user" link type; decode it with a custom dissector or view the raw bytes.
+export const DLT_USER0 = 147;
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: '.csv', mime: 'text/csv;charset=utf-8', description: 'Spreadsheet rows: timestamp, type, text and hex.' },
+  { id: 'text', label: 'TEXT', extension: '.txt', mime: 'text/plain;charset=utf-8', description: 'One line per entry, as shown in the log.' },
+  { id: 'jsonl', label: 'JSONL', extension: '.jsonl', mime: 'application/x-ndjson', description: 'One JSON object per entry with ms timestamp, type and hex payload.' },
+  { id: 'bin', label: 'RX BIN', extension: '.bin', mime: 'application/octet-stream', description: 'The received bytes back to back, nothing else.' },
+  { id: 'pcapng', label: 'PCAPNG', extension: '.pcapng', mime: 'application/octet-stream', description: 'Wireshark: USER0 link type, one interface per session, RX/TX as inbound/outbound packet flags.' },
+  { id: 'pcap', label: 'PCAP', extension: '.pcap', mime: 'application/octet-stream', description: 'Classic pcap, USER0 link type; each packet starts with a direction byte (0 = RX, 1 = TX).' },
+];
+
+export const EXPORT_SCOPES = [
+  { id: 'all', label: 'All Logs' },
+  { id: 'filtered', label: 'Filtered View' },
+  { id: 'range', label: 'Time Range' },
+];
+
+export const DEFAULT_EXPORT_OPTIONS = { format: 'csv', scope: 'all', timestamps: true, direction: true };
+
+// "HH:MM[:SS[.mmm]]" -> ms since midnight, or null.
+export const parseTimeOfDay = (value) => {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  return ((+m[1] * 60 + +m[2]) * 60 + +(m[3] || 0)) * 1000 + (m[4] ? +m[4].padEnd(3, '0') : 0);
+};
+
+const timeOfDayOf = (entry) => {
+  const d = new Date(entry._ts);
+  return ((d.getHours() * 60 + d.getMinutes()) * 60 + d.getSeconds()) * 1000 + d.getMilliseconds();
+};
+
+// Predicate for an inclusive time-of-day range, or null if either end doesn't parse.
+// A range whose end is before its start wraps past midnight.
+export const timeRangeTest = (from, to) => {
+  const start = parseTimeOfDay(from);
+  const end = parseTimeOfDay(to);
+  if (start === null || end === null) return null;
+  return (e) => {
+    const at = timeOfDayOf(e);
+    return start <= end ? at >= start && at <= end : at >= start || at <= end;
+  };
+};
+
+export const selectTimeRange = (entries, from, to) => {
+  const test = timeRangeTest(from, to);
+  return test ? entries.filter(test) : [];
+};
+
+const isPacket = (e) => (e.type === 'rx' || e.type === 'tx') && e.bytes?.length;
+
+// How much an export would contain: entries, or packets / bytes for the binary formats.
+export const measureExport = (formatId, entries) => {
+  if (formatId === 'bin') return { count: entries.reduce((n, e) => n + (e.type === 'rx' && e.bytes ? e.bytes.length : 0), 0), unit: 'bytes' };
+  if (formatId === 'pcap' || formatId === 'pcapng') return { count: entries.filter(isPacket).length, unit: 'packets' };
+  return { count: entries.length, unit: 'entries' };
+};
+
+const csvField = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+
+const csvHeader = ({ tagSessions }) => `Timestamp,${tagSessions ? 'Session,' : ''}Type,Content,Hex\n`;
+
+const csvRows = (entries, { tagSessions, sessionNames }) => entries.map(l => [
+  csvField(l.timestamp),
+  ...(tagSessions ? [csvField(sessionNames.get(l.sessionId))] : []),
+  csvField(l.type),
+  csvField(l.text),
+  csvField(l.bytes ? bufferToHex(l.bytes) : ''),
+].join(',')).join('\n');
+
+const buildCsv = (entries, options) => csvHeader(options) + csvRows(entries, options);
+
+const buildText = (entries, { tagSessions, sessionNames, timestamps, direction, labelOf }) => entries.map(l => [
+  timestamps && `[${l.timestamp}]`,
+  tagSessions && `${sessionNames.get(l.sessionId) ?? ''}`,
+  direction && `${labelOf(l)}:`,
+  String(l.text ?? ''),
+].filter(part => part !== false && part !== null && part !== undefined).join(' ')).join('\n') + '\n';
+
+const buildJsonl = (entries, { tagSessions, sessionNames }) => entries.map(l => JSON.stringify({
+  ts: Math.round(l._ts * 1000) / 1000,
+  time: l.timestamp,
+  ...(tagSessions && { session: sessionNames.get(l.sessionId) ?? null }),
+  type: l.type,
+  ...(l.direction && { direction: l.direction }),
+  hex: l.bytes ? bufferToHex(l.bytes).replace(/ /g, '') : null,
+  text: String(l.text ?? ''),
+})).join('\n') + '\n';
+
+const buildRxBin = (entries) => {
+  const chunks = entries.filter(e => e.type === 'rx' && e.bytes).map(e => e.bytes);
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const c of chunks) { out.set(c, offset); offset += c.length; }
+  return out;
+};
+
+// Little-endian block writer; lengths are fixed up front so a single buffer is allocated.
+const createWriter = (size) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  return {
+    bytes,
+    u8(v) { view.setUint8(offset, v); offset += 1; },
+    u16(v) { view.setUint16(offset, v, true); offset += 2; },
+    u32(v) { view.setUint32(offset, v >>> 0, true); offset += 4; },
+    raw(data) { bytes.set(data, offset); offset += data.length; },
+    pad() { offset = (offset + 3) & ~3; },
+  };
+};
+
+const pad4 = (n) => (n + 3) & ~3;
+const toMicros = (ms) => Math.round(ms * 1000);
+
+// pcapng: SHB, one IDB per session (named after it), then an EPB per RX/TX chunk with inbound/outbound flags.
+const buildPcapng = (entries, { sessionNames }) => {
+  const packets = entries.filter(isPacket);
+  const interfaceIds = new Map();
+  for (const p of packets) if (!interfaceIds.has(p.sessionId)) interfaceIds.set(p.sessionId, interfaceIds.size);
+  const names = [...interfaceIds.keys()].map(id => new TextEncoder().encode(String(sessionNames.get(id) ?? `Session ${id}`)));
+
+  const SHB = 28;
+  const idbSize = (name) => 20 + 4 + pad4(name.length) + 4;
+  const epbSize = (p) => 32 + pad4(p.bytes.length) + 8 + 4;
+  const size = SHB + names.reduce((n, name) => n + idbSize(name), 0) + packets.reduce((n, p) => n + epbSize(p), 0);
+  const w = createWriter(size);
+
+  w.u32(0x0A0D0D0A); w.u32(SHB); w.u32(0x1A2B3C4D); w.u16(1); w.u16(0); w.u32(0xFFFFFFFF); w.u32(0xFFFFFFFF); w.u32(SHB);
+  for (const name of names) {
+    const len = idbSize(name);
+    w.u32(0x00000001); w.u32(len); w.u16(DLT_USER0); w.u16(0); w.u32(0);
+    w.u16(2); w.u16(name.length); w.raw(name); w.pad(); // if_name
+    w.u16(0); w.u16(0); // opt_endofopt
+    w.u32(len);
+  }
+  for (const p of packets) {
+    const len = epbSize(p);
+    const micros = toMicros(p._ts);
+    w.u32(0x00000006); w.u32(len); w.u32(interfaceIds.get(p.sessionId));
+    w.u32(Math.floor(micros / 0x100000000)); w.u32(micros % 0x100000000);
+    w.u32(p.bytes.length); w.u32(p.bytes.length); w.raw(p.bytes); w.pad();
+    w.u16(2); w.u16(4); w.u32(p.type === 'rx' ? 1 : 2); // epb_flags: 01 inbound, 10 outbound
+    w.u16(0); w.u16(0);
+    w.u32(len);
+  }
+  return w.bytes;
+};
+
+// Classic pcap has no per-packet direction, so it travels as the first payload byte.
+const buildPcap = (entries) => {
+  const packets = entries.filter(isPacket);
+  const w = createWriter(24 + packets.reduce((n, p) => n + 16 + 1 + p.bytes.length, 0));
+  w.u32(0xA1B2C3D4); w.u16(2); w.u16(4); w.u32(0); w.u32(0); w.u32(0x40000); w.u32(DLT_USER0);
+  for (const p of packets) {
+    const micros = toMicros(p._ts);
+    w.u32(Math.floor(micros / 1e6)); w.u32(micros % 1e6);
+    w.u32(p.bytes.length + 1); w.u32(p.bytes.length + 1);
+    w.u8(p.type === 'rx' ? 0 : 1);
+    w.raw(p.bytes);
+  }
+  return w.bytes;
+};
+
+const BUILDERS = { csv: buildCsv, text: buildText, jsonl: buildJsonl, bin: buildRxBin, pcapng: buildPcapng, pcap: buildPcap };
+
+const withDefaults = (options) => ({ sessionNames: new Map(), labelOf: e => e.type.toUpperCase(), ...options });
+
+// One batch of a text format (csv, text, jsonl) as a string ending in a newline, for appending to a file
+// as entries arrive (lib/logRecorder). `header` adds the CSV header row, wanted once at the top of each file.
+export const formatLogBatch = (formatId, entries, { header = false, ...options } = {}) => {
+  const opts = withDefaults(options);
+  if (formatId === 'csv') return (header ? csvHeader(opts) : '') + (entries.length ? `${csvRows(entries, opts)}\n` : '');
+  if (!entries.length) return '';
+  return formatId === 'jsonl' ? buildJsonl(entries, opts) : buildText(entries, opts);
+};
+
+// options: { sessionNames: Map id -> name, tagSessions (add a session column/field), timestamps, direction, labelOf(entry) }
+// pcapng names its interfaces after the sessions either way.
+export const buildLogExport = (formatId, entries, options = {}) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId) || EXPORT_FORMATS[0];
+  const data = BUILDERS[format.id](entries, withDefaults(options));
+  return { blob: new Blob([data], { type: format.mime }), extension: format.extension };
+};
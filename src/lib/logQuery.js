@@ -0,0 +1,116 @@
+import { timeRangeTest } from './logExport';
+
+// --- Log queries: what the search box matches ---
+// The box text and any extra include terms are combined with AND or OR; exclude terms always reject.
+// Direction and the time window narrow further. Terms match the entry's displayed text (hex in HEX view).
+
+export const DEFAULT_LOG_QUERY = {
+  text: '',
+  regex: false,
+  matchCase: false,
+  terms: [], // [{ id, op: 'include' | 'exclude', text }]
+  combine: 'and',
+  direction: 'all',
+  from: '', // "HH:MM[:SS[.mmm]]"; either end may be left empty
+  to: '',
+  context: 0, // entries shown around each match, like grep -C
+  showAll: false, // keep the whole log visible and only mark the matches
+};
+
+export const QUERY_DIRECTIONS = [
+  { id: 'all', label: 'All' },
+  { id: 'rx', label: 'RX Only' },
+  { id: 'tx', label: 'TX Only' },
+];
+
+export const MAX_QUERY_CONTEXT = 50;
+
+export const normalizeLogQuery = (q) => ({ ...DEFAULT_LOG_QUERY, ...(typeof q === 'string' ? { text: q } : q) });
+
+// True when the query matches anything less than every entry.
+export const isLogQueryActive = (q) => !!(q.text || q.direction !== 'all' || q.from || q.to || q.terms.some(t => t.text));
+
+// Identifies what a query matches (not how the result is shown), e.g. to tell whether a stored search is current.
+export const logQueryKey = (q) => JSON.stringify([q.text, q.regex, q.matchCase, q.terms.map(t => [t.op, t.text]), q.combine, q.direction, q.from, q.to]);
+
+const compilePattern = (text, { regex, matchCase }) => {
+  if (regex) {
+    const re = new RegExp(text, matchCase ? '' : 'i');
+    return s => re.test(s);
+  }
+  const needle = matchCase ? text : text.toLowerCase();
+  return s => (matchCase ? s : s.toLowerCase()).includes(needle);
+};
+
+// Returns { test(entry), error }; a query that doesn't compile (bad regex or time) matches nothing.
+export const compileLogQuery = (q, textOf) => {
+  const none = (error) => ({ test: () => false, error });
+  let includes;
+  let excludes;
+  try {
+    const terms = [{ op: 'include', text: q.text }, ...q.terms].filter(t => t.text);
+    includes = terms.filter(t => t.op !== 'exclude').map(t => compilePattern(t.text, q));
+    excludes = terms.filter(t => t.op === 'exclude').map(t => compilePattern(t.text, q));
+  } catch (err) {
+    return none(err.message);
+  }
+  let inTime = null;
+  if (q.from || q.to) {
+    inTime = timeRangeTest(q.from || '00:00', q.to || '23:59:59.999');
+    if (!inTime) return none('Time window must be HH:MM[:SS[.mmm]]');
+  }
+  const combine = q.combine === 'or' ? 'some' : 'every';
+  return {
+    error: null,
+    test: (e) => {
+      if (q.direction !== 'all' && e.type !== q.direction) return false;
+      if (inTime && !inTime(e)) return false;
+      if (!includes.length && !excludes.length) return true;
+      const text = textOf(e);
+      if (excludes.some(m => m(text))) return false;
+      return !includes.length || includes[combine](m => m(text));
+    },
+  };
+};
+
+// What the log shows for a query: `items` in order, `matches` (null when every item is one) and `gaps`,
+// the items that follow skipped entries (shown with a separator, as grep prints "--").
+export const applyLogQuery = (entries, test, { context = 0, showAll = false } = {}) => {
+  if (showAll) return { items: entries, matches: new Set(entries.filter(test)), gaps: null };
+  const n = Math.min(MAX_QUERY_CONTEXT, Math.max(0, parseInt(context) || 0));
+  if (!n) return { items: entries.filter(test), matches: null, gaps: null };
+  const items = [];
+  const matches = new Set();
+  const gaps = new Set();
+  let shownUntil = -1; // last index already in `items`
+  let pendingUntil = -1; // trailing context runs through this index
+  entries.forEach((e, i) => {
+    if (test(e)) {
+      matches.add(e);
+      const from = Math.max(shownUntil + 1, i - n);
+      for (let j = from; j <= i; j++) {
+        if (j === from && shownUntil >= 0 && from > shownUntil + 1) gaps.add(entries[j]);
+        items.push(entries[j]);
+      }
+      shownUntil = i;
+      pendingUntil = i + n;
+    } else if (i <= pendingUntil) {
+      items.push(e);
+      shownUntil = i;
+    }
+  });
+  return { items, matches, gaps };
+};
+
+// One line for labels and the export dialog, e.g. `"err" OR "warn" · NOT "ping" · RX · 10:00–11:00`.
+export const describeLogQuery = (q) => {
+  const quote = (text) => (q.regex ? `/${text}/` : `"${text}"`);
+  const includes = [q.text, ...q.terms.filter(t => t.op !== 'exclude').map(t => t.text)].filter(Boolean).map(quote);
+  const parts = [
+    includes.join(q.combine === 'or' ? ' OR ' : ' AND '),
+    ...q.terms.filter(t => t.op === 'exclude' && t.text).map(t => `NOT ${quote(t.text)}`),
+    q.direction !== 'all' && q.direction.toUpperCase(),
+    (q.from || q.to) && `${q.from || '00:00'}–${q.to || '24:00'}`,
+  ];
+  return parts.filter(Boolean).join(' · ');
+};
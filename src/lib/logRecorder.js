@@ -0,0 +1,179 @@
+import { EXPORT_FORMATS } from './logExport';
+
+// --- Record to file: RX/TX entries appended to disk as they arrive (File System Access API) ---
+// A writable stream only lands in the file when it is closed, so the recorder commits (closes and
+// reopens at the end) every RECORD_COMMIT_MS; a crash or power loss costs at most that much.
+// Reopening with keepExistingData copies the whole file into a fresh swap file, so commits space out
+// as a file grows (see commitIntervalFor): the copying stays near RECORD_COMMIT_BYTES per RECORD_COMMIT_MS
+// instead of growing with the file. Size rotation (the default) keeps files, and so that lag, bounded;
+// closing a file on rotation commits it at no extra cost.
+// Rotation needs a directory handle: a save-file handle cannot create sibling files.
+
+export const RECORD_FORMATS = EXPORT_FORMATS.filter(f => f.id === 'text' || f.id === 'jsonl' || f.id === 'csv');
+
+export const RECORD_ROTATIONS = [
+  { id: 'none', label: 'Single File' },
+  { id: 'size', label: 'By Size' },
+  { id: 'time', label: 'By Time' },
+];
+
+export const DEFAULT_RECORD_OPTIONS = { format: 'text', rotation: 'size', rotateMb: 100, rotateMinutes: 60, timestamps: true, direction: true };
+
+export const RECORD_COMMIT_MS = 10000;
+// Files up to this size commit every RECORD_COMMIT_MS; larger ones proportionally less often.
+export const RECORD_COMMIT_BYTES = 4 * 1024 * 1024;
+
+const commitIntervalFor = (fileBytes) => RECORD_COMMIT_MS * Math.max(1, fileBytes / RECORD_COMMIT_BYTES);
+// Progress reaches the UI at most this often.
+const NOTIFY_MS = 500;
+
+export const isRecordingSupported = () => typeof window !== 'undefined' && 'showSaveFilePicker' in window && 'showDirectoryPicker' in window;
+
+const getFormat = (id) => RECORD_FORMATS.find(f => f.id === id) || RECORD_FORMATS[0];
+
+// "20261019-153002"
+const fileStamp = (ms = Date.now()) => {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+};
+
+export const formatRecordSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
+// Opens the picker, so it must run in a user gesture. Rejects with an AbortError when cancelled.
+export const pickRecordTarget = async (options) => {
+  const format = getFormat(options.format);
+  if (options.rotation === 'none') {
+    const file = await window.showSaveFilePicker({
+      suggestedName: `Portax_Record_${fileStamp()}${format.extension}`,
+      types: [{ description: format.label, accept: { [format.mime.split(';')[0]]: [format.extension] } }],
+    });
+    return { file };
+  }
+  return { dir: await window.showDirectoryPicker({ id: 'portax-record', mode: 'readwrite' }) };
+};
+
+// target: { file } or { dir } from pickRecordTarget; `header` starts every file (the CSV header row).
+// write(text) queues text; writes, rotations and commits run one at a time in order.
+// subscribe/getSnapshot follow the useSyncExternalStore contract.
+export const createLogRecorder = ({ target, options, header = '', onError }) => {
+  const format = getFormat(options.format);
+  const rotateBytes = Math.max(1, Number(options.rotateMb) || DEFAULT_RECORD_OPTIONS.rotateMb) * 1024 * 1024;
+  const rotateMs = Math.max(1, Number(options.rotateMinutes) || DEFAULT_RECORD_OPTIONS.rotateMinutes) * 60000;
+  const encoder = new TextEncoder();
+
+  let handle = null;
+  let writable = null;
+  let fileBytes = 0;
+  let fileStartedAt = 0;
+  let committedAt = 0;
+  let dirty = false;
+  let queue = [];
+  let chain = Promise.resolve();
+  let stopped = false;
+  let notifyTimer = null;
+  const listeners = new Set();
+
+  let snapshot = { isRecording: true, fileName: null, files: 0, bytesWritten: 0, startedAt: Date.now(), error: null };
+  const update = (patch, immediate = false) => {
+    snapshot = { ...snapshot, ...patch };
+    const emit = () => { notifyTimer = null; listeners.forEach(l => l()); };
+    if (immediate) { clearTimeout(notifyTimer); emit(); } else if (!notifyTimer) notifyTimer = setTimeout(emit, NOTIFY_MS);
+  };
+
+  const openFile = async () => {
+    const now = Date.now();
+    handle = target.file || await target.dir.getFileHandle(`Portax_Record_${fileStamp(now)}_${String(snapshot.files + 1).padStart(3, '0')}${format.extension}`, { create: true });
+    writable = await handle.createWritable();
+    fileBytes = 0;
+    fileStartedAt = now;
+    committedAt = now;
+    update({ fileName: handle.name, files: snapshot.files + 1 }, true);
+    if (header) await writeBytes(encoder.encode(header));
+  };
+
+  const closeFile = async () => {
+    if (!writable) return;
+    await writable.close();
+    writable = null;
+    dirty = false;
+  };
+
+  const writeBytes = async (bytes) => {
+    await writable.write(bytes);
+    fileBytes += bytes.length;
+    dirty = true;
+    update({ bytesWritten: snapshot.bytesWritten + bytes.length });
+  };
+
+  const needsRotation = (incoming) => {
+    if (!target.dir || fileBytes === 0) return false;
+    if (options.rotation === 'size') return fileBytes + incoming > rotateBytes;
+    if (options.rotation === 'time') return Date.now() - fileStartedAt >= rotateMs;
+    return false;
+  };
+
+  const drain = async () => {
+    if (!queue.length) return;
+    const bytes = encoder.encode(queue.join(''));
+    queue = [];
+    if (!writable) await openFile();
+    else if (needsRotation(bytes.length)) { await closeFile(); await openFile(); }
+    await writeBytes(bytes);
+  };
+
+  const commit = async () => {
+    if (!writable || !dirty || Date.now() - committedAt < commitIntervalFor(fileBytes)) return;
+    committedAt = Date.now();
+    await writable.close();
+    writable = await handle.createWritable({ keepExistingData: true });
+    await writable.seek(fileBytes);
+    dirty = false;
+  };
+
+  const fail = async (err) => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(commitTimer);
+    queue = [];
+    try { await writable?.abort(); } catch { /* already broken */ }
+    writable = null;
+    update({ isRecording: false, error: err.message || String(err) }, true);
+    onError?.(err);
+  };
+
+  const enqueue = (step) => {
+    chain = chain.then(() => (stopped ? undefined : step())).catch(fail);
+    return chain;
+  };
+
+  const commitTimer = setInterval(() => enqueue(commit), RECORD_COMMIT_MS);
+
+  return {
+    // Opens the first file right away, so a bad target fails before any data arrives.
+    start: () => enqueue(openFile),
+    write(text) {
+      if (stopped || !text) return;
+      const wasEmpty = !queue.length;
+      queue.push(text);
+      if (wasEmpty) enqueue(drain);
+    },
+    async stop() {
+      if (stopped) return;
+      clearInterval(commitTimer);
+      await enqueue(async () => { await drain(); await closeFile(); });
+      stopped = true;
+      update({ isRecording: false }, true);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+};
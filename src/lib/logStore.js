@@ -0,0 +1,157 @@
+// --- IndexedDB spill store for log entries evicted from memory (see lib/logBuffer) ---
+// Records are keyed [instance, sessionId, seq]. Each open tab is its own instance and holds a Web Lock
+// for as long as it lives; on startup, records of instances whose lock is gone (closed tabs) are deleted.
+// Writes are queued and committed in one transaction per tick; reads wait for pending writes first.
+
+const DB_NAME = 'portax-log-store';
+const ENTRIES = 'entries';
+const INSTANCES = 'instances';
+const LOCK_PREFIX = 'portax-log-store:';
+
+const instanceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let dbPromise = null;
+let pendingPuts = [];
+let pendingTrims = new Map(); // sessionId -> delete every seq below this
+let flushPromise = null;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(ENTRIES, { keyPath: ['instance', 'sessionId', 'seq'] });
+        req.result.createObjectStore(INSTANCES, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Every key of one session of this tab sorts between these two.
+const sessionRange = (sessionId, fromSeq = 0, toSeq = Infinity) =>
+  IDBKeyRange.bound([instanceId, sessionId, fromSeq], [instanceId, sessionId, toSeq], false, true);
+
+// Resolves false when IndexedDB or Web Locks are unavailable (private mode, old browser); spilling is then off.
+export const initLogStore = async () => {
+  try {
+    if (!navigator.locks) return false;
+    // Held until the tab closes.
+    navigator.locks.request(LOCK_PREFIX + instanceId, () => new Promise(() => {}));
+    const db = await openDb();
+    const { held = [] } = await navigator.locks.query();
+    const alive = new Set(held.map(l => l.name).filter(n => n?.startsWith(LOCK_PREFIX)).map(n => n.slice(LOCK_PREFIX.length)));
+    alive.add(instanceId);
+    const tx = db.transaction([ENTRIES, INSTANCES], 'readwrite');
+    const instances = await request(tx.objectStore(INSTANCES).getAllKeys());
+    for (const id of instances) {
+      if (alive.has(id)) continue;
+      tx.objectStore(ENTRIES).delete(IDBKeyRange.bound([id], [id, []]));
+      tx.objectStore(INSTANCES).delete(id);
+    }
+    tx.objectStore(INSTANCES).put({ id: instanceId, startedAt: Date.now() });
+    await transactionDone(tx);
+    return true;
+  } catch (e) {
+    console.warn('Log store unavailable, evicted log entries will be dropped:', e);
+    return false;
+  }
+};
+
+const flush = async () => {
+  await Promise.resolve(); // collect everything queued in this tick
+  const puts = pendingPuts;
+  const trims = pendingTrims;
+  pendingPuts = [];
+  pendingTrims = new Map();
+  try {
+    const db = await openDb();
+    const tx = db.transaction(ENTRIES, 'readwrite');
+    const store = tx.objectStore(ENTRIES);
+    for (const entry of puts) store.put(entry);
+    for (const [sessionId, belowSeq] of trims) if (belowSeq > 0) store.delete(sessionRange(sessionId, 0, belowSeq));
+    await transactionDone(tx);
+  } catch (e) {
+    console.error('Log store write failed:', e);
+  }
+};
+
+const scheduleFlush = () => {
+  if (flushPromise) return;
+  flushPromise = flush().finally(() => {
+    flushPromise = null;
+    if (pendingPuts.length || pendingTrims.size) scheduleFlush();
+  });
+};
+
+const settled = async () => {
+  while (flushPromise) await flushPromise;
+};
+
+// Stores `entries` and forgets everything of the session below `keepFromSeq`. Idempotent.
+export const spillLogEntries = (sessionId, entries, keepFromSeq) => {
+  for (const e of entries) pendingPuts.push({ ...e, instance: instanceId, sessionId });
+  if (keepFromSeq > (pendingTrims.get(sessionId) ?? 0)) pendingTrims.set(sessionId, keepFromSeq);
+  scheduleFlush();
+};
+
+const stripKey = (record) => {
+  const { instance: _instance, ...entry } = record;
+  return entry;
+};
+
+// Up to `limit` entries right before `beforeSeq`, oldest first.
+export const loadStoredPage = async (sessionId, beforeSeq, limit) => {
+  await settled();
+  const db = await openDb();
+  const tx = db.transaction(ENTRIES, 'readonly');
+  const out = [];
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(ENTRIES).openCursor(sessionRange(sessionId, 0, beforeSeq), 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || out.length >= limit) { resolve(); return; }
+      out.push(stripKey(cursor.value));
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  return out.reverse();
+};
+
+// Scans the session's stored entries below `beforeSeq` in order; stops after `limit` matches.
+export const searchStored = async (sessionId, beforeSeq, predicate, limit) => {
+  await settled();
+  const db = await openDb();
+  const tx = db.transaction(ENTRIES, 'readonly');
+  const entries = [];
+  let truncated = false;
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(ENTRIES).openCursor(sessionRange(sessionId, 0, beforeSeq));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) { resolve(); return; }
+      const entry = stripKey(cursor.value);
+      if (predicate(entry)) {
+        if (entries.length >= limit) { truncated = true; resolve(); return; }
+        entries.push(entry);
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  return { entries, truncated };
+};
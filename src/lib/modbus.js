@@ -0,0 +1,281 @@
+import { calculateCRC16 } from './bytes';
+
+// --- Modbus RTU frame building / parsing ---
+export const MODBUS_FUNCTIONS = [
+  { code: 0x01, label: '01 Read Coils', kind: 'read-bits' },
+  { code: 0x02, label: '02 Read Discrete Inputs', kind: 'read-bits' },
+  { code: 0x03, label: '03 Read Holding Registers', kind: 'read-registers' },
+  { code: 0x04, label: '04 Read Input Registers', kind: 'read-registers' },
+  { code: 0x05, label: '05 Write Single Coil', kind: 'write-single-bit' },
+  { code: 0x06, label: '06 Write Single Register', kind: 'write-single-register' },
+  { code: 0x0F, label: '0F Write Multiple Coils', kind: 'write-bits' },
+  { code: 0x10, label: '10 Write Multiple Registers', kind: 'write-registers' },
+];
+
+export const MODBUS_EXCEPTIONS = {
+  0x01: 'Illegal Function',
+  0x02: 'Illegal Data Address',
+  0x03: 'Illegal Data Value',
+  0x04: 'Slave Device Failure',
+  0x05: 'Acknowledge',
+  0x06: 'Slave Device Busy',
+  0x08: 'Memory Parity Error',
+  0x0A: 'Gateway Path Unavailable',
+  0x0B: 'Gateway Target Failed to Respond',
+};
+
+// Persisted master panel settings.
+export const DEFAULT_MODBUS_MASTER = {
+  slaveId: 1,
+  functionCode: 0x03,
+  address: 0,
+  count: 10,
+  values: '',
+  pollMs: 1000,
+  timeoutMs: 500,
+  signed: false,
+  plotMap: {}, // { [register address]: series index }
+};
+
+// Protocol limits per request (Modbus Application Protocol v1.1b3).
+export const MODBUS_LIMITS = { 0x01: 2000, 0x02: 2000, 0x03: 125, 0x04: 125, 0x0F: 1968, 0x10: 123 };
+
+export const getModbusFunction = (code) => MODBUS_FUNCTIONS.find(f => f.code === code) || null;
+
+export const formatFunctionCode = (code) => `FC${code.toString(16).padStart(2, '0').toUpperCase()}`;
+
+export const describeException = (code) =>
+  `${code.toString(16).padStart(2, '0').toUpperCase()} ${MODBUS_EXCEPTIONS[code] || 'Unknown Exception'}`;
+
+export const withCRC = (body) => {
+  const out = new Uint8Array(body.length + 2);
+  out.set(body);
+  out.set(calculateCRC16(body), body.length);
+  return out;
+};
+
+export const checkCRC = (frame) => {
+  if (!frame || frame.length < 4) return false;
+  const crc = calculateCRC16(frame.subarray(0, frame.length - 2));
+  return crc[0] === frame[frame.length - 2] && crc[1] === frame[frame.length - 1];
+};
+
+const u16 = (v) => [(v >> 8) & 0xFF, v & 0xFF];
+
+// Accepts decimal, negative (two's complement) or 0x-prefixed hex register values.
+export const parseRegisterValue = (str) => {
+  const s = String(str).trim();
+  if (!s) return null;
+  const n = /^[-+]?0x[0-9a-f]+$/i.test(s) ? parseInt(s, 16) : Number(s);
+  if (!Number.isInteger(n) || n < -32768 || n > 0xFFFF) return null;
+  return n & 0xFFFF;
+};
+
+export const parseCoilValue = (str) => {
+  const s = String(str).trim().toLowerCase();
+  if (['1', 'on', 'true'].includes(s)) return true;
+  if (['0', 'off', 'false'].includes(s)) return false;
+  return null;
+};
+
+const packBits = (bits) => {
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  bits.forEach((on, i) => { if (on) bytes[i >> 3] |= 1 << (i & 7); });
+  return bytes;
+};
+
+export const unpackBits = (bytes, count) =>
+  Array.from({ length: count }, (_, i) => ((bytes[i >> 3] >> (i & 7)) & 1) === 1);
+
+// request: { slaveId, functionCode, address, count, values: [] } -> Uint8Array frame with CRC.
+// Throws with a user-facing message on invalid input.
+export const buildModbusRequest = ({ slaveId, functionCode, address, count, values = [] }) => {
+  const fn = getModbusFunction(functionCode);
+  if (!fn) throw new Error(`Unsupported function ${functionCode}`);
+  if (!Number.isInteger(slaveId) || slaveId < 0 || slaveId > 247) throw new Error('Slave ID must be 0-247');
+  if (!Number.isInteger(address) || address < 0 || address > 0xFFFF) throw new Error('Address must be 0-65535');
+
+  const head = [slaveId, functionCode, ...u16(address)];
+  const limit = MODBUS_LIMITS[functionCode];
+
+  switch (fn.kind) {
+    case 'read-bits':
+    case 'read-registers':
+      if (!Number.isInteger(count) || count < 1 || count > limit) throw new Error(`Count must be 1-${limit}`);
+      return withCRC(new Uint8Array([...head, ...u16(count)]));
+    case 'write-single-bit': {
+      const on = values[0];
+      if (typeof on !== 'boolean') throw new Error('Coil value must be ON or OFF');
+      return withCRC(new Uint8Array([...head, on ? 0xFF : 0x00, 0x00]));
+    }
+    case 'write-single-register': {
+      const v = values[0];
+      if (!Number.isInteger(v)) throw new Error('Register value is invalid');
+      return withCRC(new Uint8Array([...head, ...u16(v)]));
+    }
+    case 'write-bits': {
+      if (values.length < 1 || values.length > limit || values.some(v => typeof v !== 'boolean')) throw new Error(`Need 1-${limit} coil values (0/1)`);
+      const packed = packBits(values);
+      return withCRC(new Uint8Array([...head, ...u16(values.length), packed.length, ...packed]));
+    }
+    case 'write-registers': {
+      if (values.length < 1 || values.length > limit || values.some(v => !Number.isInteger(v))) throw new Error(`Need 1-${limit} register values`);
+      return withCRC(new Uint8Array([...head, ...u16(values.length), values.length * 2, ...values.flatMap(u16)]));
+    }
+    default:
+      throw new Error(`Unsupported function ${functionCode}`);
+  }
+};
+
+// Length of the response frame once enough of it has arrived, or null if still unknown.
+export const expectedResponseLength = (buf) => {
+  if (buf.length < 2) return null;
+  if (buf[1] & 0x80) return 5;
+  switch (buf[1]) {
+    case 0x01: case 0x02: case 0x03: case 0x04:
+      return buf.length >= 3 ? 5 + buf[2] : null;
+    case 0x05: case 0x06: case 0x0F: case 0x10:
+      return 8;
+    default:
+      return null;
+  }
+};
+
+// Parse a complete response frame against the request that produced it.
+// Returns { ok, error?, exception?, slaveId, functionCode, address, values? }.
+export const parseModbusResponse = (frame, request) => {
+  const base = { ok: false, slaveId: frame[0], functionCode: frame[1] & 0x7F, address: request.address };
+  if (frame.length < 5) return { ...base, error: 'Short frame' };
+  if (!checkCRC(frame)) return { ...base, error: 'CRC mismatch' };
+  if (frame[0] !== request.slaveId) return { ...base, error: `Unexpected slave ${frame[0]}` };
+  if ((frame[1] & 0x7F) !== request.functionCode) return { ...base, error: `Unexpected function ${formatFunctionCode(frame[1] & 0x7F)}` };
+  if (frame[1] & 0x80) return { ...base, exception: frame[2], error: `Exception ${describeException(frame[2])}` };
+
+  const fn = getModbusFunction(request.functionCode);
+  const data = frame.subarray(2, frame.length - 2);
+  switch (fn.kind) {
+    case 'read-bits': {
+      if (data[0] !== Math.ceil(request.count / 8)) return { ...base, error: 'Byte count mismatch' };
+      return { ...base, ok: true, values: unpackBits(data.subarray(1), request.count) };
+    }
+    case 'read-registers': {
+      if (data[0] !== request.count * 2) return { ...base, error: 'Byte count mismatch' };
+      const values = [];
+      for (let i = 0; i < request.count; i++) values.push((data[1 + i * 2] << 8) | data[2 + i * 2]);
+      return { ...base, ok: true, values };
+    }
+    default: {
+      const address = (data[0] << 8) | data[1];
+      if (address !== request.address) return { ...base, error: 'Address echo mismatch' };
+      return { ...base, ok: true };
+    }
+  }
+};
+
+// One-line summary for the log, e.g. "#1 FC03 @0 x10 -> OK" / "#1 FC03 @0 x10 -> Exception 02 Illegal Data Address".
+export const describeModbusRequest = (request) => {
+  const fn = getModbusFunction(request.functionCode);
+  const n = fn && fn.kind.startsWith('read') ? request.count : (request.values || []).length;
+  return `#${request.slaveId} ${formatFunctionCode(request.functionCode)} @${request.address} x${n}`;
+};
+
+export const toSigned16 = (v) => (v & 0x8000 ? v - 0x10000 : v);
+
+// --- Modbus RTU slave (device simulator) ---
+export const SLAVE_TABLES = [
+  { key: 'coils', label: 'Coils', bits: true, writable: true },
+  { key: 'discreteInputs', label: 'Discrete Inputs', bits: true, writable: false },
+  { key: 'holdingRegisters', label: 'Holding Registers', bits: false, writable: true },
+  { key: 'inputRegisters', label: 'Input Registers', bits: false, writable: false },
+];
+
+export const MAX_SLAVE_TABLE_SIZE = 1024;
+
+export const DEFAULT_MODBUS_SLAVE = {
+  slaveId: 1,
+  coils: Array(32).fill(false),
+  discreteInputs: Array(32).fill(false),
+  holdingRegisters: Array(32).fill(0),
+  inputRegisters: Array(32).fill(0),
+};
+
+// Length of the request frame at the start of buf, or null if it can't be known yet (or at all).
+export const expectedRequestLength = (buf) => {
+  if (buf.length < 2) return null;
+  switch (buf[1]) {
+    case 0x01: case 0x02: case 0x03: case 0x04: case 0x05: case 0x06:
+      return 8;
+    case 0x0F: case 0x10:
+      return buf.length >= 7 ? 9 + buf[6] : null;
+    default:
+      return null;
+  }
+};
+
+const exceptionFrame = (slaveId, functionCode, code) => withCRC(new Uint8Array([slaveId, functionCode | 0x80, code]));
+
+// Execute one CRC-valid request against the register store.
+// Returns { response (null for broadcast/foreign frames), store (new object if written), summary }.
+export const processSlaveRequest = (frame, store, slaveId) => {
+  const target = frame[0];
+  const functionCode = frame[1];
+  if (target !== slaveId && target !== 0) return { response: null, store, summary: null };
+  const broadcast = target === 0;
+
+  const reqAddress = frame.length >= 4 ? (frame[2] << 8) | frame[3] : 0;
+  const quantity = frame.length >= 6 ? (frame[4] << 8) | frame[5] : 0;
+  const label = `#${target} ${formatFunctionCode(functionCode)} @${reqAddress}`;
+  const reply = (body) => (broadcast ? null : withCRC(new Uint8Array([slaveId, functionCode, ...body])));
+  const fail = (code) => ({
+    response: broadcast ? null : exceptionFrame(slaveId, functionCode, code),
+    store,
+    summary: `${label} -> Exception ${describeException(code)}`,
+  });
+  const inRange = (table, count) => reqAddress + count <= (store[table] || []).length;
+
+  switch (functionCode) {
+    case 0x01: case 0x02: {
+      const table = functionCode === 0x01 ? 'coils' : 'discreteInputs';
+      if (quantity < 1 || quantity > MODBUS_LIMITS[functionCode]) return fail(0x03);
+      if (!inRange(table, quantity)) return fail(0x02);
+      const packed = packBits(store[table].slice(reqAddress, reqAddress + quantity));
+      return { response: reply([packed.length, ...packed]), store, summary: `${label} x${quantity} -> OK` };
+    }
+    case 0x03: case 0x04: {
+      const table = functionCode === 0x03 ? 'holdingRegisters' : 'inputRegisters';
+      if (quantity < 1 || quantity > MODBUS_LIMITS[functionCode]) return fail(0x03);
+      if (!inRange(table, quantity)) return fail(0x02);
+      const regs = store[table].slice(reqAddress, reqAddress + quantity);
+      return { response: reply([quantity * 2, ...regs.flatMap(v => u16(v))]), store, summary: `${label} x${quantity} -> OK` };
+    }
+    case 0x05: {
+      if (quantity !== 0xFF00 && quantity !== 0x0000) return fail(0x03);
+      if (!inRange('coils', 1)) return fail(0x02);
+      const coils = [...store.coils];
+      coils[reqAddress] = quantity === 0xFF00;
+      return { response: reply([...frame.subarray(2, 6)]), store: { ...store, coils }, summary: `${label} = ${coils[reqAddress] ? 'ON' : 'OFF'} -> OK` };
+    }
+    case 0x06: {
+      if (!inRange('holdingRegisters', 1)) return fail(0x02);
+      const holdingRegisters = [...store.holdingRegisters];
+      holdingRegisters[reqAddress] = quantity;
+      return { response: reply([...frame.subarray(2, 6)]), store: { ...store, holdingRegisters }, summary: `${label} = ${quantity} -> OK` };
+    }
+    case 0x0F: {
+      if (quantity < 1 || quantity > MODBUS_LIMITS[0x0F] || frame[6] !== Math.ceil(quantity / 8)) return fail(0x03);
+      if (!inRange('coils', quantity)) return fail(0x02);
+      const coils = [...store.coils];
+      unpackBits(frame.subarray(7, 7 + frame[6]), quantity).forEach((on, i) => { coils[reqAddress + i] = on; });
+      return { response: reply([...frame.subarray(2, 6)]), store: { ...store, coils }, summary: `${label} x${quantity} -> OK` };
+    }
+    case 0x10: {
+      if (quantity < 1 || quantity > MODBUS_LIMITS[0x10] || frame[6] !== quantity * 2) return fail(0x03);
+      if (!inRange('holdingRegisters', quantity)) return fail(0x02);
+      const holdingRegisters = [...store.holdingRegisters];
+      for (let i = 0; i < quantity; i++) holdingRegisters[reqAddress + i] = (frame[7 + i * 2] << 8) | frame[8 + i * 2];
+      return { response: reply([...frame.subarray(2, 6)]), store: { ...store, holdingRegisters }, summary: `${label} x${quantity} -> OK` };
+    }
+    default:
+      return { ...fail(0x01), summary: `#${target} ${formatFunctionCode(functionCode)} -> Exception ${describeException(0x01)}` };
+  }
+};
@@ -0,0 +1,176 @@
+// --- Plot data: sample history deep enough for kHz sensor streams ---
+// Samples live in fixed-size chunks of typed arrays (a time column plus one column per series) rather than
+// an array of objects, so appending never copies the history and memory stays flat at the configured depth.
+// Plot data is used like an immutable value: appending returns a new object sharing the chunks and only
+// writes the slots past the old end. Older values never read those slots, and an updater that runs twice
+// (StrictMode) writes the same samples twice.
+
+export const PLOT_CHUNK = 4096;
+export const DEFAULT_PLOT_DEPTH = 20000;
+export const MIN_PLOT_DEPTH = 100;
+export const MAX_PLOT_DEPTH = 1000000;
+
+export const normalizePlotDepth = (n) => Math.min(MAX_PLOT_DEPTH, Math.max(MIN_PLOT_DEPTH, parseInt(n) || DEFAULT_PLOT_DEPTH));
+
+// start/end are absolute sample indices; chunks[k] holds indices from (firstChunk + k) * PLOT_CHUNK.
+// origin is the time of the first sample since the plot was cleared: the zero of the elapsed-time axis.
+export const EMPTY_PLOT_DATA = { chunks: [], firstChunk: 0, start: 0, end: 0, seriesCount: 0, origin: null };
+
+const createChunk = () => ({ t: new Float64Array(PLOT_CHUNK), v: [] });
+
+const seriesColumn = (chunk, series) => {
+  if (!chunk.v[series]) chunk.v[series] = new Float64Array(PLOT_CHUNK).fill(NaN);
+  return chunk.v[series];
+};
+
+const chunkOf = (plot, i) => plot.chunks[Math.floor(i / PLOT_CHUNK) - plot.firstChunk];
+
+// Drops samples beyond the newest `depth`, and the chunks left holding none of them.
+export const trimPlotData = (plot, depth) => {
+  const start = Math.max(plot.start, plot.end - depth);
+  if (start === plot.start) return plot;
+  const firstChunk = Math.floor(start / PLOT_CHUNK);
+  return { ...plot, start, firstChunk, chunks: plot.chunks.slice(firstChunk - plot.firstChunk) };
+};
+
+// samples: [{ timestamp, values }], values aligned with the series config (null = no sample for that series).
+export const appendPlotSamples = (plot, samples, depth = DEFAULT_PLOT_DEPTH) => {
+  if (!samples.length) return plot;
+  const chunks = [...plot.chunks];
+  let { end, seriesCount } = plot;
+  for (const { timestamp, values } of samples) {
+    const k = Math.floor(end / PLOT_CHUNK) - plot.firstChunk;
+    if (!chunks[k]) chunks[k] = createChunk();
+    const slot = end % PLOT_CHUNK;
+    chunks[k].t[slot] = timestamp;
+    values.forEach((v, series) => {
+      if (typeof v !== 'number' || !Number.isFinite(v)) {
+        if (chunks[k].v[series]) chunks[k].v[series][slot] = NaN;
+        return;
+      }
+      seriesColumn(chunks[k], series)[slot] = v;
+      if (series >= seriesCount) seriesCount = series + 1;
+    });
+    // Columns this sample has no value for may hold a value from a discarded write; blank them.
+    chunks[k].v.forEach((col, series) => { if (col && series >= values.length) col[slot] = NaN; });
+    end++;
+  }
+  const origin = plot.origin ?? samples[0].timestamp;
+  return trimPlotData({ ...plot, chunks, end, seriesCount, origin }, depth);
+};
+
+export const plotLength = (plot) => plot.end - plot.start;
+
+export const plotTime = (plot, i) => chunkOf(plot, i).t[i % PLOT_CHUNK];
+
+// NaN when the series has no value at that sample.
+export const plotValue = (plot, series, i) => {
+  const col = chunkOf(plot, i).v[series];
+  return col ? col[i % PLOT_CHUNK] : NaN;
+};
+
+// One sample in the { timestamp, values } shape it was appended in (null = no value).
+export const plotSample = (plot, i) => ({
+  timestamp: plotTime(plot, i),
+  values: Array.from({ length: plot.seriesCount }, (_, series) => {
+    const v = plotValue(plot, series, i);
+    return Number.isNaN(v) ? null : v;
+  }),
+});
+
+export const lastPlotSample = (plot) => (plotLength(plot) ? plotSample(plot, plot.end - 1) : null);
+
+// First index whose time is >= `time` (plot.end when there is none); sample times never decrease.
+export const plotIndexAt = (plot, time) => {
+  let lo = plot.start;
+  let hi = plot.end;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (plotTime(plot, mid) < time) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+// The sample closest in time, or -1 when the plot is empty.
+export const plotNearestIndex = (plot, time) => {
+  if (!plotLength(plot)) return -1;
+  const i = plotIndexAt(plot, time);
+  if (i >= plot.end) return plot.end - 1;
+  if (i > plot.start && time - plotTime(plot, i - 1) < plotTime(plot, i) - time) return i - 1;
+  return i;
+};
+
+// What one series draws as in [t0, t1] spread over `columns` pixel columns: per column the first, min, max
+// and last value (NaN where the column has none). Drawing these four points per column looks the same as
+// drawing every sample, at a cost bounded by the width instead of the sample count.
+export const decimatePlot = (plot, series, t0, t1, columns) => {
+  const first = new Float64Array(columns).fill(NaN);
+  const min = new Float64Array(columns).fill(NaN);
+  const max = new Float64Array(columns).fill(NaN);
+  const last = new Float64Array(columns).fill(NaN);
+  const span = t1 - t0;
+  if (columns <= 0 || span <= 0) return { first, min, max, last };
+  const scale = columns / span;
+  let i = plotIndexAt(plot, t0);
+  const stop = plotIndexAt(plot, t1 + 1e-9);
+  while (i < stop) {
+    const k = Math.floor(i / PLOT_CHUNK);
+    const chunk = plot.chunks[k - plot.firstChunk];
+    const to = Math.min(stop, (k + 1) * PLOT_CHUNK);
+    const col = chunk.v[series];
+    if (col) {
+      const { t } = chunk;
+      for (let slot = i - k * PLOT_CHUNK, end = to - k * PLOT_CHUNK; slot < end; slot++) {
+        const v = col[slot];
+        if (v !== v) continue; // NaN: no value
+        let c = ((t[slot] - t0) * scale) | 0;
+        if (c >= columns) c = columns - 1;
+        if (last[c] !== last[c]) { first[c] = v; min[c] = v; max[c] = v; }
+        else if (v < min[c]) min[c] = v;
+        else if (v > max[c]) max[c] = v;
+        last[c] = v;
+      }
+    }
+    i = to;
+  }
+  return { first, min, max, last };
+};
+
+// Count, min, max, sum and sum of squares of one series' values in [t0, t1] (min and max are NaN without values).
+export const plotStats = (plot, series, t0, t1) => {
+  let count = 0;
+  let min = NaN;
+  let max = NaN;
+  let sum = 0;
+  let sumSq = 0;
+  let i = plotIndexAt(plot, t0);
+  const stop = plotIndexAt(plot, t1 + 1e-9);
+  while (i < stop) {
+    const k = Math.floor(i / PLOT_CHUNK);
+    const to = Math.min(stop, (k + 1) * PLOT_CHUNK);
+    const col = plot.chunks[k - plot.firstChunk].v[series];
+    if (col) {
+      for (let slot = i - k * PLOT_CHUNK, end = to - k * PLOT_CHUNK; slot < end; slot++) {
+        const v = col[slot];
+        if (v !== v) continue; // NaN: no value
+        if (count === 0) { min = v; max = v; } else if (v < min) min = v; else if (v > max) max = v;
+        sum += v;
+        sumSq += v * v;
+        count++;
+      }
+    }
+    i = to;
+  }
+  return { count, min, max, sum, sumSq };
+};
+
+// Drops one series' column and shifts the later ones down, matching a series removed from the config.
+// Chunk objects are copied so older plot values keep their layout; the typed arrays themselves are shared.
+export const removePlotSeries = (plot, series) => {
+  if (series >= plot.seriesCount) return plot;
+  return {
+    ...plot,
+    chunks: plot.chunks.map(c => ({ t: c.t, v: [...c.v.slice(0, series), ...c.v.slice(series + 1)] })),
+    seriesCount: plot.seriesCount - 1,
+  };
+};
@@ -0,0 +1,286 @@
+import { plotLength, plotTime, plotValue, plotNearestIndex, plotStats, decimatePlot } from './plotBuffer';
+import { seriesTransform, seriesPrecision } from './series';
+
+// --- Plot rendering: decimated frames drawn onto a 2D canvas ---
+// The X axis is time elapsed since the plot's first sample; the view is either the whole history or the
+// last few seconds of it. Each series is reduced to first/min/max/last per pixel column (see decimatePlot),
+// in the units it is shown in (see seriesValue).
+// A view { width, end } zooms and scrolls that: `width` ms wide (null = the window setting), ending at
+// `end` (null = live, following the newest sample).
+
+export const PLOT_WINDOWS = [
+  { ms: 0, label: 'All' },
+  { ms: 1000, label: '1s' },
+  { ms: 5000, label: '5s' },
+  { ms: 10000, label: '10s' },
+  { ms: 30000, label: '30s' },
+  { ms: 60000, label: '1m' },
+  { ms: 300000, label: '5m' },
+];
+
+// Room around the plot area for the axis labels, in CSS pixels.
+export const PLOT_INSETS = { left: 48, right: 16, top: 8, bottom: 18 };
+
+// Narrowest zoom, in ms.
+export const MIN_VIEW_MS = 10;
+
+export const LIVE_VIEW = { width: null, end: null };
+
+// The visible time span { t0, t1 }, or null with fewer than two samples. A scrolled view is kept inside
+// the history.
+export const plotTimeSpan = (plot, windowMs = 0, view = LIVE_VIEW) => {
+  if (plotLength(plot) < 2) return null;
+  const first = plotTime(plot, plot.start);
+  const last = plotTime(plot, plot.end - 1);
+  const width = Math.max(1, view.width ?? (windowMs > 0 ? windowMs : last - first));
+  const t1 = view.end === null ? last : Math.min(last, Math.max(view.end, first + Math.min(width, last - first)));
+  return { t0: t1 - width, t1 };
+};
+
+// `view` zoomed by `factor` (> 1 zooms out) around `anchor`, a fraction of the span's width from its left
+// edge; a live view stays live, so it zooms around the newest sample instead.
+export const zoomView = (view, span, factor, anchor, maxWidth) => {
+  const width = Math.min(Math.max(maxWidth, MIN_VIEW_MS), Math.max(MIN_VIEW_MS, (span.t1 - span.t0) * factor));
+  if (view.end === null) return { width, end: null };
+  const at = span.t0 + anchor * (span.t1 - span.t0);
+  return { width, end: at + (1 - anchor) * width };
+};
+
+// "12.5s", "3:07", "1:02:03"; `digits` are the decimals kept below a minute.
+export const formatElapsed = (ms, digits = 1) => {
+  const sign = ms < 0 ? '-' : '';
+  const abs = Math.abs(ms);
+  if (abs < 60000) return `${sign}${(abs / 1000).toFixed(digits)}s`;
+  const s = Math.floor(abs / 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  if (s < 3600) return `${sign}${Math.floor(s / 60)}:${pad(s % 60)}`;
+  return `${sign}${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+};
+
+const TICK_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000, 300000, 600000, 900000, 1800000, 3600000, 7200000, 21600000];
+
+// Round elapsed-time ticks across [t0, t1]: [{ time, label }], at most about `maxTicks` of them.
+export const timeTicks = (t0, t1, origin, maxTicks) => {
+  const span = t1 - t0;
+  const step = TICK_STEPS.find(s => span / s <= maxTicks) ?? TICK_STEPS[TICK_STEPS.length - 1];
+  const digits = step >= 1000 ? 0 : step >= 100 ? 1 : step >= 10 ? 2 : 3;
+  const ticks = [];
+  for (let e = Math.ceil((t0 - origin) / step) * step; origin + e <= t1; e += step) {
+    ticks.push({ time: origin + e, label: formatElapsed(e, digits) });
+  }
+  return ticks;
+};
+
+// Scales decimated columns in place; a negative scale turns each column's min into its max.
+const transformColumns = (cols, { k, b }) => {
+  if (k === 1 && b === 0) return cols;
+  for (const arr of [cols.first, cols.min, cols.max, cols.last]) {
+    for (let c = 0; c < arr.length; c++) arr[c] = arr[c] * k + b;
+  }
+  return k < 0 ? { ...cols, min: cols.max, max: cols.min } : cols;
+};
+
+// Decimated columns plus the value extent for each visible series (null when hidden or without values).
+export const buildPlotFrame = (plot, seriesConfig, { t0, t1 }, columns) => ({
+  t0,
+  t1,
+  columns,
+  series: seriesConfig.map((conf, idx) => {
+    if (!conf.visible) return null;
+    const cols = transformColumns(decimatePlot(plot, idx, t0, t1, columns), seriesTransform(conf));
+    let min = Infinity;
+    let max = -Infinity;
+    for (let c = 0; c < columns; c++) {
+      if (cols.min[c] < min) min = cols.min[c];
+      if (cols.max[c] > max) max = cols.max[c];
+    }
+    return min === Infinity ? null : { cols, min, max, color: conf.color, precision: seriesPrecision(conf) };
+  }),
+});
+
+// Y range per series: 'arduino' shares one axis (with some headroom) across the visible series,
+// 'per-series' scales each to its own extent.
+export const plotRanges = (frame, scaleMode) => {
+  const shown = frame.series.filter(Boolean);
+  if (scaleMode !== 'arduino' || !shown.length) {
+    return frame.series.map(s => s && { min: s.min, max: s.max, range: s.max - s.min || 1 });
+  }
+  const min = Math.min(...shown.map(s => s.min));
+  const max = Math.max(...shown.map(s => s.max));
+  const margin = max - min === 0 ? 1 : (max - min) * 0.05;
+  const shared = { min: min - margin, max: max + margin, range: max - min + margin * 2 };
+  return frame.series.map(s => s && shared);
+};
+
+// A manual Y range over an automatic one; blank or invalid bounds stay automatic, and a range left empty
+// (max <= min) is ignored.
+export const overrideRange = (range, min, max) => {
+  if (!range) return range;
+  const lo = parseFloat(min);
+  const hi = parseFloat(max);
+  const next = { min: Number.isFinite(lo) ? lo : range.min, max: Number.isFinite(hi) ? hi : range.max };
+  return next.max > next.min ? { ...next, range: next.max - next.min } : range;
+};
+
+// Cursor measurements for each visible series between times ta and tb (either order), as shown (transformed):
+// { a, b, delta, count, min, max, mean, rms }, where a and b are the values of the samples nearest each
+// cursor. Anything without a value is null.
+export const measurePlot = (plot, seriesConfig, ta, tb) => {
+  const [t0, t1] = ta < tb ? [ta, tb] : [tb, ta];
+  const ia = plotNearestIndex(plot, ta);
+  const ib = plotNearestIndex(plot, tb);
+  return seriesConfig.map((conf, idx) => {
+    if (!conf.visible) return null;
+    const { k, b } = seriesTransform(conf);
+    const valueAt = (i) => {
+      const v = i < 0 ? NaN : plotValue(plot, idx, i);
+      return Number.isNaN(v) ? null : v * k + b;
+    };
+    const a = valueAt(ia);
+    const bv = valueAt(ib);
+    const s = plotStats(plot, idx, t0, t1);
+    const result = { a, b: bv, delta: a === null || bv === null ? null : bv - a, count: s.count, min: null, max: null, mean: null, rms: null };
+    if (!s.count) return result;
+    const mean = s.sum / s.count;
+    const lo = s.min * k + b;
+    const hi = s.max * k + b;
+    // RMS of k·v + b from the raw sums: E[(kv + b)²] = k²E[v²] + 2kbE[v] + b².
+    const meanSq = k * k * (s.sumSq / s.count) + 2 * k * b * mean + b * b;
+    return { ...result, min: Math.min(lo, hi), max: Math.max(lo, hi), mean: mean * k + b, rms: Math.sqrt(Math.max(0, meanSq)) };
+  });
+};
+
+// Draws axes, grid, time ticks and every series of `frame` into the box { x, y, width, height } (CSS pixels;
+// the caller scales the context for the device pixel ratio). `cursor` is { time, values } for the hover line,
+// values as shown (transformed); `markers` are [{ time, label }] measurement cursors, the span between two
+// of them shaded.
+export const drawPlot = (ctx, frame, ranges, { x, y, width, height, origin, scaleMode, colors, cursor = null, markers = [] }) => {
+  const { t0, t1, columns } = frame;
+  const toX = (time) => x + ((time - t0) / (t1 - t0)) * width;
+  const toY = (v, r) => y + height - ((v - r.min) / r.range) * height;
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = colors.grid;
+  ctx.beginPath();
+  for (let i = 1; i < 4; i++) { ctx.moveTo(x, y + (height * i) / 4 + 0.5); ctx.lineTo(x + width, y + (height * i) / 4 + 0.5); }
+  ctx.globalAlpha = 0.5;
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+  ctx.beginPath();
+  ctx.moveTo(x + 0.5, y);
+  ctx.lineTo(x + 0.5, y + height + 0.5);
+  ctx.lineTo(x + width, y + height + 0.5);
+  ctx.stroke();
+
+  ctx.font = '8px ui-monospace, monospace';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = colors.label;
+  timeTicks(t0, t1, origin, Math.max(2, Math.floor(width / 70))).forEach(({ time, label }) => {
+    const tx = Math.round(toX(time)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(tx, y + height);
+    ctx.lineTo(tx, y + height + 3);
+    ctx.stroke();
+    ctx.fillText(label, Math.min(x + width - 12, Math.max(x + 12, tx)), y + height + 5);
+  });
+
+  ctx.textAlign = 'right';
+  const labelX = x - 4;
+  if (scaleMode === 'arduino') {
+    const r = ranges.find(Boolean);
+    if (r) {
+      for (let i = 0; i <= 4; i++) {
+        ctx.font = `${i === 0 || i === 4 ? 'bold ' : ''}8px ui-monospace, monospace`;
+        ctx.textBaseline = i === 0 ? 'top' : i === 4 ? 'bottom' : 'middle';
+        ctx.fillText((r.max - (r.range * i) / 4).toFixed(1), labelX, y + (height * i) / 4);
+      }
+    }
+  } else {
+    // Each series' max stacks down from the top and its min up from the bottom, in the series' color.
+    let row = 0;
+    ranges.forEach((r, idx) => {
+      if (!r) return;
+      const { color, precision } = frame.series[idx];
+      ctx.fillStyle = color;
+      ctx.font = 'bold 8px ui-monospace, monospace';
+      ctx.textBaseline = 'top';
+      ctx.fillText(r.max.toFixed(precision), labelX, y + row * 10);
+      ctx.font = '8px ui-monospace, monospace';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(r.min.toFixed(precision), labelX, y + height - row * 10);
+      row++;
+    });
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y - 2, width, height + 4);
+  ctx.clip();
+  ctx.lineWidth = 1.5;
+  ctx.lineJoin = 'round';
+  frame.series.forEach((s, idx) => {
+    const r = ranges[idx];
+    if (!s || !r) return;
+    const { first, min, max, last } = s.cols;
+    ctx.strokeStyle = s.color;
+    ctx.beginPath();
+    let started = false;
+    for (let c = 0; c < columns; c++) {
+      if (Number.isNaN(first[c])) continue; // gaps are bridged, like the forward-filled SVG lines were
+      const cx = x + ((c + 0.5) / columns) * width;
+      if (started) ctx.lineTo(cx, toY(first[c], r)); else ctx.moveTo(cx, toY(first[c], r));
+      started = true;
+      if (min[c] !== max[c]) { ctx.lineTo(cx, toY(min[c], r)); ctx.lineTo(cx, toY(max[c], r)); }
+      ctx.lineTo(cx, toY(last[c], r));
+    }
+    ctx.stroke();
+  });
+
+  if (markers.length) {
+    const xs = markers.map(m => Math.round(toX(m.time)) + 0.5);
+    if (xs.length === 2) {
+      ctx.globalAlpha = 0.08;
+      ctx.fillStyle = colors.marker;
+      ctx.fillRect(Math.min(xs[0], xs[1]), y, Math.abs(xs[1] - xs[0]), height);
+      ctx.globalAlpha = 1;
+    }
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = colors.marker;
+    ctx.fillStyle = colors.marker;
+    ctx.font = 'bold 9px ui-monospace, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.setLineDash([4, 3]);
+    markers.forEach(({ label }, i) => {
+      ctx.beginPath();
+      ctx.moveTo(xs[i], y);
+      ctx.lineTo(xs[i], y + height);
+      ctx.stroke();
+      ctx.fillText(label, xs[i] + 3, y + 1);
+    });
+    ctx.setLineDash([]);
+  }
+
+  if (cursor) {
+    const cx = Math.round(toX(cursor.time)) + 0.5;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = colors.cursor;
+    ctx.beginPath();
+    ctx.moveTo(cx, y);
+    ctx.lineTo(cx, y + height);
+    ctx.stroke();
+    cursor.values.forEach((v, idx) => {
+      const r = ranges[idx];
+      if (!r || v === null || v === undefined) return;
+      ctx.beginPath();
+      ctx.arc(cx, toY(v, r), 4, 0, Math.PI * 2);
+      ctx.fillStyle = frame.series[idx].color;
+      ctx.fill();
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+    });
+  }
+  ctx.restore();
+};
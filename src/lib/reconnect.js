@@ -0,0 +1,42 @@
+// --- Auto-reconnect: find a re-enumerated device again after a USB unplug or CDC reset ---
+
+// Fallback scan while waiting, for platforms that don't fire 'connect' for an already granted port.
+export const RECONNECT_POLL_MS = 1000;
+// Freshly enumerated CDC devices often refuse the first open; give the driver a moment.
+export const RECONNECT_SETTLE_MS = 250;
+// How long writes (timer, scripts, test steps) wait for the port to come back before failing.
+export const RECONNECT_WRITE_WAIT_MS = 15000;
+
+// USB ids survive re-enumeration; the SerialPort object itself usually does not.
+export const getPortIdentity = (port) => {
+  const info = port?.getInfo?.() || {};
+  if (info.usbVendorId === undefined) return null;
+  return { usbVendorId: info.usbVendorId, usbProductId: info.usbProductId };
+};
+
+export const describePortIdentity = (identity) => {
+  if (!identity) return 'no USB ids';
+  const hex = (n) => (n ?? 0).toString(16).toUpperCase().padStart(4, '0');
+  return `VID ${hex(identity.usbVendorId)} PID ${hex(identity.usbProductId)}`;
+};
+
+// Picks the granted port to reopen: same USB ids (or the very same object for non-USB ports), not busy elsewhere.
+export const findReconnectCandidate = (ports, { identity, lastPort }, busyPorts) => ports.find((p) => {
+  if (busyPorts.has(p)) return false;
+  if (!identity) return p === lastPort;
+  const id = getPortIdentity(p);
+  return !!id && id.usbVendorId === identity.usbVendorId && id.usbProductId === identity.usbProductId;
+}) || null;
+
+// Resolves true once `runtime.reconnecting` clears with the port open again, false on give-up or timeout.
+export const waitForReconnect = (runtime, timeoutMs) => new Promise((resolve) => {
+  const waiter = (ok) => { clearTimeout(timer); resolve(ok); };
+  const timer = setTimeout(() => { runtime.reconnectWaiters.delete(waiter); resolve(false); }, timeoutMs);
+  runtime.reconnectWaiters.add(waiter);
+});
+
+export const settleReconnectWaiters = (runtime, ok) => {
+  const waiters = [...runtime.reconnectWaiters];
+  runtime.reconnectWaiters.clear();
+  waiters.forEach(w => w(ok));
+};
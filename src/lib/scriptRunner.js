@@ -0,0 +1,78 @@
+// --- Script runner (page side) ---
+// Each run gets a fresh worker; stopping terminates it, so runaway loops can't hang the page.
+
+export const SCRIPT_API_HELP = [
+  ['send(text | bytes)', 'Write a string (current charset) or Uint8Array / byte array. Add \\r\\n yourself.'],
+  ['await expect(pattern, timeoutMs = 1000)', 'Wait for RX text matching a string or RegExp; returns the match. Fails the run on timeout (paused while the port auto-reconnects).'],
+  ['await sleep(ms)', 'Pause the script.'],
+  ['log(...values)', 'Print to this script\'s output pane.'],
+  ['plot(name, value)', 'Push a value to the plotter series with that name (or index).'],
+  ['clear()', 'Drop buffered RX text so the next expect() only sees new data.'],
+  ['fail(message) / assert(cond, message)', 'End the run as FAIL.'],
+];
+
+export const DEFAULT_SCRIPTS = [
+  {
+    id: 'at-init',
+    name: 'AT Modem Init',
+    code: `// Basic AT modem bring-up. A thrown error or failed expect() marks the run as FAIL.
+const at = async (cmd, reply = 'OK', timeout = 2000) => {
+  clear();
+  await send(cmd + '\\r\\n');
+  const m = await expect(reply, timeout);
+  log(cmd, '->', m[0]);
+  return m;
+};
+
+await at('AT');
+await at('ATE0');
+const csq = await at('AT+CSQ', /\\+CSQ: (\\d+),(\\d+)/);
+plot(0, Number(csq[1]));
+assert(Number(csq[1]) !== 99, 'No signal');
+await at('AT+CREG?', /\\+CREG: \\d,[15]/, 5000);
+`,
+  },
+];
+
+export const MAX_SCRIPT_OUTPUT_LINES = 500;
+
+export const startScript = ({ code, encoding, onSend, onLog, onPlot, onDone }) => {
+  const worker = new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' });
+  let finished = false;
+
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    worker.terminate();
+    onDone(result);
+  };
+
+  worker.onmessage = async ({ data: msg }) => {
+    switch (msg.type) {
+      case 'send': {
+        let ok = false;
+        let error;
+        try { ok = await onSend(msg.data); } catch (e) { error = e.message; }
+        if (!finished) worker.postMessage({ type: 'reply', id: msg.id, ok, error: ok ? undefined : (error || 'Port is not writable') });
+        break;
+      }
+      case 'log': onLog(msg.level, msg.text); break;
+      case 'plot': onPlot(msg.name, msg.value); break;
+      case 'done': finish({ ok: msg.ok, message: msg.message }); break;
+      default: break;
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    finish({ ok: false, message: e.message || 'Script worker crashed' });
+  };
+  worker.postMessage({ type: 'run', code, encoding });
+
+  return {
+    pushRx: (bytes) => { if (!finished) worker.postMessage({ type: 'rx', bytes }); },
+    // While the port is reconnecting, expect() timeouts stop counting (send() already waits for the port).
+    hold: () => { if (!finished) worker.postMessage({ type: 'hold' }); },
+    resume: () => { if (!finished) worker.postMessage({ type: 'resume' }); },
+    stop: () => finish({ ok: false, stopped: true, message: 'Stopped' }),
+  };
+};
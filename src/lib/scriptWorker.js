@@ -0,0 +1,142 @@
+import { createTextDecoder } from './charsets';
+
+// --- Script sandbox (Web Worker) ---
+// Runs a single user script. The worker has no DOM or port access: every port interaction is a
+// message round-trip to the page, which owns the serial connection.
+const MAX_RX_TEXT = 64 * 1024;
+
+let rxText = '';
+let rxDecoder = new TextDecoder();
+const rxWaiters = new Set();
+// expect() deadlines; frozen while the page reports the port is reconnecting.
+const expectTimers = new Set();
+let isHeld = false;
+const pendingCalls = new Map();
+let nextCallId = 1;
+
+class ScriptFailure extends Error {}
+
+const call = (type, payload) => new Promise((resolve, reject) => {
+  const id = nextCallId++;
+  pendingCalls.set(id, { resolve, reject });
+  self.postMessage({ type, id, ...payload });
+});
+
+const startExpectTimer = (timeoutMs, onTimeout) => {
+  const entry = { remaining: timeoutMs, deadline: 0, timer: null };
+  entry.fire = () => { expectTimers.delete(entry); onTimeout(); };
+  entry.arm = () => { entry.deadline = Date.now() + entry.remaining; entry.timer = setTimeout(entry.fire, entry.remaining); };
+  expectTimers.add(entry);
+  if (!isHeld) entry.arm();
+  return () => { clearTimeout(entry.timer); expectTimers.delete(entry); };
+};
+
+const holdTimers = () => {
+  if (isHeld) return;
+  isHeld = true;
+  self.postMessage({ type: 'log', level: 'warn', text: 'Port lost, waiting for reconnect...' });
+  for (const entry of expectTimers) {
+    clearTimeout(entry.timer);
+    entry.remaining = Math.max(0, entry.deadline - Date.now());
+  }
+};
+
+const resumeTimers = () => {
+  if (!isHeld) return;
+  isHeld = false;
+  self.postMessage({ type: 'log', level: 'info', text: 'Port back, resuming' });
+  expectTimers.forEach(entry => entry.arm());
+};
+
+const formatArgs = (args) => args.map(a => {
+  if (typeof a === 'string') return a;
+  if (a instanceof Uint8Array) return Array.from(a, b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+  try { return JSON.stringify(a); } catch { return String(a); }
+}).join(' ');
+
+// Matches against RX text received since the last successful expect(); the match and everything
+// before it is consumed so the next expect() only sees newer data.
+const takeMatch = (pattern) => {
+  if (pattern instanceof RegExp) {
+    const re = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+    const m = re.exec(rxText);
+    if (!m) return null;
+    rxText = rxText.slice(m.index + m[0].length);
+    return m;
+  }
+  const needle = String(pattern);
+  const idx = rxText.indexOf(needle);
+  if (idx < 0) return null;
+  rxText = rxText.slice(idx + needle.length);
+  return [needle];
+};
+
+const api = {
+  send: (data) => {
+    if (Array.isArray(data)) data = Uint8Array.from(data);
+    if (typeof data !== 'string' && !(data instanceof Uint8Array)) throw new TypeError('send() expects a string, Uint8Array or byte array');
+    return call('send', { data });
+  },
+  expect: (pattern, timeoutMs = 1000) => new Promise((resolve, reject) => {
+    const first = takeMatch(pattern);
+    if (first) { resolve(first); return; }
+    let cancelTimer = null;
+    const waiter = () => {
+      const m = takeMatch(pattern);
+      if (!m) return;
+      cancelTimer();
+      rxWaiters.delete(waiter);
+      resolve(m);
+    };
+    cancelTimer = startExpectTimer(timeoutMs, () => {
+      rxWaiters.delete(waiter);
+      reject(new ScriptFailure(`expect(${typeof pattern === 'string' ? JSON.stringify(pattern) : pattern}) timed out after ${timeoutMs} ms`));
+    });
+    rxWaiters.add(waiter);
+  }),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  log: (...args) => { self.postMessage({ type: 'log', level: 'info', text: formatArgs(args) }); },
+  plot: (name, value) => { self.postMessage({ type: 'plot', name: String(name), value: Number(value) }); },
+  clear: () => { rxText = ''; },
+  fail: (message = 'fail() called') => { throw new ScriptFailure(message); },
+  assert: (condition, message = 'Assertion failed') => { if (!condition) throw new ScriptFailure(message); },
+};
+
+const run = async ({ code, encoding }) => {
+  rxDecoder = createTextDecoder(encoding || 'utf-8');
+  try {
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    const script = new AsyncFunction(...Object.keys(api), `"use strict";\n${code}`);
+    const value = await script(...Object.values(api));
+    self.postMessage({ type: 'done', ok: true, message: value === undefined ? '' : formatArgs([value]) });
+  } catch (e) {
+    self.postMessage({ type: 'done', ok: false, message: e instanceof Error ? `${e instanceof ScriptFailure ? '' : `${e.name}: `}${e.message}` : String(e) });
+  }
+};
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'run':
+      run(msg);
+      break;
+    case 'rx':
+      rxText = (rxText + rxDecoder.decode(msg.bytes, { stream: true })).slice(-MAX_RX_TEXT);
+      rxWaiters.forEach(w => w());
+      break;
+    case 'hold':
+      holdTimers();
+      break;
+    case 'resume':
+      resumeTimers();
+      break;
+    case 'reply': {
+      const pending = pendingCalls.get(msg.id);
+      if (!pending) break;
+      pendingCalls.delete(msg.id);
+      if (msg.ok) pending.resolve(); else pending.reject(new ScriptFailure(msg.error || 'Call failed'));
+      break;
+    }
+    default:
+      break;
+  }
+};
@@ -0,0 +1,44 @@
+// --- Serial line settings (Web Serial SerialOptions) ---
+export const DATA_BITS_OPTIONS = [7, 8];
+export const PARITY_OPTIONS = ['none', 'even', 'odd'];
+export const STOP_BITS_OPTIONS = [1, 2];
+export const FLOW_CONTROL_OPTIONS = ['none', 'hardware'];
+export const BUFFER_SIZE_OPTIONS = [255, 1024, 4096, 16384];
+
+export const DEFAULT_LINE_SETTINGS = {
+  dataBits: 8,
+  parity: 'none',
+  stopBits: 1,
+  flowControl: 'none',
+  bufferSize: 255,
+};
+
+// Merge persisted settings over the defaults so older/partial entries stay valid.
+export const normalizeLineSettings = (settings) => {
+  const s = { ...DEFAULT_LINE_SETTINGS, ...(settings || {}) };
+  return {
+    dataBits: DATA_BITS_OPTIONS.includes(Number(s.dataBits)) ? Number(s.dataBits) : DEFAULT_LINE_SETTINGS.dataBits,
+    parity: PARITY_OPTIONS.includes(s.parity) ? s.parity : DEFAULT_LINE_SETTINGS.parity,
+    stopBits: STOP_BITS_OPTIONS.includes(Number(s.stopBits)) ? Number(s.stopBits) : DEFAULT_LINE_SETTINGS.stopBits,
+    flowControl: FLOW_CONTROL_OPTIONS.includes(s.flowControl) ? s.flowControl : DEFAULT_LINE_SETTINGS.flowControl,
+    bufferSize: Math.max(1, parseInt(s.bufferSize) || DEFAULT_LINE_SETTINGS.bufferSize),
+  };
+};
+
+export const buildSerialOptions = (baudRate, settings) => ({
+  baudRate: parseInt(baudRate) || 115200,
+  ...normalizeLineSettings(settings),
+});
+
+// "8N1" style frame notation.
+export const formatFrameFormat = (settings) => {
+  const s = normalizeLineSettings(settings);
+  return `${s.dataBits}${s.parity[0].toUpperCase()}${s.stopBits}`;
+};
+
+// e.g. "115200 8E1 RTS/CTS"
+export const formatSerialOptions = (options) => {
+  if (!options) return '';
+  const flow = options.flowControl === 'hardware' ? ' RTS/CTS' : '';
+  return `${options.baudRate} ${formatFrameFormat(options)}${flow}`;
+};
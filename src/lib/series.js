@@ -0,0 +1,67 @@
+// --- Plotter series: what each plotted value is called, how it is drawn and where it comes from ---
+// Series are positional: values[i] of a plot sample belongs to seriesConfig[i] (see lib/extraction for
+// how lines become values). Scale and offset are applied when values are shown, so changing them
+// re-scales the history already plotted.
+
+export const SERIES_PALETTE = ['#10b981', '#3b82f6', '#f59e0b', '#ec4899', '#8b5cf6', '#ef4444', '#14b8a6', '#eab308', '#6366f1', '#f97316'];
+
+// Series are only added automatically up to here, so a line of hex dump digits doesn't create hundreds of them.
+export const MAX_AUTO_SERIES = 32;
+
+export const MAX_SERIES_PRECISION = 10;
+
+export const createSeries = (index, patch = {}) => ({
+  id: Date.now() + Math.random(),
+  name: `Series ${index + 1}`,
+  keyword: '', // the value's source: keyword, key, group, field path or column, depending on the parser
+  visible: true,
+  color: SERIES_PALETTE[index % SERIES_PALETTE.length],
+  unit: '',
+  precision: 2,
+  scale: 1, // shown value = raw * scale + offset
+  offset: 0,
+  yMin: '', // manual Y range in shown units for per-series scaling; blank = automatic
+  yMax: '',
+  ...patch,
+});
+
+export const DEFAULT_SERIES_CONFIG = [createSeries(0, { id: 1 }), createSeries(1, { id: 2 })];
+
+// Fills in fields missing from configs saved by older versions (or carried in capture files).
+export const normalizeSeriesConfig = (config) => (Array.isArray(config) ? config : DEFAULT_SERIES_CONFIG)
+  .map((conf, i) => ({ ...createSeries(i), ...conf }));
+
+// Appends a series for each of `keys` not yet a series' source (named after it), then default series
+// until there are `count`.
+export const growSeriesConfig = (config, count, keys = []) => {
+  const named = keys.filter(key => !config.some(conf => conf.keyword === key))
+    .map((key, k) => createSeries(config.length + k, { name: key, keyword: key }));
+  const grown = named.length ? [...config, ...named] : config;
+  if (count <= grown.length) return grown;
+  return [...grown, ...Array.from({ length: count - grown.length }, (_, k) => createSeries(grown.length + k))];
+};
+
+const hasKeyword = (conf) => !!(conf.keyword && conf.keyword.trim() !== '');
+
+export const isAutoDetect = (seriesConfig) => !seriesConfig.some(hasKeyword);
+
+// { k, b } of the series' linear transform; blank or invalid input leaves values as they are.
+export const seriesTransform = (conf) => {
+  const k = parseFloat(conf?.scale);
+  const b = parseFloat(conf?.offset);
+  return { k: Number.isFinite(k) ? k : 1, b: Number.isFinite(b) ? b : 0 };
+};
+
+export const seriesValue = (conf, raw) => {
+  const { k, b } = seriesTransform(conf);
+  return raw * k + b;
+};
+
+export const seriesPrecision = (conf) => Math.min(MAX_SERIES_PRECISION, Math.max(0, parseInt(conf?.precision) || 0));
+
+// A raw value as shown: transformed, rounded to the series' precision, with its unit ("--" for no value).
+export const formatSeriesValue = (conf, raw, { unit = true } = {}) => {
+  if (raw === null || raw === undefined || Number.isNaN(raw)) return '--';
+  const text = seriesValue(conf, raw).toFixed(seriesPrecision(conf));
+  return unit && conf?.unit ? `${text} ${conf.unit}` : text;
+};
@@ -0,0 +1,89 @@
+import { createFramer } from './framing';
+import { createCaptureBuffer } from './capture';
+import { EMPTY_LOG_BUFFER } from './logBuffer';
+import { DEFAULT_LOG_QUERY } from './logQuery';
+import { EMPTY_PLOT_DATA } from './plotBuffer';
+
+// --- Port sessions ---
+// What the UI renders (log, plot data, connection status, settings) is plain session state;
+// the live stream plumbing the read loop mutates lives in a separate runtime object per session.
+
+export const SESSION_COLORS = ['text-sky-500', 'text-fuchsia-500', 'text-orange-500', 'text-teal-500', 'text-rose-500', 'text-indigo-500'];
+
+export const getSessionColor = (sessions, id) => SESSION_COLORS[Math.max(0, sessions.findIndex(s => s.id === id)) % SESSION_COLORS.length];
+
+export const createSession = (id, { baudRate, lineSettings }) => ({
+  id,
+  name: `Port ${id}`,
+  port: null,
+  portOptions: null, // options the port was actually opened with
+  isConnected: false,
+  baudRate,
+  lineSettings,
+  ...EMPTY_LOG_BUFFER, // logs (newest in memory), history, stored/dropped counts: see lib/logBuffer
+  nextSeq: 0,
+  plotData: EMPTY_PLOT_DATA, // sample history: see lib/plotBuffer
+  plotFrame: null, // binary plot parser: the latest frame's fields and frame counts (see lib/binaryFrame)
+  logFilter: DEFAULT_LOG_QUERY, // see lib/logQuery
+  isPaused: false,
+  decoderId: 'none',
+  controlLines: { dataTerminalReady: null, requestToSend: null }, // as last set by us (null = untouched)
+  modemStatus: null,
+  isReconnecting: false,
+  capture: null, // { fileName, player, port, resendTo } when the session replays a capture file offline
+});
+
+export const createSessionRuntime = (framing) => ({
+  port: null,
+  reader: null,
+  readLoopClosed: null, // resolves once the read loop has released the port's readable stream
+  closing: false,
+  isPaused: false,
+  framer: createFramer(framing), // holds the incomplete tail of the RX byte stream
+  pendingFrames: [],
+  pausedChunks: [], // raw chunks received while paused (see holdPausedChunk)
+  pausedBytes: 0,
+  pausedDroppedBytes: 0,
+  flushTimer: null,
+  idleTimer: null,
+  rxListeners: new Set(), // raw RX taps for protocol panels
+  modemStatus: null,
+  signalsUnsupported: false,
+  bridgeTag: null, // 'A→B' / 'B→A' while this session is one end of the serial bridge
+  // Auto-reconnect: what was opened last, and writers parked until it is back.
+  lastPort: null,
+  identity: null,
+  openOptions: null,
+  reconnecting: false,
+  reconnectBusy: false,
+  reconnectWaiters: new Set(),
+  captureBuffer: createCaptureBuffer(), // raw RX/TX chunks as read/written, for capture files
+  parserState: {}, // context the plot parser carries between lines (the CSV header, the binary stream tail)
+  replayLastAt: null, // capture replay: time of the last chunk fed to the framer
+  resendTo: null, // capture replay: session the TX side is re-sent to
+});
+
+// Bytes held back while a session is paused. A trigger can pause a session nobody is watching, so past
+// either limit the oldest chunks go and are counted in `pausedDroppedBytes`.
+export const MAX_PAUSED_BYTES = 4 * 1024 * 1024;
+export const MAX_PAUSED_CHUNKS = 50000;
+
+export const holdPausedChunk = (runtime, chunk) => {
+  const held = runtime.pausedChunks;
+  held.push(chunk);
+  runtime.pausedBytes += chunk.length;
+  // Trim in blocks rather than shifting the array on every chunk.
+  if (runtime.pausedBytes <= MAX_PAUSED_BYTES * 1.1 && held.length <= MAX_PAUSED_CHUNKS * 1.1) return;
+  let drop = Math.max(0, held.length - MAX_PAUSED_CHUNKS);
+  let dropped = 0;
+  for (let i = 0; i < drop; i++) dropped += held[i].length;
+  while (drop < held.length - 1 && runtime.pausedBytes - dropped > MAX_PAUSED_BYTES) dropped += held[drop++].length;
+  held.splice(0, drop);
+  runtime.pausedBytes -= dropped;
+  runtime.pausedDroppedBytes += dropped;
+};
+
+export const nextSessionId = (sessions) => sessions.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+
+// Interleaves every session's log by arrival time; entries keep their identity (and sessionId tag).
+export const mergeSessionLogs = (sessions) => [].concat(...sessions.map(s => s.logs)).sort((a, b) => (a._ts ?? 0) - (b._ts ?? 0));
@@ -0,0 +1,64 @@
+// --- Serial control lines (DTR/RTS) and modem status (CTS/DSR/DCD/RI) ---
+export const CONTROL_LINES = [
+  { key: 'dataTerminalReady', label: 'DTR' },
+  { key: 'requestToSend', label: 'RTS' },
+];
+
+export const MODEM_STATUS_LINES = [
+  { key: 'clearToSend', label: 'CTS' },
+  { key: 'dataSetReady', label: 'DSR' },
+  { key: 'dataCarrierDetect', label: 'DCD' },
+  { key: 'ringIndicator', label: 'RI' },
+];
+
+export const SIGNAL_POLL_MS = 100;
+
+export const DEFAULT_SIGNAL_TIMING = { pulseMs: 100, settleMs: 50 };
+
+// Each step sets some control lines, then optionally waits one of the timing slots ('pulse' | 'settle').
+export const SIGNAL_PRESETS = [
+  {
+    id: 'esp-reset',
+    label: 'ESP Reset',
+    steps: [
+      { set: { dataTerminalReady: false, requestToSend: true }, wait: 'pulse' },
+      { set: { requestToSend: false } },
+    ],
+  },
+  {
+    // esptool "classic" reset: RTS drives EN, DTR drives GPIO0 (both inverted by the auto-reset transistors).
+    id: 'esp-boot',
+    label: 'ESP Bootloader',
+    steps: [
+      { set: { dataTerminalReady: false, requestToSend: true }, wait: 'pulse' },
+      { set: { dataTerminalReady: true, requestToSend: false }, wait: 'settle' },
+      { set: { dataTerminalReady: false } },
+    ],
+  },
+  {
+    // Common STM32 wiring: DTR holds BOOT0 high while RTS pulses NRST.
+    id: 'stm32-boot',
+    label: 'STM32 Bootloader',
+    steps: [
+      { set: { dataTerminalReady: true, requestToSend: true }, wait: 'pulse' },
+      { set: { requestToSend: false }, wait: 'settle' },
+      { set: { dataTerminalReady: false } },
+    ],
+  },
+];
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, Number(ms) || 0)));
+
+// "DTR=1 RTS=0" for the lines present in `signals`.
+export const describeSignals = (signals, lines = CONTROL_LINES) =>
+  lines
+    .filter(l => signals && typeof signals[l.key] === 'boolean')
+    .map(l => `${l.label}=${signals[l.key] ? 1 : 0}`)
+    .join(' ');
+
+// "CTS ↑ DCD ↓" for lines that differ between two getSignals() results.
+export const describeSignalChanges = (prev, next, lines = MODEM_STATUS_LINES) =>
+  lines
+    .filter(l => !!prev?.[l.key] !== !!next?.[l.key])
+    .map(l => `${l.label} ${next[l.key] ? '↑' : '↓'}`)
+    .join(' ');
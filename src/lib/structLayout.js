@@ -0,0 +1,138 @@
+// --- Struct layout: "name: type" lines describing packed binary fields ---
+// Types: u8 i8 u16 i16 u32 i32 u64 i64 f32 f64 (or uint8 .. int64, float32, float64; suffix le/be, default le),
+// bytes[N], str[N], skip[N], and a trailing "name: tlv(tagType, lenType)" that reads the rest of the frame as
+// tag/length/value records. An integer type with ":bits" is a bit-field ("mode: u8:3"): consecutive bit-fields
+// of the same type share one storage unit, filled from its lowest bit as C compilers do on little-endian targets.
+// 64-bit integers decode to BigInt.
+const NUMERIC_TYPES = {
+  u8: { size: 1, read: (dv, o) => dv.getUint8(o) },
+  i8: { size: 1, read: (dv, o) => dv.getInt8(o) },
+  u16: { size: 2, read: (dv, o, le) => dv.getUint16(o, le) },
+  i16: { size: 2, read: (dv, o, le) => dv.getInt16(o, le) },
+  u32: { size: 4, read: (dv, o, le) => dv.getUint32(o, le) },
+  i32: { size: 4, read: (dv, o, le) => dv.getInt32(o, le) },
+  u64: { size: 8, read: (dv, o, le) => dv.getBigUint64(o, le) },
+  i64: { size: 8, read: (dv, o, le) => dv.getBigInt64(o, le) },
+  f32: { size: 4, read: (dv, o, le) => dv.getFloat32(o, le) },
+  f64: { size: 8, read: (dv, o, le) => dv.getFloat64(o, le) },
+};
+
+const TYPE_ALIASES = { uint: 'u', int: 'i', float: 'f' };
+
+const parseNumericType = (str) => {
+  const m = /^(uint|int|float|[uif])(8|16|32|64)(le|be)?$/i.exec(str.trim());
+  if (!m) return null;
+  const prefix = m[1].toLowerCase();
+  const type = `${TYPE_ALIASES[prefix] ?? prefix}${m[2]}`;
+  if (!NUMERIC_TYPES[type]) return null;
+  return { kind: 'number', type, littleEndian: (m[3] || 'le').toLowerCase() === 'le' };
+};
+
+const isIntegerType = (num) => !!num && !num.type.startsWith('f');
+
+// Returns { fields, errors }. Blank lines and "#" / "//" comments are ignored.
+export const parseStructLayout = (text) => {
+  const fields = [];
+  const errors = [];
+  let unit = null; // the bit-field storage unit being filled: { type, littleEndian, used }
+  String(text || '').split(/\r?\n/).forEach((raw, lineNo) => {
+    const line = raw.replace(/(#|\/\/).*$/, '').trim();
+    if (!line) return;
+    const m = /^([A-Za-z_][\w.]*)\s*:\s*(.+)$/.exec(line);
+    if (!m) { errors.push(`Line ${lineNo + 1}: expected "name: type"`); return; }
+    const [, name, typeStr] = m;
+    const bitField = /^(.+?)\s*:\s*(\d+)$/.exec(typeStr.trim());
+    if (bitField) {
+      const num = parseNumericType(bitField[1]);
+      const bits = parseInt(bitField[2]);
+      if (!isIntegerType(num) || bits < 1 || bits > NUMERIC_TYPES[num.type].size * 8) {
+        errors.push(`Line ${lineNo + 1}: bad bit-field "${typeStr.trim()}"`);
+        return;
+      }
+      const shared = unit && unit.type === num.type && unit.littleEndian === num.littleEndian && unit.used + bits <= NUMERIC_TYPES[num.type].size * 8;
+      if (!shared) unit = { type: num.type, littleEndian: num.littleEndian, used: 0 };
+      fields.push({ name, ...num, kind: 'bits', bits, shift: unit.used, newUnit: !shared });
+      unit.used += bits;
+      return;
+    }
+    unit = null;
+    const num = parseNumericType(typeStr);
+    if (num) { fields.push({ name, ...num }); return; }
+    const sized = /^(bytes|str|skip)\s*\[\s*(\d+)\s*\]$/i.exec(typeStr.trim());
+    if (sized) { fields.push({ name, kind: sized[1].toLowerCase(), length: parseInt(sized[2]) }); return; }
+    const tlv = /^tlv\s*\(\s*([^,\s]+)\s*,\s*([^)\s]+)\s*\)$/i.exec(typeStr.trim());
+    if (tlv) {
+      const tag = parseNumericType(tlv[1]);
+      const len = parseNumericType(tlv[2]);
+      if (isIntegerType(tag) && isIntegerType(len) && !tag.type.endsWith('64') && !len.type.endsWith('64')) { fields.push({ name, kind: 'tlv', tag, len }); return; }
+    }
+    errors.push(`Line ${lineNo + 1}: unknown type "${typeStr.trim()}"`);
+  });
+  return { fields, errors };
+};
+
+const hex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+
+const readNumber = (dv, offset, field) => NUMERIC_TYPES[field.type].read(dv, offset, field.littleEndian);
+
+// A bit-field out of its storage unit; signed types sign-extend from the field's top bit.
+const readBits = (dv, offset, field) => {
+  const bits = (BigInt.asUintN(64, BigInt(readNumber(dv, offset, field))) >> BigInt(field.shift)) & ((1n << BigInt(field.bits)) - 1n);
+  const value = field.type.startsWith('i') ? BigInt.asIntN(field.bits, bits) : bits;
+  return field.bits > 53 ? value : Number(value);
+};
+
+// Bytes a layout always spans, or null when it has a tlv field (whose size depends on the data).
+export const structSize = (layoutFields) => {
+  let size = 0;
+  for (const field of layoutFields) {
+    if (field.kind === 'tlv') return null;
+    if (field.kind === 'number' || (field.kind === 'bits' && field.newUnit)) size += NUMERIC_TYPES[field.type].size;
+    else if (field.kind !== 'bits') size += field.length;
+  }
+  return size;
+};
+
+// Decode bytes against parsed layout fields. Returns { fields: [{ name, value, offset, size }], complete, consumed }.
+export const decodeStruct = (bytes, layoutFields) => {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = [];
+  let offset = 0;
+  let unitOffset = 0;
+  for (const field of layoutFields) {
+    if (field.kind === 'bits') {
+      const size = NUMERIC_TYPES[field.type].size;
+      if (field.newUnit) {
+        if (offset + size > bytes.length) return { fields: out, complete: false, consumed: offset };
+        unitOffset = offset;
+        offset += size;
+      }
+      out.push({ name: field.name, value: readBits(dv, unitOffset, field), offset: unitOffset, size });
+    } else if (field.kind === 'number') {
+      const size = NUMERIC_TYPES[field.type].size;
+      if (offset + size > bytes.length) return { fields: out, complete: false, consumed: offset };
+      out.push({ name: field.name, value: readNumber(dv, offset, field), offset, size });
+      offset += size;
+    } else if (field.kind === 'tlv') {
+      const tagSize = NUMERIC_TYPES[field.tag.type].size;
+      const lenSize = NUMERIC_TYPES[field.len.type].size;
+      let i = 0;
+      while (offset + tagSize + lenSize <= bytes.length) {
+        const tag = readNumber(dv, offset, field.tag);
+        const len = readNumber(dv, offset + tagSize, field.len);
+        const start = offset + tagSize + lenSize;
+        if (start + len > bytes.length) return { fields: out, complete: false, consumed: offset };
+        out.push({ name: `${field.name}[${i}] tag 0x${tag.toString(16).toUpperCase()}`, value: hex(bytes.subarray(start, start + len)), offset, size: tagSize + lenSize + len });
+        offset = start + len;
+        i++;
+      }
+    } else {
+      if (offset + field.length > bytes.length) return { fields: out, complete: false, consumed: offset };
+      const slice = bytes.subarray(offset, offset + field.length);
+      if (field.kind === 'bytes') out.push({ name: field.name, value: hex(slice), offset, size: field.length });
+      else if (field.kind === 'str') out.push({ name: field.name, value: new TextDecoder().decode(slice).replace(/\0+$/, ''), offset, size: field.length });
+      offset += field.length;
+    }
+  }
+  return { fields: out, complete: true, consumed: offset };
+};
@@ -0,0 +1,182 @@
+import { concatBytes, EMPTY_BYTES, decodeBytes } from './bytes';
+
+// --- Request/response test sequences ---
+// A step sends one command and waits for a reply matching `expect`; each attempt gets its own timeout.
+
+export const MATCH_MODES = [
+  { id: 'substring', label: 'Text' },
+  { id: 'regex', label: 'Regex' },
+  { id: 'hexmask', label: 'Hex Mask' },
+];
+
+export const DEFAULT_TEST_STEP = { command: 'AT', hex: false, expect: 'OK', match: 'substring', timeoutMs: 1000, retries: 0 };
+
+export const DEFAULT_TEST_SEQUENCES = [
+  {
+    id: 'seq-at-basic',
+    name: 'AT Smoke Test',
+    steps: [
+      { ...DEFAULT_TEST_STEP, id: 'step-1' },
+      { ...DEFAULT_TEST_STEP, id: 'step-2', command: 'ATI', expect: '\\w+', match: 'regex' },
+      { ...DEFAULT_TEST_STEP, id: 'step-3', command: 'AT+CSQ', expect: '\\+CSQ: \\d+', match: 'regex', timeoutMs: 2000, retries: 1 },
+    ],
+  },
+];
+
+const MAX_RESPONSE_BYTES = 4096;
+
+// "01 03 ?? 0? XX" -> per-byte [value, mask]; '?' / 'X' is a wildcard nibble.
+export const parseHexMask = (pattern) => {
+  const tokens = String(pattern || '').replace(/0x/gi, '').replace(/[\s,]+/g, '').toUpperCase();
+  if (!tokens || tokens.length % 2 !== 0 || !/^[0-9A-FX?]+$/.test(tokens)) return null;
+  const out = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    let value = 0;
+    let mask = 0;
+    for (const ch of tokens.slice(i, i + 2)) {
+      value <<= 4;
+      mask <<= 4;
+      if (ch !== '?' && ch !== 'X') { value |= parseInt(ch, 16); mask |= 0xF; }
+    }
+    out.push([value, mask]);
+  }
+  return out;
+};
+
+export const validateTestStep = (step) => {
+  if (!String(step.command ?? '').length) return 'Command is empty';
+  if (step.match === 'regex') {
+    try { new RegExp(step.expect); } catch (e) { return `Bad regex: ${e.message}`; }
+  }
+  if (step.match === 'hexmask' && !parseHexMask(step.expect)) return 'Bad hex mask';
+  return null;
+};
+
+// Offset of the first window of `bytes` matching a parsed hex mask, or -1.
+export const findHexMask = (bytes, mask) => {
+  for (let start = 0; start + mask.length <= bytes.length; start++) {
+    let ok = true;
+    for (let i = 0; i < mask.length && ok; i++) ok = (bytes[start + i] & mask[i][1]) === mask[i][0];
+    if (ok) return start;
+  }
+  return -1;
+};
+
+// Returns (bytes, text) => boolean; an empty expectation accepts any reply.
+export const createResponseMatcher = (step) => {
+  const expected = String(step.expect ?? '');
+  if (!expected) return (bytes) => bytes.length > 0;
+  if (step.match === 'regex') {
+    const re = new RegExp(expected);
+    return (_bytes, text) => re.test(text);
+  }
+  if (step.match === 'hexmask') {
+    const mask = parseHexMask(expected);
+    return (bytes) => findHexMask(bytes, mask) >= 0;
+  }
+  return (_bytes, text) => text.includes(expected);
+};
+
+// Resolves { matched, latencyMs, bytes }; `abort()` settles it early as unmatched.
+const waitForReply = ({ subscribeRx, matcher, timeoutMs, encoding, token }) => {
+  let received = EMPTY_BYTES;
+  let finish = () => {};
+  const promise = new Promise((resolve) => {
+    const startedAt = performance.now();
+    let unsubscribe = () => {};
+    let timer = null;
+    let cancelPoll = null;
+    let settled = false;
+    finish = (matched) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearInterval(cancelPoll);
+      unsubscribe();
+      resolve({ matched, latencyMs: Math.round(performance.now() - startedAt), bytes: received });
+    };
+    timer = setTimeout(() => finish(false), timeoutMs);
+    cancelPoll = setInterval(() => { if (token.cancelled) finish(false); }, 50);
+    unsubscribe = subscribeRx((chunk) => {
+      received = concatBytes(received, chunk);
+      if (received.length > MAX_RESPONSE_BYTES) received = received.slice(-MAX_RESPONSE_BYTES);
+      if (matcher(received, decodeBytes(received, encoding))) finish(true);
+    });
+  });
+  return { promise, abort: () => finish(false) };
+};
+
+// Runs steps in order. `send(step)` must resolve true once the command is written.
+// Results: { stepId, command, expect, status: 'pass' | 'fail' | 'skipped', attempts, latencyMs, response, error }.
+export const runTestSequence = async ({ steps, send, subscribeRx, encoding, token, onStepResult, stopOnFail = false }) => {
+  const results = [];
+  let failed = false;
+  for (const step of steps) {
+    const base = { stepId: step.id, command: step.command, expect: step.expect, match: step.match };
+    if (token.cancelled || (failed && stopOnFail)) {
+      results.push({ ...base, status: 'skipped', attempts: 0, latencyMs: null, response: '', error: token.cancelled ? 'Stopped' : 'Previous step failed' });
+      onStepResult?.(results[results.length - 1]);
+      continue;
+    }
+    const invalid = validateTestStep(step);
+    let result;
+    if (invalid) {
+      result = { ...base, status: 'fail', attempts: 0, latencyMs: null, response: '', error: invalid };
+    } else {
+      const matcher = createResponseMatcher(step);
+      const timeoutMs = Math.max(1, parseInt(step.timeoutMs) || DEFAULT_TEST_STEP.timeoutMs);
+      const maxAttempts = 1 + Math.max(0, parseInt(step.retries) || 0);
+      for (let attempt = 1; attempt <= maxAttempts && !token.cancelled; attempt++) {
+        // Listen before writing so a fast reply can't slip past.
+        const reply = waitForReply({ subscribeRx, matcher, timeoutMs, encoding, token });
+        const sent = await send(step);
+        if (!sent) {
+          reply.abort();
+          result = { ...base, status: 'fail', attempts: attempt, latencyMs: null, response: '', error: 'Write failed' };
+          break;
+        }
+        const { matched, latencyMs, bytes } = await reply.promise;
+        result = {
+          ...base,
+          status: matched ? 'pass' : 'fail',
+          attempts: attempt,
+          latencyMs: matched ? latencyMs : null,
+          response: decodeBytes(bytes, encoding).trim(),
+          responseBytes: bytes,
+          error: matched ? '' : token.cancelled ? 'Stopped' : bytes.length ? 'Unexpected reply' : `No reply in ${timeoutMs} ms`,
+        };
+        if (matched) break;
+      }
+      if (!result) result = { ...base, status: 'skipped', attempts: 0, latencyMs: null, response: '', error: 'Stopped' };
+    }
+    if (result.status !== 'pass') failed = true;
+    results.push(result);
+    onStepResult?.(result);
+  }
+  return results;
+};
+
+export const createTestId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const summarizeTestRun = (results) => {
+  const passed = results.filter(r => r.status === 'pass').length;
+  const latencies = results.filter(r => r.latencyMs !== null && r.latencyMs !== undefined).map(r => r.latencyMs);
+  return {
+    total: results.length,
+    passed,
+    failed: results.filter(r => r.status === 'fail').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    ok: results.length > 0 && passed === results.length,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+  };
+};
+
+// One entry of the report: the run's results plus when it started and how long it took.
+export const createTestRunRecord = (name, startedAt, results) => ({
+  id: Date.now(),
+  name,
+  startedAt: startedAt.toLocaleString(),
+  durationMs: Date.now() - startedAt.getTime(),
+  results,
+  summary: summarizeTestRun(results),
+});
@@ -0,0 +1,22 @@
+// --- Virtual device: echo / loopback ---
+// Every byte written comes straight back, like a jumper between TX and RX.
+const echoDevice = {
+  id: 'echo',
+  name: 'Echo / Loopback',
+  description: 'Sends every written byte straight back.',
+  options: [{ key: 'delayMs', label: 'Echo Delay (ms)', type: 'number', default: 0 }],
+  create(options, { emit }) {
+    const delayMs = Math.max(0, parseInt(options.delayMs) || 0);
+    const timers = new Set();
+    return {
+      write(bytes) {
+        if (!delayMs) { emit(bytes); return; }
+        const id = setTimeout(() => { timers.delete(id); emit(bytes); }, delayMs);
+        timers.add(id);
+      },
+      close() { timers.forEach(clearTimeout); },
+    };
+  },
+};
+
+export default echoDevice;
@@ -0,0 +1,79 @@
+import echoDevice from './echo';
+import replayDevice from './replay';
+import responderDevice from './responder';
+
+// --- Virtual port registry ---
+// A virtual device is a plain object:
+//   {
+//     id: 'my-device', name: 'My Device', description?: '...',
+//     options?: [{ key, label, type: 'text' | 'textarea' | 'number' | 'checkbox' | 'file', accept?, default }],
+//     validate?(options) -> error string | null,
+//     create(options, { emit, encoding }) -> { write?(bytes), setSignals?(signals), close?() }
+//   }
+// `emit(bytes)` delivers bytes to the reader exactly like data arriving on a real RX line.
+export const VIRTUAL_DEVICES = [echoDevice, replayDevice, responderDevice];
+
+export const getVirtualDeviceDefaults = (device) =>
+  Object.fromEntries((device?.options || []).map(o => [o.key, o.default ?? '']));
+
+// Steady "device present" modem lines, so signal polling behaves as with a real adapter.
+const VIRTUAL_MODEM_STATUS = { clearToSend: true, dataSetReady: true, dataCarrierDetect: true, ringIndicator: false };
+
+// Stand-in for a Web Serial SerialPort: open()/close(), readable/writable streams and signals.
+// Like the real thing, `readable` hands out a fresh stream after the previous one was cancelled
+// while the port stays open; bytes emitted while nobody is reading are dropped.
+export const createVirtualPort = (device, options = {}, { encoding = 'utf-8' } = {}) => {
+  let instance = null;
+  let isOpen = false;
+  let readable = null;
+  let controller = null;
+  let writable = null;
+
+  const emit = (bytes) => {
+    if (!controller || !bytes?.length) return;
+    try { controller.enqueue(bytes.slice()); } catch { /* stream already closed */ }
+  };
+
+  return {
+    isVirtual: true,
+    device,
+    get readable() {
+      if (!isOpen) return null;
+      if (!readable) {
+        readable = new ReadableStream({
+          start(c) { controller = c; },
+          cancel() { readable = null; controller = null; },
+        });
+      }
+      return readable;
+    },
+    get writable() {
+      return isOpen ? writable : null;
+    },
+    getInfo: () => ({}),
+    async open(serialOptions) {
+      if (isOpen) throw new DOMException('The port is already open.', 'InvalidStateError');
+      isOpen = true;
+      writable = new WritableStream({ write: (chunk) => instance?.write?.(new Uint8Array(chunk)) });
+      instance = device.create(options, { emit, encoding, serialOptions });
+    },
+    async close() {
+      if (!isOpen) return;
+      isOpen = false;
+      instance?.close?.();
+      instance = null;
+      try { controller?.close(); } catch { /* already cancelled */ }
+      readable = null;
+      controller = null;
+      writable = null;
+    },
+    async setSignals(signals) {
+      if (!isOpen) throw new DOMException('The port is closed.', 'InvalidStateError');
+      instance?.setSignals?.(signals);
+    },
+    async getSignals() {
+      if (!isOpen) throw new DOMException('The port is closed.', 'InvalidStateError');
+      return { ...VIRTUAL_MODEM_STATUS };
+    },
+  };
+};
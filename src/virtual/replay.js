@@ -0,0 +1,100 @@
+import { parseHexString } from '../lib/bytes';
+import { encodeText } from '../lib/charsets';
+import { CAPTURE_EXTENSION, parseCapture } from '../lib/capture';
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF rows.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false; else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+};
+
+// "HH:MM:SS.mmm" -> ms since midnight.
+const parseClock = (value) => {
+  const m = /^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(String(value).trim());
+  if (!m) return null;
+  return ((+m[1] * 60 + +m[2]) * 60 + +m[3]) * 1000 + (m[4] ? +m[4].padEnd(3, '0') : 0);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads the RX side of a log CSV export into [{ delayMs, bytes }], delays relative to the previous frame.
+export const parseLogCsvCapture = (text, encoding = 'utf-8') => {
+  const rows = parseCsvRows(String(text || ''));
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const [tsCol, typeCol, contentCol, hexCol] = [col('timestamp'), col('type'), col('content'), col('hex')];
+  if (tsCol < 0 || typeCol < 0) return [];
+  const frames = [];
+  let prev = null;
+  for (const row of rows) {
+    if (row[typeCol] !== 'rx') continue;
+    const bytes = (hexCol >= 0 && parseHexString(row[hexCol] || '')) || (contentCol >= 0 && row[contentCol] ? encodeText(`${row[contentCol]}\n`, encoding) : null);
+    if (!bytes) continue;
+    const at = parseClock(row[tsCol]);
+    let delayMs = 0;
+    if (at !== null && prev !== null) delayMs = at >= prev ? at - prev : at + DAY_MS - prev; // midnight wrap
+    if (at !== null) prev = at;
+    frames.push({ delayMs, bytes });
+  }
+  return frames;
+};
+
+// Native capture files keep the raw RX chunks and their exact timing; anything else is read as a log CSV.
+const parseReplayFrames = (text, encoding) => {
+  let capture = null;
+  try { capture = parseCapture(text); } catch { /* not a capture file */ }
+  if (!capture) return parseLogCsvCapture(text, encoding);
+  let prev = capture.startTime;
+  return capture.chunks.filter(c => c.dir === 'rx').map(c => {
+    const frame = { delayMs: c.at - prev, bytes: c.bytes };
+    prev = c.at;
+    return frame;
+  });
+};
+
+// --- Virtual device: replay a saved capture ---
+// Plays the RX side back with the original gaps between frames; writes are ignored.
+const replayDevice = {
+  id: 'replay',
+  name: 'Capture Replay',
+  description: 'Plays back the RX side of a saved log with its original timing.',
+  options: [
+    { key: 'capture', label: 'Capture (capture file or log CSV)', type: 'file', accept: `${CAPTURE_EXTENSION},.csv,text/csv`, default: '' },
+    { key: 'speed', label: 'Speed (x)', type: 'number', default: 1 },
+    { key: 'loop', label: 'Loop', type: 'checkbox', default: false },
+  ],
+  validate(options) {
+    if (!options.capture) return 'Load a capture file first';
+    return parseReplayFrames(options.capture).length ? null : 'No RX frames found in the capture';
+  },
+  create(options, { emit, encoding }) {
+    const frames = parseReplayFrames(options.capture, encoding);
+    const speed = Math.max(0.01, Number(options.speed) || 1);
+    let timer = null;
+    const playFrom = (i) => {
+      if (i >= frames.length) {
+        if (options.loop && frames.length) playFrom(0);
+        return;
+      }
+      timer = setTimeout(() => { emit(frames[i].bytes); playFrom(i + 1); }, frames[i].delayMs / speed);
+    };
+    playFrom(0);
+    return { close() { clearTimeout(timer); } };
+  },
+};
+
+export default replayDevice;
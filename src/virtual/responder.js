@@ -0,0 +1,120 @@
+import { parseHexString, calculateCRC16, concatBytes, EMPTY_BYTES, decodeBytes, stripLineEnding } from '../lib/bytes';
+import { encodeText } from '../lib/charsets';
+import { parseHexMask, findHexMask } from '../lib/testSequence';
+
+export const DEFAULT_RESPONDER_RULES = `# request => reply, first match wins
+# Left:  exact text, /regex/flags or hex:01 03 ?? (? = wildcard nibble)
+# Right: text with \\r \\n \\t \\xNN escapes and $1.. from a regex, or hex:.. (+crc appends Modbus CRC16)
+AT => OK\\r\\n
+ATI => Portax Virtual Modem\\r\\nOK\\r\\n
+/^AT\\+CSQ$/ => +CSQ: 23,99\\r\\nOK\\r\\n
+/^ECHO (.*)$/ => $1\\r\\n
+hex:01 03 00 00 00 01 ?? ?? => hex:01 03 02 00 2A +crc`;
+
+// Input is dropped when no rule matched and the host has gone quiet for this long.
+const PARTIAL_INPUT_MS = 200;
+const MAX_INPUT_BYTES = 4096;
+
+const unescapeText = (s) => s.replace(/\\(x[0-9a-fA-F]{2}|[rnt\\])/g, (_, e) => (
+  e[0] === 'x' ? String.fromCharCode(parseInt(e.slice(1), 16)) : { r: '\r', n: '\n', t: '\t', '\\': '\\' }[e]
+));
+
+// One rule per line; returns { rules, errors } with 1-based line numbers in the messages.
+export const parseResponderRules = (text) => {
+  const rules = [];
+  const errors = [];
+  String(text || '').split(/\r?\n/).forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const sep = line.indexOf('=>');
+    if (sep < 0) { errors.push(`Line ${idx + 1}: missing "=>"`); return; }
+    const left = line.slice(0, sep).trim();
+    const right = line.slice(sep + 2).trim();
+    const rule = {};
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(left);
+    if (regex) {
+      try { rule.regex = new RegExp(regex[1], regex[2].replace(/[gy]/g, '')); } catch (e) { errors.push(`Line ${idx + 1}: ${e.message}`); return; }
+    } else if (/^hex:/i.test(left)) {
+      rule.mask = parseHexMask(left.slice(4));
+      if (!rule.mask) { errors.push(`Line ${idx + 1}: bad hex mask`); return; }
+    } else {
+      rule.literal = unescapeText(left);
+    }
+    if (/^hex:/i.test(right)) {
+      const withCrc = /\+crc$/i.test(right);
+      let bytes = parseHexString(right.slice(4).replace(/\+crc$/i, ''));
+      if (!bytes) { errors.push(`Line ${idx + 1}: bad hex reply`); return; }
+      if (withCrc) bytes = concatBytes(bytes, calculateCRC16(bytes));
+      rule.replyBytes = bytes;
+    } else {
+      rule.replyText = unescapeText(right);
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+};
+
+// Returns the reply bytes for this input, or null when no rule matches.
+const respond = (rules, input, encoding) => {
+  const text = decodeBytes(stripLineEnding(input), encoding);
+  for (const rule of rules) {
+    let m = null;
+    if (rule.mask) m = findHexMask(input, rule.mask) >= 0 ? [] : null;
+    else if (rule.regex) m = rule.regex.exec(text);
+    else m = text === rule.literal ? [text] : null;
+    if (!m) continue;
+    if (rule.replyBytes) return rule.replyBytes;
+    return encodeText(rule.replyText.replace(/\$(\d)/g, (_, n) => m[n] ?? ''), encoding);
+  }
+  return null;
+};
+
+// --- Virtual device: scripted responder ---
+// Collects written bytes until a rule matches (or a line ends), then answers after a short delay.
+const responderDevice = {
+  id: 'responder',
+  name: 'Scripted Responder',
+  description: 'Answers requests matching your patterns with canned replies.',
+  options: [
+    { key: 'rules', label: 'Rules', type: 'textarea', default: DEFAULT_RESPONDER_RULES },
+    { key: 'replyDelayMs', label: 'Reply Delay (ms)', type: 'number', default: 20 },
+  ],
+  validate(options) {
+    const { rules, errors } = parseResponderRules(options.rules);
+    if (errors.length) return errors[0];
+    return rules.length ? null : 'No rules defined';
+  },
+  create(options, { emit, encoding }) {
+    const { rules } = parseResponderRules(options.rules);
+    const delayMs = Math.max(0, parseInt(options.replyDelayMs) || 0);
+    const timers = new Set();
+    let input = EMPTY_BYTES;
+    let idleTimer = null;
+    const later = (fn, ms) => {
+      const id = setTimeout(() => { timers.delete(id); fn(); }, ms);
+      timers.add(id);
+    };
+    return {
+      write(bytes) {
+        clearTimeout(idleTimer);
+        input = concatBytes(input, bytes).slice(-MAX_INPUT_BYTES);
+        const reply = respond(rules, input, encoding);
+        const last = input[input.length - 1];
+        if (reply) {
+          input = EMPTY_BYTES;
+          later(() => emit(reply), delayMs);
+        } else if (last === 0x0A || last === 0x0D) {
+          input = EMPTY_BYTES;
+        } else {
+          idleTimer = setTimeout(() => { input = EMPTY_BYTES; }, PARTIAL_INPUT_MS);
+        }
+      },
+      close() {
+        clearTimeout(idleTimer);
+        timers.forEach(clearTimeout);
+      },
+    };
+  },
+};
+
+export default responderDevice;